@@ -0,0 +1,114 @@
+const { utils } = require("ethers");
+
+/**
+ * Deployment configuration of Paralend, by network name
+ *
+ * scripts/deploy.js deploys and wires the protocol described here and records
+ * the addresses in deployments/<network>.json. Networks without an entry use
+ * `default`; the Arcology networks of network.json (TestnetInfo) and `arcology`
+ * differ only in their blocks per year. Amounts and rates are decimal strings:
+ *
+ * - blocksPerYear: blocks the chain produces in a year, turns the yearly rates
+ *   of the rate models into rates per block (default BLOCKS_PER_YEAR, 15 second blocks)
+ * - rateModels: interest rate model parameters by name, per year (0.02 = 2%)
+ *   - type: "jump" (JumpRateModel, default) or "whitePaper" (WhitePaperInterestRateModel)
+ *   - baseRate, multiplier: borrow rate at 0% utilization and its slope
+ *   - jumpMultiplier, kink: slope above the kink utilization (jump only)
+ * - markets: one entry per market
+ *   - symbol: underlying symbol; keys the risk parameters of config/markets.js
+ *     and the market in the manifest
+ *   - underlying: address of the underlying token. Without one a MockERC20
+ *     named `name` with `decimals` decimals is deployed (local and test networks)
+ *   - rateModel: name of the market's rate model
+ *   - price: admin price in USD of a whole token (optional, e.g. when no oracle
+ *     is plugged in), set scaled by the underlying's decimals (see priceMantissa)
+ *   - supplyCap, borrowCap: caps in underlying units (optional, none by default)
+ *   - collateralFactor, liquidationThreshold: override config/markets.js
+ * - liquidation: close factor and liquidation incentive, defaults to
+ *   LIQUIDATION of config/markets.js
+ *
+ *   const { deploymentConfig } = require("../config/deploy");
+ *   const config = deploymentConfig(network.name);
+ */
+
+const BLOCKS_PER_YEAR = 2102400;
+
+// Arcology produces a block per second
+const ARCOLOGY_BLOCKS_PER_YEAR = 31536000;
+
+const RATE_MODEL_TYPES = ["jump", "whitePaper"];
+
+const RATE_MODELS = {
+  default: {
+    baseRate: "0.02",      // 2% base rate per year
+    multiplier: "0.2",     // 20% multiplier
+    jumpMultiplier: "1.0", // 100% jump multiplier
+    kink: "0.8",           // 80% kink
+  },
+};
+
+const STABLECOINS = [
+  { symbol: "DAI", name: "Dai Stablecoin", decimals: 18, rateModel: "default", price: "1" },
+  { symbol: "USDC", name: "USD Coin", decimals: 6, rateModel: "default", price: "1" },
+];
+
+const DEPLOYMENTS = {
+  default: {
+    blocksPerYear: BLOCKS_PER_YEAR,
+    rateModels: RATE_MODELS,
+    markets: STABLECOINS,
+  },
+};
+
+for (const network of ["arcology", "TestnetInfo"]) {
+  DEPLOYMENTS[network] = { ...DEPLOYMENTS.default, blocksPerYear: ARCOLOGY_BLOCKS_PER_YEAR };
+}
+
+/**
+ * Returns the deployment configuration of a network
+ * @param network Hardhat network name
+ */
+function deploymentConfig(network, deployments = DEPLOYMENTS) {
+  return deployments[network] || deployments.default;
+}
+
+/**
+ * Rates per block a rate model of the config is deployed with, as its getters return them
+ * @param params Rate model parameters (see rateModels above)
+ * @param blocksPerYear Blocks per year of the network
+ * @returns `{ baseRatePerBlock, multiplierPerBlock }`, plus `{ jumpMultiplierPerBlock, kink }`
+ *          for a jump model, as BigNumbers scaled by 1e18
+ */
+function ratesPerBlock(params, blocksPerYear = BLOCKS_PER_YEAR) {
+  const type = params.type || "jump";
+  if (!RATE_MODEL_TYPES.includes(type)) {
+    throw new Error(`Unknown rate model type "${type}"`);
+  }
+
+  const perBlock = (rate) => utils.parseEther(rate).div(blocksPerYear);
+  const rates = { baseRatePerBlock: perBlock(params.baseRate), multiplierPerBlock: perBlock(params.multiplier) };
+  if (type === "whitePaper") return rates;
+
+  return { ...rates, jumpMultiplierPerBlock: perBlock(params.jumpMultiplier), kink: utils.parseEther(params.kink) };
+}
+
+/**
+ * Admin price of a market of the config, as SimplifiedComptroller.setPrice takes it:
+ * USD per whole token scaled by 1e(36 - decimals), like the oracle's prices
+ * @param price Price in USD (see markets above)
+ * @param decimals Decimals of the market's underlying
+ */
+function priceMantissa(price, decimals) {
+  return utils.parseUnits(price, 36 - decimals);
+}
+
+module.exports = {
+  BLOCKS_PER_YEAR,
+  ARCOLOGY_BLOCKS_PER_YEAR,
+  RATE_MODEL_TYPES,
+  RATE_MODELS,
+  DEPLOYMENTS,
+  deploymentConfig,
+  ratesPerBlock,
+  priceMantissa,
+};
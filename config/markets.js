@@ -0,0 +1,84 @@
+const { utils } = require("ethers");
+
+/**
+ * Risk parameters of the Paralend markets, by underlying symbol
+ *
+ * Values are decimal strings (0.75 = 75%) and are set on SimplifiedComptroller
+ * when a market is deployed:
+ * - collateralFactor: share of the collateral value that can be borrowed against
+ * - liquidationThreshold: share of the collateral value the debt may reach
+ *   before liquidation, never below the collateral factor
+ *
+ * Stablecoins keep the comptroller's listing defaults. Volatile assets get a
+ * lower collateral factor and a wider gap to the liquidation threshold, so a
+ * price move does not take freshly opened borrows straight into liquidation.
+ * Markets missing here keep the listing defaults.
+ *
+ *   const { applyRiskParameters } = require("../config/markets");
+ *   await comptroller.supportMarket(cWETH.address);
+ *   await applyRiskParameters(comptroller, cWETH.address, "WETH");
+ */
+
+const MARKETS = {
+  DAI: { collateralFactor: "0.75", liquidationThreshold: "0.80" },
+  USDC: { collateralFactor: "0.75", liquidationThreshold: "0.80" },
+  WETH: { collateralFactor: "0.70", liquidationThreshold: "0.775" },
+  WBTC: { collateralFactor: "0.65", liquidationThreshold: "0.75" },
+};
+
+/**
+ * Protocol-wide liquidation parameters
+ * - closeFactor: share of a borrower's debt one liquidation can repay
+ * - liquidationIncentive: collateral paid per unit repaid
+ */
+const LIQUIDATION = {
+  closeFactor: "0.5",
+  liquidationIncentive: "1.08",
+};
+
+/**
+ * Sets the configured collateral factor and liquidation threshold of a listed market
+ * @param comptroller SimplifiedComptroller (signer must be its admin)
+ * @param cToken Address of the market
+ * @param symbol Underlying symbol
+ * @param markets Risk parameters by symbol, defaults to MARKETS
+ * @returns The parameters applied, null if the symbol has none configured
+ */
+async function applyRiskParameters(comptroller, cToken, symbol, markets = MARKETS) {
+  const params = markets[symbol];
+  if (!params) return null;
+
+  const collateralFactor = utils.parseEther(params.collateralFactor);
+  const liquidationThreshold = utils.parseEther(params.liquidationThreshold);
+  if (collateralFactor.gt(liquidationThreshold)) {
+    throw new Error(`Collateral factor of ${symbol} is above its liquidation threshold`);
+  }
+
+  // Every intermediate state must keep collateral factor <= liquidation threshold
+  const currentThreshold = await comptroller.liquidationThresholdMantissa(cToken);
+  if (collateralFactor.gt(currentThreshold)) {
+    await comptroller.setLiquidationThreshold(cToken, liquidationThreshold);
+    await comptroller.setCollateralFactor(cToken, collateralFactor);
+  } else {
+    await comptroller.setCollateralFactor(cToken, collateralFactor);
+    await comptroller.setLiquidationThreshold(cToken, liquidationThreshold);
+  }
+
+  return params;
+}
+
+/**
+ * Sets the configured close factor and liquidation incentive
+ * @param comptroller SimplifiedComptroller (signer must be its admin)
+ */
+async function applyLiquidationParameters(comptroller, params = LIQUIDATION) {
+  await comptroller.setCloseFactor(utils.parseEther(params.closeFactor));
+  await comptroller.setLiquidationIncentive(utils.parseEther(params.liquidationIncentive));
+}
+
+module.exports = {
+  MARKETS,
+  LIQUIDATION,
+  applyRiskParameters,
+  applyLiquidationParameters,
+};
@@ -4,15 +4,19 @@ pragma solidity =0.7.6;
 import "./interfaces/IInterestRateModel.sol";
 import "./interfaces/IComptroller.sol";
 import "./libraries/ExponentialNoError.sol";
+import "../Paralend/AdminControl.sol";
+import "../Paralend/interfaces/ILendingCore.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/SafeERC20.sol";
 
 /**
  * @title CToken
  * @notice Simplified Compound V2 CToken - lending market for a single asset
- * @dev This is the ORIGINAL implementation - will be refactored for parallel execution
+ * @dev This is the ORIGINAL implementation - will be refactored for parallel execution.
+ *      The admin (AdminControl) manages the lending core, comptroller, reserves,
+ *      reserve factor and interest rate model.
  */
-contract CToken is ExponentialNoError {
+contract CToken is ExponentialNoError, AdminControl {
     using SafeERC20 for IERC20;
 
     string public name;
@@ -26,6 +30,7 @@ contract CToken is ExponentialNoError {
 
     /**
      * @notice Comptroller contract which oversees all markets
+     * @dev Checks cToken transfers (transferAllowed)
      */
     IComptroller public comptroller;
 
@@ -37,6 +42,12 @@ contract CToken is ExponentialNoError {
     // Initial exchange rate used when minting the first CTokens (scaled by 1e18)
     uint256 internal constant initialExchangeRateMantissa = 2e26; // 0.02
 
+    // Maximum borrow rate that can ever be applied (0.05% per block)
+    uint256 internal constant borrowRateMaxMantissa = 0.0005e18;
+
+    // Maximum fraction of interest that can be set aside for reserves
+    uint256 internal constant reserveFactorMaxMantissa = 1e18;
+
     /**
      * @notice Fraction of interest currently set aside for reserves (scaled by 1e18)
      */
@@ -70,6 +81,9 @@ contract CToken is ExponentialNoError {
     // Official record of token balances for each account
     mapping(address => uint256) internal accountTokens;
 
+    // Approved token transfer amounts on behalf of others
+    mapping(address => mapping(address => uint256)) internal transferAllowances;
+
     /**
      * @notice Container for borrow balance information
      * @member principal Total balance (with accrued interest), after applying the most recent balance-changing action
@@ -97,12 +111,22 @@ contract CToken is ExponentialNoError {
         uint256 accountBorrows,
         uint256 totalBorrows
     );
+    event Transfer(address indexed from, address indexed to, uint256 amount);
+    event Approval(address indexed owner, address indexed spender, uint256 amount);
     event AccrueInterest(
         uint256 cashPrior,
         uint256 interestAccumulated,
         uint256 borrowIndex,
         uint256 totalBorrows
     );
+    event NewComptroller(IComptroller oldComptroller, IComptroller newComptroller);
+    event ReservesAdded(address benefactor, uint256 addAmount, uint256 newTotalReserves);
+    event ReservesReduced(address to, uint256 reduceAmount, uint256 newTotalReserves);
+    event NewReserveFactor(uint256 oldReserveFactorMantissa, uint256 newReserveFactorMantissa);
+    event NewMarketInterestRateModel(
+        IInterestRateModel oldInterestRateModel,
+        IInterestRateModel newInterestRateModel
+    );
 
     constructor(
         address underlying_,
@@ -128,6 +152,88 @@ contract CToken is ExponentialNoError {
         return accountTokens[owner];
     }
 
+    /**
+     * @notice Transfer `amount` tokens from `msg.sender` to `dst`
+     * @param dst The address of the destination account
+     * @param amount The number of tokens to transfer
+     * @return Whether or not the transfer succeeded
+     */
+    function transfer(address dst, uint256 amount) external returns (bool) {
+        _transferTokens(msg.sender, msg.sender, dst, amount);
+        return true;
+    }
+
+    /**
+     * @notice Transfer `amount` tokens from `src` to `dst`
+     * @param src The address of the source account
+     * @param dst The address of the destination account
+     * @param amount The number of tokens to transfer
+     * @return Whether or not the transfer succeeded
+     */
+    function transferFrom(
+        address src,
+        address dst,
+        uint256 amount
+    ) external returns (bool) {
+        _transferTokens(msg.sender, src, dst, amount);
+        return true;
+    }
+
+    /**
+     * @notice Approve `spender` to transfer up to `amount` from `msg.sender`
+     * @dev An allowance of type(uint256).max is never decreased by transfers
+     * @param spender The address of the account which may transfer tokens
+     * @param amount The number of tokens that are approved
+     * @return Whether or not the approval succeeded
+     */
+    function approve(address spender, uint256 amount) external returns (bool) {
+        transferAllowances[msg.sender][spender] = amount;
+
+        emit Approval(msg.sender, spender, amount);
+
+        return true;
+    }
+
+    /**
+     * @notice Get the current allowance from `owner` for `spender`
+     * @param owner The address of the account which owns the tokens to be spent
+     * @param spender The address of the account which may transfer tokens
+     * @return The number of tokens allowed to be spent
+     */
+    function allowance(address owner, address spender) external view returns (uint256) {
+        return transferAllowances[owner][spender];
+    }
+
+    /**
+     * @notice Internal: transfers `tokens` from `src` to `dst` on behalf of `spender`
+     * @dev The comptroller rejects transfers of collateral that would leave
+     *      `src` in shortfall
+     */
+    function _transferTokens(
+        address spender,
+        address src,
+        address dst,
+        uint256 tokens
+    ) internal {
+        require(address(comptroller) != address(0), "comptroller not set");
+        require(src != dst && dst != address(0), "invalid transfer");
+
+        uint256 startingAllowance = spender == src ? type(uint256).max : transferAllowances[src][spender];
+        require(startingAllowance >= tokens, "insufficient allowance");
+        require(accountTokens[src] >= tokens, "insufficient balance");
+
+        require(comptroller.transferAllowed(address(this), src, dst, tokens), "transfer not allowed");
+
+        accountTokens[src] = accountTokens[src] - tokens;
+        accountTokens[dst] = add_(accountTokens[dst], tokens);
+
+        if (startingAllowance != type(uint256).max) {
+            transferAllowances[src][spender] = startingAllowance - tokens;
+        }
+
+        emit Transfer(src, dst, tokens);
+    }
+
     /**
      * @notice Get account snapshot for comptroller
      * @param account The account to get snapshot for
@@ -184,7 +290,7 @@ contract CToken is ExponentialNoError {
             borrowsPrior,
             reservesPrior
         );
-        require(borrowRateMantissa <= 0.0005e18, "borrow rate too high"); // Max 0.05% per block
+        require(borrowRateMantissa <= borrowRateMaxMantissa, "borrow rate too high");
 
         uint256 blockDelta = currentBlockNumber - accrualBlockNumberPrior;
 
@@ -272,27 +378,68 @@ contract CToken is ExponentialNoError {
         return result;
     }
 
+    /**
+     * @notice Return the borrow balance of account once interest is accrued to the current block
+     * @dev Same math as accrueInterest, without writing state, so it can be read by
+     *      parallel transactions. Matches the balance settlement sees when the market
+     *      is accrued in this block with its current cash, borrows and reserves.
+     * @param account The address whose balance should be calculated
+     * @return The projected balance
+     */
+    function borrowBalanceProjected(
+        address account
+    ) external view returns (uint256) {
+        BorrowSnapshot storage borrowSnapshot = accountBorrows[account];
+
+        if (borrowSnapshot.principal == 0) {
+            return 0;
+        }
+
+        uint256 borrowIndexProjected = borrowIndex;
+        uint256 blockDelta = block.number - accrualBlockNumber;
+        if (blockDelta > 0) {
+            uint256 borrowRateMantissa = interestRateModel.getBorrowRate(
+                getCash(),
+                totalBorrows,
+                totalReserves
+            );
+            borrowIndexProjected = mul_ScalarTruncateAddUInt(
+                Exp({mantissa: mul_(borrowRateMantissa, blockDelta)}),
+                borrowIndexProjected,
+                borrowIndexProjected
+            );
+        }
+
+        return mul_(borrowSnapshot.principal, borrowIndexProjected) / borrowSnapshot.interestIndex;
+    }
+
     /**
      * @notice Sender supplies assets into the market and receives cTokens in exchange
+     * @dev Standalone markets only, like redeem, borrow and repayBorrow: these skip the
+     *      comptroller checks, caps and pauses, so once the market is wired to LendingCore
+     *      every request goes through LendingEngine
      * @param mintAmount The amount of the underlying asset to supply
      * @return uint 0=success, otherwise a failure
      */
     function mint(uint256 mintAmount) external returns (uint256) {
+        require(lendingCore == address(0), "use LendingEngine");
         accrueInterest();
 
+        // Price the mint before the deposit is added to cash, as Compound does
+        Exp memory exchangeRate = Exp({mantissa: exchangeRateStored()});
+        uint256 mintTokens = div_(mintAmount, exchangeRate);
+
         IERC20(underlying).safeTransferFrom(
             msg.sender,
             address(this),
             mintAmount
         );
 
-        Exp memory exchangeRate = Exp({mantissa: exchangeRateStored()});
-        uint256 mintTokens = div_(mintAmount, exchangeRate);
-
         totalSupply = add_(totalSupply, mintTokens);
         accountTokens[msg.sender] = add_(accountTokens[msg.sender], mintTokens);
 
         emit Mint(msg.sender, mintAmount, mintTokens);
+        emit Transfer(address(0), msg.sender, mintTokens);
 
         return 0;
     }
@@ -303,6 +450,7 @@ contract CToken is ExponentialNoError {
      * @return uint 0=success, otherwise a failure
      */
     function redeem(uint256 redeemTokens) external returns (uint256) {
+        require(lendingCore == address(0), "use LendingEngine");
         accrueInterest();
 
         Exp memory exchangeRate = Exp({mantissa: exchangeRateStored()});
@@ -317,6 +465,7 @@ contract CToken is ExponentialNoError {
         IERC20(underlying).safeTransfer(msg.sender, redeemAmount);
 
         emit Redeem(msg.sender, redeemAmount, redeemTokens);
+        emit Transfer(msg.sender, address(0), redeemTokens);
 
         return 0;
     }
@@ -327,6 +476,7 @@ contract CToken is ExponentialNoError {
      * @return uint 0=success, otherwise a failure
      */
     function borrow(uint256 borrowAmount) external returns (uint256) {
+        require(lendingCore == address(0), "use LendingEngine");
         accrueInterest();
 
         uint256 accountBorrowsPrev = borrowBalanceStored(msg.sender);
@@ -355,6 +505,7 @@ contract CToken is ExponentialNoError {
      * @return uint 0=success, otherwise a failure
      */
     function repayBorrow(uint256 repayAmount) external returns (uint256) {
+        require(lendingCore == address(0), "use LendingEngine");
         accrueInterest();
 
         uint256 accountBorrowsPrev = borrowBalanceStored(msg.sender);
@@ -397,13 +548,16 @@ contract CToken is ExponentialNoError {
     address public lendingCore;
 
     /**
-     * @notice Sets the lending core address (can only be set once)
+     * @notice Sets the lending core address (admin only, can only be set once)
+     * @dev Approves LendingCore to pay out underlying (withdraws, borrows) from this market
      * @param _lendingCore Address of the LendingCore contract
      */
-    function setLendingCore(address _lendingCore) external {
+    function setLendingCore(address _lendingCore) external onlyAdmin {
         require(lendingCore == address(0), "lending core already set");
         require(_lendingCore != address(0), "invalid address");
         lendingCore = _lendingCore;
+
+        IERC20(underlying).safeApprove(_lendingCore, type(uint256).max);
     }
 
     /**
@@ -419,6 +573,7 @@ contract CToken is ExponentialNoError {
         accountTokens[user] = add_(accountTokens[user], mintTokens);
 
         emit Mint(user, 0, mintTokens); // amount=0 since already transferred
+        emit Transfer(address(0), user, mintTokens);
     }
 
     /**
@@ -438,6 +593,7 @@ contract CToken is ExponentialNoError {
         accountTokens[user] = sub_(accountTokens[user], redeemTokens);
 
         emit Redeem(user, redeemAmount, redeemTokens);
+        emit Transfer(user, address(0), redeemTokens);
 
         return redeemAmount;
     }
@@ -509,8 +665,8 @@ contract CToken is ExponentialNoError {
         accountTokens[borrower] = sub_(accountTokens[borrower], seizeTokens);
         accountTokens[liquidator] = add_(accountTokens[liquidator], seizeTokens);
 
-        // Emit transfer event (for ERC20 compatibility if needed)
         // Note: totalSupply unchanged - just transferring between accounts
+        emit Transfer(borrower, liquidator, seizeTokens);
     }
 
     // ============================================
@@ -557,22 +713,38 @@ contract CToken is ExponentialNoError {
      * @notice Updates user's cToken balance only (does NOT update totalSupply)
      * @dev Used after applyNetSupply has already updated totalSupply
      * @param user Address to mint tokens to
+     * @param mintAmount Underlying deposited, already transferred by LendingCore
      * @param mintTokens Amount of cTokens to mint
      */
-    function mintTokensToUserOnly(address user, uint256 mintTokens) external {
+    function mintTokensToUserOnly(
+        address user,
+        uint256 mintAmount,
+        uint256 mintTokens
+    ) external {
         require(msg.sender == lendingCore, "unauthorized: only lending core");
         accountTokens[user] = add_(accountTokens[user], mintTokens);
+
+        emit Mint(user, mintAmount, mintTokens);
+        emit Transfer(address(0), user, mintTokens);
     }
 
     /**
      * @notice Updates user's cToken balance only (does NOT update totalSupply)
      * @dev Used after applyNetSupply has already updated totalSupply
      * @param user Address to redeem tokens from
+     * @param redeemAmount Underlying paid out, transferred by LendingCore
      * @param redeemTokens Amount of cTokens to redeem
      */
-    function redeemTokensFromUserOnly(address user, uint256 redeemTokens) external {
+    function redeemTokensFromUserOnly(
+        address user,
+        uint256 redeemAmount,
+        uint256 redeemTokens
+    ) external {
         require(msg.sender == lendingCore, "unauthorized: only lending core");
         accountTokens[user] = sub_(accountTokens[user], redeemTokens);
+
+        emit Redeem(user, redeemAmount, redeemTokens);
+        emit Transfer(user, address(0), redeemTokens);
     }
 
     /**
@@ -616,4 +788,117 @@ contract CToken is ExponentialNoError {
 
         emit RepayBorrow(address(0), user, repayAmount, accountBorrowsNew, totalBorrows);
     }
+
+    // ============================================
+    // ADMIN - COMPTROLLER, RESERVES AND INTEREST RATE MODEL
+    // ============================================
+
+    /**
+     * @notice Sets the comptroller checking cToken transfers
+     * @param newComptroller The new comptroller
+     */
+    function _setComptroller(IComptroller newComptroller) external onlyAdmin {
+        require(address(newComptroller) != address(0), "invalid comptroller");
+
+        IComptroller oldComptroller = comptroller;
+        comptroller = newComptroller;
+
+        emit NewComptroller(oldComptroller, newComptroller);
+    }
+
+    /**
+     * @notice Accrues interest, then moves reserves out of the market
+     * @param to Address receiving the reserves
+     * @param reduceAmount Amount of reserves to withdraw (in underlying)
+     */
+    function _reduceReserves(address to, uint256 reduceAmount) external onlyAdmin {
+        _accrueInterestThroughLendingCore();
+
+        require(to != address(0), "invalid address");
+        require(reduceAmount <= totalReserves, "reduce amount above reserves");
+        require(reduceAmount <= getCash(), "insufficient cash");
+
+        uint256 totalReservesNew = totalReserves - reduceAmount;
+        totalReserves = totalReservesNew;
+
+        IERC20(underlying).safeTransfer(to, reduceAmount);
+
+        emit ReservesReduced(to, reduceAmount, totalReservesNew);
+    }
+
+    /**
+     * @notice Accrues interest, then adds the sender's underlying to the reserves
+     * @dev Open to anyone, as in Compound: it only donates to the market
+     * @param addAmount Amount of underlying to add
+     */
+    function _addReserves(uint256 addAmount) external {
+        _accrueInterestThroughLendingCore();
+
+        IERC20(underlying).safeTransferFrom(msg.sender, address(this), addAmount);
+
+        uint256 totalReservesNew = add_(totalReserves, addAmount);
+        totalReserves = totalReservesNew;
+
+        emit ReservesAdded(msg.sender, addAmount, totalReservesNew);
+    }
+
+    /**
+     * @notice Accrues interest at the current reserve factor, then sets a new one
+     * @param newReserveFactorMantissa Fraction of interest set aside for reserves (scaled by 1e18)
+     */
+    function _setReserveFactor(uint256 newReserveFactorMantissa) external onlyAdmin {
+        _accrueInterestThroughLendingCore();
+
+        require(newReserveFactorMantissa <= reserveFactorMaxMantissa, "invalid reserve factor");
+
+        uint256 oldReserveFactorMantissa = reserveFactorMantissa;
+        reserveFactorMantissa = newReserveFactorMantissa;
+
+        emit NewReserveFactor(oldReserveFactorMantissa, newReserveFactorMantissa);
+    }
+
+    /**
+     * @notice Accrues interest through LendingCore, as the market does before an admin change
+     * @dev Open to anyone, like accrueInterest. JumpRateModel.updateJumpRateModel
+     *      calls it on every market using the model before changing its rates
+     */
+    function accrueInterestThroughLendingCore() external {
+        _accrueInterestThroughLendingCore();
+    }
+
+    /**
+     * @notice Accrues interest with the current model, then replaces it
+     * @dev Blocks since the last accrual are charged at the current model's rate;
+     *      the new model applies from this block on. The new model must quote a
+     *      borrow rate accrueInterest accepts for the market's current state, so
+     *      the swap cannot lock the market
+     * @param newInterestRateModel The new interest rate model
+     */
+    function _setInterestRateModel(IInterestRateModel newInterestRateModel) external onlyAdmin {
+        _accrueInterestThroughLendingCore();
+
+        require(address(newInterestRateModel) != address(0), "invalid interest rate model");
+        require(
+            newInterestRateModel.getBorrowRate(getCash(), totalBorrows, totalReserves) <= borrowRateMaxMantissa,
+            "borrow rate too high"
+        );
+
+        IInterestRateModel oldInterestRateModel = interestRateModel;
+        interestRateModel = newInterestRateModel;
+
+        emit NewMarketInterestRateModel(oldInterestRateModel, newInterestRateModel);
+    }
+
+    /**
+     * @notice Internal: accrues interest through LendingCore.accrueInterestOnce
+     * @dev Keeps LendingCore's once-per-block accrual tracking in sync. Before
+     *      LendingCore is set, interest is accrued directly.
+     */
+    function _accrueInterestThroughLendingCore() internal {
+        if (lendingCore == address(0)) {
+            accrueInterest();
+        } else {
+            ILendingCore(lendingCore).accrueInterestOnce(address(this));
+        }
+    }
 }
@@ -2,14 +2,28 @@
 pragma solidity =0.7.6;
 
 import "./interfaces/IInterestRateModel.sol";
+import "./interfaces/IComptroller.sol";
+import "../Paralend/AdminControl.sol";
 
 /**
  * @title JumpRateModel
  * @notice Simple interest rate model with a kink (jump) at optimal utilization
- * @dev Based on Compound's JumpRateModelV2
+ * @dev Based on Compound's JumpRateModelV2. Rates are given per year and stored
+ *      per block, over the blocksPerYear of the chain set at deployment. The
+ *      admin (AdminControl) can update the rates of every market using the model
+ *      with updateJumpRateModel, which first accrues those markets at the old
+ *      rates (the markets are found through the comptroller, see setComptroller).
  */
-contract JumpRateModel is IInterestRateModel {
-    uint256 public constant blocksPerYear = 2102400; // Assuming 15 second blocks
+contract JumpRateModel is IInterestRateModel, AdminControl {
+    // Maximum borrow rate of CToken.accrueInterest (0.05% per block). Markets check
+    // a new model's rate when adopting it, an update changes the rates of the
+    // markets already using the model, so updates are held to the cap themselves
+    uint256 internal constant borrowRateMaxMantissa = 0.0005e18;
+
+    /**
+     * @notice Approximate number of blocks per year, used to turn the yearly rates into rates per block
+     */
+    uint256 public immutable blocksPerYear;
 
     /**
      * @notice The multiplier of utilization rate that gives the slope of the interest rate (scaled by 1e18)
@@ -31,16 +45,68 @@ contract JumpRateModel is IInterestRateModel {
      */
     uint256 public kink;
 
+    /**
+     * @notice Comptroller listing the markets updateJumpRateModel accrues, set once by the admin
+     */
+    IComptroller public comptroller;
+
+    event NewInterestParams(
+        uint256 baseRatePerBlock,
+        uint256 multiplierPerBlock,
+        uint256 jumpMultiplierPerBlock,
+        uint256 kink
+    );
+
+    /**
+     * @param baseRatePerYear The approximate target base APR, as a mantissa (scaled by 1e18)
+     * @param multiplierPerYear The rate of increase in interest rate wrt utilization (scaled by 1e18)
+     * @param jumpMultiplierPerYear The multiplierPerBlock after hitting the kink (scaled by 1e18)
+     * @param kink_ The utilization point at which the jump multiplier is applied (scaled by 1e18)
+     * @param blocksPerYear_ Approximate number of blocks per year of the chain (2102400 for 15 second blocks)
+     */
     constructor(
         uint256 baseRatePerYear,
         uint256 multiplierPerYear,
         uint256 jumpMultiplierPerYear,
-        uint256 kink_
+        uint256 kink_,
+        uint256 blocksPerYear_
     ) {
-        baseRatePerBlock = baseRatePerYear / blocksPerYear;
-        multiplierPerBlock = multiplierPerYear / blocksPerYear;
-        jumpMultiplierPerBlock = jumpMultiplierPerYear / blocksPerYear;
-        kink = kink_;
+        require(blocksPerYear_ != 0, "invalid blocks per year");
+        blocksPerYear = blocksPerYear_;
+
+        updateJumpRateModelInternal(baseRatePerYear, multiplierPerYear, jumpMultiplierPerYear, kink_, blocksPerYear_);
+    }
+
+    /**
+     * @notice Set the comptroller whose markets using the model are accrued before an update (admin only, once)
+     * @param _comptroller Comptroller address
+     */
+    function setComptroller(address _comptroller) external onlyAdmin {
+        require(address(comptroller) == address(0), "comptroller already set");
+        require(_comptroller != address(0), "invalid comptroller");
+        comptroller = IComptroller(_comptroller);
+    }
+
+    /**
+     * @notice Updates the rates of the model (admin only)
+     * @dev Every market of the comptroller using the model is first accrued
+     *      through LendingCore, so blocks elapsed since its last accrual are
+     *      charged at the old rates (no market is accrued before the comptroller
+     *      is set). The borrow rate at full utilization must stay within the cap
+     *      of CToken.accrueInterest, or the markets using the model could not accrue
+     * @param baseRatePerYear The approximate target base APR, as a mantissa (scaled by 1e18)
+     * @param multiplierPerYear The rate of increase in interest rate wrt utilization (scaled by 1e18)
+     * @param jumpMultiplierPerYear The multiplierPerBlock after hitting the kink (scaled by 1e18)
+     * @param kink_ The utilization point at which the jump multiplier is applied (scaled by 1e18)
+     */
+    function updateJumpRateModel(
+        uint256 baseRatePerYear,
+        uint256 multiplierPerYear,
+        uint256 jumpMultiplierPerYear,
+        uint256 kink_
+    ) external onlyAdmin {
+        accrueMarkets();
+        updateJumpRateModelInternal(baseRatePerYear, multiplierPerYear, jumpMultiplierPerYear, kink_, blocksPerYear);
     }
 
     /**
@@ -75,8 +141,13 @@ contract JumpRateModel is IInterestRateModel {
         uint256 borrows,
         uint256 reserves
     ) public view override returns (uint256) {
-        uint256 util = utilizationRate(cash, borrows, reserves);
+        return borrowRateAt(utilizationRate(cash, borrows, reserves));
+    }
 
+    /**
+     * @notice Internal: borrow rate per block at a utilization rate
+     */
+    function borrowRateAt(uint256 util) internal view returns (uint256) {
         if (util <= kink) {
             return ((util * multiplierPerBlock) / 1e18) + baseRatePerBlock;
         } else {
@@ -106,4 +177,41 @@ contract JumpRateModel is IInterestRateModel {
         uint256 rateToPool = (borrowRate * oneMinusReserveFactor) / 1e18;
         return (utilizationRate(cash, borrows, reserves) * rateToPool) / 1e18;
     }
+
+    /**
+     * @notice Internal: accrues the markets of the comptroller using the model
+     */
+    function accrueMarkets() internal {
+        if (address(comptroller) == address(0)) {
+            return;
+        }
+
+        address[] memory markets = comptroller.getAllMarkets();
+        for (uint256 i = 0; i < markets.length; i++) {
+            if (address(ICToken(markets[i]).interestRateModel()) == address(this)) {
+                ICToken(markets[i]).accrueInterestThroughLendingCore();
+            }
+        }
+    }
+
+    /**
+     * @notice Internal: sets the rates per block from the yearly rates
+     * @dev Refuses rates whose borrow rate at full utilization exceeds the cap of
+     *      CToken.accrueInterest, at deployment as on updates
+     */
+    function updateJumpRateModelInternal(
+        uint256 baseRatePerYear,
+        uint256 multiplierPerYear,
+        uint256 jumpMultiplierPerYear,
+        uint256 kink_,
+        uint256 blocksPerYear_
+    ) internal {
+        baseRatePerBlock = baseRatePerYear / blocksPerYear_;
+        multiplierPerBlock = multiplierPerYear / blocksPerYear_;
+        jumpMultiplierPerBlock = jumpMultiplierPerYear / blocksPerYear_;
+        kink = kink_;
+        require(borrowRateAt(1e18) <= borrowRateMaxMantissa, "borrow rate too high");
+
+        emit NewInterestParams(baseRatePerBlock, multiplierPerBlock, jumpMultiplierPerBlock, kink);
+    }
 }
@@ -0,0 +1,105 @@
+// SPDX-License-Identifier: BSD-3-Clause
+pragma solidity =0.7.6;
+
+import "./interfaces/IInterestRateModel.sol";
+
+/**
+ * @title WhitePaperInterestRateModel
+ * @notice Linear interest rate model: the borrow rate grows with utilization
+ *         at a single slope, without a kink
+ * @dev Based on Compound's WhitePaperInterestRateModel. Rates are given per
+ *      year and stored per block, over the blocksPerYear of the chain set at
+ *      deployment. The rates cannot change: markets swap models to change them.
+ */
+contract WhitePaperInterestRateModel is IInterestRateModel {
+    /**
+     * @notice Approximate number of blocks per year, used to turn the yearly rates into rates per block
+     */
+    uint256 public immutable blocksPerYear;
+
+    /**
+     * @notice The multiplier of utilization rate that gives the slope of the interest rate (scaled by 1e18)
+     */
+    uint256 public immutable multiplierPerBlock;
+
+    /**
+     * @notice The base interest rate which is the y-intercept when utilization rate is 0 (scaled by 1e18)
+     */
+    uint256 public immutable baseRatePerBlock;
+
+    event NewInterestParams(uint256 baseRatePerBlock, uint256 multiplierPerBlock);
+
+    /**
+     * @param baseRatePerYear The approximate target base APR, as a mantissa (scaled by 1e18)
+     * @param multiplierPerYear The rate of increase in interest rate wrt utilization (scaled by 1e18)
+     * @param blocksPerYear_ Approximate number of blocks per year of the chain (2102400 for 15 second blocks)
+     */
+    constructor(
+        uint256 baseRatePerYear,
+        uint256 multiplierPerYear,
+        uint256 blocksPerYear_
+    ) {
+        require(blocksPerYear_ != 0, "invalid blocks per year");
+        blocksPerYear = blocksPerYear_;
+        baseRatePerBlock = baseRatePerYear / blocksPerYear_;
+        multiplierPerBlock = multiplierPerYear / blocksPerYear_;
+
+        emit NewInterestParams(baseRatePerYear / blocksPerYear_, multiplierPerYear / blocksPerYear_);
+    }
+
+    /**
+     * @notice Calculates the utilization rate of the market: `borrows / (cash + borrows - reserves)`
+     * @param cash The amount of cash in the market
+     * @param borrows The amount of borrows in the market
+     * @param reserves The amount of reserves in the market
+     * @return The utilization rate as a mantissa between [0, 1e18]
+     */
+    function utilizationRate(
+        uint256 cash,
+        uint256 borrows,
+        uint256 reserves
+    ) public pure returns (uint256) {
+        // utilization rate is 0 when there are no borrows
+        if (borrows == 0) {
+            return 0;
+        }
+
+        return (borrows * 1e18) / (cash + borrows - reserves);
+    }
+
+    /**
+     * @notice Calculates the current borrow rate per block
+     * @param cash The amount of cash in the market
+     * @param borrows The amount of borrows in the market
+     * @param reserves The amount of reserves in the market
+     * @return The borrow rate percentage per block as a mantissa (scaled by 1e18)
+     */
+    function getBorrowRate(
+        uint256 cash,
+        uint256 borrows,
+        uint256 reserves
+    ) public view override returns (uint256) {
+        uint256 util = utilizationRate(cash, borrows, reserves);
+        return ((util * multiplierPerBlock) / 1e18) + baseRatePerBlock;
+    }
+
+    /**
+     * @notice Calculates the current supply rate per block
+     * @param cash The amount of cash in the market
+     * @param borrows The amount of borrows in the market
+     * @param reserves The amount of reserves in the market
+     * @param reserveFactorMantissa The current reserve factor for the market
+     * @return The supply rate percentage per block as a mantissa (scaled by 1e18)
+     */
+    function getSupplyRate(
+        uint256 cash,
+        uint256 borrows,
+        uint256 reserves,
+        uint256 reserveFactorMantissa
+    ) public view override returns (uint256) {
+        uint256 oneMinusReserveFactor = 1e18 - reserveFactorMantissa;
+        uint256 borrowRate = getBorrowRate(cash, borrows, reserves);
+        uint256 rateToPool = (borrowRate * oneMinusReserveFactor) / 1e18;
+        return (utilizationRate(cash, borrows, reserves) * rateToPool) / 1e18;
+    }
+}
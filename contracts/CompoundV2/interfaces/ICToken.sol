@@ -1,6 +1,8 @@
 // SPDX-License-Identifier: BSD-3-Clause
 pragma solidity =0.7.6;
 
+import "./IInterestRateModel.sol";
+
 /**
  * @title ICToken
  * @notice Interface for Compound V2 CToken contracts
@@ -30,6 +32,13 @@ interface ICToken {
 
     function accrueInterest() external returns (uint256);
 
+    /**
+     * @notice Paralend: accrues interest through LendingCore.accrueInterestOnce
+     */
+    function accrueInterestThroughLendingCore() external;
+
+    function interestRateModel() external view returns (IInterestRateModel);
+
     function exchangeRateCurrent() external returns (uint256);
 
     function getCash() external view returns (uint256);
@@ -14,6 +14,8 @@ interface IComptroller {
 
     function exitMarket(address cToken) external returns (uint256);
 
+    function getAllMarkets() external view returns (address[] memory);
+
     function getAccountLiquidity(
         address account
     ) external view returns (uint256, uint256, uint256);
@@ -58,6 +60,17 @@ interface IComptroller {
         uint256 repayAmount
     ) external returns (uint256);
 
+    /**
+     * @notice Paralend: whether `src` may transfer `transferTokens` of `cToken` to `dst`
+     * @dev Returns a bool like SimplifiedComptroller's other checks, not an error code
+     */
+    function transferAllowed(
+        address cToken,
+        address src,
+        address dst,
+        uint256 transferTokens
+    ) external view returns (bool);
+
     function liquidateCalculateSeizeTokens(
         address cTokenBorrowed,
         address cTokenCollateral,
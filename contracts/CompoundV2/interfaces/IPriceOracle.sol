@@ -11,7 +11,15 @@ interface IPriceOracle {
     /**
      * @notice Get the underlying price of a cToken asset
      * @param cToken The cToken to get the underlying price of
-     * @return The underlying asset price mantissa (scaled by 1e18)
+     * @return The USD price of the smallest underlying unit, scaled by 1e18
+     *         (1e(36 - underlying decimals) for $1), 0 if unavailable
      */
     function getUnderlyingPrice(ICToken cToken) external view returns (uint256);
+
+    /**
+     * @notice Whether the oracle has a price source for a cToken asset
+     * @dev A price of 0 for such an asset means its source was rejected, not missing
+     * @param cToken The cToken asset
+     */
+    function hasPriceSource(ICToken cToken) external view returns (bool);
 }
@@ -0,0 +1,65 @@
+// SPDX-License-Identifier: MIT
+pragma solidity =0.7.6;
+
+/**
+ * @title MockAggregator
+ * @notice Mock Chainlink-style price feed for testing
+ * @dev Every update starts a new round stamped with the current block time
+ */
+contract MockAggregator {
+    struct Round {
+        int256 answer;
+        uint256 updatedAt;
+    }
+
+    uint8 public decimals;
+    uint80 public latestRound;
+    mapping(uint80 => Round) public rounds;
+
+    event AnswerUpdated(int256 indexed current, uint256 indexed roundId, uint256 updatedAt);
+
+    constructor(uint8 _decimals, int256 initialAnswer) {
+        decimals = _decimals;
+        updateAnswer(initialAnswer);
+    }
+
+    function updateAnswer(int256 answer) public {
+        updateRoundData(answer, block.timestamp);
+    }
+
+    function updateRoundData(int256 answer, uint256 updatedAt) public {
+        latestRound++;
+        rounds[latestRound] = Round({answer: answer, updatedAt: updatedAt});
+
+        emit AnswerUpdated(answer, latestRound, updatedAt);
+    }
+
+    function latestRoundData()
+        external
+        view
+        returns (
+            uint80,
+            int256,
+            uint256,
+            uint256,
+            uint80
+        )
+    {
+        return getRoundData(latestRound);
+    }
+
+    function getRoundData(uint80 roundId)
+        public
+        view
+        returns (
+            uint80,
+            int256,
+            uint256,
+            uint256,
+            uint80
+        )
+    {
+        Round memory round = rounds[roundId];
+        return (roundId, round.answer, round.updatedAt, round.updatedAt, roundId);
+    }
+}
@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity =0.7.6;
+pragma abicoder v2;
+
+/**
+ * @title MockCaller
+ * @notice Forwards calls and records the revert reason instead of reverting
+ * @dev Lets tests put a request that reverts into an emulated batch. A reverted
+ *      queue* transaction would never reach Runtime.isInDeferred, so the batch's
+ *      deferred call would not run; a caught revert leaves the rest of the batch intact.
+ */
+contract MockCaller {
+    event CallReverted(address target, string reason);
+
+    function forward(address target, bytes calldata data) external {
+        (bool success, bytes memory result) = target.call(data);
+        if (!success) {
+            emit CallReverted(target, _revertReason(result));
+        }
+    }
+
+    /**
+     * @notice Makes every call of `data` to `target` in one transaction
+     */
+    function forwardAll(address target, bytes[] calldata data) external {
+        for (uint256 i = 0; i < data.length; i++) {
+            (bool success, bytes memory result) = target.call(data[i]);
+            if (!success) {
+                emit CallReverted(target, _revertReason(result));
+            }
+        }
+    }
+
+    function _revertReason(bytes memory result) internal pure returns (string memory) {
+        // Error(string): 4-byte selector, offset, length, data
+        if (result.length < 68) return "";
+        assembly {
+            result := add(result, 0x04)
+        }
+        return abi.decode(result, (string));
+    }
+}
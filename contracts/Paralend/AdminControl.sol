@@ -0,0 +1,60 @@
+// SPDX-License-Identifier: GPL-2.0-or-later
+pragma solidity =0.7.6;
+
+/**
+ * @title AdminControl
+ * @notice Admin role shared by LendingEngine, LendingCore, SimplifiedComptroller,
+ *         AggregatorPriceOracle and CToken
+ * @dev The deployer is the first admin. Transfers take two steps: the admin
+ *      proposes a pending admin, which becomes admin once it calls acceptAdmin,
+ *      so a wrong address can never take over (or lock) a contract.
+ */
+abstract contract AdminControl {
+    /**
+     * @notice Administrator of the contract
+     */
+    address public admin;
+
+    /**
+     * @notice Proposed admin, until it accepts (address(0) = no transfer pending)
+     */
+    address public pendingAdmin;
+
+    event NewPendingAdmin(address oldPendingAdmin, address newPendingAdmin);
+    event NewAdmin(address oldAdmin, address newAdmin);
+
+    constructor() {
+        admin = msg.sender;
+    }
+
+    modifier onlyAdmin() {
+        require(msg.sender == admin, "only admin");
+        _;
+    }
+
+    /**
+     * @notice Proposes a new admin (first step of an admin transfer)
+     * @param newPendingAdmin The proposed admin, address(0) cancels a pending transfer
+     */
+    function setPendingAdmin(address newPendingAdmin) external onlyAdmin {
+        address oldPendingAdmin = pendingAdmin;
+        pendingAdmin = newPendingAdmin;
+
+        emit NewPendingAdmin(oldPendingAdmin, newPendingAdmin);
+    }
+
+    /**
+     * @notice Accepts the admin role (second step of an admin transfer)
+     * @dev Only the pending admin can call it
+     */
+    function acceptAdmin() external {
+        require(msg.sender == pendingAdmin, "only pending admin");
+
+        address oldAdmin = admin;
+        admin = pendingAdmin;
+        pendingAdmin = address(0);
+
+        emit NewAdmin(oldAdmin, admin);
+        emit NewPendingAdmin(msg.sender, address(0));
+    }
+}
@@ -0,0 +1,135 @@
+// SPDX-License-Identifier: GPL-2.0-or-later
+pragma solidity =0.7.6;
+
+import "./AdminControl.sol";
+import "./interfaces/IAggregatorV3.sol";
+import "../CompoundV2/interfaces/IPriceOracle.sol";
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title AggregatorPriceOracle
+ * @notice Prices markets from Chainlink-style aggregator feeds
+ * @dev Prices follow Compound's convention: USD per smallest underlying unit,
+ *      scaled by 1e18, i.e. 1e(36 - underlyingDecimals) for $1. Values computed
+ *      by the comptroller as `amount * price / 1e18` are then in USD (1e18)
+ *      whatever the underlying's decimals.
+ *
+ * A price is unavailable (getUnderlyingPrice returns 0) when:
+ * - Missing: the market has no feed or the feed answer is not positive
+ * - Stale: the latest round is older than the feed's maxAge
+ * - Deviated: the latest round moved more than maxDeviationMantissa away from
+ *   the previous round. A large move becomes valid once a following round
+ *   confirms it within the bound.
+ * The comptroller then freezes the market. Its admin prices only cover
+ * markets without a feed.
+ */
+contract AggregatorPriceOracle is IPriceOracle, AdminControl {
+    enum PriceStatus {
+        Ok,
+        Missing,
+        Stale,
+        Deviated
+    }
+
+    struct Feed {
+        IAggregatorV3 aggregator;
+        uint256 maxAge; // Seconds after which the latest round is stale
+        uint256 maxDeviationMantissa; // Max change between two rounds, 0.2e18 = 20%
+        uint256 scale; // 10^(36 - feed decimals - underlying decimals)
+    }
+
+    /**
+     * @notice Feed of each market
+     */
+    mapping(address => Feed) public feeds;
+
+    event FeedSet(address cToken, address aggregator, uint256 maxAge, uint256 maxDeviationMantissa);
+
+    /**
+     * @notice Set the feed of a market
+     * @param cToken The CToken address
+     * @param aggregator Feed quoting the underlying in USD, address(0) removes the feed
+     * @param maxAge Seconds after which the latest round is stale
+     * @param maxDeviationMantissa Max change between two rounds (scaled by 1e18)
+     */
+    function setFeed(
+        address cToken,
+        address aggregator,
+        uint256 maxAge,
+        uint256 maxDeviationMantissa
+    ) external onlyAdmin {
+        uint256 scale = 0;
+        if (aggregator != address(0)) {
+            require(maxAge > 0, "invalid max age");
+            require(maxDeviationMantissa > 0, "invalid max deviation");
+
+            uint256 decimals = uint256(IAggregatorV3(aggregator).decimals()) +
+                ERC20(ICToken(cToken).underlying()).decimals();
+            require(decimals <= 36, "unsupported decimals");
+            scale = 10**(36 - decimals);
+        }
+
+        feeds[cToken] = Feed({
+            aggregator: IAggregatorV3(aggregator),
+            maxAge: maxAge,
+            maxDeviationMantissa: maxDeviationMantissa,
+            scale: scale
+        });
+
+        emit FeedSet(cToken, aggregator, maxAge, maxDeviationMantissa);
+    }
+
+    /**
+     * @notice Get the underlying price of a cToken asset
+     * @param cToken The cToken to get the underlying price of
+     * @return The price (scaled by 1e(36 - underlying decimals)), 0 if unavailable
+     */
+    function getUnderlyingPrice(ICToken cToken) external view override returns (uint256) {
+        (PriceStatus status, uint256 price) = getPriceStatus(address(cToken));
+        return status == PriceStatus.Ok ? price : 0;
+    }
+
+    /**
+     * @notice Whether a market has a feed
+     * @param cToken The cToken asset
+     */
+    function hasPriceSource(ICToken cToken) external view override returns (bool) {
+        return address(feeds[address(cToken)].aggregator) != address(0);
+    }
+
+    /**
+     * @notice Get the latest feed price of a market and whether it is usable
+     * @param cToken The CToken address
+     * @return status Ok, or why the price is unavailable
+     * @return price The latest feed price, scaled like getUnderlyingPrice
+     */
+    function getPriceStatus(address cToken) public view returns (PriceStatus status, uint256 price) {
+        Feed memory feed = feeds[cToken];
+        if (address(feed.aggregator) == address(0)) {
+            return (PriceStatus.Missing, 0);
+        }
+
+        (uint80 roundId, int256 answer, , uint256 updatedAt, ) = feed.aggregator.latestRoundData();
+        if (answer <= 0) {
+            return (PriceStatus.Missing, 0);
+        }
+        price = uint256(answer) * feed.scale;
+
+        if (updatedAt > block.timestamp || block.timestamp - updatedAt > feed.maxAge) {
+            return (PriceStatus.Stale, price);
+        }
+
+        if (roundId > 1) {
+            (, int256 previous, , , ) = feed.aggregator.getRoundData(roundId - 1);
+            if (previous > 0) {
+                uint256 last = uint256(previous);
+                uint256 change = uint256(answer) > last ? uint256(answer) - last : last - uint256(answer);
+                if ((change * 1e18) / last > feed.maxDeviationMantissa) {
+                    return (PriceStatus.Deviated, price);
+                }
+            }
+        }
+
+        return (PriceStatus.Ok, price);
+    }
+}
@@ -2,6 +2,8 @@
 pragma solidity =0.7.6;
 pragma abicoder v2;
 
+import "./AdminControl.sol";
+import "./interfaces/ILendingCore.sol";
 import "./interfaces/ILendingRequestStore.sol";
 import "./SimplifiedComptroller.sol";
 import "../CompoundV2/CToken.sol";
@@ -24,8 +26,18 @@ import "@openzeppelin/contracts/token/ERC20/SafeERC20.sol";
  * - 8 users borrow 500 tokens total
  * - 4 users repay 200 tokens total
  * - Net: +300 borrows (single totalBorrows update vs 12 updates)
+ *
+ * Every processed request leaves an Outcome keyed by the Runtime.pid of the
+ * transaction that queued it, its market and its operation (see getOutcome and
+ * RequestProcessed): a transaction may queue several requests.
+ *
+ * Account liquidity is shared by all markets, but each market is processed in
+ * its own job. Before the jobs run, reserveLiquidity judges the withdraws and
+ * borrows of every account across all markets of the batch together; a market
+ * job only settles what was reserved, so two jobs cannot each spend the same
+ * collateral.
  */
-contract LendingCore {
+contract LendingCore is ILendingCore, AdminControl {
     using SafeERC20 for IERC20;
 
     /// @notice Address of the LendingEngine that queues operations
@@ -64,10 +76,113 @@ contract LendingCore {
         uint256 repayAmount,
         uint256 seizeTokens
     );
+    event LiquidationRefunded(
+        address indexed liquidator,
+        address indexed borrower,
+        address cTokenBorrowed,
+        uint256 refundAmount
+    );
+    event RepayRefunded(
+        address indexed user,
+        address indexed market,
+        uint256 refundAmount
+    );
+    event RequestRejected(
+        address indexed user,
+        address indexed market,
+        OpType opType,
+        string reason
+    );
+    event RequestProcessed(
+        bytes32 indexed pid,
+        address indexed user,
+        address indexed market,
+        OpType opType,
+        Status status,
+        uint256 settled,
+        uint256 seized,
+        uint256 refunded,
+        string reason
+    );
+
+    /**
+     * @notice A queued deposit/withdraw/borrow/repay request, validated during processing
+     * @member pid Runtime.pid of the transaction that queued the request
+     * @member key Identifies the request in its batch (its pid, store and position),
+     *         keys its reservation: requests of one transaction share their pid
+     * @member user Address that queued the request
+     * @member amount Requested amount (underlying, or cTokens for withdraws). Withdraws
+     *         are resolved to the cTokens to redeem by _checkWithdraw
+     * @member settled Settled amount: cTokens minted (deposit), underlying paid out
+     *         (withdraw), underlying borrowed or repaid (borrow, repay)
+     * @member inUnderlying Withdraw queued in underlying (queueWithdrawUnderlying)
+     * @member reason Why the request was rejected (empty = accepted)
+     */
+    struct Request {
+        bytes32 pid;
+        bytes32 key;
+        address user;
+        uint256 amount;
+        uint256 settled;
+        bool inUnderlying;
+        string reason;
+    }
+
+    /**
+     * @notice A withdraw or borrow competing for its account's liquidity in reserveLiquidity
+     * @member key Key of the request (see Request)
+     * @member user Address that queued the request
+     * @member market Index of the request's market
+     * @member isWithdraw Withdraw (true) or borrow (false)
+     * @member amount Stored withdraw amount (see LendingEngine._queueWithdraw), resolved
+     *         to redeemTokens by _reserveWithdraw (0 for borrows)
+     * @member redeemTokens cTokens the withdraw redeems (0 for borrows)
+     * @member borrowAmount Underlying borrowed (0 for withdraws)
+     */
+    struct Claim {
+        bytes32 key;
+        address user;
+        uint256 market;
+        bool isWithdraw;
+        uint256 amount;
+        uint256 redeemTokens;
+        uint256 borrowAmount;
+    }
+
+    /**
+     * @notice A queued liquidation, capped during processing
+     * @member pid Runtime.pid of the transaction that queued the request
+     * @member liquidator Address that escrowed `requested`
+     * @member borrower Underwater account being liquidated
+     * @member requested Repay amount escrowed by the liquidator
+     * @member repay Repay amount after close factor and collateral caps (0 = refunded in full)
+     * @member seize cTokens seized for `repay`
+     * @member reason Why the request was rejected (empty = accepted)
+     */
+    struct Liquidation {
+        bytes32 pid;
+        address liquidator;
+        address borrower;
+        uint256 requested;
+        uint256 repay;
+        uint256 seize;
+        string reason;
+    }
+
+    // Flag and "max" sentinel of stored withdraw amounts (see LendingEngine._queueWithdraw)
+    uint256 private constant WITHDRAW_UNDERLYING_FLAG = 1 << 255;
+    uint256 private constant WITHDRAW_ALL = (1 << 255) - 1;
 
     // Tracks which markets have accrued interest this block (prevents double accrual)
     mapping(address => uint256) private lastAccrualBlock;
 
+    // Outcome of every processed request, keyed by _outcomeKey(pid, market, opType)
+    mapping(bytes32 => Outcome) private outcomes;
+
+    // Liquidity reserved for the withdraws (cTokens) and borrows (underlying) of
+    // the batch in progress, keyed by Request.key. Cleared when the request is settled.
+    mapping(bytes32 => uint256) private reservations;
+
     /**
      * @notice Constructor - sets the LendingEngine address
      * @param _lendingEngine Address of the LendingEngine contract
@@ -78,10 +193,10 @@ contract LendingCore {
     }
 
     /**
-     * @notice Sets the comptroller address (can only be set once)
+     * @notice Sets the comptroller address (admin only, can only be set once)
      * @param _comptroller Address of the SimplifiedComptroller
      */
-    function setComptroller(address _comptroller) external {
+    function setComptroller(address _comptroller) external onlyAdmin {
         require(address(comptroller) == address(0), "comptroller already set");
         require(_comptroller != address(0), "invalid comptroller");
         comptroller = SimplifiedComptroller(_comptroller);
@@ -89,10 +204,74 @@ contract LendingCore {
 
     /**
      * @notice Accrues interest for a market ONCE per block
-     * @dev Called before processing any operations for a market
+     * @dev Called before processing any operations for a market, and by the market
+     *      itself before an admin change that affects its interest
      * @param market CToken market address
      */
-    function accrueInterestOnce(address market) external {
+    function accrueInterestOnce(address market) external override {
+        require(msg.sender == lendingEngine || msg.sender == market, "only lending engine");
+        _accrueInterestOnce(market);
+    }
+
+    /**
+     * @notice Returns the outcome of a request
+     * @dev Status is Unknown until the batch holding the request has been processed.
+     *      A transaction queuing the same operation twice on a market records the
+     *      outcome processed last.
+     * @param pid Runtime.pid of the transaction that queued the request
+     * @param market Market of the request (the borrow market for liquidations)
+     * @param opType Operation type, as emitted by RequestQueued
+     */
+    function getOutcome(
+        bytes32 pid,
+        address market,
+        OpType opType
+    ) external view override returns (Outcome memory) {
+        return outcomes[_outcomeKey(pid, market, opType)];
+    }
+
+    /**
+     * @notice Reserves account liquidity for the withdraws and borrows of a batch
+     * @dev Runs before the market jobs. Accrues every market, then goes through the
+     *      withdraws and borrows market by market in queue order: a request is
+     *      reserved if its account stays out of shortfall with it and all requests
+     *      of the account reserved before it, in any market (see
+     *      comptroller.redeemAndBorrowAllowed). Unreserved requests are rejected
+     *      by their market job with "insufficient collateral".
+     *      Withdraws exceeding the balance left by the account's earlier reserved
+     *      withdraws reserve nothing; their job rejects them as well.
+     * @param markets Active markets of the batch
+     * @param withdrawStores Withdraw requests of each market
+     * @param borrowStores Borrow requests of each market
+     */
+    function reserveLiquidity(
+        address[] calldata markets,
+        ILendingRequestStore[] calldata withdrawStores,
+        ILendingRequestStore[] calldata borrowStores
+    ) external override {
+        require(msg.sender == lendingEngine, "only lending engine");
+        require(address(comptroller) != address(0), "comptroller not set");
+
+        // Liquidity checks read the borrow balances of every market
+        uint256 length = 0;
+        uint256[] memory exchangeRates = new uint256[](markets.length);
+        for (uint256 m = 0; m < markets.length; m++) {
+            _accrueInterestOnce(markets[m]);
+            exchangeRates[m] = CToken(markets[m]).exchangeRateStored();
+            length += _storeLength(withdrawStores[m]) + _storeLength(borrowStores[m]);
+        }
+
+        Claim[] memory claims = new Claim[](length);
+        uint256 count = 0;
+        for (uint256 m = 0; m < markets.length; m++) {
+            count = _loadClaims(m, withdrawStores[m], true, claims, count);
+            count = _loadClaims(m, borrowStores[m], false, claims, count);
+        }
+
+        _reserveClaims(markets, claims, count, exchangeRates);
+    }
+
+    function _accrueInterestOnce(address market) internal {
         if (lastAccrualBlock[market] == block.number) {
             return; // Already accrued this block
         }
@@ -103,398 +282,867 @@ contract LendingCore {
 
     /**
      * @notice Processes deposit and withdraw operations with netting
-     * @dev Applies net change to totalSupply ONCE, then processes individual requests
+     * @dev Two passes, so one bad request cannot revert the market or skew totals:
+     *      1. Validate every request against the state before the batch
+     *      2. Apply the net of the ACCEPTED requests to totalSupply ONCE, then settle
+     *         them and refund/reject the others (RequestRejected)
+     *      All requests use the exchange rate from before the batch.
      * @param depositStore All deposit requests for this market
      * @param withdrawStore All withdraw requests for this market
      * @param market CToken market address
-     * @param netDeposit Total deposit amount (in underlying tokens)
-     * @param netWithdraw Total withdraw amount (in cTokens)
+     * @return netDeposit Total deposit amount settled (in underlying tokens)
+     * @return netWithdraw Total withdraw amount settled (in cTokens)
      */
     function processSupplyOperations(
         ILendingRequestStore depositStore,
         ILendingRequestStore withdrawStore,
-        address market,
-        uint256 netDeposit,
-        uint256 netWithdraw
-    ) external {
+        address market
+    ) external override returns (uint256 netDeposit, uint256 netWithdraw) {
+        require(msg.sender == lendingEngine, "only lending engine");
+        require(address(comptroller) != address(0), "comptroller not set");
         CToken cToken = CToken(market);
-
-        // KEY OPTIMIZATION: Calculate net mint tokens and apply to totalSupply ONCE
         uint256 exchangeRate = cToken.exchangeRateStored();
 
-        // Convert netDeposit (underlying) to cTokens
-        uint256 netMintTokens = (netDeposit * 1e18) / exchangeRate;
-
-        // Calculate net change: mint - redeem
-        int256 netSupplyChange = int256(netMintTokens) - int256(netWithdraw);
+        (Request[] memory deposits, uint256 depositCount) = _loadRequests(depositStore);
+        (Request[] memory withdraws, uint256 withdrawCount) = _loadRequests(withdrawStore);
 
-        // Apply net to totalSupply ONCE (instead of per-operation)
-        cToken.applyNetSupply(netSupplyChange);
-
-        // Now process individual user balances (WITHOUT updating totalSupply)
-        // Process deposits
-        if (address(depositStore) != address(0)) {
-            uint256 depositCount = depositStore.fullLength();
-            for (uint256 i = 0; i < depositCount; i++) {
-                if (!depositStore.exists(i)) continue;
+        // Pass 1: deposits are paid in before any withdraw is paid out
+        uint256 netMintTokens = 0;
+        for (uint256 i = 0; i < depositCount; i++) {
+            _checkDeposit(deposits[i], exchangeRate);
+            if (_accepted(deposits[i].reason)) {
+                netDeposit += deposits[i].amount;
+                netMintTokens += deposits[i].settled;
+            }
+        }
 
-                (, address user, uint256 amount) = depositStore.get(i);
-                _processDepositOptimized(cToken, user, amount, exchangeRate);
+        uint256 cash = cToken.getCash() + netDeposit;
+        uint256[] memory accountOf = _groupByAccount(_users(withdraws, withdrawCount));
+        uint256[] memory redeemed = new uint256[](withdrawCount);
+        for (uint256 i = 0; i < withdrawCount; i++) {
+            _checkWithdraw(cToken, withdraws[i], redeemed[accountOf[i]], exchangeRate, cash);
+            if (_accepted(withdraws[i].reason)) {
+                redeemed[accountOf[i]] += withdraws[i].amount;
+                netWithdraw += withdraws[i].amount;
+                cash -= withdraws[i].settled;
             }
         }
 
-        // Process withdraws
-        if (address(withdrawStore) != address(0)) {
-            uint256 withdrawCount = withdrawStore.fullLength();
-            for (uint256 i = 0; i < withdrawCount; i++) {
-                if (!withdrawStore.exists(i)) continue;
+        // KEY OPTIMIZATION: Apply net to totalSupply ONCE (instead of per-operation)
+        cToken.applyNetSupply(int256(netMintTokens) - int256(netWithdraw));
 
-                (, address user, uint256 amount) = withdrawStore.get(i);
-                _processWithdrawOptimized(cToken, user, amount);
-            }
+        // Pass 2: process individual user balances (WITHOUT updating totalSupply)
+        for (uint256 i = 0; i < depositCount; i++) {
+            _processDepositOptimized(cToken, deposits[i]);
+        }
+        for (uint256 i = 0; i < withdrawCount; i++) {
+            _processWithdrawOptimized(cToken, withdraws[i]);
         }
     }
 
     /**
      * @notice Processes borrow and repay operations with netting
-     * @dev Applies net change to totalBorrows ONCE, then processes individual requests
+     * @dev Same two passes as processSupplyOperations. Repays are settled first so
+     *      their cash can fund borrows of the same batch.
      * @param borrowStore All borrow requests for this market
      * @param repayStore All repay requests for this market
      * @param market CToken market address
-     * @param netBorrow Total borrow amount (in underlying tokens)
-     * @param netRepay Total repay amount (in underlying tokens)
+     * @return netBorrow Total borrow amount settled (in underlying tokens)
+     * @return netRepay Total repay amount settled (in underlying tokens)
      */
     function processBorrowOperations(
         ILendingRequestStore borrowStore,
         ILendingRequestStore repayStore,
-        address market,
-        uint256 netBorrow,
-        uint256 netRepay
-    ) external {
+        address market
+    ) external override returns (uint256 netBorrow, uint256 netRepay) {
+        require(msg.sender == lendingEngine, "only lending engine");
+        require(address(comptroller) != address(0), "comptroller not set");
         CToken cToken = CToken(market);
 
-        // KEY OPTIMIZATION: Apply net to totalBorrows ONCE
-        int256 netBorrowChange = int256(netBorrow) - int256(netRepay);
+        (Request[] memory borrows, uint256 borrowCount) = _loadRequests(borrowStore);
+        (Request[] memory repays, uint256 repayCount) = _loadRequests(repayStore);
 
-        // Apply net to totalBorrows ONCE (instead of per-operation)
-        cToken.applyNetBorrows(netBorrowChange);
-
-        // Now process individual user balances (WITHOUT updating totalBorrows)
-        // Process borrows
-        if (address(borrowStore) != address(0)) {
-            uint256 borrowCount = borrowStore.fullLength();
-            for (uint256 i = 0; i < borrowCount; i++) {
-                if (!borrowStore.exists(i)) continue;
+        // Pass 1: validate against the state before the batch
+        uint256[] memory accountOf = _groupByAccount(_users(repays, repayCount));
+        uint256[] memory repaid = new uint256[](repayCount);
+        for (uint256 i = 0; i < repayCount; i++) {
+            _checkRepay(cToken, repays[i], repaid[accountOf[i]]);
+            repaid[accountOf[i]] += repays[i].settled;
+            netRepay += repays[i].settled;
+        }
 
-                (, address user, uint256 amount) = borrowStore.get(i);
-                _processBorrowOptimized(cToken, user, amount);
-            }
+        uint256 cash = cToken.getCash() + netRepay;
+        for (uint256 i = 0; i < borrowCount; i++) {
+            _checkBorrow(borrows[i], cash - netBorrow);
+            netBorrow += borrows[i].settled;
         }
 
-        // Process repays
-        if (address(repayStore) != address(0)) {
-            uint256 repayCount = repayStore.fullLength();
-            for (uint256 i = 0; i < repayCount; i++) {
-                if (!repayStore.exists(i)) continue;
+        // KEY OPTIMIZATION: Apply net to totalBorrows ONCE (instead of per-operation)
+        cToken.applyNetBorrows(int256(netBorrow) - int256(netRepay));
 
-                (, address user, uint256 amount) = repayStore.get(i);
-                _processRepayOptimized(cToken, user, amount);
-            }
+        // Pass 2: process individual user balances (WITHOUT updating totalBorrows)
+        for (uint256 i = 0; i < repayCount; i++) {
+            _processRepayOptimized(cToken, repays[i]);
+        }
+        for (uint256 i = 0; i < borrowCount; i++) {
+            _processBorrowOptimized(cToken, borrows[i]);
         }
     }
 
     /**
-     * @notice Processes liquidation operations
-     * @dev Processes all liquidations for a given market pair
+     * @notice Processes liquidation operations with netting
+     * @dev Two passes over all liquidations of a market pair:
+     *      1. Cap every request against the borrower's state before any of them
+     *         settles: the close factor and the collateral are shared by all
+     *         liquidators of the same borrower in the batch
+     *      2. Apply the netted repay to totalBorrows ONCE, then settle each
+     *         liquidator and refund whatever the caps left unused
      * @param liquidationStore All liquidation requests for this market pair
      * @param cTokenBorrowed The market where debt is being repaid
      * @param cTokenCollateral The market where collateral is being seized
-     * @param netRepay Total repay amount (unused for now)
-     * @param netSeize Total seize amount (unused for now)
+     * @return netRepay Total debt repaid
+     * @return netSeize Total cTokens seized
      */
     function processLiquidationOperations(
         ILendingRequestStore liquidationStore,
         address cTokenBorrowed,
-        address cTokenCollateral,
-        uint256 netRepay,
-        uint256 netSeize
-    ) external {
+        address cTokenCollateral
+    ) external override returns (uint256 netRepay, uint256 netSeize) {
+        // Settling refunds the unused repay out of the engine's escrow
+        require(msg.sender == lendingEngine, "only lending engine");
+        require(address(comptroller) != address(0), "comptroller not set");
+        if (address(liquidationStore) == address(0)) return (0, 0);
+
         CToken cTokenBorrow = CToken(cTokenBorrowed);
         CToken cTokenColl = CToken(cTokenCollateral);
 
-        // Process all liquidations
-        if (address(liquidationStore) != address(0)) {
-            uint256 liquidationCount = liquidationStore.fullLength();
-            for (uint256 i = 0; i < liquidationCount; i++) {
-                if (!liquidationStore.exists(i)) continue;
-
-                // Unpack data: user is liquidator, amount contains packed borrower+repayAmount
-                (, address liquidator, uint256 packedData) = liquidationStore.get(i);
-
-                // Unpack borrower address and repayAmount
-                address borrower = address(uint160(packedData >> 96));
-                uint256 repayAmount = packedData & ((1 << 96) - 1);
-
-                _processLiquidation(
-                    cTokenBorrow,
-                    cTokenColl,
-                    liquidator,
-                    borrower,
-                    repayAmount
-                );
-            }
+        // Seize amounts use the collateral exchange rate
+        _accrueInterestOnce(cTokenCollateral);
+
+        (Liquidation[] memory liquidations, uint256 count) = _loadLiquidations(
+            liquidationStore
+        );
+
+        // Repaid debt and seized collateral of each borrower so far
+        address[] memory borrowers = new address[](count);
+        for (uint256 i = 0; i < count; i++) {
+            borrowers[i] = liquidations[i].borrower;
+        }
+        uint256[] memory accountOf = _groupByAccount(borrowers);
+        uint256[] memory repaid = new uint256[](count);
+        uint256[] memory seized = new uint256[](count);
+
+        for (uint256 i = 0; i < count; i++) {
+            uint256 account = accountOf[i];
+            _capLiquidation(cTokenBorrow, cTokenColl, liquidations[i], repaid[account], seized[account]);
+            repaid[account] += liquidations[i].repay;
+            seized[account] += liquidations[i].seize;
+            netRepay += liquidations[i].repay;
+            netSeize += liquidations[i].seize;
+        }
+
+        // KEY OPTIMIZATION: Apply net repay to totalBorrows ONCE
+        cTokenBorrow.applyNetBorrows(-int256(netRepay));
+
+        for (uint256 i = 0; i < count; i++) {
+            _settleLiquidation(cTokenBorrow, cTokenColl, liquidations[i]);
         }
     }
 
     /**
-     * @notice Internal: processes a single deposit
-     * @dev Transfers tokens from LendingEngine to CToken and mints cTokens
+     * @notice Internal: reads and unpacks all liquidation requests of a store
+     * @return liquidations Requests in queue order (first `count` entries are set)
+     * @return count Number of requests
      */
-    function _processDeposit(
-        CToken cToken,
-        address user,
-        uint256 amount
-    ) internal {
-        // Transfer underlying from LendingEngine to CToken
-        address underlying = cToken.underlying();
-        IERC20(underlying).safeTransferFrom(lendingEngine, address(cToken), amount);
+    function _loadLiquidations(ILendingRequestStore liquidationStore)
+        internal
+        returns (Liquidation[] memory liquidations, uint256 count)
+    {
+        uint256 length = liquidationStore.fullLength();
+        liquidations = new Liquidation[](length);
+
+        for (uint256 i = 0; i < length; i++) {
+            if (!liquidationStore.exists(i)) continue;
+
+            // Unpack data: user is liquidator, amount contains packed borrower+repayAmount
+            (bytes32 pid, address liquidator, uint256 packedData) = liquidationStore.get(i);
+
+            liquidations[count].pid = pid;
+            liquidations[count].liquidator = liquidator;
+            liquidations[count].borrower = address(uint160(packedData >> 96));
+            liquidations[count].requested = packedData & ((1 << 96) - 1);
+            count++;
+        }
+    }
 
-        // Calculate cTokens to mint using current exchange rate
-        uint256 exchangeRate = cToken.exchangeRateStored();
-        uint256 mintTokens = (amount * 1e18) / exchangeRate;
+    /**
+     * @notice Internal: caps a liquidation at the close factor and the borrower's collateral
+     * @dev Earlier requests against the same borrower in this batch consume both caps first.
+     *      A request that cannot be honored gets a reason and is refunded in full.
+     * @param liquidation Request to cap
+     * @param repaid Debt of the borrower repaid by earlier requests of the batch
+     * @param seized Collateral of the borrower seized by earlier requests of the batch
+     */
+    function _capLiquidation(
+        CToken cTokenBorrow,
+        CToken cTokenCollateral,
+        Liquidation memory liquidation,
+        uint256 repaid,
+        uint256 seized
+    ) internal view {
+        // Borrower may have recovered since the request was queued
+        if (!comptroller.isUnderwater(liquidation.borrower)) {
+            liquidation.reason = "borrower not underwater";
+            return;
+        }
 
-        // Call CToken to update state (mint cTokens to user)
-        cToken.mintFromLendingCore(user, mintTokens);
+        // Enforce close factor (max 50% of debt can be repaid)
+        uint256 maxClose = (cTokenBorrow.borrowBalanceStored(liquidation.borrower) *
+            comptroller.closeFactorMantissa()) / 1e18;
+        maxClose = maxClose > repaid ? maxClose - repaid : 0;
+        uint256 collateral = cTokenCollateral.balanceOf(liquidation.borrower) - seized;
+
+        uint256 repayAmount = liquidation.requested < maxClose
+            ? liquidation.requested
+            : maxClose;
+        if (repayAmount == 0) {
+            liquidation.reason = "close factor reached";
+            return;
+        }
 
-        emit DepositProcessed(user, address(cToken), amount, mintTokens);
+        // Calculate collateral to seize
+        (uint256 err, uint256 seizeTokens) = comptroller.liquidateCalculateSeizeTokens(
+            address(cTokenBorrow),
+            address(cTokenCollateral),
+            repayAmount
+        );
+        if (err != 0) {
+            liquidation.reason = "seize calculation failed";
+            return;
+        }
+        if (seizeTokens > collateral) {
+            liquidation.reason = "insufficient collateral";
+            return;
+        }
+
+        liquidation.repay = repayAmount;
+        liquidation.seize = seizeTokens;
     }
 
     /**
-     * @notice Internal: processes a single withdraw
-     * @dev Burns cTokens and transfers underlying to user
+     * @notice Internal: settles a single capped liquidation (OPTIMIZED - user balances only)
+     * @dev Called after totalBorrows already updated via applyNetBorrows
      */
-    function _processWithdraw(
-        CToken cToken,
-        address user,
-        uint256 redeemTokens
+    function _settleLiquidation(
+        CToken cTokenBorrow,
+        CToken cTokenCollateral,
+        Liquidation memory liquidation
     ) internal {
-        // Call CToken to update state (burn cTokens) and get redeem amount
-        uint256 redeemAmount = cToken.redeemFromLendingCore(user, redeemTokens);
+        address underlying = cTokenBorrow.underlying();
 
-        // Transfer underlying from CToken to user
-        address underlying = cToken.underlying();
-        IERC20(underlying).safeTransferFrom(address(cToken), user, redeemAmount);
+        if (!_accepted(liquidation.reason)) {
+            _refund(cTokenBorrow, liquidation.liquidator, liquidation.requested);
+            _recordLiquidation(cTokenBorrow, liquidation, liquidation.requested);
+            return;
+        }
 
-        emit WithdrawProcessed(user, address(cToken), redeemAmount, redeemTokens);
+        // Transfer repay tokens from LendingEngine to borrow market
+        IERC20(underlying).safeTransferFrom(
+            lendingEngine,
+            address(cTokenBorrow),
+            liquidation.repay
+        );
+
+        // Repay borrower's debt (totalBorrows already updated)
+        cTokenBorrow.repayFromUserOnly(liquidation.borrower, liquidation.repay);
+
+        // Seize collateral from borrower and transfer to liquidator
+        cTokenCollateral.seizeFromLendingCore(
+            liquidation.liquidator,
+            liquidation.borrower,
+            liquidation.seize
+        );
+
+        emit LiquidationProcessed(
+            liquidation.liquidator,
+            liquidation.borrower,
+            address(cTokenBorrow),
+            address(cTokenCollateral),
+            liquidation.repay,
+            liquidation.seize
+        );
+
+        // Return the escrow the close factor left unused
+        uint256 refund = liquidation.requested - liquidation.repay;
+        if (refund > 0) {
+            IERC20(underlying).safeTransferFrom(
+                lendingEngine,
+                liquidation.liquidator,
+                refund
+            );
+
+            emit LiquidationRefunded(
+                liquidation.liquidator,
+                liquidation.borrower,
+                address(cTokenBorrow),
+                refund
+            );
+        }
+
+        _recordLiquidation(cTokenBorrow, liquidation, refund);
+    }
+
+    // ============================================
+    // OPTIMIZED INTERNAL FUNCTIONS (NET AMOUNTS)
+    // ============================================
+
+    /**
+     * @notice Internal: number of slots of a store (0 for markets without one)
+     */
+    function _storeLength(ILendingRequestStore store) internal returns (uint256) {
+        return address(store) == address(0) ? 0 : store.fullLength();
     }
 
     /**
-     * @notice Internal: processes a single borrow
-     * @dev Updates user's borrow balance and transfers tokens
+     * @notice Internal: reads all requests of a store
+     * @return requests Requests in queue order (first `count` entries are set)
+     * @return count Number of requests
      */
-    function _processBorrow(
+    function _loadRequests(ILendingRequestStore store)
+        internal
+        returns (Request[] memory requests, uint256 count)
+    {
+        if (address(store) == address(0)) return (requests, 0);
+
+        uint256 length = store.fullLength();
+        requests = new Request[](length);
+
+        for (uint256 i = 0; i < length; i++) {
+            if (!store.exists(i)) continue;
+
+            (bytes32 pid, address user, uint256 amount) = store.get(i);
+            requests[count].pid = pid;
+            requests[count].key = keccak256(abi.encode(pid, store, i));
+            requests[count].user = user;
+            requests[count].amount = amount;
+            count++;
+        }
+    }
+
+    /**
+     * @notice Internal: validates a deposit and computes the cTokens to mint
+     */
+    function _checkDeposit(Request memory deposit, uint256 exchangeRate) internal pure {
+        deposit.settled = (deposit.amount * 1e18) / exchangeRate;
+        if (deposit.settled == 0) {
+            deposit.reason = "amount too small";
+        }
+    }
+
+    /**
+     * @notice Internal: validates a withdraw against the user's balance, the market's cash
+     *         and the liquidity reserved for it (reserveLiquidity)
+     * @dev Earlier accepted withdraws of the same user in this batch are already spent.
+     *      Resolves `amount` to the cTokens to redeem: the whole remaining balance for
+     *      WITHDRAW_ALL, or the underlying amount rounded up to whole cTokens, so the
+     *      market never pays out more than the cTokens burned are worth.
+     * @param withdraw Request to check
+     * @param redeemed cTokens of the user redeemed by earlier accepted withdraws
+     * @param cash Cash left for payouts after earlier accepted withdraws
+     */
+    function _checkWithdraw(
         CToken cToken,
-        address user,
-        uint256 amount
-    ) internal {
-        // Check collateral using comptroller
-        require(address(comptroller) != address(0), "comptroller not set");
-        require(
-            comptroller.borrowAllowed(address(cToken), user, amount),
-            "insufficient collateral"
-        );
+        Request memory withdraw,
+        uint256 redeemed,
+        uint256 exchangeRate,
+        uint256 cash
+    ) internal view {
+        uint256 balance = cToken.balanceOf(withdraw.user) - redeemed;
+
+        if (withdraw.amount & WITHDRAW_UNDERLYING_FLAG != 0) {
+            withdraw.inUnderlying = true;
+            withdraw.amount ^= WITHDRAW_UNDERLYING_FLAG;
+        }
 
-        // Call CToken to update borrow state
-        cToken.borrowFromLendingCore(user, amount);
+        if (withdraw.amount == WITHDRAW_ALL) {
+            withdraw.amount = balance;
+            withdraw.settled = (balance * exchangeRate) / 1e18;
+            if (balance == 0) {
+                withdraw.reason = "insufficient balance";
+                return;
+            }
+        } else if (withdraw.inUnderlying) {
+            withdraw.settled = withdraw.amount;
+            withdraw.amount = (withdraw.settled * 1e18 + exchangeRate - 1) / exchangeRate;
+        } else {
+            withdraw.settled = (withdraw.amount * exchangeRate) / 1e18;
+        }
 
-        // Transfer underlying from CToken to user
-        address underlying = cToken.underlying();
-        IERC20(underlying).safeTransferFrom(address(cToken), user, amount);
+        if (withdraw.amount > balance) {
+            withdraw.reason = "insufficient balance";
+            return;
+        }
+        if (withdraw.settled > cash) {
+            withdraw.reason = "insufficient cash";
+            return;
+        }
 
-        emit BorrowProcessed(user, address(cToken), amount);
+        if (withdraw.amount > reservations[withdraw.key]) {
+            withdraw.reason = "insufficient collateral";
+        }
     }
 
     /**
-     * @notice Internal: processes a single repay
-     * @dev Updates user's borrow balance and receives tokens
+     * @notice Internal: caps a repay at the user's outstanding borrow
+     * @dev Earlier repays of the same user in this batch reduce the outstanding borrow first.
+     *      The excess is refunded during settlement.
+     * @param repay Request to check
+     * @param repaid Borrow of the user repaid by earlier repays
      */
-    function _processRepay(
+    function _checkRepay(
         CToken cToken,
-        address user,
-        uint256 amount
+        Request memory repay,
+        uint256 repaid
+    ) internal view {
+        uint256 debt = cToken.borrowBalanceStored(repay.user) - repaid;
+
+        if (debt == 0) {
+            repay.reason = "no borrow balance";
+            return;
+        }
+        repay.settled = repay.amount < debt ? repay.amount : debt;
+    }
+
+    /**
+     * @notice Internal: validates a borrow against the market's cash and the liquidity
+     *         reserved for it (reserveLiquidity)
+     * @param borrow Request to check
+     * @param cash Cash left for payouts after earlier accepted borrows
+     */
+    function _checkBorrow(Request memory borrow, uint256 cash) internal view {
+        if (borrow.amount > cash) {
+            borrow.reason = "insufficient cash";
+            return;
+        }
+        if (borrow.amount > reservations[borrow.key]) {
+            borrow.reason = "insufficient collateral";
+            return;
+        }
+        borrow.settled = borrow.amount;
+    }
+
+    /**
+     * @notice Internal: adds the withdraws or the borrows of a market to the claims
+     * @param m Index of the market in `markets`
+     * @param isWithdraw Whether `store` holds the market's withdraws or its borrows
+     * @param count Claims added so far
+     * @return Claims added including the store's
+     */
+    function _loadClaims(
+        uint256 m,
+        ILendingRequestStore store,
+        bool isWithdraw,
+        Claim[] memory claims,
+        uint256 count
+    ) internal returns (uint256) {
+        (Request[] memory requests, uint256 requestCount) = _loadRequests(store);
+        for (uint256 i = 0; i < requestCount; i++) {
+            claims[count] = Claim(
+                requests[i].key,
+                requests[i].user,
+                m,
+                isWithdraw,
+                isWithdraw ? requests[i].amount : 0,
+                0,
+                isWithdraw ? 0 : requests[i].amount
+            );
+            count++;
+        }
+        return count;
+    }
+
+    /**
+     * @notice Internal: reserves liquidity for the claims of a batch in order
+     * @dev Keeps the cTokens and borrows each account reserved so far, per market
+     * @param count Number of claims
+     * @param exchangeRates Exchange rate of each market
+     */
+    function _reserveClaims(
+        address[] calldata markets,
+        Claim[] memory claims,
+        uint256 count,
+        uint256[] memory exchangeRates
     ) internal {
-        // Transfer underlying from LendingEngine to CToken
-        address underlying = cToken.underlying();
-        IERC20(underlying).safeTransferFrom(lendingEngine, address(cToken), amount);
+        address[] memory users = new address[](count);
+        for (uint256 i = 0; i < count; i++) {
+            users[i] = claims[i].user;
+        }
+        uint256[] memory accountOf = _groupByAccount(users);
+        uint256[][] memory redeemTokens = new uint256[][](count);
+        uint256[][] memory borrowAmounts = new uint256[][](count);
+
+        for (uint256 i = 0; i < count; i++) {
+            uint256 account = accountOf[i];
+            if (redeemTokens[account].length == 0) {
+                redeemTokens[account] = new uint256[](markets.length);
+                borrowAmounts[account] = new uint256[](markets.length);
+            }
+
+            Claim memory claim = claims[i];
+            if (
+                claim.isWithdraw &&
+                !_reserveWithdraw(
+                    markets,
+                    claim,
+                    redeemTokens[account][claim.market],
+                    exchangeRates[claim.market]
+                )
+            ) continue;
+            _reserve(markets, claim, redeemTokens[account], borrowAmounts[account]);
+        }
+    }
+
 
-        // Call CToken to update repay state (handles capping at user's borrow)
-        cToken.repayFromLendingCore(user, amount);
+    /**
+     * @notice Internal: resolves a withdraw to the cTokens it redeems
+     * @dev Same resolution as _checkWithdraw, against the balance left by the user's
+     *      earlier reserved withdraws of the market
+     * @param claim Withdraw to resolve
+     * @param reservedTokens cTokens of the user's earlier reserved withdraws of the market
+     * @return Whether the balance covers the withdraw
+     */
+    function _reserveWithdraw(
+        address[] calldata markets,
+        Claim memory claim,
+        uint256 reservedTokens,
+        uint256 exchangeRate
+    ) internal view returns (bool) {
+        uint256 balance = CToken(markets[claim.market]).balanceOf(claim.user) - reservedTokens;
+
+        uint256 amount = claim.amount;
+        bool inUnderlying = amount & WITHDRAW_UNDERLYING_FLAG != 0;
+        if (inUnderlying) {
+            amount ^= WITHDRAW_UNDERLYING_FLAG;
+        }
 
-        emit RepayProcessed(user, address(cToken), amount);
+        if (amount == WITHDRAW_ALL) {
+            amount = balance;
+        } else if (inUnderlying) {
+            amount = (amount * 1e18 + exchangeRate - 1) / exchangeRate;
+        }
+        if (amount > balance) return false;
+
+        claim.redeemTokens = amount;
+        return true;
     }
 
     /**
-     * @notice Internal: processes a single liquidation
-     * @dev Repays borrower's debt and seizes collateral for liquidator
-     * @param cTokenBorrow The market where debt is being repaid
-     * @param cTokenCollateral The market where collateral is being seized
-     * @param liquidator The address performing the liquidation
-     * @param borrower The underwater borrower being liquidated
-     * @param repayAmount The amount being repaid
+     * @notice Internal: reserves liquidity for a claim if its account can afford it
+     *         together with the account's earlier reserved claims
+     * @param redeemTokens cTokens of the account's reserved claims per market, the
+     *        claim's are added when it is reserved
+     * @param borrowAmounts Borrows of the account's reserved claims per market, likewise
      */
-    function _processLiquidation(
-        CToken cTokenBorrow,
-        CToken cTokenCollateral,
-        address liquidator,
-        address borrower,
-        uint256 repayAmount
+    function _reserve(
+        address[] calldata markets,
+        Claim memory claim,
+        uint256[] memory redeemTokens,
+        uint256[] memory borrowAmounts
     ) internal {
-        // Verify borrower is still underwater
-        require(address(comptroller) != address(0), "comptroller not set");
-        require(comptroller.isUnderwater(borrower), "borrower not underwater");
+        redeemTokens[claim.market] += claim.redeemTokens;
+        borrowAmounts[claim.market] += claim.borrowAmount;
 
-        // Get borrower's current debt
-        uint256 borrowBalance = cTokenBorrow.borrowBalanceStored(borrower);
+        if (!comptroller.redeemAndBorrowAllowed(claim.user, markets, redeemTokens, borrowAmounts)) {
+            redeemTokens[claim.market] -= claim.redeemTokens;
+            borrowAmounts[claim.market] -= claim.borrowAmount;
+            return;
+        }
 
-        // Enforce close factor (max 50% of debt can be repaid)
-        uint256 maxClose = (borrowBalance * comptroller.closeFactorMantissa()) / 1e18;
-        if (repayAmount > maxClose) {
-            repayAmount = maxClose;
+        reservations[claim.key] = claim.redeemTokens + claim.borrowAmount;
+    }
+
+    /**
+     * @notice Internal: accounts of the first `count` requests
+     */
+    function _users(Request[] memory requests, uint256 count)
+        internal
+        pure
+        returns (address[] memory users)
+    {
+        users = new address[](count);
+        for (uint256 i = 0; i < count; i++) {
+            users[i] = requests[i].user;
         }
+    }
 
-        // Calculate collateral to seize
-        (uint256 err, uint256 seizeTokens) = comptroller.liquidateCalculateSeizeTokens(
-            address(cTokenBorrow),
-            address(cTokenCollateral),
-            repayAmount
-        );
-        require(err == 0, "seize calculation failed");
+    /**
+     * @notice Internal: numbers the accounts of a batch's requests
+     * @dev Heapsorts the requests by account, so the requests of an account are
+     *      adjacent, in O(n log n). Callers keep running totals per account in
+     *      arrays indexed by these numbers instead of rescanning earlier requests.
+     * @param users Account of each request
+     * @return accountOf Number of each request's account, below users.length
+     */
+    function _groupByAccount(address[] memory users)
+        internal
+        pure
+        returns (uint256[] memory accountOf)
+    {
+        uint256 count = users.length;
+        uint256[] memory order = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            order[i] = i;
+        }
 
-        // Transfer repay tokens from LendingEngine to borrow market
-        address underlyingBorrow = cTokenBorrow.underlying();
-        IERC20(underlyingBorrow).safeTransferFrom(lendingEngine, address(cTokenBorrow), repayAmount);
+        for (uint256 start = count / 2; start > 0; start--) {
+            _siftDown(users, order, start - 1, count);
+        }
+        for (uint256 end = count; end > 1; end--) {
+            (order[0], order[end - 1]) = (order[end - 1], order[0]);
+            _siftDown(users, order, 0, end - 1);
+        }
 
-        // Repay borrower's debt
-        cTokenBorrow.repayFromLendingCore(borrower, repayAmount);
+        // Every request of an account gets the index of the account's first in `order`
+        accountOf = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            accountOf[order[i]] = i > 0 && users[order[i]] == users[order[i - 1]]
+                ? accountOf[order[i - 1]]
+                : order[i];
+        }
+    }
 
-        // Seize collateral from borrower and transfer to liquidator
-        cTokenCollateral.seizeFromLendingCore(liquidator, borrower, seizeTokens);
+    /**
+     * @notice Internal: restores the max-heap below `root` (see _groupByAccount)
+     * @param size Number of entries of `order` in the heap
+     */
+    function _siftDown(
+        address[] memory users,
+        uint256[] memory order,
+        uint256 root,
+        uint256 size
+    ) internal pure {
+        while (true) {
+            uint256 child = 2 * root + 1;
+            if (child >= size) return;
+            if (child + 1 < size && users[order[child + 1]] > users[order[child]]) {
+                child++;
+            }
+            if (users[order[child]] <= users[order[root]]) return;
 
-        emit LiquidationProcessed(
-            liquidator,
-            borrower,
-            address(cTokenBorrow),
-            address(cTokenCollateral),
-            repayAmount,
-            seizeTokens
+            (order[root], order[child]) = (order[child], order[root]);
+            root = child;
+        }
+    }
+
+    /**
+     * @notice Internal: whether a request passed validation
+     */
+    function _accepted(string memory reason) internal pure returns (bool) {
+        return bytes(reason).length == 0;
+    }
+
+    /**
+     * @notice Internal: returns escrowed underlying from LendingEngine to a user
+     */
+    function _refund(CToken cToken, address user, uint256 amount) internal {
+        if (amount > 0) {
+            IERC20(cToken.underlying()).safeTransferFrom(lendingEngine, user, amount);
+        }
+    }
+
+    /**
+     * @notice Internal: records the outcome of a deposit/withdraw/borrow/repay request
+     * @dev Rejected requests also emit RequestRejected
+     * @param refunded Escrowed underlying returned to the user
+     */
+    function _recordOutcome(
+        CToken cToken,
+        OpType opType,
+        Request memory request,
+        uint256 refunded
+    ) internal {
+        bool accepted = _accepted(request.reason);
+
+        _record(
+            request.pid,
+            Outcome({
+                status: accepted ? Status.Settled : Status.Rejected,
+                opType: opType,
+                user: request.user,
+                market: address(cToken),
+                amount: request.amount,
+                settled: accepted ? request.settled : 0,
+                seized: 0,
+                refunded: refunded,
+                reason: request.reason
+            })
         );
     }
 
-    // ============================================
-    // OPTIMIZED INTERNAL FUNCTIONS (NET AMOUNTS)
-    // ============================================
+    /**
+     * @notice Internal: records the outcome of a liquidation
+     * @param refunded Escrowed underlying returned to the liquidator
+     */
+    function _recordLiquidation(
+        CToken cTokenBorrow,
+        Liquidation memory liquidation,
+        uint256 refunded
+    ) internal {
+        bool accepted = _accepted(liquidation.reason);
+
+        _record(
+            liquidation.pid,
+            Outcome({
+                status: accepted ? Status.Settled : Status.Rejected,
+                opType: OpType.Liquidation,
+                user: liquidation.liquidator,
+                market: address(cTokenBorrow),
+                amount: liquidation.requested,
+                settled: liquidation.repay,
+                seized: liquidation.seize,
+                refunded: refunded,
+                reason: liquidation.reason
+            })
+        );
+    }
+
+    /**
+     * @notice Internal: key of the outcome of a request (see getOutcome)
+     */
+    function _outcomeKey(
+        bytes32 pid,
+        address market,
+        OpType opType
+    ) internal pure returns (bytes32) {
+        return keccak256(abi.encode(pid, market, opType));
+    }
+
+    /**
+     * @notice Internal: stores an outcome under its request and emits RequestProcessed
+     */
+    function _record(bytes32 pid, Outcome memory outcome) internal {
+        outcomes[_outcomeKey(pid, outcome.market, outcome.opType)] = outcome;
+
+        if (outcome.status == Status.Rejected) {
+            emit RequestRejected(outcome.user, outcome.market, outcome.opType, outcome.reason);
+        }
+        emit RequestProcessed(
+            pid,
+            outcome.user,
+            outcome.market,
+            outcome.opType,
+            outcome.status,
+            outcome.settled,
+            outcome.seized,
+            outcome.refunded,
+            outcome.reason
+        );
+    }
 
     /**
      * @notice Internal: processes a single deposit (OPTIMIZED - user balance only)
      * @dev Called after totalSupply already updated via applyNetSupply
      * @param cToken The market
-     * @param user Address depositing
-     * @param amount Amount being deposited
-     * @param exchangeRate Current exchange rate (passed to avoid re-reading)
+     * @param deposit Validated request; `settled` holds the cTokens to mint
      */
-    function _processDepositOptimized(
-        CToken cToken,
-        address user,
-        uint256 amount,
-        uint256 exchangeRate
-    ) internal {
+    function _processDepositOptimized(CToken cToken, Request memory deposit) internal {
+        if (!_accepted(deposit.reason)) {
+            _refund(cToken, deposit.user, deposit.amount);
+            _recordOutcome(cToken, OpType.Deposit, deposit, deposit.amount);
+            return;
+        }
+
         // Transfer underlying from LendingEngine to CToken
         address underlying = cToken.underlying();
-        IERC20(underlying).safeTransferFrom(lendingEngine, address(cToken), amount);
-
-        // Calculate cTokens to mint using passed exchange rate
-        uint256 mintTokens = (amount * 1e18) / exchangeRate;
+        IERC20(underlying).safeTransferFrom(lendingEngine, address(cToken), deposit.amount);
 
         // Update user balance only (totalSupply already updated)
-        cToken.mintTokensToUserOnly(user, mintTokens);
+        cToken.mintTokensToUserOnly(deposit.user, deposit.amount, deposit.settled);
 
-        emit DepositProcessed(user, address(cToken), amount, mintTokens);
+        emit DepositProcessed(deposit.user, address(cToken), deposit.amount, deposit.settled);
+        _recordOutcome(cToken, OpType.Deposit, deposit, 0);
     }
 
     /**
      * @notice Internal: processes a single withdraw (OPTIMIZED - user balance only)
      * @dev Called after totalSupply already updated via applyNetSupply
      * @param cToken The market
-     * @param user Address withdrawing
-     * @param redeemTokens Amount of cTokens being redeemed
+     * @param withdraw Validated request; `settled` holds the underlying to pay out
      */
-    function _processWithdrawOptimized(
-        CToken cToken,
-        address user,
-        uint256 redeemTokens
-    ) internal {
-        // Update user balance only (totalSupply already updated)
-        cToken.redeemTokensFromUserOnly(user, redeemTokens);
+    function _processWithdrawOptimized(CToken cToken, Request memory withdraw) internal {
+        delete reservations[withdraw.key];
 
-        // Calculate underlying amount to transfer
-        uint256 exchangeRate = cToken.exchangeRateStored();
-        uint256 redeemAmount = (redeemTokens * exchangeRate) / 1e18;
+        OpType opType = withdraw.inUnderlying ? OpType.WithdrawUnderlying : OpType.Withdraw;
+        if (!_accepted(withdraw.reason)) {
+            _recordOutcome(cToken, opType, withdraw, 0);
+            return;
+        }
+
+        // Update user balance only (totalSupply already updated)
+        cToken.redeemTokensFromUserOnly(withdraw.user, withdraw.settled, withdraw.amount);
 
         // Transfer underlying from CToken to user
         address underlying = cToken.underlying();
-        IERC20(underlying).safeTransferFrom(address(cToken), user, redeemAmount);
+        IERC20(underlying).safeTransferFrom(address(cToken), withdraw.user, withdraw.settled);
 
-        emit WithdrawProcessed(user, address(cToken), redeemAmount, redeemTokens);
+        emit WithdrawProcessed(withdraw.user, address(cToken), withdraw.settled, withdraw.amount);
+        _recordOutcome(cToken, opType, withdraw, 0);
     }
 
     /**
      * @notice Internal: processes a single borrow (OPTIMIZED - user balance only)
      * @dev Called after totalBorrows already updated via applyNetBorrows
      * @param cToken The market
-     * @param user Address borrowing
-     * @param amount Amount being borrowed
+     * @param borrow Validated request
      */
-    function _processBorrowOptimized(
-        CToken cToken,
-        address user,
-        uint256 amount
-    ) internal {
-        // Check collateral using comptroller
-        require(address(comptroller) != address(0), "comptroller not set");
-        require(
-            comptroller.borrowAllowed(address(cToken), user, amount),
-            "insufficient collateral"
-        );
+    function _processBorrowOptimized(CToken cToken, Request memory borrow) internal {
+        delete reservations[borrow.key];
+
+        if (!_accepted(borrow.reason)) {
+            _recordOutcome(cToken, OpType.Borrow, borrow, 0);
+            return;
+        }
 
         // Update user borrow balance only (totalBorrows already updated)
-        cToken.borrowToUserOnly(user, amount);
+        cToken.borrowToUserOnly(borrow.user, borrow.settled);
 
         // Transfer underlying from CToken to user
         address underlying = cToken.underlying();
-        IERC20(underlying).safeTransferFrom(address(cToken), user, amount);
+        IERC20(underlying).safeTransferFrom(address(cToken), borrow.user, borrow.settled);
 
-        emit BorrowProcessed(user, address(cToken), amount);
+        emit BorrowProcessed(borrow.user, address(cToken), borrow.settled);
+        _recordOutcome(cToken, OpType.Borrow, borrow, 0);
     }
 
     /**
      * @notice Internal: processes a single repay (OPTIMIZED - user balance only)
      * @dev Called after totalBorrows already updated via applyNetBorrows
      * @param cToken The market
-     * @param user Address repaying
-     * @param amount Amount being repaid
+     * @param repay Validated request; `settled` holds the amount applied to the borrow
      */
-    function _processRepayOptimized(
-        CToken cToken,
-        address user,
-        uint256 amount
-    ) internal {
+    function _processRepayOptimized(CToken cToken, Request memory repay) internal {
+        if (!_accepted(repay.reason)) {
+            _refund(cToken, repay.user, repay.amount);
+            _recordOutcome(cToken, OpType.Repay, repay, repay.amount);
+            return;
+        }
+
         // Transfer underlying from LendingEngine to CToken
         address underlying = cToken.underlying();
-        IERC20(underlying).safeTransferFrom(lendingEngine, address(cToken), amount);
+        IERC20(underlying).safeTransferFrom(lendingEngine, address(cToken), repay.settled);
 
         // Update user borrow balance only (totalBorrows already updated)
-        cToken.repayFromUserOnly(user, amount);
+        cToken.repayFromUserOnly(repay.user, repay.settled);
+
+        emit RepayProcessed(repay.user, address(cToken), repay.settled);
+
+        // Refund whatever exceeded the outstanding borrow
+        uint256 refund = repay.amount - repay.settled;
+        if (refund > 0) {
+            IERC20(underlying).safeTransferFrom(lendingEngine, repay.user, refund);
+            emit RepayRefunded(repay.user, address(cToken), refund);
+        }
 
-        emit RepayProcessed(user, address(cToken), amount);
+        _recordOutcome(cToken, OpType.Repay, repay, refund);
     }
 }
@@ -8,6 +8,7 @@ import "@arcologynetwork/concurrentlib/lib/multiprocess/Multiprocess.sol";
 import "@arcologynetwork/concurrentlib/lib/orderedset/OrderedSet.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/SafeERC20.sol";
+import "./AdminControl.sol";
 import "./LendingRequestStore.sol";
 import "./SimplifiedComptroller.sol";
 import "./interfaces/ILendingCore.sol";
@@ -37,17 +38,56 @@ import "../CompoundV2/CToken.sol";
  *   - Net deposit = 1000 - 400 = 600 ETH (single state update)
  *   - Net borrow = 300 - 100 = 200 ETH (single state update)
  *   - Process 240 operations in parallel across 20 threads
+ *
+ * Roles:
+ * - Admin (AdminControl): wires the engine to LendingCore and the comptroller,
+ *   registers markets and appoints the pause guardian
+ * - Pause guardian: pauses deposits, withdraws, borrows or liquidations of a
+ *   market at the queue* entry points. Only the admin can unpause. Repays can
+ *   never be paused, so borrowers can always reduce their debt.
+ *
+ * Supply and borrow caps (SimplifiedComptroller) are enforced when requests are
+ * queued. depositTotals/borrowTotals are bounded by the market's headroom under
+ * its caps, so the in-flight batch can never queue past a cap, and every request
+ * is also checked against the current headroom.
  */
-contract LendingEngine {
+contract LendingEngine is AdminControl {
     using SafeERC20 for IERC20;
 
-    // Address of core lending logic contract
-    address private lendingCore;
+    // Withdraw requests store underlying amounts with this flag set (see LendingCore)
+    uint256 private constant WITHDRAW_UNDERLYING_FLAG = 1 << 255;
+
+    // Stored withdraw amount of a "max" request: the whole cToken balance
+    uint256 private constant WITHDRAW_ALL = (1 << 255) - 1;
+
+    /// @notice Address of core lending logic contract
+    address public lendingCore;
 
     // Address of comptroller for liquidation checks
     SimplifiedComptroller public comptroller;
 
-    /// @notice Event emitted after batch processing
+    /// @notice Address that can pause operations per market (address(0) = admin only)
+    address public pauseGuardian;
+
+    /// @notice Paused operations per market (liquidations are keyed by the borrow market)
+    mapping(address => mapping(ILendingCore.OpType => bool)) public paused;
+
+    /// @notice Event emitted for every queued request; `pid`, `market` and `opType` key LendingCore.getOutcome
+    event RequestQueued(
+        bytes32 indexed pid,
+        address indexed user,
+        address indexed market,
+        ILendingCore.OpType opType,
+        uint256 amount
+    );
+
+    /// @notice Event emitted when the pause guardian changes
+    event NewPauseGuardian(address oldPauseGuardian, address newPauseGuardian);
+
+    /// @notice Event emitted when an operation of a market is paused or unpaused
+    event ActionPaused(address indexed market, ILendingCore.OpType opType, bool paused);
+
+    /// @notice Event emitted after batch processing with the settled amounts (rejected requests excluded)
     event BatchProcessed(
         address indexed market,
         uint256 deposits,
@@ -56,6 +96,15 @@ contract LendingEngine {
         uint256 repays
     );
 
+    /// @notice Event emitted after the liquidations of a market pair are settled
+    event LiquidationBatchProcessed(
+        address indexed cTokenBorrowed,
+        address indexed cTokenCollateral,
+        uint256 requestedRepay,
+        uint256 repaid,
+        uint256 seized
+    );
+
     // Multiprocessor with 20 threads for parallel market processing
     Multiprocess private mp = new Multiprocess(20);
 
@@ -74,32 +123,28 @@ contract LendingEngine {
     // Repay requests per market
     mapping(address => LendingRequestStore) private repayRequests;
 
-    // Cumulative deposit totals per market
+    // Cumulative deposit totals per market, bounded by the supply cap headroom
     mapping(address => U256Cumulative) private depositTotals;
 
-    // Cumulative withdraw totals per market
-    mapping(address => U256Cumulative) private withdrawTotals;
-
-    // Cumulative borrow totals per market
+    // Cumulative borrow totals per market, bounded by the borrow cap headroom
     mapping(address => U256Cumulative) private borrowTotals;
 
-    // Cumulative repay totals per market
-    mapping(address => U256Cumulative) private repayTotals;
-
     // Liquidation requests per market pair (borrowMarket => collateralMarket => store)
     mapping(address => mapping(address => LendingRequestStore))
         private liquidationRequests;
 
-    // Cumulative liquidation repay totals per borrow market
-    mapping(address => U256Cumulative) private liquidationRepayTotals;
+    // Collateral markets with queued liquidations per borrow market
+    mapping(address => BytesOrderedSet) private liquidationCollaterals;
 
-    // Cumulative liquidation seize totals per collateral market
-    mapping(address => U256Cumulative) private liquidationSeizeTotals;
+    // Cumulative liquidation repay totals per market pair (borrowMarket => collateralMarket => total)
+    mapping(address => mapping(address => U256Cumulative))
+        private liquidationRepayTotals;
 
     constructor() {
         // Register deferred execution for all operation types
         Runtime.defer("queueDeposit(address,uint256)", 300000);
         Runtime.defer("queueWithdraw(address,uint256)", 300000);
+        Runtime.defer("queueWithdrawUnderlying(address,uint256)", 300000);
         Runtime.defer("queueBorrow(address,uint256)", 300000);
         Runtime.defer("queueRepay(address,uint256)", 300000);
         Runtime.defer(
@@ -109,42 +154,122 @@ contract LendingEngine {
     }
 
     /**
-     * @notice Initializes the lending core contract
+     * @notice Initializes the lending core contract (admin only)
      * @dev Deployment order:
      *      1. Deploy LendingEngine
      *      2. Deploy LendingCore(lendingEngineAddress)
      *      3. Call LendingEngine.init(lendingCoreAddress)
      *      4. For each CToken: call cToken.setLendingCore(lendingCoreAddress)
      */
-    function init(address _lendingCore) external {
+    function init(address _lendingCore) external onlyAdmin {
         require(lendingCore == address(0), "already initialized");
         require(_lendingCore != address(0), "invalid address");
         lendingCore = _lendingCore;
     }
 
     /**
-     * @notice Sets the comptroller address
+     * @notice Sets the comptroller address (admin only, can only be set once)
      * @param _comptroller Address of the SimplifiedComptroller
      */
-    function setComptroller(address _comptroller) external {
+    function setComptroller(address _comptroller) external onlyAdmin {
         require(address(comptroller) == address(0), "comptroller already set");
         require(_comptroller != address(0), "invalid comptroller");
         comptroller = SimplifiedComptroller(_comptroller);
     }
 
     /**
-     * @notice Registers a new market and initializes storage structures
+     * @notice Registers a new market and initializes storage structures (admin only, once per market)
+     * @dev Approves LendingCore to pull escrowed underlying during batch processing,
+     *      so init() and setComptroller() must be called first
      */
-    function initMarket(address market) external {
+    function initMarket(address market) external onlyAdmin {
+        require(lendingCore != address(0), "not initialized");
+        require(address(comptroller) != address(0), "comptroller not set");
+        require(
+            address(depositRequests[market]) == address(0),
+            "market already initialized"
+        );
+
+        IERC20(CToken(market).underlying()).safeApprove(
+            lendingCore,
+            type(uint256).max
+        );
+
         depositRequests[market] = new LendingRequestStore(false);
         withdrawRequests[market] = new LendingRequestStore(false);
         borrowRequests[market] = new LendingRequestStore(false);
         repayRequests[market] = new LendingRequestStore(false);
 
-        depositTotals[market] = new U256Cumulative(0, type(uint256).max);
-        withdrawTotals[market] = new U256Cumulative(0, type(uint256).max);
-        borrowTotals[market] = new U256Cumulative(0, type(uint256).max);
-        repayTotals[market] = new U256Cumulative(0, type(uint256).max);
+        _resetTotals(market);
+    }
+
+    /**
+     * @notice Whether initMarket has registered `market`
+     */
+    function isMarketInitialized(address market) external view returns (bool) {
+        return address(depositRequests[market]) != address(0);
+    }
+
+    /**
+     * @notice Re-reads the caps of a market into the bounds of its in-flight totals
+     * @dev Bounds are refreshed after every batch of the market; call this after
+     *      changing a cap in the comptroller to apply it before the next batch.
+     *      Anyone can call it between batches.
+     * @param market CToken market address
+     */
+    function syncCaps(address market) external {
+        require(
+            address(depositRequests[market]) != address(0),
+            "market not initialized"
+        );
+        require(
+            depositRequests[market].fullLength() == 0 &&
+                borrowRequests[market].fullLength() == 0,
+            "batch in progress"
+        );
+
+        _resetTotals(market);
+    }
+
+    /**
+     * @notice Sets the pause guardian (admin only)
+     * @param newPauseGuardian The new guardian, address(0) leaves pausing to the admin
+     */
+    function setPauseGuardian(address newPauseGuardian) external onlyAdmin {
+        address oldPauseGuardian = pauseGuardian;
+        pauseGuardian = newPauseGuardian;
+
+        emit NewPauseGuardian(oldPauseGuardian, newPauseGuardian);
+    }
+
+    /**
+     * @notice Pauses or unpauses an operation of a market at the queue* entry points
+     * @dev The pause guardian and the admin can pause, only the admin can unpause.
+     *      Pausing Withdraw also pauses queueWithdrawUnderlying. Requests queued
+     *      before the pause are still settled.
+     * @param market CToken market address (the borrow market for liquidations)
+     * @param opType Deposit, Withdraw, Borrow or Liquidation
+     * @param state True to pause, false to unpause
+     */
+    function setPaused(
+        address market,
+        ILendingCore.OpType opType,
+        bool state
+    ) external {
+        require(
+            msg.sender == pauseGuardian || msg.sender == admin,
+            "only pause guardian or admin"
+        );
+        require(msg.sender == admin || state, "only admin can unpause");
+        require(
+            opType != ILendingCore.OpType.Repay &&
+                opType != ILendingCore.OpType.WithdrawUnderlying,
+            "operation not pausable"
+        );
+
+        paused[market][opType] = state;
+
+        emit ActionPaused(market, opType, state);
     }
 
     /**
@@ -157,6 +282,11 @@ contract LendingEngine {
         address market,
         uint256 amount
     ) external returns (uint256) {
+        require(!paused[market][ILendingCore.OpType.Deposit], "deposit paused");
+        require(
+            amount <= comptroller.supplyHeadroom(market),
+            "supply cap reached"
+        );
         bytes32 pid = abi.decode(Runtime.pid(), (bytes32));
 
         // Get underlying token and transfer from user to this contract
@@ -169,8 +299,10 @@ contract LendingEngine {
         // Store request
         depositRequests[market].push(pid, msg.sender, amount);
 
-        // Accumulate total
-        depositTotals[market].add(amount);
+        // Accumulate total; fails once the batch would exceed the supply cap
+        require(depositTotals[market].add(amount), "supply cap reached");
+
+        emit RequestQueued(pid, msg.sender, market, ILendingCore.OpType.Deposit, amount);
 
         // If in deferred phase, process all markets
         if (Runtime.isInDeferred()) {
@@ -183,23 +315,69 @@ contract LendingEngine {
     /**
      * @notice Queues a withdraw request for batch processing
      * @param market CToken market address
-     * @param amount Withdraw amount (in cTokens)
+     * @param amount Withdraw amount (in cTokens), type(uint256).max for the whole balance
      */
     function queueWithdraw(
         address market,
         uint256 amount
     ) external returns (uint256) {
+        _queueWithdraw(market, amount, false);
+        return 0;
+    }
+
+    /**
+     * @notice Queues a withdraw of an exact amount of underlying for batch processing
+     * @dev The cTokens to redeem are computed at settlement, rounded up, so the user
+     *      receives exactly `amount`
+     * @param market CToken market address
+     * @param amount Withdraw amount (in underlying), type(uint256).max for the whole balance
+     */
+    function queueWithdrawUnderlying(
+        address market,
+        uint256 amount
+    ) external returns (uint256) {
+        _queueWithdraw(market, amount, true);
+        return 0;
+    }
+
+    /**
+     * @notice Stores a withdraw request, flagging underlying amounts and the "max" sentinel
+     * @dev Stored amount: bit 255 = amount in underlying, lower bits = amount or
+     *      WITHDRAW_ALL.
+     */
+    function _queueWithdraw(
+        address market,
+        uint256 amount,
+        bool inUnderlying
+    ) internal {
+        require(!paused[market][ILendingCore.OpType.Withdraw], "withdraw paused");
+        require(
+            amount == type(uint256).max || amount < (1 << 128),
+            "withdraw amount too large"
+        );
         bytes32 pid = abi.decode(Runtime.pid(), (bytes32));
 
+        uint256 stored = amount == type(uint256).max ? WITHDRAW_ALL : amount;
+        if (inUnderlying) {
+            stored |= WITHDRAW_UNDERLYING_FLAG;
+        }
+
         activeMarkets.set(abi.encodePacked(market));
-        withdrawRequests[market].push(pid, msg.sender, amount);
-        withdrawTotals[market].add(amount);
+        withdrawRequests[market].push(pid, msg.sender, stored);
+
+        emit RequestQueued(
+            pid,
+            msg.sender,
+            market,
+            inUnderlying
+                ? ILendingCore.OpType.WithdrawUnderlying
+                : ILendingCore.OpType.Withdraw,
+            amount
+        );
 
         if (Runtime.isInDeferred()) {
             _processBatch();
         }
-
-        return 0;
     }
 
     /**
@@ -211,11 +389,20 @@ contract LendingEngine {
         address market,
         uint256 amount
     ) external returns (uint256) {
+        require(!paused[market][ILendingCore.OpType.Borrow], "borrow paused");
+        require(
+            amount <= comptroller.borrowHeadroom(market),
+            "borrow cap reached"
+        );
         bytes32 pid = abi.decode(Runtime.pid(), (bytes32));
 
         activeMarkets.set(abi.encodePacked(market));
         borrowRequests[market].push(pid, msg.sender, amount);
-        borrowTotals[market].add(amount);
+
+        // Repays of the same batch are not netted against the cap
+        require(borrowTotals[market].add(amount), "borrow cap reached");
+
+        emit RequestQueued(pid, msg.sender, market, ILendingCore.OpType.Borrow, amount);
 
         if (Runtime.isInDeferred()) {
             _processBatch();
@@ -226,8 +413,11 @@ contract LendingEngine {
 
     /**
      * @notice Queues a repay request for batch processing
+     * @dev type(uint256).max escrows the full debt including the interest the batch
+     *      accrues (CToken.borrowBalanceProjected). Whatever exceeds the debt at
+     *      settlement is refunded.
      * @param market CToken market address
-     * @param amount Repay amount
+     * @param amount Repay amount, type(uint256).max for the full debt
      */
     function queueRepay(
         address market,
@@ -235,13 +425,18 @@ contract LendingEngine {
     ) external returns (uint256) {
         bytes32 pid = abi.decode(Runtime.pid(), (bytes32));
 
+        if (amount == type(uint256).max) {
+            amount = CToken(market).borrowBalanceProjected(msg.sender);
+        }
+
         // Get underlying token and transfer from user to this contract
         address underlying = CToken(market).underlying();
         IERC20(underlying).safeTransferFrom(msg.sender, address(this), amount);
 
         activeMarkets.set(abi.encodePacked(market));
         repayRequests[market].push(pid, msg.sender, amount);
-        repayTotals[market].add(amount);
+
+        emit RequestQueued(pid, msg.sender, market, ILendingCore.OpType.Repay, amount);
 
         if (Runtime.isInDeferred()) {
             _processBatch();
@@ -256,7 +451,7 @@ contract LendingEngine {
      * @param borrower The underwater borrower to liquidate
      * @param cTokenBorrowed The market where debt is being repaid
      * @param cTokenCollateral The market where collateral is being seized
-     * @param repayAmount Amount to repay (will be capped at close factor)
+     * @param repayAmount Amount to repay (will be capped at close factor, the rest is refunded)
      */
     function queueLiquidation(
         address borrower,
@@ -267,7 +462,13 @@ contract LendingEngine {
         bytes32 pid = abi.decode(Runtime.pid(), (bytes32));
 
         // Verify borrower is underwater using comptroller
+        require(
+            !paused[cTokenBorrowed][ILendingCore.OpType.Liquidation],
+            "liquidation paused"
+        );
         require(address(comptroller) != address(0), "comptroller not set");
+        require(borrower != msg.sender, "cannot liquidate self");
+        require(repayAmount < (1 << 96), "repay amount too large");
         require(comptroller.isUnderwater(borrower), "borrower not underwater");
 
         // Get underlying token for borrowed market and transfer from liquidator
@@ -289,25 +490,27 @@ contract LendingEngine {
         }
 
         // Initialize totals if needed
-        if (address(liquidationRepayTotals[cTokenBorrowed]) == address(0)) {
-            liquidationRepayTotals[cTokenBorrowed] = new U256Cumulative(
-                0,
-                type(uint256).max
-            );
+        if (
+            address(liquidationRepayTotals[cTokenBorrowed][cTokenCollateral]) ==
+            address(0)
+        ) {
+            liquidationRepayTotals[cTokenBorrowed][
+                cTokenCollateral
+            ] = new U256Cumulative(0, type(uint256).max);
         }
-        if (address(liquidationSeizeTotals[cTokenCollateral]) == address(0)) {
-            liquidationSeizeTotals[cTokenCollateral] = new U256Cumulative(
-                0,
-                type(uint256).max
-            );
+        if (address(liquidationCollaterals[cTokenBorrowed]) == address(0)) {
+            liquidationCollaterals[cTokenBorrowed] = new BytesOrderedSet(false);
         }
 
-        // Track both markets as active
+        // Track both markets as active; liquidations settle with the borrow market
         activeMarkets.set(abi.encodePacked(cTokenBorrowed));
         activeMarkets.set(abi.encodePacked(cTokenCollateral));
+        liquidationCollaterals[cTokenBorrowed].set(
+            abi.encodePacked(cTokenCollateral)
+        );
 
         // Pack borrower address and repayAmount into single uint256
-        // Upper 160 bits: borrower address, Lower 96 bits: repayAmount (truncated)
+        // Upper 160 bits: borrower address, Lower 96 bits: repayAmount
         uint256 packedData = (uint256(uint160(borrower)) << 96) |
             (repayAmount & ((1 << 96) - 1));
 
@@ -319,17 +522,25 @@ contract LendingEngine {
         );
 
         // Accumulate repay total
-        liquidationRepayTotals[cTokenBorrowed].add(repayAmount);
-
-        // Calculate and accumulate seize amount
-        (uint256 err, uint256 seizeTokens) = comptroller
-            .liquidateCalculateSeizeTokens(
-                cTokenBorrowed,
-                cTokenCollateral,
-                repayAmount
-            );
+        liquidationRepayTotals[cTokenBorrowed][cTokenCollateral].add(
+            repayAmount
+        );
+
+        // Validate prices now; seize amounts are computed at settlement
+        (uint256 err, ) = comptroller.liquidateCalculateSeizeTokens(
+            cTokenBorrowed,
+            cTokenCollateral,
+            repayAmount
+        );
         require(err == 0, "seize calculation failed");
-        liquidationSeizeTotals[cTokenCollateral].add(seizeTokens);
+
+        emit RequestQueued(
+            pid,
+            msg.sender,
+            cTokenBorrowed,
+            ILendingCore.OpType.Liquidation,
+            repayAmount
+        );
 
         // If in deferred phase, process all markets
         if (Runtime.isInDeferred()) {
@@ -341,59 +552,81 @@ contract LendingEngine {
 
     /**
      * @notice Processes all markets in parallel during deferred phase
-     * @dev Creates one job per active market, runs on 20 parallel threads
+     * @dev Reserves account liquidity across all active markets first (one
+     *      sequential pass), then creates one job per active market, runs on 20
+     *      parallel threads. The jobs settle only the withdraws and borrows that
+     *      got a reservation, so they never need each other's results. Liquidations
+     *      write to two markets (repay in one, seize in the other), so they settle
+     *      in a sequential pass after the jobs instead of inside either market's job.
      */
     function _processBatch() internal {
         uint256 length = activeMarkets.Length();
+        address[] memory markets = new address[](length);
+        ILendingRequestStore[] memory withdrawStores = new ILendingRequestStore[](length);
+        ILendingRequestStore[] memory borrowStores = new ILendingRequestStore[](length);
+
+        for (uint256 idx = 0; idx < length; idx++) {
+            markets[idx] = _parseAddr(activeMarkets.get(idx));
+            withdrawStores[idx] = ILendingRequestStore(
+                address(withdrawRequests[markets[idx]])
+            );
+            borrowStores[idx] = ILendingRequestStore(
+                address(borrowRequests[markets[idx]])
+            );
+        }
+
+        ILendingCore(lendingCore).reserveLiquidity(
+            markets,
+            withdrawStores,
+            borrowStores
+        );
 
         for (uint256 idx = 0; idx < length; idx++) {
             mp.addJob(
                 1000000000,
                 0,
                 address(this),
-                abi.encodeWithSignature(
-                    "processMarket(address)",
-                    _parseAddr(activeMarkets.get(idx))
-                )
+                abi.encodeWithSignature("processMarket(address)", markets[idx])
             );
         }
 
         mp.run();
+
+        for (uint256 idx = 0; idx < length; idx++) {
+            _processLiquidations(markets[idx]);
+        }
+
         activeMarkets.clear();
     }
 
     /**
-     * @notice Processes all operations for a single market
-     * @dev Called in parallel for each market
+     * @notice Processes the deposits, withdraws, borrows and repays of a single market
+     * @dev Called in parallel for each market, as a job of _processBatch. Only
+     *      writes to `market` and its own request stores.
      * @param market CToken market address
      */
     function processMarket(address market) public {
+        require(msg.sender == address(mp) || msg.sender == address(this), "only multiprocess");
+
         // Step 1: Accrue interest ONCE for this market
         ILendingCore(lendingCore).accrueInterestOnce(market);
 
-        // Step 2: Get net amounts
-        uint256 totalDeposits = depositTotals[market].get();
-        uint256 totalWithdraws = withdrawTotals[market].get();
-        uint256 totalBorrows = borrowTotals[market].get();
-        uint256 totalRepays = repayTotals[market].get();
-
-        // Step 3: Process supply operations (deposits/withdraws) with netting
-        ILendingCore(lendingCore).processSupplyOperations(
-            ILendingRequestStore(address(depositRequests[market])),
-            ILendingRequestStore(address(withdrawRequests[market])),
-            market,
-            totalDeposits,
-            totalWithdraws
-        );
+        // Step 2: Process supply operations (deposits/withdraws) with netting
+        (uint256 totalDeposits, uint256 totalWithdraws) = ILendingCore(
+            lendingCore
+        ).processSupplyOperations(
+                ILendingRequestStore(address(depositRequests[market])),
+                ILendingRequestStore(address(withdrawRequests[market])),
+                market
+            );
 
-        // Step 4: Process borrow operations (borrows/repays) with netting
-        ILendingCore(lendingCore).processBorrowOperations(
-            ILendingRequestStore(address(borrowRequests[market])),
-            ILendingRequestStore(address(repayRequests[market])),
-            market,
-            totalBorrows,
-            totalRepays
-        );
+        // Step 3: Process borrow operations (borrows/repays) with netting
+        (uint256 totalBorrows, uint256 totalRepays) = ILendingCore(lendingCore)
+            .processBorrowOperations(
+                ILendingRequestStore(address(borrowRequests[market])),
+                ILendingRequestStore(address(repayRequests[market])),
+                market
+            );
 
         emit BatchProcessed(
             market,
@@ -403,12 +636,52 @@ contract LendingEngine {
             totalRepays
         );
 
-        // Step 5: Reset for next batch
+        // Step 4: Reset for next batch
         _resetMarket(market);
     }
 
     /**
-     * @notice Resets all tracking for a market
+     * @notice Settles the queued liquidations of every market pair borrowing from `market`,
+     *         then clears them for the next batch
+     * @dev Runs after every market job, so borrowers are judged on their post-batch
+     *      debt and collateral. Escrow not used for repayment is refunded by LendingCore.
+     */
+    function _processLiquidations(address market) internal {
+        BytesOrderedSet collaterals = liquidationCollaterals[market];
+        if (address(collaterals) == address(0)) return;
+
+        uint256 length = collaterals.Length();
+        for (uint256 idx = 0; idx < length; idx++) {
+            address collateral = _parseAddr(collaterals.get(idx));
+
+            (uint256 repaid, uint256 seized) = ILendingCore(lendingCore)
+                .processLiquidationOperations(
+                    ILendingRequestStore(
+                        address(liquidationRequests[market][collateral])
+                    ),
+                    market,
+                    collateral
+                );
+
+            emit LiquidationBatchProcessed(
+                market,
+                collateral,
+                liquidationRepayTotals[market][collateral].get(),
+                repaid,
+                seized
+            );
+
+            liquidationRequests[market][collateral].clear();
+            liquidationRepayTotals[market][collateral] = new U256Cumulative(
+                0,
+                type(uint256).max
+            );
+        }
+        collaterals.clear();
+    }
+
+    /**
+     * @notice Resets the deposit, withdraw, borrow and repay tracking of a market
      */
     function _resetMarket(address market) internal {
         depositRequests[market].clear();
@@ -416,11 +689,23 @@ contract LendingEngine {
         borrowRequests[market].clear();
         repayRequests[market].clear();
 
-        // Reset cumulative totals by creating new instances
-        depositTotals[market] = new U256Cumulative(0, type(uint256).max);
-        withdrawTotals[market] = new U256Cumulative(0, type(uint256).max);
-        borrowTotals[market] = new U256Cumulative(0, type(uint256).max);
-        repayTotals[market] = new U256Cumulative(0, type(uint256).max);
+        _resetTotals(market);
+    }
+
+    /**
+     * @notice Resets the cap totals of a market by creating new instances
+     * @dev Deposit and borrow totals are bounded by the market's current headroom
+     *      under its supply and borrow caps
+     */
+    function _resetTotals(address market) internal {
+        depositTotals[market] = new U256Cumulative(
+            0,
+            comptroller.supplyHeadroom(market)
+        );
+        borrowTotals[market] = new U256Cumulative(
+            0,
+            comptroller.borrowHeadroom(market)
+        );
     }
 
     /**
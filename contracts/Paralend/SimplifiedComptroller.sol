@@ -2,7 +2,9 @@
 pragma solidity =0.7.6;
 pragma abicoder v2;
 
+import "./AdminControl.sol";
 import "../CompoundV2/CToken.sol";
+import "../CompoundV2/interfaces/IPriceOracle.sol";
 import "../CompoundV2/libraries/ExponentialNoError.sol";
 
 /**
@@ -14,42 +16,94 @@ import "../CompoundV2/libraries/ExponentialNoError.sol";
  * - Tracks which markets users have entered for collateral
  * - Calculates account liquidity (collateral value - borrow value)
  * - Enforces collateral requirements for borrows
- * - Simple price oracle with settable prices
+ * - Prices from a pluggable IPriceOracle, with admin-set prices for markets
+ *   the oracle has no source for
  *
- * Collateral Factor: 75% (can borrow 75% of collateral value)
- * Liquidation Threshold: 80% (liquidated when debt > 80% of collateral)
+ * Prices follow Compound's convention: USD per smallest underlying unit, scaled
+ * by 1e18, i.e. 1e(36 - underlying decimals) for $1.
+ *
+ * Frozen markets: a listed market without a usable price (a price rejected by
+ * the oracle, or no oracle source and no admin price) is frozen. Nothing can be
+ * borrowed from it, accounts with a position in it cannot borrow anywhere, and
+ * liquidations involving it fail. Accounts without a position in it are
+ * unaffected.
+ *
+ * Risk parameters (admin-governed):
+ * - Collateral factor, per market: share of the collateral value that can be
+ *   borrowed against (75% when listed)
+ * - Liquidation threshold, per market: share of the collateral value the debt
+ *   may reach before the account can be liquidated (80% when listed)
+ * - Close factor: share of a borrower's debt one liquidation can repay (50%)
+ * - Liquidation incentive: collateral paid per unit repaid (108%)
+ * - Supply and borrow caps, per market: upper bounds on the underlying supplied
+ *   and borrowed (none when listed). LendingEngine enforces them when requests
+ *   are queued, counting the in-flight batch.
  */
-contract SimplifiedComptroller is ExponentialNoError {
+contract SimplifiedComptroller is ExponentialNoError, AdminControl {
     /**
-     * @notice Collateral factor: 0.75 = 75%
-     * @dev Users can borrow up to 75% of their collateral value
+     * @notice Collateral factor and liquidation threshold of a newly listed market
      */
-    uint256 public constant collateralFactorMantissa = 0.75e18;
+    uint256 public constant defaultCollateralFactorMantissa = 0.75e18;
+    uint256 public constant defaultLiquidationThresholdMantissa = 0.80e18;
 
     /**
-     * @notice Liquidation threshold: 0.80 = 80%
-     * @dev Users are liquidated when debt exceeds 80% of collateral value
+     * @notice Bounds of the risk parameters
      */
-    uint256 public constant liquidationThresholdMantissa = 0.80e18;
+    uint256 public constant maxCollateralFactorMantissa = 0.9e18;
+    uint256 public constant maxLiquidationThresholdMantissa = 0.95e18;
+    uint256 public constant minCloseFactorMantissa = 0.05e18;
+    uint256 public constant maxCloseFactorMantissa = 0.9e18;
+    uint256 public constant minLiquidationIncentiveMantissa = 1e18;
+    uint256 public constant maxLiquidationIncentiveMantissa = 1.5e18;
+
+    /**
+     * @notice Collateral factor of each market: 0.75e18 = 75%
+     * @dev Users can borrow up to this share of their collateral value
+     */
+    mapping(address => uint256) public collateralFactorMantissa;
+
+    /**
+     * @notice Liquidation threshold of each market: 0.80e18 = 80%
+     * @dev Users are liquidated when debt exceeds this share of their collateral value.
+     *      Never below the market's collateral factor.
+     */
+    mapping(address => uint256) public liquidationThresholdMantissa;
 
     /**
      * @notice Close factor: 0.5 = 50%
      * @dev Liquidators can repay up to 50% of a borrower's debt
      */
-    uint256 public constant closeFactorMantissa = 0.5e18;
+    uint256 public closeFactorMantissa = 0.5e18;
 
     /**
      * @notice Liquidation incentive: 1.08 = 108%
      * @dev Liquidators receive 108% of repaid value in collateral (8% bonus)
      */
-    uint256 public constant liquidationIncentiveMantissa = 1.08e18;
+    uint256 public liquidationIncentiveMantissa = 1.08e18;
+
+    /**
+     * @notice Supply cap of each market, in underlying (0 = no cap)
+     * @dev Bounds totalSupply valued at the exchange rate, i.e. cash + borrows - reserves
+     */
+    mapping(address => uint256) public supplyCaps;
+
+    /**
+     * @notice Borrow cap of each market, in underlying (0 = no cap)
+     * @dev Bounds totalBorrows
+     */
+    mapping(address => uint256) public borrowCaps;
 
     /**
-     * @notice Oracle prices for each market (price per underlying token, scaled by 1e18)
-     * @dev For MVP: Prices are set manually. In production, use Chainlink/Uniswap oracles
+     * @notice Admin prices for each market (price per smallest underlying unit, scaled by 1e18)
+     * @dev Used when no oracle is set, or the oracle has no price source for the market
      */
     mapping(address => uint256) public oraclePrices;
 
+    /**
+     * @notice Price oracle, address(0) to use admin prices only
+     */
+    IPriceOracle public oracle;
+
     /**
      * @notice Tracks which markets a user has entered for collateral
      * @dev accountMembership[user][cToken] = true if market is used as collateral
@@ -67,23 +121,32 @@ contract SimplifiedComptroller is ExponentialNoError {
     mapping(address => bool) public marketExists;
 
     /**
-     * @notice Admin address (can set prices and add markets)
+     * @notice Hypothetical redeems and borrows of an account, applied together
+     * @member cTokens Markets with a hypothetical change
+     * @member redeemTokens cTokens redeemed in each market
+     * @member borrowAmounts Underlying borrowed in each market
      */
-    address public admin;
+    struct Hypothetical {
+        address[] cTokens;
+        uint256[] redeemTokens;
+        uint256[] borrowAmounts;
+    }
 
     event MarketEntered(address cToken, address account);
     event MarketExited(address cToken, address account);
     event MarketListed(address cToken);
     event PriceUpdated(address cToken, uint256 newPrice);
-
-    constructor() {
-        admin = msg.sender;
-    }
-
-    modifier onlyAdmin() {
-        require(msg.sender == admin, "only admin");
-        _;
-    }
+    event NewPriceOracle(address oldOracle, address newOracle);
+    event NewCollateralFactor(address cToken, uint256 oldCollateralFactorMantissa, uint256 newCollateralFactorMantissa);
+    event NewLiquidationThreshold(
+        address cToken,
+        uint256 oldLiquidationThresholdMantissa,
+        uint256 newLiquidationThresholdMantissa
+    );
+    event NewCloseFactor(uint256 oldCloseFactorMantissa, uint256 newCloseFactorMantissa);
+    event NewLiquidationIncentive(uint256 oldLiquidationIncentiveMantissa, uint256 newLiquidationIncentiveMantissa);
+    event NewSupplyCap(address cToken, uint256 oldSupplyCap, uint256 newSupplyCap);
+    event NewBorrowCap(address cToken, uint256 oldBorrowCap, uint256 newBorrowCap);
 
     /**
      * @notice Add a market to the protocol
@@ -94,15 +157,151 @@ contract SimplifiedComptroller is ExponentialNoError {
 
         marketExists[cToken] = true;
         allMarkets.push(cToken);
+        collateralFactorMantissa[cToken] = defaultCollateralFactorMantissa;
+        liquidationThresholdMantissa[cToken] = defaultLiquidationThresholdMantissa;
 
         emit MarketListed(cToken);
     }
 
+    /**
+     * @notice Set the collateral factor of a market
+     * @param cToken The CToken address
+     * @param newCollateralFactorMantissa Share of collateral value that can be borrowed (scaled by 1e18)
+     * @dev Can't exceed maxCollateralFactorMantissa or the market's liquidation threshold
+     */
+    function setCollateralFactor(address cToken, uint256 newCollateralFactorMantissa) external onlyAdmin {
+        require(marketExists[cToken], "market not listed");
+        require(newCollateralFactorMantissa <= maxCollateralFactorMantissa, "invalid collateral factor");
+        require(
+            newCollateralFactorMantissa <= liquidationThresholdMantissa[cToken],
+            "collateral factor above liquidation threshold"
+        );
+
+        uint256 oldCollateralFactorMantissa = collateralFactorMantissa[cToken];
+        collateralFactorMantissa[cToken] = newCollateralFactorMantissa;
+
+        emit NewCollateralFactor(cToken, oldCollateralFactorMantissa, newCollateralFactorMantissa);
+    }
+
+    /**
+     * @notice Set the liquidation threshold of a market
+     * @param cToken The CToken address
+     * @param newLiquidationThresholdMantissa Share of collateral value debt may reach (scaled by 1e18)
+     * @dev Can't exceed maxLiquidationThresholdMantissa or go below the market's collateral factor
+     */
+    function setLiquidationThreshold(address cToken, uint256 newLiquidationThresholdMantissa) external onlyAdmin {
+        require(marketExists[cToken], "market not listed");
+        require(newLiquidationThresholdMantissa <= maxLiquidationThresholdMantissa, "invalid liquidation threshold");
+        require(
+            newLiquidationThresholdMantissa >= collateralFactorMantissa[cToken],
+            "liquidation threshold below collateral factor"
+        );
+
+        uint256 oldLiquidationThresholdMantissa = liquidationThresholdMantissa[cToken];
+        liquidationThresholdMantissa[cToken] = newLiquidationThresholdMantissa;
+
+        emit NewLiquidationThreshold(cToken, oldLiquidationThresholdMantissa, newLiquidationThresholdMantissa);
+    }
+
+    /**
+     * @notice Set the close factor
+     * @param newCloseFactorMantissa Share of a borrower's debt one liquidation can repay (scaled by 1e18)
+     */
+    function setCloseFactor(uint256 newCloseFactorMantissa) external onlyAdmin {
+        require(
+            newCloseFactorMantissa >= minCloseFactorMantissa && newCloseFactorMantissa <= maxCloseFactorMantissa,
+            "invalid close factor"
+        );
+
+        uint256 oldCloseFactorMantissa = closeFactorMantissa;
+        closeFactorMantissa = newCloseFactorMantissa;
+
+        emit NewCloseFactor(oldCloseFactorMantissa, newCloseFactorMantissa);
+    }
+
+    /**
+     * @notice Set the liquidation incentive
+     * @param newLiquidationIncentiveMantissa Collateral paid per unit repaid (scaled by 1e18)
+     */
+    function setLiquidationIncentive(uint256 newLiquidationIncentiveMantissa) external onlyAdmin {
+        require(
+            newLiquidationIncentiveMantissa >= minLiquidationIncentiveMantissa &&
+                newLiquidationIncentiveMantissa <= maxLiquidationIncentiveMantissa,
+            "invalid liquidation incentive"
+        );
+
+        uint256 oldLiquidationIncentiveMantissa = liquidationIncentiveMantissa;
+        liquidationIncentiveMantissa = newLiquidationIncentiveMantissa;
+
+        emit NewLiquidationIncentive(oldLiquidationIncentiveMantissa, newLiquidationIncentiveMantissa);
+    }
+
+    /**
+     * @notice Set the supply cap of a market
+     * @dev Takes effect in LendingEngine after the market's next batch, or after
+     *      LendingEngine.syncCaps(cToken)
+     * @param cToken The CToken address
+     * @param newSupplyCap Maximum underlying supplied, 0 for no cap
+     */
+    function setSupplyCap(address cToken, uint256 newSupplyCap) external onlyAdmin {
+        require(marketExists[cToken], "market not listed");
+
+        uint256 oldSupplyCap = supplyCaps[cToken];
+        supplyCaps[cToken] = newSupplyCap;
+
+        emit NewSupplyCap(cToken, oldSupplyCap, newSupplyCap);
+    }
+
+    /**
+     * @notice Set the borrow cap of a market
+     * @dev Takes effect in LendingEngine after the market's next batch, or after
+     *      LendingEngine.syncCaps(cToken)
+     * @param cToken The CToken address
+     * @param newBorrowCap Maximum underlying borrowed, 0 for no cap
+     */
+    function setBorrowCap(address cToken, uint256 newBorrowCap) external onlyAdmin {
+        require(marketExists[cToken], "market not listed");
+
+        uint256 oldBorrowCap = borrowCaps[cToken];
+        borrowCaps[cToken] = newBorrowCap;
+
+        emit NewBorrowCap(cToken, oldBorrowCap, newBorrowCap);
+    }
+
+    /**
+     * @notice Underlying that can still be supplied to a market before its supply cap
+     * @return Remaining supply, type(uint256).max without a cap, 0 at or above the cap
+     */
+    function supplyHeadroom(address cToken) external view returns (uint256) {
+        uint256 cap = supplyCaps[cToken];
+        if (cap == 0) return type(uint256).max;
+
+        uint256 supplied = mul_ScalarTruncate(
+            Exp({mantissa: CToken(cToken).exchangeRateStored()}),
+            CToken(cToken).totalSupply()
+        );
+        return supplied >= cap ? 0 : cap - supplied;
+    }
+
+    /**
+     * @notice Underlying that can still be borrowed from a market before its borrow cap
+     * @return Remaining borrows, type(uint256).max without a cap, 0 at or above the cap
+     */
+    function borrowHeadroom(address cToken) external view returns (uint256) {
+        uint256 cap = borrowCaps[cToken];
+        if (cap == 0) return type(uint256).max;
+
+        uint256 borrowed = CToken(cToken).totalBorrows();
+        return borrowed >= cap ? 0 : cap - borrowed;
+    }
+
     /**
      * @notice Set oracle price for a market
      * @param cToken The CToken address
-     * @param price Price per underlying token (scaled by 1e18)
-     * @dev Example: If 1 DAI = $1, set price = 1e18
+     * @param price USD price of the smallest underlying unit, scaled by 1e18
+     * @dev Scaled by 1e(36 - underlying decimals) for $1, like the oracle's prices:
+     *      1e18 for 1 DAI (18 decimals) = $1, 1e30 for 1 USDC (6 decimals) = $1.
+     *      Ignored while the oracle has a price source for the market.
      */
     function setPrice(address cToken, uint256 price) external onlyAdmin {
         require(marketExists[cToken], "market not listed");
@@ -113,6 +312,17 @@ contract SimplifiedComptroller is ExponentialNoError {
         emit PriceUpdated(cToken, price);
     }
 
+    /**
+     * @notice Set the price oracle
+     * @param newOracle The IPriceOracle to read prices from, address(0) to use admin prices only
+     */
+    function setPriceOracle(address newOracle) external onlyAdmin {
+        address oldOracle = address(oracle);
+        oracle = IPriceOracle(newOracle);
+
+        emit NewPriceOracle(oldOracle, newOracle);
+    }
+
     /**
      * @notice Enter markets to use as collateral
      * @param cTokens Array of CToken addresses to enter
@@ -152,8 +362,12 @@ contract SimplifiedComptroller is ExponentialNoError {
 
     /**
      * @notice Exit a market (stop using as collateral)
+     * @dev The exit is judged as a redeem of the account's whole cToken balance:
+     *      it is refused when the rest of the account's collateral would not
+     *      cover its borrows, as redeeming that balance would be
      * @param cToken The market to exit
-     * @return 0 on success, error code otherwise
+     * @return 0 on success (or when not in the market), 1 with a borrow in the
+     *         market, 2 when exiting leaves a shortfall, a liquidity error code otherwise
      */
     function exitMarket(address cToken) external returns (uint256) {
         if (!accountMembership[msg.sender][cToken]) {
@@ -161,7 +375,7 @@ contract SimplifiedComptroller is ExponentialNoError {
         }
 
         // Check if user has outstanding borrows in this market
-        (, , uint256 borrowBalance, ) = CToken(cToken).getAccountSnapshot(msg.sender);
+        (, uint256 tokens, uint256 borrowBalance, ) = CToken(cToken).getAccountSnapshot(msg.sender);
         if (borrowBalance > 0) {
             return 1; // Cannot exit with outstanding borrows
         }
@@ -171,7 +385,7 @@ contract SimplifiedComptroller is ExponentialNoError {
         (uint256 err, , uint256 shortfall) = getHypotheticalAccountLiquidity(
             msg.sender,
             cToken,
-            type(uint256).max, // Hypothetically redeem all
+            tokens, // Hypothetically redeem the whole balance
             0
         );
 
@@ -196,6 +410,7 @@ contract SimplifiedComptroller is ExponentialNoError {
      * @return error Error code (0 = success)
      * @return liquidity Excess collateral value (if positive)
      * @return shortfall Deficit value (if negative)
+     * @dev Collateral is weighted by each market's collateral factor
      */
     function getAccountLiquidity(address account)
         public
@@ -209,6 +424,26 @@ contract SimplifiedComptroller is ExponentialNoError {
         return getHypotheticalAccountLiquidity(account, address(0), 0, 0);
     }
 
+    /**
+     * @notice Calculate account liquidity against the liquidation thresholds
+     * @param account The account to check
+     * @return error Error code (0 = success)
+     * @return liquidity Collateral value above the debt (if positive)
+     * @return shortfall Debt above the collateral value, the account can be liquidated
+     * @dev Collateral is weighted by each market's liquidation threshold
+     */
+    function getLiquidationLiquidity(address account)
+        public
+        view
+        returns (
+            uint256 error,
+            uint256 liquidity,
+            uint256 shortfall
+        )
+    {
+        return _getHypotheticalLiquidity(account, _hypothetical(0), true);
+    }
+
     /**
      * @notice Calculate hypothetical account liquidity if user redeems/borrows
      * @param account The account to check
@@ -232,6 +467,43 @@ contract SimplifiedComptroller is ExponentialNoError {
             uint256 liquidity,
             uint256 shortfall
         )
+    {
+        Hypothetical memory hypothetical = _hypothetical(1);
+        hypothetical.cTokens[0] = cTokenModify;
+        hypothetical.redeemTokens[0] = redeemTokens;
+        hypothetical.borrowAmounts[0] = borrowAmount;
+
+        return _getHypotheticalLiquidity(account, hypothetical, false);
+    }
+
+    /**
+     * @notice Internal: empty hypothetical changes to `length` markets
+     */
+    function _hypothetical(uint256 length) internal pure returns (Hypothetical memory) {
+        return Hypothetical({
+            cTokens: new address[](length),
+            redeemTokens: new uint256[](length),
+            borrowAmounts: new uint256[](length)
+        });
+    }
+
+    /**
+     * @notice Internal: hypothetical account liquidity
+     * @param atLiquidationThreshold Weight collateral by liquidation thresholds
+     *        instead of collateral factors
+     */
+    function _getHypotheticalLiquidity(
+        address account,
+        Hypothetical memory hypothetical,
+        bool atLiquidationThreshold
+    )
+        internal
+        view
+        returns (
+            uint256 error,
+            uint256 liquidity,
+            uint256 shortfall
+        )
     {
         uint256 sumCollateral = 0;
         uint256 sumBorrowPlusEffects = 0;
@@ -241,16 +513,17 @@ contract SimplifiedComptroller is ExponentialNoError {
             (uint256 err, uint256 collateralValue, uint256 borrowValue) = _getMarketValues(
                 account,
                 allMarkets[i],
-                cTokenModify,
-                redeemTokens,
-                borrowAmount
+                hypothetical
             );
 
             if (err != 0) {
                 return (err, 0, 0);
             }
 
-            sumCollateral = add_(sumCollateral, collateralValue);
+            uint256 weightMantissa = atLiquidationThreshold
+                ? liquidationThresholdMantissa[allMarkets[i]]
+                : collateralFactorMantissa[allMarkets[i]];
+            sumCollateral = add_(sumCollateral, mul_(collateralValue, weightMantissa) / 1e18);
             sumBorrowPlusEffects = add_(sumBorrowPlusEffects, borrowValue);
         }
 
@@ -264,14 +537,13 @@ contract SimplifiedComptroller is ExponentialNoError {
 
     /**
      * @notice Internal helper to calculate collateral and borrow values for a single market
-     * @dev Reduces stack depth in getHypotheticalAccountLiquidity
+     * @dev Reduces stack depth in getHypotheticalAccountLiquidity. The collateral
+     *      value is not yet weighted by the collateral factor or liquidation threshold.
      */
     function _getMarketValues(
         address account,
         address cToken,
-        address cTokenModify,
-        uint256 redeemTokens,
-        uint256 borrowAmount
+        Hypothetical memory hypothetical
     )
         internal
         view
@@ -282,39 +554,39 @@ contract SimplifiedComptroller is ExponentialNoError {
         )
     {
         // Get user's balance in this market
-        (uint256 err, uint256 cTokenBalance, uint256 borrowBalance, uint256 exchangeRateMantissa) =
-            CToken(cToken).getAccountSnapshot(account);
+        uint256 cTokenBalance;
+        uint256 borrowBalance;
+        uint256 exchangeRateMantissa;
+        (error, cTokenBalance, borrowBalance, exchangeRateMantissa) = CToken(cToken).getAccountSnapshot(account);
 
-        if (err != 0) {
-            return (err, 0, 0);
+        if (error != 0) {
+            return (error, 0, 0);
+        }
+
+        (bool modified, uint256 redeemTokens, uint256 borrowAmount) = _hypotheticalChange(hypothetical, cToken);
+
+        // Markets the account has no position in need no price (they may be frozen)
+        if (cTokenBalance == 0 && borrowBalance == 0 && !modified) {
+            return (0, 0, 0);
         }
 
         // Get oracle price
-        uint256 oraclePrice = oraclePrices[cToken];
+        uint256 oraclePrice = _getPrice(cToken);
         if (oraclePrice == 0) {
             return (3, 0, 0); // Price error
         }
 
         // Calculate underlying balance and apply hypothetical changes
-        uint256 underlyingBalance = mul_ScalarTruncate(
-            Exp({mantissa: exchangeRateMantissa}),
-            cTokenBalance
+        uint256 underlyingBalance = sub_(
+            mul_ScalarTruncate(Exp({mantissa: exchangeRateMantissa}), cTokenBalance),
+            mul_ScalarTruncate(Exp({mantissa: exchangeRateMantissa}), redeemTokens)
         );
+        borrowBalance = add_(borrowBalance, borrowAmount);
 
-        if (cToken == cTokenModify) {
-            uint256 redeemAmount = mul_ScalarTruncate(
-                Exp({mantissa: exchangeRateMantissa}),
-                redeemTokens
-            );
-            underlyingBalance = sub_(underlyingBalance, redeemAmount);
-            borrowBalance = add_(borrowBalance, borrowAmount);
-        }
-
-        // Calculate collateral value if market is entered
+        // Calculate (unweighted) collateral value if market is entered
         collateralValue = 0;
         if (accountMembership[account][cToken]) {
             collateralValue = mul_(underlyingBalance, oraclePrice) / 1e18;
-            collateralValue = mul_(collateralValue, collateralFactorMantissa) / 1e18;
         }
 
         // Calculate borrow value
@@ -323,6 +595,30 @@ contract SimplifiedComptroller is ExponentialNoError {
         return (0, collateralValue, borrowValue);
     }
 
+    /**
+     * @notice Internal: hypothetical change to one market
+     * @return modified Whether `cToken` is one of the hypothetically changed markets
+     * @return redeemTokens cTokens redeemed from it
+     * @return borrowAmount Underlying borrowed from it
+     */
+    function _hypotheticalChange(Hypothetical memory hypothetical, address cToken)
+        internal
+        pure
+        returns (
+            bool modified,
+            uint256 redeemTokens,
+            uint256 borrowAmount
+        )
+    {
+        for (uint256 i = 0; i < hypothetical.cTokens.length; i++) {
+            if (hypothetical.cTokens[i] == cToken) {
+                modified = true;
+                redeemTokens = add_(redeemTokens, hypothetical.redeemTokens[i]);
+                borrowAmount = add_(borrowAmount, hypothetical.borrowAmounts[i]);
+            }
+        }
+    }
+
     /**
      * @notice Check if a borrow is allowed
      * @param cToken The market to borrow from
@@ -341,9 +637,9 @@ contract SimplifiedComptroller is ExponentialNoError {
         }
 
         // Get oracle price
-        uint256 price = oraclePrices[cToken];
+        uint256 price = _getPrice(cToken);
         if (price == 0) {
-            return false; // No price set
+            return false; // Market frozen
         }
 
         // Calculate borrow value
@@ -365,13 +661,139 @@ contract SimplifiedComptroller is ExponentialNoError {
         return shortfall == 0;
     }
 
+    /**
+     * @notice Check if a withdraw (redeem) is allowed
+     * @param cToken The market to redeem from
+     * @param redeemer The account redeeming
+     * @param redeemTokens The number of cTokens to redeem
+     * @return true if allowed: `redeemer` does not use the market as collateral, or
+     *         stays out of shortfall without the redeemed cTokens
+     */
+    function redeemAllowed(
+        address cToken,
+        address redeemer,
+        uint256 redeemTokens
+    ) external view returns (bool) {
+        return _redeemAllowed(cToken, redeemer, redeemTokens);
+    }
+
+    /**
+     * @notice Check if a cToken transfer is allowed
+     * @dev Same check as a redeem of `transferTokens` by `src`
+     * @param cToken The market whose cTokens are transferred
+     * @param src The account sending the cTokens
+     * @param transferTokens The number of cTokens to transfer
+     * @return true if allowed: `src` does not use the market as collateral, or
+     *         stays out of shortfall without the transferred cTokens
+     */
+    function transferAllowed(
+        address cToken,
+        address src,
+        address, // dst: receiving cTokens never reduces liquidity
+        uint256 transferTokens
+    ) external view returns (bool) {
+        return _redeemAllowed(cToken, src, transferTokens);
+    }
+
+    /**
+     * @notice Check if an account can redeem and borrow in several markets at once
+     * @dev Same rules as redeemAllowed and borrowAllowed, with the changes to all
+     *      markets applied together. Markets without a change are skipped, so an
+     *      account is not held back by a frozen market it has no position in.
+     * @param account The account redeeming and borrowing
+     * @param cTokens The markets
+     * @param redeemTokens cTokens to redeem from each market
+     * @param borrowAmounts Underlying to borrow from each market
+     * @return true if allowed: the account stays out of shortfall (checked only if it
+     *         borrows, or redeems from a market it uses as collateral)
+     */
+    function redeemAndBorrowAllowed(
+        address account,
+        address[] calldata cTokens,
+        uint256[] calldata redeemTokens,
+        uint256[] calldata borrowAmounts
+    ) external view returns (bool) {
+        require(
+            cTokens.length == redeemTokens.length && cTokens.length == borrowAmounts.length,
+            "length mismatch"
+        );
+
+        uint256 count = 0;
+        bool reducesLiquidity = false;
+        for (uint256 i = 0; i < cTokens.length; i++) {
+            if (redeemTokens[i] == 0 && borrowAmounts[i] == 0) continue;
+
+            if (!marketExists[cTokens[i]]) {
+                return false;
+            }
+            if (borrowAmounts[i] > 0) {
+                if (_getPrice(cTokens[i]) == 0) {
+                    return false; // Market frozen
+                }
+                reducesLiquidity = true;
+            }
+            if (redeemTokens[i] > 0 && accountMembership[account][cTokens[i]]) {
+                reducesLiquidity = true;
+            }
+            count++;
+        }
+
+        // Only redeems of cTokens that are not collateral
+        if (!reducesLiquidity) {
+            return true;
+        }
+
+        Hypothetical memory hypothetical = _hypothetical(count);
+        count = 0;
+        for (uint256 i = 0; i < cTokens.length; i++) {
+            if (redeemTokens[i] == 0 && borrowAmounts[i] == 0) continue;
+
+            hypothetical.cTokens[count] = cTokens[i];
+            hypothetical.redeemTokens[count] = redeemTokens[i];
+            hypothetical.borrowAmounts[count] = borrowAmounts[i];
+            count++;
+        }
+
+        (uint256 err, , uint256 shortfall) = _getHypotheticalLiquidity(account, hypothetical, false);
+        if (err != 0) {
+            return false;
+        }
+
+        return shortfall == 0;
+    }
+
+    /**
+     * @notice Internal: whether `account` can give up `redeemTokens` cTokens of a market
+     */
+    function _redeemAllowed(
+        address cToken,
+        address account,
+        uint256 redeemTokens
+    ) internal view returns (bool) {
+        if (!marketExists[cToken]) {
+            return false;
+        }
+
+        // Not collateral: the cTokens don't count towards the account's liquidity
+        if (!accountMembership[account][cToken]) {
+            return true;
+        }
+
+        (uint256 err, , uint256 shortfall) = getHypotheticalAccountLiquidity(account, cToken, redeemTokens, 0);
+        if (err != 0) {
+            return false;
+        }
+
+        return shortfall == 0;
+    }
+
     /**
      * @notice Check if account is underwater (eligible for liquidation)
      * @param account The account to check
-     * @return true if underwater (shortfall > 0)
+     * @return true if underwater (shortfall against the liquidation thresholds > 0)
      */
     function isUnderwater(address account) external view returns (bool) {
-        (, , uint256 shortfall) = getAccountLiquidity(account);
+        (, , uint256 shortfall) = getLiquidationLiquidity(account);
         return shortfall > 0;
     }
 
@@ -389,8 +811,8 @@ contract SimplifiedComptroller is ExponentialNoError {
         uint256 repayAmount
     ) external view returns (uint256 error, uint256 seizeTokens) {
         // Get prices
-        uint256 priceBorrowed = oraclePrices[cTokenBorrowed];
-        uint256 priceCollateral = oraclePrices[cTokenCollateral];
+        uint256 priceBorrowed = _getPrice(cTokenBorrowed);
+        uint256 priceCollateral = _getPrice(cTokenCollateral);
 
         if (priceBorrowed == 0 || priceCollateral == 0) {
             return (1, 0); // Price error
@@ -423,9 +845,32 @@ contract SimplifiedComptroller is ExponentialNoError {
     /**
      * @notice Get price of underlying asset
      * @param cToken The CToken market
-     * @return Price scaled by 1e18
+     * @return Price of the smallest underlying unit (scaled by 1e18), 0 if the market is frozen
      */
     function getPrice(address cToken) external view returns (uint256) {
+        return _getPrice(cToken);
+    }
+
+    /**
+     * @notice Check if a listed market has no usable price
+     * @param cToken The CToken market
+     * @return true if frozen
+     */
+    function isMarketFrozen(address cToken) external view returns (bool) {
+        return marketExists[cToken] && _getPrice(cToken) == 0;
+    }
+
+    /**
+     * @notice Internal: oracle price of a market, or its admin price when the oracle
+     *         has no price source for it
+     * @dev A price the oracle rejects (stale, deviated) is never replaced by the admin
+     *      price: the market stays frozen until the oracle accepts a price again
+     * @return Price of the smallest underlying unit (scaled by 1e18), 0 if unavailable
+     */
+    function _getPrice(address cToken) internal view returns (uint256) {
+        if (address(oracle) != address(0) && oracle.hasPriceSource(ICToken(cToken))) {
+            return oracle.getUnderlyingPrice(ICToken(cToken));
+        }
         return oraclePrices[cToken];
     }
 }
@@ -1,5 +1,6 @@
 // SPDX-License-Identifier: GPL-2.0-or-later
 pragma solidity =0.7.6;
+pragma abicoder v2;
 
 import "./ILendingRequestStore.sol";
 
@@ -8,41 +9,123 @@ import "./ILendingRequestStore.sol";
  * @notice Interface for core lending operations with netting capabilities
  */
 interface ILendingCore {
+    /// @notice Operation types of queued requests
+    enum OpType {
+        Deposit,
+        Withdraw,
+        Borrow,
+        Repay,
+        Liquidation,
+        WithdrawUnderlying
+    }
+
+    /// @notice Final status of a request (Unknown = not processed yet, or no such request)
+    enum Status {
+        Unknown,
+        Settled,
+        Rejected
+    }
+
+    /**
+     * @notice What happened to a request, recorded when its batch is processed
+     * @member status Settled or Rejected
+     * @member opType Operation type
+     * @member user Address that queued the request (the liquidator for liquidations)
+     * @member market CToken market (the borrow market for liquidations)
+     * @member amount Requested amount (underlying, or cTokens for withdraws). Withdraws
+     *         queued in underlying or for the whole balance record the cTokens redeemed
+     * @member settled cTokens minted (deposit), underlying paid out (withdraw, borrow)
+     *         or underlying repaid (repay, liquidation)
+     * @member seized Collateral cTokens seized (liquidations only)
+     * @member refunded Escrowed underlying returned to the user
+     * @member reason Why the request was rejected (empty if settled)
+     */
+    struct Outcome {
+        Status status;
+        OpType opType;
+        address user;
+        address market;
+        uint256 amount;
+        uint256 settled;
+        uint256 seized;
+        uint256 refunded;
+        string reason;
+    }
+
+    /**
+     * @notice Reserves account liquidity for the withdraws and borrows of a batch
+     * @dev Called once per batch before the market jobs: judges each account's
+     *      requests across all markets together. Requests without a reservation
+     *      are rejected by their market job.
+     * @param markets Active markets of the batch
+     * @param withdrawStores Withdraw requests of each market
+     * @param borrowStores Borrow requests of each market
+     */
+    function reserveLiquidity(
+        address[] calldata markets,
+        ILendingRequestStore[] calldata withdrawStores,
+        ILendingRequestStore[] calldata borrowStores
+    ) external;
+
     /**
      * @notice Processes deposit and withdraw requests with netting
+     * @dev Requests that fail validation are skipped and refunded (RequestRejected)
      * @param depositStore Store containing deposit requests
      * @param withdrawStore Store containing withdraw requests
      * @param market Address of the CToken market
-     * @param netDeposit Net deposit amount after netting
-     * @param netWithdraw Net withdraw amount after netting
+     * @return netDeposit Deposit amount settled (underlying)
+     * @return netWithdraw Withdraw amount settled (cTokens)
      */
     function processSupplyOperations(
         ILendingRequestStore depositStore,
         ILendingRequestStore withdrawStore,
-        address market,
-        uint256 netDeposit,
-        uint256 netWithdraw
-    ) external;
+        address market
+    ) external returns (uint256 netDeposit, uint256 netWithdraw);
 
     /**
      * @notice Processes borrow and repay requests with netting
+     * @dev Requests that fail validation are skipped and refunded (RequestRejected)
      * @param borrowStore Store containing borrow requests
      * @param repayStore Store containing repay requests
      * @param market Address of the CToken market
-     * @param netBorrow Net borrow amount after netting
-     * @param netRepay Net repay amount after netting
+     * @return netBorrow Borrow amount settled
+     * @return netRepay Repay amount settled
      */
     function processBorrowOperations(
         ILendingRequestStore borrowStore,
         ILendingRequestStore repayStore,
-        address market,
-        uint256 netBorrow,
-        uint256 netRepay
-    ) external;
+        address market
+    ) external returns (uint256 netBorrow, uint256 netRepay);
+
+    /**
+     * @notice Settles queued liquidations of a market pair with netting
+     * @param liquidationStore Store containing liquidation requests
+     * @param cTokenBorrowed Market where debt is being repaid
+     * @param cTokenCollateral Market where collateral is being seized
+     * @return netRepay Total debt repaid
+     * @return netSeize Total cTokens seized
+     */
+    function processLiquidationOperations(
+        ILendingRequestStore liquidationStore,
+        address cTokenBorrowed,
+        address cTokenCollateral
+    ) external returns (uint256 netRepay, uint256 netSeize);
 
     /**
      * @notice Accrues interest for a market ONCE per block
      * @param market Address of the CToken market
      */
     function accrueInterestOnce(address market) external;
+
+    /**
+     * @notice Returns the outcome of a request
+     * @param pid Runtime.pid of the transaction that queued the request
+     * @param market Market of the request (the borrow market for liquidations)
+     * @param opType Operation type, as emitted by RequestQueued
+     */
+    function getOutcome(
+        bytes32 pid,
+        address market,
+        OpType opType
+    ) external view returns (Outcome memory);
 }
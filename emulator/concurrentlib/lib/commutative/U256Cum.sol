@@ -0,0 +1,65 @@
+// SPDX-License-Identifier: MIT
+pragma solidity =0.7.6;
+
+/**
+ * @title U256Cumulative
+ * @notice Bounded commutative counter (local emulation of concurrentlib's U256Cumulative)
+ * @dev On Arcology, parallel add/sub calls are merged after the generation and the
+ *      bounds are enforced on each delta. Here calls are sequential, so the bounds are
+ *      checked against the running value, which rejects the same deltas. As on
+ *      Arcology, a rejected delta is not applied and the call returns false: callers
+ *      must check the result.
+ */
+contract U256Cumulative {
+    uint256 private value;
+    uint256 private lower;
+    uint256 private upper;
+
+    constructor(uint256 min_, uint256 max_) {
+        require(min_ <= max_, "U256Cumulative: invalid bounds");
+        lower = min_;
+        upper = max_;
+        value = min_;
+    }
+
+    /**
+     * @notice Current accumulated value
+     */
+    function get() public view returns (uint256) {
+        return value;
+    }
+
+    /**
+     * @notice Lower bound the value can never go below
+     */
+    function min() public view returns (uint256) {
+        return lower;
+    }
+
+    /**
+     * @notice Upper bound the value can never exceed
+     */
+    function max() public view returns (uint256) {
+        return upper;
+    }
+
+    /**
+     * @notice Adds `delta`
+     * @return false, leaving the value unchanged, if the result would exceed the upper bound
+     */
+    function add(uint256 delta) public returns (bool) {
+        if (delta > upper - value) return false;
+        value += delta;
+        return true;
+    }
+
+    /**
+     * @notice Subtracts `delta`
+     * @return false, leaving the value unchanged, if the result would fall below the lower bound
+     */
+    function sub(uint256 delta) public returns (bool) {
+        if (delta > value - lower) return false;
+        value -= delta;
+        return true;
+    }
+}
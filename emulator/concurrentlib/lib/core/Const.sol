@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity =0.7.6;
+
+/**
+ * @title Const
+ * @notice Container type identifiers (local emulation of concurrentlib's Const)
+ * @dev The emulated containers keep everything in ordinary storage, so the type id
+ *      is only recorded for introspection and never changes behaviour
+ */
+library Const {
+    uint8 public constant U256_CUM = 103;
+    uint8 public constant ADDRESS = 109;
+    uint8 public constant BYTES = 107;
+}
@@ -0,0 +1,148 @@
+// SPDX-License-Identifier: MIT
+pragma solidity =0.7.6;
+
+/**
+ * @title Base
+ * @notice Storage-backed stand-in for concurrentlib's concurrent container base
+ * @dev Local emulation only. On Arcology the container lives in the concurrent
+ *      state layer and can be written by parallel transactions; here entries are
+ *      kept in plain storage and transactions run one after another, which gives
+ *      the same result as a conflict-free parallel run.
+ *
+ * Entries are addressed both by key and by insertion index. Indices are never
+ * reused within a generation, so `fullLength()` counts deleted slots as well and
+ * callers use `exists(idx)` to skip them, exactly as with the real container.
+ */
+contract Base {
+    struct Entry {
+        bytes key;
+        bytes value;
+        bool exists;
+    }
+
+    // Type id the container was created with (see Const)
+    uint8 public typeID;
+
+    // Transient containers are cleared between blocks on Arcology; recorded only
+    bool public isTransient;
+
+    // Entries of the current generation, in insertion order
+    Entry[] private entries;
+
+    // Position (index + 1) of each key, scoped by generation so clear() is O(1)
+    mapping(bytes32 => uint256) private positions;
+
+    // Bumped by clear() to invalidate all previous positions
+    uint256 private generation;
+
+    // Source of unique keys handed out by uuid()
+    uint256 private nonce;
+
+    constructor(uint8 typeID_, bool isTransient_) {
+        typeID = typeID_;
+        isTransient = isTransient_;
+    }
+
+    /**
+     * @notice Returns a key that has never been handed out by this container
+     */
+    function uuid() public returns (bytes memory) {
+        nonce += 1;
+        return abi.encodePacked(address(this), nonce);
+    }
+
+    /**
+     * @notice Total number of slots ever written in this generation (including deleted ones)
+     */
+    function fullLength() public view returns (uint256) {
+        return entries.length;
+    }
+
+    /**
+     * @notice Number of slots that currently hold a value
+     */
+    function nonNilCount() public view returns (uint256 count) {
+        for (uint256 i = 0; i < entries.length; i++) {
+            if (entries[i].exists) count++;
+        }
+    }
+
+    /**
+     * @notice Checks whether the slot at `idx` holds a value
+     */
+    function exists(uint256 idx) public view returns (bool) {
+        return idx < entries.length && entries[idx].exists;
+    }
+
+    /**
+     * @notice Removes every entry
+     */
+    function clear() public {
+        delete entries;
+        generation += 1;
+    }
+
+    /**
+     * @notice Inserts or overwrites the value stored under `key`
+     */
+    function _set(bytes memory key, bytes memory value) internal returns (bool) {
+        bytes32 slot = _slot(key);
+        uint256 position = positions[slot];
+
+        if (position == 0) {
+            entries.push(Entry({key: key, value: value, exists: true}));
+            positions[slot] = entries.length;
+        } else {
+            entries[position - 1].value = value;
+            entries[position - 1].exists = true;
+        }
+        return true;
+    }
+
+    /**
+     * @notice Reads the value at insertion index `idx`
+     * @return Whether the slot holds a value, and the value itself
+     */
+    function _get(uint256 idx) internal view returns (bool, bytes memory) {
+        if (!exists(idx)) {
+            return (false, "");
+        }
+        return (true, entries[idx].value);
+    }
+
+    /**
+     * @notice Reads the value stored under `key`
+     */
+    function _get(bytes memory key) internal view returns (bool, bytes memory) {
+        uint256 position = positions[_slot(key)];
+        if (position == 0) {
+            return (false, "");
+        }
+        return _get(position - 1);
+    }
+
+    /**
+     * @notice Reads the key of the slot at insertion index `idx`
+     */
+    function _key(uint256 idx) internal view returns (bytes memory) {
+        require(idx < entries.length, "Base: index out of range");
+        return entries[idx].key;
+    }
+
+    /**
+     * @notice Deletes the value stored under `key`, keeping its index reserved
+     */
+    function _del(bytes memory key) internal returns (bool) {
+        uint256 position = positions[_slot(key)];
+        if (position == 0 || !entries[position - 1].exists) {
+            return false;
+        }
+        delete entries[position - 1].value;
+        entries[position - 1].exists = false;
+        return true;
+    }
+
+    function _slot(bytes memory key) private view returns (bytes32) {
+        return keccak256(abi.encode(generation, key));
+    }
+}
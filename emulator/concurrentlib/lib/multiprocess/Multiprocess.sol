@@ -0,0 +1,90 @@
+// SPDX-License-Identifier: MIT
+pragma solidity =0.7.6;
+
+/**
+ * @title Multiprocess
+ * @notice Job runner (local emulation of concurrentlib's Multiprocess)
+ * @dev On Arcology the queued jobs run on `numProcessors` threads and a job that
+ *      reverts (or conflicts) is rolled back without affecting the others. Here the
+ *      jobs run one after another in insertion order with the same isolation: a
+ *      reverting job is discarded and the remaining jobs still run.
+ */
+contract Multiprocess {
+    struct Job {
+        uint64 gasLimit;
+        uint256 value;
+        address target;
+        bytes data;
+    }
+
+    /// @notice Emitted when a job reverts and its effects are discarded
+    event JobFailed(uint256 indexed index, address indexed target, bytes returnData);
+
+    /// @notice Number of threads the jobs would be spread over on Arcology
+    uint256 public numProcessors;
+
+    // Jobs queued since the last run
+    Job[] private jobs;
+
+    constructor(uint256 threads) {
+        numProcessors = threads;
+    }
+
+    receive() external payable {}
+
+    /**
+     * @notice Queues a call to `contractAddr` for the next run()
+     */
+    function addJob(
+        uint64 gaslimit,
+        uint256 ethVal,
+        address contractAddr,
+        bytes memory funcCall
+    ) public {
+        jobs.push(
+            Job({
+                gasLimit: gaslimit,
+                value: ethVal,
+                target: contractAddr,
+                data: funcCall
+            })
+        );
+    }
+
+    /**
+     * @notice Number of jobs waiting for the next run()
+     */
+    function length() public view returns (uint256) {
+        return jobs.length;
+    }
+
+    /**
+     * @notice Runs all queued jobs and clears the queue
+     */
+    function run() public {
+        uint256 count = jobs.length;
+
+        for (uint256 i = 0; i < count; i++) {
+            Job memory job = jobs[i];
+            uint256 gas = job.gasLimit < gasleft() ? job.gasLimit : gasleft();
+
+            (bool success, bytes memory returnData) = job.target.call{
+                gas: gas,
+                value: job.value
+            }(job.data);
+
+            if (!success) {
+                emit JobFailed(i, job.target, returnData);
+            }
+        }
+
+        delete jobs;
+    }
+
+    /**
+     * @notice Drops all queued jobs without running them
+     */
+    function clear() public {
+        delete jobs;
+    }
+}
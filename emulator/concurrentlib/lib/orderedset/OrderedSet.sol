@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity =0.7.6;
+
+import "../core/Primitive.sol";
+import "../core/Const.sol";
+
+/**
+ * @title BytesOrderedSet
+ * @notice Insertion-ordered set of byte strings (local emulation of concurrentlib's BytesOrderedSet)
+ */
+contract BytesOrderedSet is Base {
+    constructor(bool isTransient) Base(Const.BYTES, isTransient) {}
+
+    /**
+     * @notice Adds `elem` to the set (no-op if already present)
+     */
+    function set(bytes memory elem) public {
+        (bool found, ) = Base._get(elem);
+        if (!found) {
+            Base._set(elem, elem);
+        }
+    }
+
+    /**
+     * @notice Returns the element at insertion index `idx`
+     */
+    function get(uint256 idx) public view returns (bytes memory) {
+        (, bytes memory elem) = Base._get(idx);
+        return elem;
+    }
+
+    /**
+     * @notice Checks whether `elem` is in the set
+     */
+    function exists(bytes memory elem) public view returns (bool) {
+        (bool found, ) = Base._get(elem);
+        return found;
+    }
+
+    /**
+     * @notice Number of elements in the set
+     */
+    function Length() public view returns (uint256) {
+        return Base.fullLength();
+    }
+}
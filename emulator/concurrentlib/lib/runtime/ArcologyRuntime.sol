@@ -0,0 +1,86 @@
+// SPDX-License-Identifier: MIT
+pragma solidity =0.7.6;
+
+/**
+ * @title ArcologyRuntime
+ * @notice Stand-in for Arcology's runtime service, installed at Runtime.API on emulated networks
+ * @dev The emulator plugin writes this contract's runtime code to Runtime.API with
+ *      `hardhat_setCode`, so no constructor ever runs and all state starts at zero.
+ *
+ * Deferred execution:
+ * On Arcology the calls of a block to a contract's deferred functions run in
+ * parallel, and the deferred call runs after them, seeing every request they made.
+ * The emulator reproduces this with an announcement: before mining a batch, the
+ * frontend util writes the number of calls to deferred functions per contract into
+ * `batchSize` for the pending block. Each call to isInDeferred() counts itself and
+ * only the last announced call sees `true`, so it processes the whole batch, e.g.
+ * deposits and withdraws together. Calls that were never announced (a single
+ * transaction sent with automine) form a batch of one and are deferred.
+ *
+ * Storage layout is read by emulator/index.js - keep the slot order stable.
+ */
+contract ArcologyRuntime {
+    // slot 0: gas reserved by Runtime.defer, per contract and selector (0 = not deferred)
+    mapping(address => mapping(bytes4 => uint256)) public deferredGas;
+
+    // slot 1: announced number of deferred calls, keyed by _batchKey(block, contract)
+    mapping(bytes32 => uint256) public batchSize;
+
+    // slot 2: calls seen so far for the same key
+    mapping(bytes32 => uint256) public batchSeen;
+
+    // slot 3: source of the pids, one per transaction
+    uint256 public sequence;
+
+    /**
+     * @notice Registers `selector` of the calling contract for deferred execution
+     */
+    function defer(bytes4 selector, uint256 gas) external returns (bool) {
+        deferredGas[msg.sender][selector] = gas;
+        return true;
+    }
+
+    /**
+     * @notice Returns the id of the calling transaction, the same for every call it makes
+     * @dev As on Arcology, where the pid identifies the transaction: requests queued
+     *      by one transaction (e.g. through a contract) share it. A transaction's first
+     *      read of `sequence` is cold (EIP-2929, 2100 gas), later reads of the same
+     *      transaction are warm (100 gas); only pid() reads it.
+     */
+    function pid() external returns (bytes32) {
+        uint256 before = gasleft();
+        uint256 current = sequence;
+        if (before - gasleft() > 1000) {
+            current += 1;
+            sequence = current;
+        }
+        return keccak256(abi.encode(block.number, tx.origin, current));
+    }
+
+    /**
+     * @notice Whether the current call to `selector` is the deferred one of its batch
+     * @param selector Selector of the function being executed by the caller (msg.sig)
+     */
+    function isInDeferred(bytes4 selector) external returns (bool) {
+        if (deferredGas[msg.sender][selector] == 0) {
+            return false;
+        }
+
+        bytes32 key = _batchKey(block.number, msg.sender);
+        uint256 size = batchSize[key];
+        if (size == 0) {
+            return true;
+        }
+
+        uint256 seen = batchSeen[key] + 1;
+        batchSeen[key] = seen;
+        return seen == size;
+    }
+
+    function _batchKey(
+        uint256 blockNumber,
+        address target
+    ) internal pure returns (bytes32) {
+        return keccak256(abi.encode(blockNumber, target));
+    }
+}
@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity =0.7.6;
+
+import "./ArcologyRuntime.sol";
+
+/**
+ * @title Runtime
+ * @notice Local emulation of concurrentlib's Runtime library
+ * @dev Forwards to the ArcologyRuntime contract the emulator plugin installs at API.
+ *      Calls revert if the plugin is not active on the current network.
+ */
+library Runtime {
+    address internal constant API = address(0xa0);
+
+    /**
+     * @notice Registers a function of the calling contract for deferred execution
+     * @param signature Function signature, e.g. "queueDeposit(address,uint256)"
+     * @param gas Gas reserved for the deferred call
+     */
+    function defer(string memory signature, uint256 gas) internal returns (bool) {
+        return
+            ArcologyRuntime(API).defer(bytes4(keccak256(bytes(signature))), gas);
+    }
+
+    /**
+     * @notice Unique id of the current request, ABI-encoded as bytes32
+     */
+    function pid() internal returns (bytes memory) {
+        return abi.encode(ArcologyRuntime(API).pid());
+    }
+
+    /**
+     * @notice Whether the current call is the deferred call of its batch
+     */
+    function isInDeferred() internal returns (bool) {
+        return ArcologyRuntime(API).isInDeferred(msg.sig);
+    }
+}
@@ -0,0 +1,14 @@
+// Address the ArcologyRuntime stand-in is installed at (Runtime.API in the emulated Runtime.sol)
+const RUNTIME_ADDRESS = "0x00000000000000000000000000000000000000a0";
+
+// Storage slot of ArcologyRuntime.batchSize
+const RUNTIME_BATCH_SIZE_SLOT = 1;
+
+// Default gas limit given to every transaction of an emulated batch
+const BATCH_TX_GAS = 500000000;
+
+module.exports = {
+  RUNTIME_ADDRESS,
+  RUNTIME_BATCH_SIZE_SLOT,
+  BATCH_TX_GAS,
+};
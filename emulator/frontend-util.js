@@ -0,0 +1,132 @@
+const hre = require("hardhat");
+const { ethers } = require("ethers");
+const { RUNTIME_ADDRESS, RUNTIME_BATCH_SIZE_SLOT } = require("./constants");
+
+/**
+ * Drop-in replacement for `@arcologynetwork/frontend-util/utils/util`
+ *
+ * On Arcology networks both helpers delegate to the real frontend util. On
+ * emulated networks (see emulator/index.js) a batch is reproduced locally:
+ *
+ *   generateTx(fn, ...args)   - records the call, nothing is sent yet
+ *   waitingTxs(txs)           - sends every recorded call with automine off,
+ *                               announces the batch to ArcologyRuntime, mines a
+ *                               single block and resolves with the receipts
+ *
+ * Within the block, the last call to a deferred function of each contract (e.g.
+ * the last of the queueDeposit/queueWithdraw calls to LendingEngine) sees
+ * `Runtime.isInDeferred() == true` and triggers LendingEngine._processBatch
+ * with every request of the batch, just like the deferred call on Arcology.
+ *
+ * Only transactions sent to a deferred function are counted. A transaction
+ * reaching deferred functions through another contract (e.g. a multicall) sets
+ * `deferredCalls` on its generateTx record, the number of calls it makes per
+ * contract: `{ ...generateTx(fn), deferredCalls: { [lendingEngine.address]: 2 } }`.
+ */
+
+function isEmulated() {
+  return Boolean(hre.network.config.arcologyEmulation);
+}
+
+function frontendUtil() {
+  return require("@arcologynetwork/frontend-util/utils/util");
+}
+
+/**
+ * Records a transaction for the next waitingTxs call
+ * @param fn Function receiving `args` as an array and returning a sent transaction
+ * @param args Arguments passed to `fn`
+ */
+function generateTx(fn, ...args) {
+  if (!isEmulated()) {
+    return frontendUtil().generateTx(fn, ...args);
+  }
+  return { fn, args };
+}
+
+/**
+ * Sends a batch of transactions so they land in one block
+ * @param txs Transactions created with generateTx
+ * @returns Receipts in the same order as `txs`
+ */
+async function waitingTxs(txs) {
+  if (!isEmulated()) {
+    return frontendUtil().waitingTxs(txs);
+  }
+
+  const provider = hre.network.provider;
+  const sent = [];
+
+  await provider.request({ method: "evm_setAutomine", params: [false] });
+  await provider.request({ method: "arcology_beginBatch" });
+  try {
+    for (const { fn, args } of txs) {
+      sent.push(await fn(args));
+    }
+    await announceBatch(sent, txs);
+  } finally {
+    if (sent.length > 0) {
+      await provider.request({ method: "evm_mine" });
+    }
+    await provider.request({ method: "arcology_endBatch" });
+    await provider.request({ method: "evm_setAutomine", params: [true] });
+  }
+
+  return Promise.all(sent.map((tx) => tx.wait()));
+}
+
+/**
+ * Writes the number of calls to deferred functions per contract into
+ * ArcologyRuntime.batchSize for the pending block, so the last of them is the
+ * deferred one
+ * @param sent Sent transactions
+ * @param txs Their generateTx records, with the `deferredCalls` they declare
+ */
+async function announceBatch(sent, txs) {
+  const provider = hre.network.provider;
+  const latest = await provider.request({ method: "eth_blockNumber" });
+  const pendingBlock = ethers.BigNumber.from(latest).add(1);
+  const coder = ethers.utils.defaultAbiCoder;
+  const runtime = new ethers.Contract(
+    RUNTIME_ADDRESS,
+    ["function deferredGas(address, bytes4) view returns (uint256)"],
+    new ethers.providers.Web3Provider(provider)
+  );
+
+  const counts = new Map();
+  for (const { deferredCalls = {} } of txs) {
+    for (const [target, calls] of Object.entries(deferredCalls)) {
+      counts.set(target.toLowerCase(), (counts.get(target.toLowerCase()) || 0) + calls);
+    }
+  }
+  for (const tx of sent) {
+    if (!tx.to || !tx.data || tx.data.length < 10) continue;
+    const target = tx.to.toLowerCase();
+    const deferredGas = await runtime.deferredGas(target, tx.data.slice(0, 10));
+    if (deferredGas.isZero()) continue;
+    counts.set(target, (counts.get(target) || 0) + 1);
+  }
+
+  for (const [target, count] of counts) {
+    const key = ethers.utils.keccak256(
+      coder.encode(["uint256", "address"], [pendingBlock, target])
+    );
+    const slot = ethers.utils.keccak256(
+      coder.encode(["bytes32", "uint256"], [key, RUNTIME_BATCH_SIZE_SLOT])
+    );
+
+    await provider.request({
+      method: "hardhat_setStorageAt",
+      params: [
+        RUNTIME_ADDRESS,
+        ethers.utils.hexStripZeros(slot),
+        ethers.utils.hexZeroPad(ethers.utils.hexlify(count), 32),
+      ],
+    });
+  }
+}
+
+module.exports = {
+  generateTx,
+  waitingTxs,
+};
@@ -0,0 +1,136 @@
+const path = require("path");
+const {
+  extendConfig,
+  extendEnvironment,
+  extendProvider,
+  subtask,
+} = require("hardhat/config");
+const { ProviderWrapper } = require("hardhat/plugins");
+const { TASK_COMPILE_GET_REMAPPINGS } = require("hardhat/builtin-tasks/task-names");
+const { RUNTIME_ADDRESS, BATCH_TX_GAS } = require("./constants");
+
+/**
+ * Arcology emulation plugin
+ *
+ * Lets the protocol run on the in-process Hardhat network (and on any network
+ * with `arcologyEmulation: true`) without an Arcology node:
+ *
+ * - Compilation: `@arcologynetwork/concurrentlib/` is remapped to the storage-
+ *   backed stand-ins in `emulator/concurrentlib/`. Emulated builds use their own
+ *   artifacts and cache directories so they never mix with real Arcology builds.
+ * - Runtime: the ArcologyRuntime contract is installed at the Runtime API address
+ *   on the first request, so Runtime.defer/pid/isInDeferred work as on Arcology.
+ * - Batches: `arcology_beginBatch`/`arcology_endBatch` bracket a batch sent by
+ *   emulator/frontend-util. Inside a batch, every transaction gets a fixed gas
+ *   limit because the deferred call's cost cannot be known before the batch is
+ *   mined.
+ */
+
+extendConfig((config, userConfig) => {
+  const userNetworks = userConfig.networks || {};
+
+  for (const [name, network] of Object.entries(config.networks)) {
+    const userNetwork = userNetworks[name] || {};
+    network.arcologyEmulation =
+      userNetwork.arcologyEmulation !== undefined
+        ? userNetwork.arcologyEmulation
+        : name === "hardhat";
+    network.arcologyBatchTxGas = userNetwork.arcologyBatchTxGas || BATCH_TX_GAS;
+
+    // hardhat-ethers copies a fixed `gas` into the ABI of every contract, and
+    // transactions signed locally (ethers Wallets) are sent with that limit
+    // instead of the batch one. The block gas limit default would let a single
+    // such transaction fill the whole block.
+    if (network.arcologyEmulation && userNetwork.gas === undefined) {
+      network.gas = network.arcologyBatchTxGas;
+    }
+  }
+});
+
+extendEnvironment((hre) => {
+  if (!hre.network.config.arcologyEmulation) return;
+
+  const { Artifacts } = require("hardhat/internal/artifacts");
+  hre.config.paths.artifacts = `${hre.config.paths.artifacts}-emulated`;
+  hre.config.paths.cache = `${hre.config.paths.cache}-emulated`;
+  hre.artifacts = new Artifacts(hre.config.paths.artifacts);
+});
+
+subtask(TASK_COMPILE_GET_REMAPPINGS).setAction(async (args, hre, runSuper) => {
+  const remappings = await runSuper(args);
+  if (!hre.network.config.arcologyEmulation) return remappings;
+
+  const emulated = path.relative(
+    hre.config.paths.root,
+    path.join(__dirname, "concurrentlib")
+  );
+  return {
+    ...remappings,
+    "@arcologynetwork/concurrentlib/": `${emulated.split(path.sep).join("/")}/`,
+  };
+});
+
+extendProvider(async (provider, config, network) => {
+  if (!config.networks[network].arcologyEmulation) return provider;
+  return new ArcologyEmulationProvider(
+    provider,
+    config.networks[network].arcologyBatchTxGas
+  );
+});
+
+class ArcologyEmulationProvider extends ProviderWrapper {
+  constructor(provider, batchTxGas) {
+    super(provider);
+    this._batchTxGas = batchTxGas;
+    this._batching = false;
+    this._installed = false;
+  }
+
+  async request(args) {
+    switch (args.method) {
+      case "arcology_beginBatch":
+        this._batching = true;
+        return true;
+      case "arcology_endBatch":
+        this._batching = false;
+        return true;
+      case "hardhat_reset":
+        this._installed = false;
+        return this._wrappedProvider.request(args);
+    }
+
+    await this._installRuntime();
+
+    if (this._batching) {
+      const gas = `0x${this._batchTxGas.toString(16)}`;
+      if (args.method === "eth_estimateGas") return gas;
+      if (args.method === "eth_sendTransaction") {
+        // Limits filled in upstream default to the block gas limit, which
+        // would let a single transaction fill the whole block
+        const [tx, ...rest] = args.params;
+        return this._wrappedProvider.request({
+          method: args.method,
+          params: [{ ...tx, gas }, ...rest],
+        });
+      }
+    }
+
+    return this._wrappedProvider.request(args);
+  }
+
+  async _installRuntime() {
+    if (this._installed) return;
+
+    const hre = require("hardhat");
+    if (!(await hre.artifacts.artifactExists("ArcologyRuntime"))) {
+      return; // Not compiled yet; retried on the next request
+    }
+
+    const { deployedBytecode } = await hre.artifacts.readArtifact("ArcologyRuntime");
+    this._installed = true;
+    await this._wrappedProvider.request({
+      method: "hardhat_setCode",
+      params: [RUNTIME_ADDRESS, deployedBytecode],
+    });
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * Resolves what happened to the requests queued by a transaction
+ *
+ * Queue functions only escrow a request; it is settled (or rejected) later by
+ * the deferred call of the batch. LendingEngine emits RequestQueued with the
+ * request's Runtime.pid, and LendingCore emits RequestProcessed with the same
+ * pid once the batch has run, so a queue receipt can be matched to its outcome.
+ * Every request of a transaction shares its pid, so the market and operation
+ * select among them.
+ * Works on Arcology networks and on emulated ones alike.
+ *
+ *   const [settlement] = await resolveSettlement(receipt, { lendingEngine, lendingCore });
+ *   settlement.status   // "settled", "rejected" or "pending"
+ */
+
+const OP_TYPES = ["deposit", "withdraw", "borrow", "repay", "liquidation", "withdrawUnderlying"];
+const STATUSES = ["unknown", "settled", "rejected"];
+
+/**
+ * Decodes the RequestQueued events of a receipt
+ * @param receipt Receipt of a queue transaction
+ * @param lendingEngine LendingEngine contract
+ * @returns Event args in emission order
+ */
+function queuedRequests(receipt, lendingEngine) {
+  const queued = [];
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== lendingEngine.address.toLowerCase()) continue;
+
+    let parsed;
+    try {
+      parsed = lendingEngine.interface.parseLog(log);
+    } catch (e) {
+      continue; // Not an event of LendingEngine's ABI
+    }
+    if (parsed.name === "RequestQueued") queued.push(parsed.args);
+  }
+  return queued;
+}
+
+/**
+ * Resolves the final settlement of every request queued by a transaction
+ * @param receipt Receipt of a queue transaction (queueDeposit, queueLiquidation, ...)
+ * @param contracts `{ lendingEngine, lendingCore }` ethers contracts
+ * @returns One settlement per queued request:
+ *   { pid, opType, user, market, amount, status, settled, seized, refunded, reason,
+ *     settlementTx }. Amounts are BigNumbers; until the batch has been processed
+ *   `status` is "pending" and only the request fields are set.
+ */
+async function resolveSettlement(receipt, { lendingEngine, lendingCore }) {
+  const queued = queuedRequests(receipt, lendingEngine);
+
+  return Promise.all(
+    queued.map(async (request) => {
+      const settlement = {
+        pid: request.pid,
+        opType: OP_TYPES[request.opType],
+        user: request.user,
+        market: request.market,
+        amount: request.amount,
+        status: "pending",
+      };
+
+      // The batch is processed in the block of its requests or later
+      const processed = (
+        await lendingCore.queryFilter(
+          lendingCore.filters.RequestProcessed(request.pid, null, request.market),
+          receipt.blockNumber
+        )
+      ).find(({ args }) => args.opType === request.opType);
+      if (!processed) return settlement;
+
+      return {
+        ...settlement,
+        status: STATUSES[processed.args.status],
+        settled: processed.args.settled,
+        seized: processed.args.seized,
+        refunded: processed.args.refunded,
+        reason: processed.args.reason,
+        settlementTx: processed.transactionHash,
+      };
+    })
+  );
+}
+
+module.exports = {
+  OP_TYPES,
+  STATUSES,
+  queuedRequests,
+  resolveSettlement,
+};
@@ -1,5 +1,7 @@
 require("@nomiclabs/hardhat-waffle");
 require("@nomiclabs/hardhat-ethers");
+require("./emulator");
+require("./tasks/paralend");
 
 const nets = require("./network.json");
 
@@ -20,7 +22,16 @@ module.exports = {
       },
     ],
   },
-  networks: nets,
+  networks: {
+    // In-process network with the Arcology runtime emulated (see emulator/)
+    hardhat: {
+      arcologyEmulation: true,
+      blockGasLimit: 10000000000000,
+      // Benchmark wallets are funded from the first account (see test/benchmark-wallets.js)
+      accounts: { accountsBalance: "1000000000000000000000000000" },
+    },
+    ...nets,
+  },
   paths: {
     sources: "./contracts",
     tests: "./test",
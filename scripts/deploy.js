@@ -0,0 +1,470 @@
+const fs = require("fs");
+const path = require("path");
+const { BLOCKS_PER_YEAR, deploymentConfig, ratesPerBlock, priceMantissa } = require("../config/deploy");
+const { MARKETS, LIQUIDATION, applyRiskParameters, applyLiquidationParameters } = require("../config/markets");
+
+/**
+ * Paralend Deploy Script
+ *
+ * Deploys the protocol described by config/deploy.js (LendingEngine,
+ * LendingCore, SimplifiedComptroller, one interest rate model per rate model,
+ * one CToken per market plus a MockERC20 for markets without an underlying),
+ * wires it together, verifies the wiring and records every address in
+ * deployments/<network>.json.
+ *
+ * Deploying is idempotent: contracts recorded in the manifest (and still
+ * holding code) are reused, and every wiring step first reads the current
+ * state, so re-running only deploys and sends what is missing, e.g. a market
+ * added to the config. Changed rates of a JumpRateModel are updated in place;
+ * a rate model changing type or blocks per year is deployed again and its
+ * markets are switched to it. The signer must be the admin of the deployed contracts.
+ *
+ *   pnpm hardhat run scripts/deploy.js --network arcology
+ *
+ * Environment:
+ *   DEPLOY_MANIFEST_DIR  Directory of the manifests (default deployments/), also
+ *                        read by the other scripts and the paralend:* tasks
+ *
+ * Tests, the benchmark and the other scripts load the manifest with
+ * readManifest/loadDeployment instead of redeploying. The in-process hardhat
+ * network starts empty on every run, so no manifest is written for it.
+ */
+
+const MANIFEST_DIR = path.join(__dirname, "..", "deployments");
+
+const MOCK_ERC20 = "contracts/CompoundV2/test/MockERC20.sol:MockERC20";
+
+// Contract and yearly constructor rates of each rate model type (blocks per year follow)
+const RATE_MODEL_CONTRACTS = {
+  jump: { name: "JumpRateModel", rates: ["baseRate", "multiplier", "jumpMultiplier", "kink"] },
+  whitePaper: { name: "WhitePaperInterestRateModel", rates: ["baseRate", "multiplier"] },
+};
+
+/**
+ * Contract of a rate model of the config
+ * @returns `{ type, name, args }`, args of its constructor for `blocksPerYear`
+ */
+function rateModelContract(ethers, params, blocksPerYear) {
+  const type = params.type || "jump";
+  const contract = RATE_MODEL_CONTRACTS[type];
+  if (!contract) {
+    throw new Error(`Unknown rate model type "${type}"`);
+  }
+  return {
+    type,
+    name: contract.name,
+    args: [...contract.rates.map((rate) => ethers.utils.parseEther(params[rate])), blocksPerYear],
+  };
+}
+
+/**
+ * Rates of a deployed rate model that differ from `expected` (see ratesPerBlock)
+ * @returns `[getter, actual, expected]` per mismatch
+ */
+async function rateMismatches(model, expected) {
+  const mismatches = [];
+  for (const [getter, value] of Object.entries(expected)) {
+    const actual = await model[getter]();
+    if (!actual.eq(value)) mismatches.push([getter, actual, value]);
+  }
+  return mismatches;
+}
+
+/**
+ * Directory of the manifests: DEPLOY_MANIFEST_DIR, or deployments/
+ */
+function manifestDir() {
+  return process.env.DEPLOY_MANIFEST_DIR || MANIFEST_DIR;
+}
+
+/**
+ * Path of the manifest of a network
+ */
+function manifestPath(network, dir = manifestDir()) {
+  return path.join(dir, `${network}.json`);
+}
+
+/**
+ * Reads the manifest of a network
+ * @returns The manifest, null if the network has none
+ */
+function readManifest(network, dir = manifestDir()) {
+  const file = manifestPath(network, dir);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Writes a manifest to `<dir>/<manifest.network>.json`
+ * @returns Path of the written file
+ */
+function writeManifest(manifest, dir = manifestDir()) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = manifestPath(manifest.network, dir);
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * Whether the chain of a network disappears with the process (no manifest is kept)
+ */
+function isEphemeral(network) {
+  return network === "hardhat";
+}
+
+/**
+ * Deploys and wires the protocol, reusing the contracts of `manifest`
+ * @param config Deployment configuration (see config/deploy.js)
+ * @param options `{ manifest, network, log }`: manifest of an earlier run, network
+ *        name recorded in the new manifest, progress callback
+ * @returns The contracts (same shape as loadDeployment), the updated `manifest`
+ *          and `changes`, one line per contract deployed or transaction sent
+ * @throws If the wiring does not match the config afterwards (see verifyDeployment)
+ */
+async function deployProtocol(ethers, config, { manifest = null, network = "hardhat", log = () => {} } = {}) {
+  const [deployer] = await ethers.getSigners();
+  const previous = manifest || { contracts: {}, rateModels: {}, rateModelTypes: {}, markets: {} };
+  const previousTypes = previous.rateModelTypes || {};
+  const changes = [];
+  const note = (change) => {
+    changes.push(change);
+    log(change);
+  };
+
+  const deployOrAttach = async (name, address, args, label = name) => {
+    if (address && (await ethers.provider.getCode(address)) !== "0x") {
+      return ethers.getContractAt(name, address);
+    }
+    const contract = await (await ethers.getContractFactory(name)).deploy(...args);
+    await contract.deployed();
+    note(`Deployed ${label} at ${contract.address}`);
+    return contract;
+  };
+
+  const send = async (description, tx) => {
+    await (await tx).wait();
+    note(description);
+  };
+
+  // Contracts
+  const lendingEngine = await deployOrAttach("LendingEngine", previous.contracts.LendingEngine, []);
+  const lendingCore = await deployOrAttach("LendingCore", previous.contracts.LendingCore, [lendingEngine.address]);
+  const comptroller = await deployOrAttach("SimplifiedComptroller", previous.contracts.SimplifiedComptroller, []);
+
+  const blocksPerYear = config.blocksPerYear || BLOCKS_PER_YEAR;
+  const interestRateModels = {};
+  const interestRateModelTypes = {};
+  for (const [name, params] of Object.entries(config.rateModels)) {
+    const { type, name: contract, args } = rateModelContract(ethers, params, blocksPerYear);
+    const label = `${contract} "${name}"`;
+
+    // Neither the type nor the blocks per year of a deployed model can change
+    const recorded = (previousTypes[name] || "jump") === type ? previous.rateModels[name] : null;
+    let model = await deployOrAttach(contract, recorded, args, label);
+    if (!(await model.blocksPerYear()).eq(blocksPerYear)) {
+      model = await deployOrAttach(contract, null, args, label);
+    }
+
+    // Wired first, so the update below accrues the markets using the model
+    if (type === "jump" && (await model.comptroller()) === ethers.constants.AddressZero) {
+      await send(`${label} setComptroller`, model.setComptroller(comptroller.address));
+    }
+    if (type === "jump" && (await rateMismatches(model, ratesPerBlock(params, blocksPerYear))).length > 0) {
+      await send(`${label} updateJumpRateModel`, model.updateJumpRateModel(...args.slice(0, -1)));
+    }
+
+    interestRateModels[name] = model;
+    interestRateModelTypes[name] = type;
+  }
+
+  const markets = [];
+  for (const market of config.markets) {
+    const recorded = previous.markets[market.symbol] || {};
+    const interestRateModel = interestRateModels[market.rateModel];
+    if (!interestRateModel) {
+      throw new Error(`Market ${market.symbol} uses unknown rate model "${market.rateModel}"`);
+    }
+
+    const token = market.underlying
+      ? await ethers.getContractAt(MOCK_ERC20, market.underlying)
+      : await deployOrAttach(MOCK_ERC20, recorded.underlying, [market.name, market.symbol, market.decimals], `MockERC20 ${market.symbol}`);
+    const cToken = await deployOrAttach(
+      "CToken",
+      recorded.cToken,
+      [token.address, comptroller.address, interestRateModel.address, `Paralend ${market.symbol}`, `p${market.symbol}`],
+      `CToken p${market.symbol}`
+    );
+
+    markets.push({ symbol: market.symbol, token, cToken, interestRateModel });
+  }
+
+  // Wiring
+  if ((await lendingEngine.lendingCore()) === ethers.constants.AddressZero) {
+    await send("LendingEngine.init", lendingEngine.init(lendingCore.address));
+  }
+  if ((await lendingCore.comptroller()) === ethers.constants.AddressZero) {
+    await send("LendingCore.setComptroller", lendingCore.setComptroller(comptroller.address));
+  }
+  if ((await lendingEngine.comptroller()) === ethers.constants.AddressZero) {
+    await send("LendingEngine.setComptroller", lendingEngine.setComptroller(comptroller.address));
+  }
+
+  const liquidation = config.liquidation || LIQUIDATION;
+  if (
+    !(await comptroller.closeFactorMantissa()).eq(ethers.utils.parseEther(liquidation.closeFactor)) ||
+    !(await comptroller.liquidationIncentiveMantissa()).eq(ethers.utils.parseEther(liquidation.liquidationIncentive))
+  ) {
+    await applyLiquidationParameters(comptroller, liquidation);
+    note("Applied liquidation parameters");
+  }
+
+  for (const [index, { symbol, token, cToken, interestRateModel }] of markets.entries()) {
+    const market = config.markets[index];
+
+    if (!(await lendingEngine.isMarketInitialized(cToken.address))) {
+      await send(`LendingEngine.initMarket ${symbol}`, lendingEngine.initMarket(cToken.address));
+    }
+    if ((await cToken.lendingCore()) === ethers.constants.AddressZero) {
+      await send(`CToken.setLendingCore ${symbol}`, cToken.setLendingCore(lendingCore.address));
+    }
+    if (!(await comptroller.marketExists(cToken.address))) {
+      await send(`SimplifiedComptroller.supportMarket ${symbol}`, comptroller.supportMarket(cToken.address));
+    }
+    if ((await cToken.interestRateModel()) !== interestRateModel.address) {
+      await send(`CToken._setInterestRateModel ${symbol}`, cToken._setInterestRateModel(interestRateModel.address));
+    }
+
+    const risk = riskParameters(market);
+    if (risk && !(await riskParametersMatch(ethers, comptroller, cToken.address, risk))) {
+      await applyRiskParameters(comptroller, cToken.address, symbol, { [symbol]: risk });
+      note(`Applied risk parameters ${symbol}`);
+    }
+
+    const decimals = market.underlying ? await token.decimals() : market.decimals;
+    let capsChanged = false;
+    for (const [key, getter, setter] of [
+      ["supplyCap", "supplyCaps", "setSupplyCap"],
+      ["borrowCap", "borrowCaps", "setBorrowCap"],
+    ]) {
+      const cap = ethers.utils.parseUnits(market[key] || "0", decimals);
+      if (!(await comptroller[getter](cToken.address)).eq(cap)) {
+        await send(`SimplifiedComptroller.${setter} ${symbol}`, comptroller[setter](cToken.address, cap));
+        capsChanged = true;
+      }
+    }
+    if (capsChanged) {
+      await send(`LendingEngine.syncCaps ${symbol}`, lendingEngine.syncCaps(cToken.address));
+    }
+
+    if (market.price) {
+      const price = priceMantissa(market.price, decimals);
+      if (!(await comptroller.oraclePrices(cToken.address)).eq(price)) {
+        await send(`SimplifiedComptroller.setPrice ${symbol}`, comptroller.setPrice(cToken.address, price));
+      }
+    }
+  }
+
+  const deployment = { lendingEngine, lendingCore, comptroller, interestRateModels, markets };
+  const problems = await verifyDeployment(ethers, deployment, config);
+  if (problems.length > 0) {
+    throw new Error(`Deployment verification failed:\n  - ${problems.join("\n  - ")}`);
+  }
+
+  const { chainId } = await ethers.provider.getNetwork();
+  const updated = {
+    network,
+    chainId,
+    deployer: deployer.address,
+    contracts: {
+      ...previous.contracts,
+      LendingEngine: lendingEngine.address,
+      LendingCore: lendingCore.address,
+      SimplifiedComptroller: comptroller.address,
+    },
+    rateModels: { ...previous.rateModels },
+    rateModelTypes: { ...previousTypes },
+    markets: { ...previous.markets },
+  };
+  for (const [name, model] of Object.entries(interestRateModels)) {
+    updated.rateModels[name] = model.address;
+    updated.rateModelTypes[name] = interestRateModelTypes[name];
+  }
+  for (const [index, { symbol, token, cToken }] of markets.entries()) {
+    updated.markets[symbol] = {
+      underlying: token.address,
+      cToken: cToken.address,
+      rateModel: config.markets[index].rateModel,
+    };
+  }
+
+  return { ...deployment, manifest: updated, changes };
+}
+
+/**
+ * Risk parameters of a market: its overrides of config/markets.js
+ * @returns `{ collateralFactor, liquidationThreshold }`, null to keep the listing defaults
+ */
+function riskParameters(market) {
+  const defaults = MARKETS[market.symbol];
+  const collateralFactor = market.collateralFactor || (defaults && defaults.collateralFactor);
+  const liquidationThreshold = market.liquidationThreshold || (defaults && defaults.liquidationThreshold);
+  if (!collateralFactor || !liquidationThreshold) return null;
+
+  return { collateralFactor, liquidationThreshold };
+}
+
+async function riskParametersMatch(ethers, comptroller, cToken, risk) {
+  return (
+    (await comptroller.collateralFactorMantissa(cToken)).eq(ethers.utils.parseEther(risk.collateralFactor)) &&
+    (await comptroller.liquidationThresholdMantissa(cToken)).eq(ethers.utils.parseEther(risk.liquidationThreshold))
+  );
+}
+
+/**
+ * Checks that the deployed contracts are wired together as `config` describes
+ * @param deployment Contracts, as returned by deployProtocol or loadDeployment
+ * @returns One line per mismatch, empty if the deployment is consistent
+ */
+async function verifyDeployment(ethers, deployment, config) {
+  const { lendingEngine, lendingCore, comptroller, interestRateModels, markets } = deployment;
+  const problems = [];
+  const expectEqual = (what, actual, expected) => {
+    if (actual.toString().toLowerCase() !== expected.toString().toLowerCase()) {
+      problems.push(`${what} is ${actual}, expected ${expected}`);
+    }
+  };
+
+  expectEqual("LendingEngine.lendingCore", await lendingEngine.lendingCore(), lendingCore.address);
+  expectEqual("LendingEngine.comptroller", await lendingEngine.comptroller(), comptroller.address);
+  expectEqual("LendingCore.lendingEngine", await lendingCore.lendingEngine(), lendingEngine.address);
+  expectEqual("LendingCore.comptroller", await lendingCore.comptroller(), comptroller.address);
+
+  const blocksPerYear = config.blocksPerYear || BLOCKS_PER_YEAR;
+  for (const [name, params] of Object.entries(config.rateModels)) {
+    const model = interestRateModels[name];
+    const label = `${rateModelContract(ethers, params, blocksPerYear).name} "${name}"`;
+    expectEqual(`${label} blocksPerYear`, await model.blocksPerYear(), blocksPerYear);
+    if ((params.type || "jump") === "jump") {
+      expectEqual(`${label} comptroller`, await model.comptroller(), comptroller.address);
+    }
+    for (const [getter, actual, expected] of await rateMismatches(model, ratesPerBlock(params, blocksPerYear))) {
+      expectEqual(`${label} ${getter}`, actual, expected);
+    }
+  }
+
+  for (const market of config.markets) {
+    const deployed = markets.find(({ symbol }) => symbol === market.symbol);
+    if (!deployed) {
+      problems.push(`market ${market.symbol} is not deployed`);
+      continue;
+    }
+    const { token, cToken } = deployed;
+    const label = `CToken p${market.symbol}`;
+
+    expectEqual(`${label} lendingCore`, await cToken.lendingCore(), lendingCore.address);
+    expectEqual(`${label} comptroller`, await cToken.comptroller(), comptroller.address);
+    expectEqual(`${label} underlying`, await cToken.underlying(), market.underlying || token.address);
+    expectEqual(
+      `${label} interestRateModel`,
+      await cToken.interestRateModel(),
+      interestRateModels[market.rateModel].address
+    );
+    expectEqual(`${label} listed`, await comptroller.marketExists(cToken.address), true);
+    expectEqual(`${label} initialized`, await lendingEngine.isMarketInitialized(cToken.address), true);
+
+    const risk = riskParameters(market);
+    if (risk && !(await riskParametersMatch(ethers, comptroller, cToken.address, risk))) {
+      problems.push(`${label} risk parameters differ from the config`);
+    }
+    if (market.price) {
+      const price = priceMantissa(market.price, await token.decimals());
+      expectEqual(`${label} price`, await comptroller.oraclePrices(cToken.address), price);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Attaches to the contracts recorded in a manifest
+ * @returns `{ lendingEngine, lendingCore, comptroller, interestRateModels, markets }`,
+ *          markets as `{ symbol, token, cToken, interestRateModel }` in manifest order
+ */
+async function loadDeployment(ethers, manifest) {
+  const types = manifest.rateModelTypes || {};
+  const interestRateModels = {};
+  for (const [name, address] of Object.entries(manifest.rateModels)) {
+    interestRateModels[name] = await ethers.getContractAt(RATE_MODEL_CONTRACTS[types[name] || "jump"].name, address);
+  }
+
+  const markets = [];
+  for (const [symbol, market] of Object.entries(manifest.markets)) {
+    markets.push({
+      symbol,
+      token: await ethers.getContractAt(MOCK_ERC20, market.underlying),
+      cToken: await ethers.getContractAt("CToken", market.cToken),
+      interestRateModel: interestRateModels[market.rateModel],
+    });
+  }
+
+  return {
+    lendingEngine: await ethers.getContractAt("LendingEngine", manifest.contracts.LendingEngine),
+    lendingCore: await ethers.getContractAt("LendingCore", manifest.contracts.LendingCore),
+    comptroller: await ethers.getContractAt("SimplifiedComptroller", manifest.contracts.SimplifiedComptroller),
+    interestRateModels,
+    markets,
+  };
+}
+
+async function main() {
+  const hre = require("hardhat");
+  const { ethers } = hre;
+  const network = hre.network.name;
+  const dir = manifestDir();
+
+  const config = deploymentConfig(network);
+  const manifest = readManifest(network, dir);
+
+  console.log(`\n🚀 Deploying Paralend to ${network}${manifest ? " (reusing the recorded deployment)" : ""}\n`);
+  const deployment = await deployProtocol(ethers, config, {
+    manifest,
+    network,
+    log: (change) => console.log(`  ${change}`),
+  });
+
+  if (deployment.changes.length === 0) {
+    console.log("  Nothing to do: the deployment matches the config");
+  }
+  console.log("\n✅ Deployment verified");
+  for (const { symbol, cToken } of deployment.markets) {
+    console.log(`  p${symbol}: ${cToken.address}`);
+  }
+
+  if (isEphemeral(network)) {
+    console.log(`\nNo manifest written: the ${network} network does not outlive this process`);
+    return;
+  }
+  console.log(`\n📝 Manifest written to ${writeManifest(deployment.manifest, dir)}`);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Deploy script failed with error:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  MANIFEST_DIR,
+  manifestDir,
+  manifestPath,
+  readManifest,
+  writeManifest,
+  isEphemeral,
+  deployProtocol,
+  verifyDeployment,
+  loadDeployment,
+};
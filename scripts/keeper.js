@@ -0,0 +1,362 @@
+/**
+ * Paralend Liquidation Keeper
+ *
+ * Watches the borrowers of every market and liquidates the underwater ones in
+ * parallel batches. Borrowers are collected from the markets' Borrow events; on
+ * every new block and every PriceUpdated event of the comptroller, each is
+ * checked against the liquidation thresholds (getLiquidationLiquidity, the view
+ * queueLiquidation and the settlement check with isUnderwater) and the
+ * underwater ones are ranked by shortfall. For each, the keeper picks the
+ * borrow/collateral pair seizing the most value for a repay of the close factor
+ * (less when the collateral cannot cover the seize), prices the seize with
+ * liquidateCalculateSeizeTokens and submits one queueLiquidation per borrower
+ * in a single batch, approving the repaid tokens first.
+ *
+ *   pnpm hardhat run scripts/keeper.js --network arcology
+ *   KEEPER_DRY_RUN=1 KEEPER_ONCE=1 pnpm hardhat run scripts/keeper.js --network localhost
+ *
+ * The dry run reports what would be liquidated without sending anything, e.g.
+ * against a fork (`pnpm hardhat node --fork <rpc url>`) with KEEPER_LENDING_ENGINE.
+ *
+ * Environment:
+ *   KEEPER_LENDING_ENGINE  LendingEngine address (default: the one recorded in
+ *                          deployments/<network>.json by scripts/deploy.js)
+ *   KEEPER_FROM            Liquidator: an address or an index of the network's accounts (default 0)
+ *   KEEPER_FROM_BLOCK      First block searched for Borrow events (default 0)
+ *   KEEPER_MIN_PROFIT      Skip liquidations seizing less than this in USD above the repay (default 0)
+ *   KEEPER_DRY_RUN         Report the liquidations instead of submitting them
+ *   KEEPER_ONCE            Run a single pass and exit instead of watching the chain
+ */
+
+const { constants, utils } = require("ethers");
+const { resolveSettlement } = require("../emulator/settlement");
+
+// ILendingCore.OpType.Liquidation
+const LIQUIDATION_OP = 4;
+
+/**
+ * Adds the borrowers of every market between two blocks to `borrowers`
+ * @returns `borrowers`, a Set of addresses
+ */
+async function collectBorrowers(client, fromBlock, toBlock, borrowers = new Set()) {
+  for (const { cToken } of client.markets) {
+    for (const event of await cToken.queryFilter(cToken.filters.Borrow(), fromBlock, toBlock)) {
+      borrowers.add(utils.getAddress(event.args.borrower));
+    }
+  }
+  return borrowers;
+}
+
+/**
+ * Plans a liquidation of every underwater borrower, by decreasing shortfall
+ * @param options `{ minProfit }`: minimum profit in USD scaled by 1e18
+ * @returns `{ borrower, shortfall, borrowMarket, collateralMarket, repay, seize,
+ *          repayValue, seizeValue, profit }` per borrower with a profitable pair;
+ *          markets by underlying symbol, repay in underlying and seize in cTokens
+ *          (base units), USD values scaled by 1e18
+ */
+async function findLiquidations(client, borrowers, { minProfit = constants.Zero } = {}) {
+  const underwater = [];
+  for (const borrower of borrowers) {
+    const [error, , shortfall] = await client.comptroller.getLiquidationLiquidity(borrower);
+    if (error.isZero() && !shortfall.isZero()) {
+      underwater.push({ borrower, shortfall });
+    }
+  }
+  underwater.sort((a, b) => (a.shortfall.eq(b.shortfall) ? 0 : a.shortfall.gt(b.shortfall) ? -1 : 1));
+
+  const closeFactor = await client.comptroller.closeFactorMantissa();
+  const plans = [];
+  for (const { borrower, shortfall } of underwater) {
+    const { markets } = await client.position(borrower);
+    let best = null;
+
+    for (const borrowed of markets) {
+      if (borrowed.borrowed.isZero()) continue;
+      const { cToken } = client.market(borrowed.symbol);
+      if (await client.lendingEngine.paused(cToken.address, LIQUIDATION_OP)) continue;
+
+      for (const collateral of markets) {
+        if (collateral.cTokens.isZero() || collateral.price.isZero()) continue;
+
+        const maxRepay = borrowed.borrowed.mul(closeFactor).div(constants.WeiPerEther);
+        const plan = await planPair(client, borrowed, collateral, maxRepay);
+        if (plan && (!best || plan.profit.gt(best.profit))) {
+          best = plan;
+        }
+      }
+    }
+
+    if (best && best.profit.gte(minProfit)) {
+      plans.push({ borrower, shortfall, ...best });
+    }
+  }
+  return plans;
+}
+
+/**
+ * Sizes the liquidation of one borrow/collateral pair: the close factor of the
+ * debt, scaled down when the seize would exceed the collateral balance
+ */
+async function planPair(client, borrowed, collateral, maxRepay) {
+  const borrowMarket = client.market(borrowed.symbol);
+  const collateralMarket = client.market(collateral.symbol);
+  const seizeTokens = (repay) =>
+    client.comptroller.liquidateCalculateSeizeTokens(
+      borrowMarket.cToken.address,
+      collateralMarket.cToken.address,
+      repay
+    );
+
+  let repay = maxRepay;
+  let [error, seize] = await seizeTokens(repay);
+  if (!error.isZero() || seize.isZero()) return null;
+  if (seize.gt(collateral.cTokens)) {
+    repay = repay.mul(collateral.cTokens).div(seize);
+    [error, seize] = await seizeTokens(repay);
+    if (!error.isZero() || seize.gt(collateral.cTokens)) return null;
+  }
+  if (repay.isZero()) return null;
+
+  const repayValue = repay.mul(borrowed.price).div(constants.WeiPerEther);
+  const seized = await client.toUnderlying(collateral.symbol, seize);
+  const seizeValue = seized.mul(collateral.price).div(constants.WeiPerEther);
+  return {
+    borrowMarket: borrowed.symbol,
+    collateralMarket: collateral.symbol,
+    repay,
+    seize,
+    repayValue,
+    seizeValue,
+    profit: seizeValue.sub(repayValue),
+  };
+}
+
+/**
+ * Queues the planned liquidations in one batch, after a batch of the approvals they need
+ * @param generateTx, waitingTxs From emulator/frontend-util or the Arcology frontend util
+ * @param plans Result of findLiquidations, in priority order
+ * @returns `{ submitted, skipped }`: the plans sent with the outcome of their
+ *          request (resolveSettlement), and those the liquidator's wallet
+ *          could not fund once the earlier ones were
+ */
+async function submitLiquidations(client, generateTx, waitingTxs, plans) {
+  if (!client.signer) {
+    throw new Error("The keeper needs a signer to submit liquidations");
+  }
+  const liquidator = await client.signer.getAddress();
+
+  const wallets = new Map();
+  const submitted = [];
+  const skipped = [];
+  for (const plan of plans) {
+    const { token } = client.market(plan.borrowMarket);
+    if (!wallets.has(token.address)) {
+      wallets.set(token.address, await token.balanceOf(liquidator));
+    }
+    const wallet = wallets.get(token.address);
+    if (wallet.lt(plan.repay)) {
+      skipped.push({ ...plan, reason: `insufficient ${plan.borrowMarket} balance` });
+      continue;
+    }
+    wallets.set(token.address, wallet.sub(plan.repay));
+    submitted.push(plan);
+  }
+  if (submitted.length === 0) {
+    return { submitted, skipped };
+  }
+
+  const requests = submitted.map((plan) => ({
+    signer: client.signer,
+    type: "liquidate",
+    borrower: plan.borrower,
+    borrowMarket: plan.borrowMarket,
+    collateralMarket: plan.collateralMarket,
+    amount: plan.repay,
+  }));
+  const approvals = await client.approvalBatch(generateTx, requests);
+  if (approvals.length > 0) {
+    await waitingTxs(approvals);
+  }
+
+  const receipts = await waitingTxs(await client.generateBatch(generateTx, requests));
+  const outcomes = await Promise.all(receipts.map((receipt) => resolveSettlement(receipt, client)));
+  return {
+    submitted: submitted.map((plan, i) => ({
+      ...plan,
+      transaction: receipts[i].transactionHash,
+      request: outcomes[i][0],
+    })),
+    skipped,
+  };
+}
+
+/**
+ * Watches the chain and runs a pass on every new block and PriceUpdated event
+ * (with `watch`, the default). Passes never overlap: triggers during a pass run
+ * one more pass after it.
+ * @param options `{ generateTx, waitingTxs, dryRun, minProfit, fromBlock, watch, onPass, onError }`:
+ *        onPass receives `{ block, borrowers, plans, submitted, skipped }` after
+ *        every pass (submitted and skipped empty in a dry run), onError the
+ *        error of a failed pass (default: logged, the keeper keeps running)
+ * @returns `{ pass, stop }`: pass() runs a pass now, stop() detaches the keeper
+ *          and resolves once the pass in progress, if any, is over
+ */
+function runKeeper(client, options) {
+  const { generateTx, waitingTxs, dryRun = false, minProfit, fromBlock = 0, watch = true } = options;
+  const onPass = options.onPass || (() => {});
+  const onError = options.onError || ((error) => console.error("Keeper pass failed:", error));
+
+  const borrowers = new Set();
+  let scanned = fromBlock - 1;
+  let running = null;
+  let again = false;
+  let stopped = false;
+
+  async function runPass() {
+    // The latest block rather than getBlockNumber, which JsonRpcProvider may answer from its cache
+    const block = (await client.provider.getBlock("latest")).number;
+    if (block > scanned) {
+      await collectBorrowers(client, scanned + 1, block, borrowers);
+      scanned = block;
+    }
+
+    const plans = await findLiquidations(client, borrowers, { minProfit });
+    const { submitted, skipped } =
+      dryRun || plans.length === 0
+        ? { submitted: [], skipped: [] }
+        : await submitLiquidations(client, generateTx, waitingTxs, plans);
+    const result = { block, borrowers: [...borrowers], plans, submitted, skipped };
+    onPass(result);
+    return result;
+  }
+
+  function pass() {
+    if (running) {
+      again = true;
+      return running;
+    }
+    running = runPass().finally(() => {
+      running = null;
+      if (again && !stopped) {
+        again = false;
+        pass().catch(onError);
+      }
+    });
+    return running;
+  }
+
+  const trigger = () => pass().catch(onError);
+  const priceUpdated = client.comptroller.filters.PriceUpdated();
+  if (watch) {
+    client.provider.on("block", trigger);
+    client.comptroller.on(priceUpdated, trigger);
+  }
+
+  return {
+    pass,
+    stop() {
+      stopped = true;
+      client.provider.off("block", trigger);
+      client.comptroller.off(priceUpdated, trigger);
+      return Promise.resolve(running).then(
+        () => {},
+        () => {}
+      );
+    },
+  };
+}
+
+function printPlans(client, plans) {
+  const usd = (value) => `$${utils.formatEther(value)}`;
+  for (const plan of plans) {
+    console.log(
+      `  ${plan.borrower} shortfall ${usd(plan.shortfall)}: repay ` +
+        `${client.formatAmount(plan.borrowMarket, plan.repay)} ${plan.borrowMarket}, seize ` +
+        `${client.formatAmount(plan.collateralMarket, plan.seize, { inCTokens: true })} ` +
+        `${client.market(plan.collateralMarket).cTokenSymbol} (${usd(plan.seizeValue)}), profit ${usd(plan.profit)}`
+    );
+  }
+}
+
+function printPass(client, { block, borrowers, plans, submitted, skipped }, dryRun) {
+  console.log(`\n⛓️  Block ${block}: ${borrowers.length} borrower(s), ${plans.length} underwater`);
+  if (plans.length === 0) return;
+
+  if (dryRun) {
+    console.log("Would liquidate:");
+    printPlans(client, plans);
+    return;
+  }
+  if (submitted.length > 0) {
+    console.log("Liquidated:");
+    printPlans(client, submitted);
+    for (const { borrower, request } of submitted) {
+      console.log(`  ${borrower}: ${request.status}${request.reason ? ` (${request.reason})` : ""}`);
+    }
+  }
+  for (const { borrower, reason } of skipped) {
+    console.log(`  Skipped ${borrower}: ${reason}`);
+  }
+}
+
+async function main() {
+  const hre = require("hardhat");
+  const { ethers } = hre;
+  const frontendUtil = require("../emulator/frontend-util");
+  const { ParalendClient } = require("../sdk/client");
+  const { loadNetworkClient } = require("../tasks/paralend");
+
+  const from = process.env.KEEPER_FROM;
+  let client;
+  if (process.env.KEEPER_LENDING_ENGINE) {
+    const signers = await ethers.getSigners();
+    const signer = from && ethers.utils.isAddress(from) ? await ethers.getSigner(from) : signers[Number(from || 0)];
+    const { gas } = hre.network.config;
+    const overrides = typeof gas === "number" ? { gasLimit: gas } : {};
+    client = await ParalendClient.load(process.env.KEEPER_LENDING_ENGINE, signer, { overrides });
+  } else {
+    client = await loadNetworkClient(hre, from);
+  }
+
+  const dryRun = Boolean(process.env.KEEPER_DRY_RUN);
+  const minProfit = utils.parseEther(process.env.KEEPER_MIN_PROFIT || "0");
+  const fromBlock = Number(process.env.KEEPER_FROM_BLOCK || 0);
+  const liquidator = await client.signer.getAddress();
+
+  console.log(`\n🤖 Keeper of ${client.lendingEngine.address} as ${liquidator}${dryRun ? " (dry run)" : ""}`);
+  console.log(`Markets: ${client.markets.map(({ symbol }) => symbol).join(", ")}`);
+
+  const once = Boolean(process.env.KEEPER_ONCE);
+  const keeper = runKeeper(client, {
+    generateTx: frontendUtil.generateTx,
+    waitingTxs: frontendUtil.waitingTxs,
+    dryRun,
+    minProfit,
+    fromBlock,
+    watch: !once,
+    onPass: (result) => printPass(client, result, dryRun),
+  });
+
+  await keeper.pass();
+  if (once) return;
+  console.log("\nWatching new blocks and price updates (Ctrl+C to stop)");
+  await new Promise(() => {});
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Keeper failed with error:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  collectBorrowers,
+  findLiquidations,
+  submitLiquidations,
+  runKeeper,
+};
@@ -0,0 +1,207 @@
+const fs = require("fs");
+const { BigNumber, utils } = require("ethers");
+const { BLOCKS_PER_YEAR, deploymentConfig, ratesPerBlock } = require("../config/deploy");
+const { apy } = require("../sdk/client");
+
+/**
+ * Paralend Rate Curve Script
+ *
+ * Tabulates the borrow and supply rates of the rate models of config/deploy.js
+ * across utilization, as the deployed JumpRateModel or
+ * WhitePaperInterestRateModel would quote them (same integer math, per block),
+ * with their APYs compounded over the network's blocksPerYear. Checks every
+ * model stays under the borrow rate cap of CToken.accrueInterest: above it a
+ * market cannot accrue, so no request of the market settles. Exits with an
+ * error when a model crosses the cap.
+ *
+ *   pnpm hardhat run scripts/rate-curve.js --network arcology
+ *   RATE_CURVE_MODEL=default RATE_CURVE_CSV=curve.csv pnpm hardhat run scripts/rate-curve.js
+ *
+ * Environment:
+ *   RATE_CURVE_MODEL           Rate model of the config to tabulate (default: every model)
+ *   RATE_CURVE_STEPS           Utilization steps between 0% and 100% (default 20), kinks are added
+ *   RATE_CURVE_RESERVE_FACTOR  Reserve factor of the supply rates (default 0.1, the CToken default)
+ *   RATE_CURVE_CSV             Also write the curves to this CSV file, e.g. to plot them
+ */
+
+const WAD = utils.parseEther("1");
+
+// CToken.borrowRateMaxMantissa: highest borrow rate per block a market accrues at
+const BORROW_RATE_MAX = utils.parseEther("0.0005");
+
+/**
+ * Borrow rate per block of a model at a utilization, as getBorrowRate computes it
+ * @param rates Rates per block (see ratesPerBlock), without a kink for a linear model
+ * @param utilization Utilization rate, scaled by 1e18
+ */
+function borrowRatePerBlock(rates, utilization) {
+  const { baseRatePerBlock, multiplierPerBlock, jumpMultiplierPerBlock, kink } = rates;
+  if (!kink || utilization.lte(kink)) {
+    return utilization.mul(multiplierPerBlock).div(WAD).add(baseRatePerBlock);
+  }
+
+  const normalRate = kink.mul(multiplierPerBlock).div(WAD).add(baseRatePerBlock);
+  return utilization.sub(kink).mul(jumpMultiplierPerBlock).div(WAD).add(normalRate);
+}
+
+/**
+ * Supply rate per block of a model at a utilization, as getSupplyRate computes it
+ * @param reserveFactor Reserve factor of the market, scaled by 1e18
+ */
+function supplyRatePerBlock(rates, utilization, reserveFactor) {
+  const rateToPool = borrowRatePerBlock(rates, utilization).mul(WAD.sub(reserveFactor)).div(WAD);
+  return utilization.mul(rateToPool).div(WAD);
+}
+
+/**
+ * Rates of a rate model of the config across utilization
+ * @param params Rate model parameters (see config/deploy.js)
+ * @param options `{ blocksPerYear, reserveFactor, steps }`, reserveFactor as a decimal string
+ * @returns `{ rates, blocksPerYear, points, maxBorrowRatePerBlock, withinCap }`, points as
+ *          `{ utilization, borrowRatePerBlock, supplyRatePerBlock, borrowApy, supplyApy, overCap }`
+ *          by increasing utilization; withinCap is false when a point is over the cap
+ */
+function rateCurve(params, { blocksPerYear = BLOCKS_PER_YEAR, reserveFactor = "0.1", steps = 20 } = {}) {
+  const rates = ratesPerBlock(params, blocksPerYear);
+  const reserveFactorMantissa = utils.parseEther(reserveFactor);
+
+  const utilizations = [];
+  for (let step = 0; step <= steps; step++) {
+    utilizations.push(WAD.mul(step).div(steps));
+  }
+  if (rates.kink && rates.kink.lt(WAD) && !utilizations.some((utilization) => utilization.eq(rates.kink))) {
+    utilizations.push(rates.kink);
+    utilizations.sort((a, b) => (a.lt(b) ? -1 : 1));
+  }
+
+  const points = utilizations.map((utilization) => {
+    const borrowRate = borrowRatePerBlock(rates, utilization);
+    const supplyRate = supplyRatePerBlock(rates, utilization, reserveFactorMantissa);
+    return {
+      utilization,
+      borrowRatePerBlock: borrowRate,
+      supplyRatePerBlock: supplyRate,
+      borrowApy: apy(borrowRate, blocksPerYear),
+      supplyApy: apy(supplyRate, blocksPerYear),
+      overCap: borrowRate.gt(BORROW_RATE_MAX),
+    };
+  });
+
+  // The borrow rate grows with utilization: the last point is the highest
+  const maxBorrowRatePerBlock = points[points.length - 1].borrowRatePerBlock;
+  return {
+    rates,
+    blocksPerYear: BigNumber.from(blocksPerYear),
+    points,
+    maxBorrowRatePerBlock,
+    withinCap: points.every(({ overCap }) => !overCap),
+  };
+}
+
+/**
+ * Rate curves of the rate models of a deployment config
+ * @param config Deployment configuration (see config/deploy.js)
+ * @param options `{ model, reserveFactor, steps }`, model restricts the curves to one rate model
+ * @returns One `{ name, type, ...rateCurve }` per rate model
+ */
+function rateCurves(config, { model, ...options } = {}) {
+  const names = model ? [model] : Object.keys(config.rateModels);
+  return names.map((name) => {
+    const params = config.rateModels[name];
+    if (!params) {
+      throw new Error(`Unknown rate model "${name}"`);
+    }
+    return {
+      name,
+      type: params.type || "jump",
+      ...rateCurve(params, { ...options, blocksPerYear: config.blocksPerYear || BLOCKS_PER_YEAR }),
+    };
+  });
+}
+
+const percent = (fraction) => `${(fraction * 100).toFixed(2)}%`;
+
+function printCurve(curve) {
+  const width = 30;
+  const top = Math.max(...curve.points.map(({ borrowApy }) => borrowApy)) || 1;
+
+  console.log(`\n📈 Rate model "${curve.name}" (${curve.type}, ${curve.blocksPerYear} blocks per year)\n`);
+  console.log("Utilization | Borrow/block         | Borrow APY | Supply APY | Borrow APY curve");
+  console.log("------------|----------------------|------------|------------|-" + "-".repeat(width));
+  for (const point of curve.points) {
+    const bar = "█".repeat(Math.round((point.borrowApy / top) * width));
+    console.log(
+      `${percent(Number(utils.formatEther(point.utilization))).padStart(11)} | ` +
+        `${point.borrowRatePerBlock.toString().padStart(20)} | ${percent(point.borrowApy).padStart(10)} | ` +
+        `${percent(point.supplyApy).padStart(10)} | ${bar}${point.overCap ? " over the cap" : ""}`
+    );
+  }
+
+  console.log(
+    curve.withinCap
+      ? `\n✅ Max borrow rate ${curve.maxBorrowRatePerBlock} per block is within the cap of ${BORROW_RATE_MAX}`
+      : `\n❌ Max borrow rate ${curve.maxBorrowRatePerBlock} per block is above the cap of ${BORROW_RATE_MAX}`
+  );
+}
+
+/**
+ * Curves as CSV, one row per model and utilization
+ */
+function curvesCsv(curves) {
+  const rows = ["model,utilization,borrowRatePerBlock,supplyRatePerBlock,borrowApy,supplyApy"];
+  for (const curve of curves) {
+    for (const point of curve.points) {
+      rows.push(
+        [
+          curve.name,
+          utils.formatEther(point.utilization),
+          point.borrowRatePerBlock,
+          point.supplyRatePerBlock,
+          point.borrowApy,
+          point.supplyApy,
+        ].join(",")
+      );
+    }
+  }
+  return rows.join("\n") + "\n";
+}
+
+async function main() {
+  const hre = require("hardhat");
+
+  const curves = rateCurves(deploymentConfig(hre.network.name), {
+    model: process.env.RATE_CURVE_MODEL,
+    steps: Number(process.env.RATE_CURVE_STEPS || 20),
+    reserveFactor: process.env.RATE_CURVE_RESERVE_FACTOR || "0.1",
+  });
+  curves.forEach(printCurve);
+
+  if (process.env.RATE_CURVE_CSV) {
+    fs.writeFileSync(process.env.RATE_CURVE_CSV, curvesCsv(curves));
+    console.log(`\n📝 Wrote the curves to ${process.env.RATE_CURVE_CSV}`);
+  }
+
+  const over = curves.filter(({ withinCap }) => !withinCap).map(({ name }) => `"${name}"`);
+  if (over.length > 0) {
+    throw new Error(`Rate model(s) ${over.join(", ")} exceed the borrow rate cap of CToken.accrueInterest`);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Rate curve script failed with error:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  BORROW_RATE_MAX,
+  borrowRatePerBlock,
+  supplyRatePerBlock,
+  rateCurve,
+  rateCurves,
+  curvesCsv,
+};
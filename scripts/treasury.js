@@ -0,0 +1,136 @@
+/**
+ * Paralend Treasury Script
+ *
+ * Reports the reserves of every market listed by the comptroller
+ * (getAllMarkets) and optionally sweeps them to a treasury address. Sweeping
+ * calls CToken._reduceReserves, so the signer must be the admin of the markets.
+ * Reserves are capped by the market's cash: underlying lent out cannot be swept.
+ *
+ *   pnpm hardhat run scripts/treasury.js --network arcology
+ *   TREASURY_COMPTROLLER=0x... TREASURY_SWEEP_TO=0x... pnpm hardhat run scripts/treasury.js
+ *
+ * Environment:
+ *   TREASURY_COMPTROLLER  SimplifiedComptroller address (default: the one recorded
+ *                         in deployments/<network>.json by scripts/deploy.js)
+ *   TREASURY_SWEEP_TO     Sweep reserves to this address; report only when unset
+ *   TREASURY_MIN          Skip markets with less sweepable reserves (underlying units, default 0)
+ */
+
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+];
+
+/**
+ * Reads the reserves of every market of the comptroller, as of their last accrual
+ * @returns One entry per market: `{ market, symbol, decimals, reserveFactor,
+ *          totalReserves, cash, sweepable }`, amounts as BigNumbers in underlying units
+ */
+async function reportReserves(ethers, comptroller) {
+  const report = [];
+  for (const address of await comptroller.getAllMarkets()) {
+    const market = await ethers.getContractAt("CToken", address);
+    const underlying = new ethers.Contract(await market.underlying(), ERC20_ABI, market.provider);
+
+    const [symbol, decimals, reserveFactor, totalReserves, cash] = await Promise.all([
+      underlying.symbol(),
+      underlying.decimals(),
+      market.reserveFactorMantissa(),
+      market.totalReserves(),
+      market.getCash(),
+    ]);
+
+    report.push({
+      market: address,
+      symbol,
+      decimals,
+      reserveFactor,
+      totalReserves,
+      cash,
+      sweepable: totalReserves.lt(cash) ? totalReserves : cash,
+    });
+  }
+  return report;
+}
+
+/**
+ * Sweeps the reserves of every market holding at least `min` sweepable reserves to `to`
+ * @param report Result of reportReserves
+ * @param min Minimum sweepable amount per market, as a decimal string in underlying units
+ * @returns The entries of `report` that were swept, with the transaction receipt
+ */
+async function sweepReserves(ethers, report, to, min = "0") {
+  const swept = [];
+  for (const entry of report) {
+    if (entry.sweepable.isZero() || entry.sweepable.lt(ethers.utils.parseUnits(min, entry.decimals))) continue;
+
+    const market = await ethers.getContractAt("CToken", entry.market);
+    const receipt = await (await market._reduceReserves(to, entry.sweepable)).wait();
+    swept.push({ ...entry, receipt });
+  }
+  return swept;
+}
+
+function printReport(ethers, report) {
+  const format = (amount, decimals) => ethers.utils.formatUnits(amount, decimals);
+
+  console.log("Market                                     | Symbol | Reserve factor | Reserves        | Cash            | Sweepable");
+  console.log("-------------------------------------------|--------|----------------|-----------------|-----------------|----------------");
+  for (const entry of report) {
+    console.log(
+      `${entry.market} | ${entry.symbol.padEnd(6)} | ${(format(entry.reserveFactor, 16) + "%").padEnd(14)} | ` +
+        `${format(entry.totalReserves, entry.decimals).padEnd(15)} | ${format(entry.cash, entry.decimals).padEnd(15)} | ` +
+        `${format(entry.sweepable, entry.decimals)}`
+    );
+  }
+}
+
+async function main() {
+  const hre = require("hardhat");
+  const { ethers } = hre;
+  const { readManifest } = require("./deploy");
+
+  const manifest = readManifest(hre.network.name);
+  const comptrollerAddress =
+    process.env.TREASURY_COMPTROLLER || (manifest && manifest.contracts.SimplifiedComptroller);
+  if (!comptrollerAddress) {
+    throw new Error(
+      `TREASURY_COMPTROLLER must be set to the SimplifiedComptroller address (no deployment recorded for ${hre.network.name})`
+    );
+  }
+  const comptroller = await ethers.getContractAt("SimplifiedComptroller", comptrollerAddress);
+
+  console.log(`\n🏦 Reserves of the markets of ${comptrollerAddress}\n`);
+  const report = await reportReserves(ethers, comptroller);
+  printReport(ethers, report);
+
+  const to = process.env.TREASURY_SWEEP_TO;
+  if (!to) {
+    console.log("\nReport only: set TREASURY_SWEEP_TO to sweep the reserves");
+    return;
+  }
+
+  const swept = await sweepReserves(ethers, report, to, process.env.TREASURY_MIN || "0");
+
+  console.log(`\n🧹 Swept ${swept.length} market(s) to ${to}`);
+  for (const entry of swept) {
+    console.log(
+      `  ${entry.symbol}: ${ethers.utils.formatUnits(entry.sweepable, entry.decimals)} (tx ${entry.receipt.transactionHash})`
+    );
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Treasury script failed with error:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  reportReserves,
+  sweepReserves,
+};
@@ -0,0 +1,103 @@
+/**
+ * Human-readable ABIs of the contracts ParalendClient talks to
+ *
+ * Only the functions and events the client and the indexer use, so the SDK
+ * works without the Hardhat artifacts. Enums are encoded as uint8 (ILendingCore.OpType/Status).
+ */
+
+const LENDING_ENGINE_ABI = [
+  "function lendingCore() view returns (address)",
+  "function comptroller() view returns (address)",
+  "function paused(address market, uint8 opType) view returns (bool)",
+  "function queueDeposit(address market, uint256 amount) returns (uint256)",
+  "function queueWithdraw(address market, uint256 amount) returns (uint256)",
+  "function queueWithdrawUnderlying(address market, uint256 amount) returns (uint256)",
+  "function queueBorrow(address market, uint256 amount) returns (uint256)",
+  "function queueRepay(address market, uint256 amount) returns (uint256)",
+  "function queueLiquidation(address borrower, address cTokenBorrowed, address cTokenCollateral, uint256 repayAmount) returns (uint256)",
+  "event RequestQueued(bytes32 indexed pid, address indexed user, address indexed market, uint8 opType, uint256 amount)",
+  "event BatchProcessed(address indexed market, uint256 deposits, uint256 withdraws, uint256 borrows, uint256 repays)",
+  "event LiquidationBatchProcessed(address indexed cTokenBorrowed, address indexed cTokenCollateral, uint256 requestedRepay, uint256 repaid, uint256 seized)",
+];
+
+const LENDING_CORE_ABI = [
+  "event DepositProcessed(address indexed user, address indexed market, uint256 amount, uint256 mintedTokens)",
+  "event WithdrawProcessed(address indexed user, address indexed market, uint256 amount, uint256 burnedTokens)",
+  "event BorrowProcessed(address indexed user, address indexed market, uint256 amount)",
+  "event RepayProcessed(address indexed user, address indexed market, uint256 amount)",
+  "event LiquidationProcessed(address indexed liquidator, address indexed borrower, address cTokenBorrowed, address cTokenCollateral, uint256 repayAmount, uint256 seizeTokens)",
+  "event LiquidationRefunded(address indexed liquidator, address indexed borrower, address cTokenBorrowed, uint256 refundAmount)",
+  "event RepayRefunded(address indexed user, address indexed market, uint256 refundAmount)",
+  "event RequestRejected(address indexed user, address indexed market, uint8 opType, string reason)",
+  "event RequestProcessed(bytes32 indexed pid, address indexed user, address indexed market, uint8 opType, uint8 status, uint256 settled, uint256 seized, uint256 refunded, string reason)",
+];
+
+const COMPTROLLER_ABI = [
+  "function getAllMarkets() view returns (address[])",
+  "function getPrice(address cToken) view returns (uint256)",
+  "function collateralFactorMantissa(address cToken) view returns (uint256)",
+  "function liquidationThresholdMantissa(address cToken) view returns (uint256)",
+  "function closeFactorMantissa() view returns (uint256)",
+  "function liquidationIncentiveMantissa() view returns (uint256)",
+  "function supplyCaps(address cToken) view returns (uint256)",
+  "function borrowCaps(address cToken) view returns (uint256)",
+  "function accountMembership(address account, address cToken) view returns (bool)",
+  "function getAccountLiquidity(address account) view returns (uint256 error, uint256 liquidity, uint256 shortfall)",
+  "function getLiquidationLiquidity(address account) view returns (uint256 error, uint256 liquidity, uint256 shortfall)",
+  "function isUnderwater(address account) view returns (bool)",
+  "function liquidateCalculateSeizeTokens(address cTokenBorrowed, address cTokenCollateral, uint256 repayAmount) view returns (uint256 error, uint256 seizeTokens)",
+  "function enterMarkets(address[] cTokens) returns (uint256[])",
+  "function exitMarket(address cToken) returns (uint256)",
+  "function setPrice(address cToken, uint256 price)",
+  "event PriceUpdated(address cToken, uint256 newPrice)",
+];
+
+const CTOKEN_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function underlying() view returns (address)",
+  "function interestRateModel() view returns (address)",
+  "function balanceOf(address owner) view returns (uint256)",
+  "function totalSupply() view returns (uint256)",
+  "function totalBorrows() view returns (uint256)",
+  "function totalReserves() view returns (uint256)",
+  "function reserveFactorMantissa() view returns (uint256)",
+  "function getCash() view returns (uint256)",
+  "function exchangeRateStored() view returns (uint256)",
+  "function borrowIndex() view returns (uint256)",
+  "function borrowBalanceStored(address account) view returns (uint256)",
+  "function borrowBalanceProjected(address account) view returns (uint256)",
+  "function getAccountSnapshot(address account) view returns (uint256 error, uint256 cTokenBalance, uint256 borrowBalance, uint256 exchangeRateMantissa)",
+  "event Mint(address minter, uint256 mintAmount, uint256 mintTokens)",
+  "event Redeem(address redeemer, uint256 redeemAmount, uint256 redeemTokens)",
+  "event Borrow(address borrower, uint256 borrowAmount, uint256 accountBorrows, uint256 totalBorrows)",
+  "event RepayBorrow(address payer, address borrower, uint256 repayAmount, uint256 accountBorrows, uint256 totalBorrows)",
+  "event Transfer(address indexed from, address indexed to, uint256 amount)",
+  "event AccrueInterest(uint256 cashPrior, uint256 interestAccumulated, uint256 borrowIndex, uint256 totalBorrows)",
+  "event ReservesAdded(address benefactor, uint256 addAmount, uint256 newTotalReserves)",
+  "event ReservesReduced(address to, uint256 reduceAmount, uint256 newTotalReserves)",
+];
+
+const INTEREST_RATE_MODEL_ABI = [
+  "function blocksPerYear() view returns (uint256)",
+  "function utilizationRate(uint256 cash, uint256 borrows, uint256 reserves) view returns (uint256)",
+  "function getBorrowRate(uint256 cash, uint256 borrows, uint256 reserves) view returns (uint256)",
+  "function getSupplyRate(uint256 cash, uint256 borrows, uint256 reserves, uint256 reserveFactorMantissa) view returns (uint256)",
+];
+
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address owner) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+module.exports = {
+  LENDING_ENGINE_ABI,
+  LENDING_CORE_ABI,
+  COMPTROLLER_ABI,
+  CTOKEN_ABI,
+  INTEREST_RATE_MODEL_ABI,
+  ERC20_ABI,
+};
@@ -0,0 +1,656 @@
+const { ethers } = require("ethers");
+const {
+  LENDING_ENGINE_ABI,
+  LENDING_CORE_ABI,
+  COMPTROLLER_ABI,
+  CTOKEN_ABI,
+  INTEREST_RATE_MODEL_ABI,
+  ERC20_ABI,
+} = require("./abi");
+const { resolveSettlement } = require("../emulator/settlement");
+
+/**
+ * ParalendClient: ethers v5 client of a Paralend deployment
+ *
+ * Wraps LendingEngine, SimplifiedComptroller and the markets listed by the
+ * comptroller, so callers never look up contracts, scale amounts or approve
+ * tokens themselves:
+ *
+ *   const client = await ParalendClient.load(lendingEngineAddress, signer);
+ *   const { requests: [deposit] } = await client.deposit("DAI", "100");
+ *   const { healthFactor } = await client.position(signer.address);
+ *
+ * Markets are named by underlying symbol (DAI), cToken symbol (pDAI) or either
+ * address. Amounts are decimal strings in the token's units, BigNumbers in base
+ * units, or "max" where the engine takes type(uint256).max. Queue methods wait
+ * for their transaction and return the outcome of each request
+ * (resolveSettlement), "pending" until the batch's deferred call has run.
+ * Reads return BigNumbers in base units; USD values and prices are scaled by 1e18.
+ */
+
+const { BigNumber, constants, utils } = ethers;
+const WAD = constants.WeiPerEther;
+
+// SimplifiedComptroller error code of a market without a price
+const PRICE_ERROR = 3;
+
+// Blocks of interest covered by the allowance of a full repay, which escrows
+// the debt as of the block the request lands in rather than the current one
+const REPAY_ALLOWANCE_BLOCKS = 20;
+
+const ENTER_MARKET_ERRORS = { 1: "market not listed" };
+const EXIT_MARKET_ERRORS = { 1: "outstanding borrow in the market", 2: "insufficient liquidity without it" };
+
+// LendingEngine function queueing each request type of a batch
+const QUEUE_METHODS = {
+  deposit: "queueDeposit",
+  withdraw: "queueWithdrawUnderlying",
+  withdrawCTokens: "queueWithdraw",
+  borrow: "queueBorrow",
+  repay: "queueRepay",
+  liquidate: "queueLiquidation",
+};
+
+/**
+ * Compounded yearly rate of a per-block rate
+ * @param ratePerBlock Rate per block, scaled by 1e18
+ * @param blocksPerYear Blocks per year of the rate model
+ * @returns The APY as a fraction (0.05 = 5%)
+ */
+function apy(ratePerBlock, blocksPerYear) {
+  const rate = Number(utils.formatEther(ratePerBlock));
+  return Math.expm1(Number(blocksPerYear) * Math.log1p(rate));
+}
+
+class ParalendClient {
+  /**
+   * @param contracts `{ lendingEngine, lendingCore, comptroller, markets }`, markets
+   *        as `{ symbol, cTokenSymbol, token, cToken, decimals, cTokenDecimals }`
+   * @param signerOrProvider Signer sending the transactions, or a provider for reads only
+   * @param options `{ overrides }`: transaction overrides of every transaction
+   *        sent, e.g. a fixed `gasLimit` on emulated networks, where estimating
+   *        the deferred call of a lone request falls short
+   */
+  constructor({ lendingEngine, lendingCore, comptroller, markets }, signerOrProvider, { overrides = {} } = {}) {
+    this.lendingEngine = lendingEngine;
+    this.lendingCore = lendingCore;
+    this.comptroller = comptroller;
+    this.markets = markets;
+    this.signer = ethers.Signer.isSigner(signerOrProvider) ? signerOrProvider : null;
+    this.provider = this.signer ? this.signer.provider : signerOrProvider;
+    this.overrides = overrides;
+  }
+
+  /**
+   * Attaches to the deployment of a LendingEngine and every market of its comptroller
+   * @param options Same as the constructor
+   */
+  static async load(lendingEngineAddress, signerOrProvider, options = {}) {
+    const attach = (address, abi) => new ethers.Contract(address, abi, signerOrProvider);
+
+    const lendingEngine = attach(lendingEngineAddress, LENDING_ENGINE_ABI);
+    const [lendingCore, comptroller] = await Promise.all([
+      lendingEngine.lendingCore().then((address) => attach(address, LENDING_CORE_ABI)),
+      lendingEngine.comptroller().then((address) => attach(address, COMPTROLLER_ABI)),
+    ]);
+
+    const markets = await Promise.all(
+      (await comptroller.getAllMarkets()).map(async (address) => {
+        const cToken = attach(address, CTOKEN_ABI);
+        const token = attach(await cToken.underlying(), ERC20_ABI);
+        const [symbol, cTokenSymbol, decimals, cTokenDecimals] = await Promise.all([
+          token.symbol(),
+          cToken.symbol(),
+          token.decimals(),
+          cToken.decimals(),
+        ]);
+        return { symbol, cTokenSymbol, token, cToken, decimals, cTokenDecimals };
+      })
+    );
+
+    return new ParalendClient({ lendingEngine, lendingCore, comptroller, markets }, signerOrProvider, options);
+  }
+
+  /**
+   * Attaches to the deployment recorded in a manifest of scripts/deploy.js
+   */
+  static fromManifest(manifest, signerOrProvider, options = {}) {
+    return ParalendClient.load(manifest.contracts.LendingEngine, signerOrProvider, options);
+  }
+
+  /**
+   * Client of the same deployment sending transactions from `signer`
+   */
+  connect(signer) {
+    return new ParalendClient(
+      {
+        lendingEngine: this.lendingEngine.connect(signer),
+        lendingCore: this.lendingCore.connect(signer),
+        comptroller: this.comptroller.connect(signer),
+        markets: this.markets.map((market) => ({
+          ...market,
+          token: market.token.connect(signer),
+          cToken: market.cToken.connect(signer),
+        })),
+      },
+      signer,
+      { overrides: this.overrides }
+    );
+  }
+
+  /**
+   * Finds a market by underlying symbol, cToken symbol or address
+   */
+  market(key) {
+    if (typeof key === "object") return key;
+
+    const name = key.toLowerCase();
+    const market = this.markets.find(({ symbol, cTokenSymbol, token, cToken }) =>
+      [symbol, cTokenSymbol, token.address, cToken.address].some((known) => known.toLowerCase() === name)
+    );
+    if (!market) {
+      throw new Error(`Unknown market ${key} (markets: ${this.markets.map(({ symbol }) => symbol).join(", ")})`);
+    }
+    return market;
+  }
+
+  /**
+   * Amount in base units of the underlying (the cToken with `inCTokens`)
+   * @param amount Decimal string in token units, BigNumber in base units or "max"
+   */
+  parseAmount(market, amount, { inCTokens = false } = {}) {
+    if (BigNumber.isBigNumber(amount)) return amount;
+    if (amount === "max") return constants.MaxUint256;
+
+    const { decimals, cTokenDecimals } = this.market(market);
+    return utils.parseUnits(String(amount), inCTokens ? cTokenDecimals : decimals);
+  }
+
+  /**
+   * Decimal string of an amount in base units of the underlying (the cToken with `inCTokens`)
+   */
+  formatAmount(market, amount, { inCTokens = false } = {}) {
+    const { decimals, cTokenDecimals } = this.market(market);
+    return utils.formatUnits(amount, inCTokens ? cTokenDecimals : decimals);
+  }
+
+  /**
+   * Comptroller price of a USD price per whole underlying token (decimal string)
+   * @dev Prices are scaled by 1e36 / 10^decimals: 1e18 for $1 with 18 decimals
+   */
+  parsePrice(market, price) {
+    return utils.parseUnits(String(price), 36 - this.market(market).decimals);
+  }
+
+  /**
+   * USD price per whole underlying token of a comptroller price
+   */
+  formatPrice(market, price) {
+    return utils.formatUnits(price, 36 - this.market(market).decimals);
+  }
+
+  /**
+   * Underlying worth of `cTokens` at the stored exchange rate, truncated like CToken
+   */
+  async toUnderlying(market, cTokens) {
+    const exchangeRate = await this.market(market).cToken.exchangeRateStored();
+    return BigNumber.from(cTokens).mul(exchangeRate).div(WAD);
+  }
+
+  /**
+   * CTokens worth `amount` of underlying at the stored exchange rate
+   * @param options `{ roundUp }`: round up like a withdraw of underlying does at settlement
+   */
+  async toCTokens(market, amount, { roundUp = false } = {}) {
+    const exchangeRate = await this.market(market).cToken.exchangeRateStored();
+    const scaled = BigNumber.from(amount).mul(WAD);
+    return roundUp ? scaled.add(exchangeRate).sub(1).div(exchangeRate) : scaled.div(exchangeRate);
+  }
+
+  /**
+   * Approves `amount` of the market's underlying to LendingEngine unless the allowance covers it
+   * @returns Hash of the approval transaction, null if none was needed
+   */
+  async approve(market, amount) {
+    const { token } = this.market(market);
+    const owner = await this._signer().getAddress();
+    if ((await token.allowance(owner, this.lendingEngine.address)).gte(amount)) return null;
+
+    const receipt = await (await token.approve(this.lendingEngine.address, amount, { ...this.overrides })).wait();
+    return receipt.transactionHash;
+  }
+
+  /**
+   * Queues a deposit of underlying, approving it first if needed
+   * @returns `{ amount, approval, transaction, requests }`
+   */
+  async deposit(market, amount) {
+    const { cToken } = this.market(market);
+    const value = this.parseAmount(market, amount);
+
+    const approval = await this.approve(market, value);
+    const queued = await this._queue(() =>
+      this.lendingEngine.queueDeposit(cToken.address, value, { ...this.overrides })
+    );
+    return { amount: value, approval, ...queued };
+  }
+
+  /**
+   * Queues a withdraw of underlying, or of cTokens with `inCTokens`; "max" withdraws the whole balance
+   * @returns `{ amount, transaction, requests }`
+   */
+  async withdraw(market, amount, { inCTokens = false } = {}) {
+    const { cToken } = this.market(market);
+    const value = this.parseAmount(market, amount, { inCTokens });
+
+    const send = () =>
+      inCTokens
+        ? this.lendingEngine.queueWithdraw(cToken.address, value, { ...this.overrides })
+        : this.lendingEngine.queueWithdrawUnderlying(cToken.address, value, { ...this.overrides });
+    return { amount: value, ...(await this._queue(send)) };
+  }
+
+  /**
+   * Queues a borrow
+   * @returns `{ amount, transaction, requests }`
+   */
+  async borrow(market, amount) {
+    const { cToken } = this.market(market);
+    const value = this.parseAmount(market, amount);
+
+    const queued = await this._queue(() =>
+      this.lendingEngine.queueBorrow(cToken.address, value, { ...this.overrides })
+    );
+    return { amount: value, ...queued };
+  }
+
+  /**
+   * Queues a repay, approving it first if needed; "max" repays the whole debt
+   * @returns `{ amount, approval, transaction, requests }`
+   */
+  async repay(market, amount) {
+    const { cToken } = this.market(market);
+    const value = this.parseAmount(market, amount);
+
+    const allowance = value.eq(constants.MaxUint256)
+      ? await this._repayAllowance(market, await this._signer().getAddress())
+      : value;
+    const approval = await this.approve(market, allowance);
+    const queued = await this._queue(() => this.lendingEngine.queueRepay(cToken.address, value, { ...this.overrides }));
+    return { amount: value, approval, ...queued };
+  }
+
+  /**
+   * Queues a liquidation, approving the repaid underlying first if needed
+   * @param amount Underlying of `borrowMarket` to repay, "max" for the close factor of the debt
+   * @returns `{ amount, approval, transaction, requests }`
+   */
+  async liquidate(borrower, borrowMarket, collateralMarket, amount) {
+    const value = await this._liquidationAmount(borrower, borrowMarket, amount);
+    const approval = await this.approve(borrowMarket, value);
+
+    const send = () =>
+      this.lendingEngine.queueLiquidation(
+        borrower,
+        this.market(borrowMarket).cToken.address,
+        this.market(collateralMarket).cToken.address,
+        value,
+        { ...this.overrides }
+      );
+    return { amount: value, approval, ...(await this._queue(send)) };
+  }
+
+  /**
+   * Uses markets as collateral
+   * @throws If a market cannot be entered, before sending the transaction
+   * @returns `{ transaction }`
+   */
+  async enterMarkets(markets) {
+    const addresses = markets.map((market) => this.market(market).cToken.address);
+
+    const errors = await this.comptroller.callStatic.enterMarkets(addresses);
+    errors.forEach((error, i) => {
+      if (!error.isZero()) {
+        const reason = ENTER_MARKET_ERRORS[error] || `error ${error}`;
+        throw new Error(`Cannot enter ${this.market(markets[i]).symbol}: ${reason}`);
+      }
+    });
+
+    const receipt = await (await this.comptroller.enterMarkets(addresses, { ...this.overrides })).wait();
+    return { transaction: receipt.transactionHash };
+  }
+
+  /**
+   * Stops using a market as collateral
+   * @throws If the market holds a borrow or backs one, before sending the transaction
+   * @returns `{ transaction }`
+   */
+  async exitMarket(market) {
+    const { symbol, cToken } = this.market(market);
+
+    const error = await this.comptroller.callStatic.exitMarket(cToken.address);
+    if (!error.isZero()) {
+      throw new Error(`Cannot exit ${symbol}: ${EXIT_MARKET_ERRORS[error] || `error ${error}`}`);
+    }
+
+    const receipt = await (await this.comptroller.exitMarket(cToken.address, { ...this.overrides })).wait();
+    return { transaction: receipt.transactionHash };
+  }
+
+  /**
+   * Position of an account, computed like SimplifiedComptroller._getMarketValues
+   * and _getHypotheticalLiquidity (same truncation, same error for an unpriced
+   * market the account is in)
+   * @returns `{ account, markets, error, collateralValue, liquidationCollateralValue,
+   *          borrowValue, liquidity, shortfall, healthFactor, underwater }`:
+   *          per market the cToken balance, the underlying it is worth, the
+   *          stored borrow balance, the wallet balance, whether it is collateral,
+   *          its price and unweighted USD values; collateral values weighted by
+   *          the collateral factors (liquidity, shortfall: getAccountLiquidity)
+   *          and liquidation thresholds (healthFactor: their ratio to the
+   *          borrows, null without borrows; underwater below 1: isUnderwater)
+   */
+  async position(account) {
+    const markets = await Promise.all(
+      this.markets.map(async ({ symbol, token, cToken }) => {
+        const [[, cTokens, borrowed, exchangeRate], wallet, collateral, price, collateralFactor, liquidationThreshold] =
+          await Promise.all([
+            cToken.getAccountSnapshot(account),
+            token.balanceOf(account),
+            this.comptroller.accountMembership(account, cToken.address),
+            this.comptroller.getPrice(cToken.address),
+            this.comptroller.collateralFactorMantissa(cToken.address),
+            this.comptroller.liquidationThresholdMantissa(cToken.address),
+          ]);
+        const supplied = cTokens.mul(exchangeRate).div(WAD);
+
+        return {
+          symbol,
+          cTokens,
+          supplied,
+          borrowed,
+          wallet,
+          collateral,
+          price,
+          collateralValue: collateral ? supplied.mul(price).div(WAD) : constants.Zero,
+          borrowValue: borrowed.mul(price).div(WAD),
+          collateralFactor,
+          liquidationThreshold,
+        };
+      })
+    );
+
+    // Markets the account has no position in need no price
+    const unpriced = markets.some(
+      ({ cTokens, borrowed, price }) => (!cTokens.isZero() || !borrowed.isZero()) && price.isZero()
+    );
+    const sum = (value) => markets.reduce((total, market) => total.add(value(market)), constants.Zero);
+    const collateralValue = sum((market) => market.collateralValue.mul(market.collateralFactor).div(WAD));
+    const liquidationCollateralValue = sum((market) =>
+      market.collateralValue.mul(market.liquidationThreshold).div(WAD)
+    );
+    const borrowValue = sum((market) => market.borrowValue);
+
+    if (unpriced) {
+      return {
+        account,
+        markets,
+        error: PRICE_ERROR,
+        collateralValue,
+        liquidationCollateralValue,
+        borrowValue,
+        liquidity: constants.Zero,
+        shortfall: constants.Zero,
+        healthFactor: null,
+        underwater: false,
+      };
+    }
+
+    return {
+      account,
+      markets,
+      error: 0,
+      collateralValue,
+      liquidationCollateralValue,
+      borrowValue,
+      liquidity: collateralValue.gt(borrowValue) ? collateralValue.sub(borrowValue) : constants.Zero,
+      shortfall: collateralValue.gt(borrowValue) ? constants.Zero : borrowValue.sub(collateralValue),
+      healthFactor: borrowValue.isZero() ? null : liquidationCollateralValue.mul(WAD).div(borrowValue),
+      underwater: borrowValue.gt(liquidationCollateralValue),
+    };
+  }
+
+  /**
+   * State of a market as of its last accrual, with its rates
+   * @returns `{ symbol, cToken, underlying, price, totalSupply, totalSupplyUnderlying,
+   *          exchangeRate, cash, totalBorrows, totalReserves, reserveFactor,
+   *          collateralFactor, liquidationThreshold, supplyCap, borrowCap,
+   *          utilization, borrowRatePerBlock, supplyRatePerBlock, blocksPerYear,
+   *          borrowApy, supplyApy }`; caps are 0 when unlimited, APYs are
+   *          fractions compounded every block
+   */
+  async marketInfo(market) {
+    const { symbol, token, cToken } = this.market(market);
+    const model = new ethers.Contract(await cToken.interestRateModel(), INTEREST_RATE_MODEL_ABI, this.provider);
+
+    const [
+      totalSupply,
+      exchangeRate,
+      cash,
+      totalBorrows,
+      totalReserves,
+      reserveFactor,
+      price,
+      collateralFactor,
+      liquidationThreshold,
+      supplyCap,
+      borrowCap,
+      blocksPerYear,
+    ] = await Promise.all([
+      cToken.totalSupply(),
+      cToken.exchangeRateStored(),
+      cToken.getCash(),
+      cToken.totalBorrows(),
+      cToken.totalReserves(),
+      cToken.reserveFactorMantissa(),
+      this.comptroller.getPrice(cToken.address),
+      this.comptroller.collateralFactorMantissa(cToken.address),
+      this.comptroller.liquidationThresholdMantissa(cToken.address),
+      this.comptroller.supplyCaps(cToken.address),
+      this.comptroller.borrowCaps(cToken.address),
+      model.blocksPerYear(),
+    ]);
+    const [utilization, borrowRatePerBlock, supplyRatePerBlock] = await Promise.all([
+      model.utilizationRate(cash, totalBorrows, totalReserves),
+      model.getBorrowRate(cash, totalBorrows, totalReserves),
+      model.getSupplyRate(cash, totalBorrows, totalReserves, reserveFactor),
+    ]);
+
+    return {
+      symbol,
+      cToken: cToken.address,
+      underlying: token.address,
+      price,
+      totalSupply,
+      totalSupplyUnderlying: totalSupply.mul(exchangeRate).div(WAD),
+      exchangeRate,
+      cash,
+      totalBorrows,
+      totalReserves,
+      reserveFactor,
+      collateralFactor,
+      liquidationThreshold,
+      supplyCap,
+      borrowCap,
+      utilization,
+      borrowRatePerBlock,
+      supplyRatePerBlock,
+      blocksPerYear,
+      borrowApy: apy(borrowRatePerBlock, blocksPerYear),
+      supplyApy: apy(supplyRatePerBlock, blocksPerYear),
+    };
+  }
+
+  /**
+   * marketInfo of every market
+   */
+  async marketsInfo() {
+    return Promise.all(this.markets.map((market) => this.marketInfo(market)));
+  }
+
+  /**
+   * Transactions queueing the requests of many users as one parallel batch
+   *
+   *   const txs = await client.generateBatch(frontendUtil.generateTx, [
+   *     { signer: alice, type: "deposit", market: "DAI", amount: "100" },
+   *     { signer: bob, type: "borrow", market: "DAI", amount: "50" },
+   *   ]);
+   *   const receipts = await frontendUtil.waitingTxs(txs);
+   *
+   * @param generateTx generateTx of emulator/frontend-util or the Arcology frontend util
+   * @param requests `{ signer, type, market, amount }` with type deposit, withdraw
+   *        (underlying), withdrawCTokens, borrow or repay, or `{ signer, type:
+   *        "liquidate", borrower, borrowMarket, collateralMarket, amount }`.
+   *        Tokens are not approved: see approvalBatch
+   * @returns One transaction per request, in order
+   */
+  async generateBatch(generateTx, requests) {
+    const calls = await Promise.all(requests.map((request) => this._queueCall(request)));
+
+    return calls.map(({ signer, method, args }) =>
+      generateTx(
+        function ([engine, from, overrides, ...params]) {
+          return engine.connect(from)[method](...params, { ...overrides });
+        },
+        this.lendingEngine,
+        signer,
+        this.overrides,
+        ...args
+      )
+    );
+  }
+
+  /**
+   * Approval transactions the requests of a batch need, to send as a batch before it
+   * @param requests Same as generateBatch
+   * @returns One transaction per signer and token whose allowance falls short of
+   *          the total its deposits, repays and liquidations escrow
+   */
+  async approvalBatch(generateTx, requests) {
+    const needed = new Map();
+    for (const request of requests) {
+      const market = request.type === "liquidate" ? request.borrowMarket : request.market;
+      if (!["deposit", "repay", "liquidate"].includes(request.type)) continue;
+
+      const owner = await request.signer.getAddress();
+      const { token } = this.market(market);
+      const { args } = await this._queueCall(request);
+      let amount = args[args.length - 1];
+      if (amount.eq(constants.MaxUint256)) {
+        amount = await this._repayAllowance(market, owner);
+      }
+
+      const key = `${owner}:${token.address}`;
+      const entry = needed.get(key) || { signer: request.signer, owner, token, amount: constants.Zero };
+      entry.amount = entry.amount.add(amount);
+      needed.set(key, entry);
+    }
+
+    const txs = [];
+    for (const { signer, owner, token, amount } of needed.values()) {
+      if ((await token.allowance(owner, this.lendingEngine.address)).gte(amount)) continue;
+      txs.push(
+        generateTx(
+          function ([erc20, from, overrides, spender, value]) {
+            return erc20.connect(from).approve(spender, value, { ...overrides });
+          },
+          token,
+          signer,
+          this.overrides,
+          this.lendingEngine.address,
+          amount
+        )
+      );
+    }
+    return txs;
+  }
+
+  _signer() {
+    if (!this.signer) {
+      throw new Error("ParalendClient has no signer: use connect(signer) to send transactions");
+    }
+    return this.signer;
+  }
+
+  /**
+   * Waits for a queue transaction and resolves the outcome of its requests
+   */
+  async _queue(send) {
+    this._signer();
+    const receipt = await (await send()).wait();
+    return {
+      transaction: receipt.transactionHash,
+      requests: await resolveSettlement(receipt, this),
+    };
+  }
+
+  /**
+   * LendingEngine call of a batch request: `{ signer, method, args }`
+   */
+  async _queueCall(request) {
+    const method = QUEUE_METHODS[request.type];
+    if (!method) {
+      throw new Error(`Unknown request type ${request.type}`);
+    }
+
+    if (request.type === "liquidate") {
+      const amount = await this._liquidationAmount(request.borrower, request.borrowMarket, request.amount);
+      const args = [
+        request.borrower,
+        this.market(request.borrowMarket).cToken.address,
+        this.market(request.collateralMarket).cToken.address,
+        amount,
+      ];
+      return { signer: request.signer, method, args };
+    }
+
+    const inCTokens = request.type === "withdrawCTokens";
+    const amount = this.parseAmount(request.market, request.amount, { inCTokens });
+    return { signer: request.signer, method, args: [this.market(request.market).cToken.address, amount] };
+  }
+
+  /**
+   * Repaid amount of a liquidation, "max" being the close factor of the borrower's debt
+   */
+  async _liquidationAmount(borrower, borrowMarket, amount) {
+    const value = this.parseAmount(borrowMarket, amount);
+    if (!value.eq(constants.MaxUint256)) return value;
+
+    const debt = await this.market(borrowMarket).cToken.borrowBalanceProjected(borrower);
+    return debt.mul(await this.comptroller.closeFactorMantissa()).div(WAD);
+  }
+
+  /**
+   * Allowance covering a full repay: the projected debt plus a few blocks of interest
+   */
+  async _repayAllowance(market, account) {
+    const { symbol, cToken } = this.market(market);
+    const debt = await cToken.borrowBalanceProjected(account);
+    if (debt.isZero()) {
+      throw new Error(`${account} has no ${symbol} debt to repay`);
+    }
+
+    const model = new ethers.Contract(await cToken.interestRateModel(), INTEREST_RATE_MODEL_ABI, this.provider);
+    const rate = await model.getBorrowRate(
+      await cToken.getCash(),
+      await cToken.totalBorrows(),
+      await cToken.totalReserves()
+    );
+    return debt.add(debt.mul(rate).mul(REPAY_ALLOWANCE_BLOCKS).div(WAD));
+  }
+}
+
+module.exports = {
+  ParalendClient,
+  apy,
+};
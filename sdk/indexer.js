@@ -0,0 +1,414 @@
+const { ethers } = require("ethers");
+const { OP_TYPES, STATUSES } = require("../emulator/settlement");
+
+/**
+ * Indexer: event history of a Paralend deployment
+ *
+ * Backfills and follows the events of LendingEngine (RequestQueued,
+ * BatchProcessed, LiquidationBatchProcessed), LendingCore (*Processed,
+ * *Refunded, RequestRejected) and every market (AccrueInterest, Mint, Redeem,
+ * Borrow, RepayBorrow, Transfer, Reserves*) into a store, and rebuilds from
+ * them what the contracts do not keep:
+ *
+ *   const indexer = new Indexer(client, new JsonlStore("index/arcology"));
+ *   await indexer.sync();
+ *   indexer.accountHistory(account); // requests with their outcome, liquidations, transfers
+ *   indexer.marketSeries("DAI");     // one entry per batch of the market
+ *
+ * Each indexed event is `{ block, timestamp, transaction, logIndex, contract,
+ * address, event, args }`, with integer args as decimal strings. The state of
+ * the market after each BatchProcessed (exchange rate, borrow index, totals) is
+ * read at the event's block and stored with it, so backfilling needs a node
+ * serving historical state. Queries return BigNumbers in base units, like
+ * ParalendClient.
+ */
+
+const { BigNumber, constants, utils } = ethers;
+
+// Market state stored with each BatchProcessed
+const BATCH_STATE = ["exchangeRate", "borrowIndex", "totalBorrows", "totalReserves", "totalSupply", "cash"];
+
+class Indexer {
+  /**
+   * @param client ParalendClient of the deployment
+   * @param store Store of the events, e.g. a JsonlStore
+   * @param options `{ fromBlock, chunkSize, confirmations }`: first block indexed
+   *        (e.g. the deployment's), blocks per getLogs call, blocks left
+   *        unindexed behind the chain head
+   */
+  constructor(client, store, { fromBlock = 0, chunkSize = 2000, confirmations = 0 } = {}) {
+    this.client = client;
+    this.store = store;
+    this.fromBlock = fromBlock;
+    this.chunkSize = chunkSize;
+    this.confirmations = confirmations;
+    this.events = [];
+    this.cursor = null;
+    this.loaded = false;
+  }
+
+  /**
+   * Reads the store; refuses an index of another deployment or chain
+   */
+  async load() {
+    const { cursor, events } = this.store.load();
+    if (cursor) {
+      if (cursor.lendingEngine !== this.client.lendingEngine.address) {
+        throw new Error(
+          `Index of LendingEngine ${cursor.lendingEngine}, not ${this.client.lendingEngine.address}: reset it`
+        );
+      }
+      const block = await this.client.provider.getBlock(cursor.lastBlock);
+      if (!block || block.hash !== cursor.lastBlockHash) {
+        throw new Error(`Block ${cursor.lastBlock} of the index is not on the chain (reorg or new chain): reset it`);
+      }
+    }
+    this.cursor = cursor;
+    this.events = events;
+    this.loaded = true;
+    return this;
+  }
+
+  /**
+   * Deletes the index, to rebuild it from `fromBlock`
+   */
+  reset() {
+    this.store.clear();
+    this.cursor = null;
+    this.events = [];
+    this.loaded = true;
+  }
+
+  /**
+   * Last block indexed, `fromBlock - 1` before the first sync
+   */
+  get lastBlock() {
+    return this.cursor ? this.cursor.lastBlock : this.fromBlock - 1;
+  }
+
+  /**
+   * Indexes the blocks from the last indexed one to the chain head (less the confirmations)
+   * @returns `{ fromBlock, toBlock, events }`: blocks indexed and their number of events
+   */
+  async sync() {
+    if (!this.loaded) await this.load();
+
+    // The latest block rather than getBlockNumber, which JsonRpcProvider may answer from its cache
+    const head = (await this.client.provider.getBlock("latest")).number - this.confirmations;
+    const fromBlock = this.lastBlock + 1;
+    let indexed = 0;
+
+    for (let start = fromBlock; start <= head; start += this.chunkSize) {
+      const end = Math.min(start + this.chunkSize - 1, head);
+      const events = await this._fetch(start, end);
+      const { hash } = await this.client.provider.getBlock(end);
+
+      this.cursor = { lendingEngine: this.client.lendingEngine.address, lastBlock: end, lastBlockHash: hash };
+      this.store.append(events, this.cursor);
+      this.events.push(...events);
+      indexed += events.length;
+    }
+    return { fromBlock, toBlock: this.lastBlock, events: indexed };
+  }
+
+  /**
+   * Syncs on every new block. Syncs never overlap: blocks arriving during a
+   * sync are indexed by one more sync after it.
+   * @param options `{ onSync, onError }`: onSync receives the result of every
+   *        sync, onError the error of a failed one (default: logged)
+   * @returns `{ stop }`: stop() detaches the indexer and resolves once the
+   *          sync in progress, if any, is over
+   */
+  follow({ onSync = () => {}, onError = (error) => console.error("Index sync failed:", error) } = {}) {
+    let running = null;
+    let again = false;
+    let stopped = false;
+
+    const syncAll = async () => {
+      try {
+        do {
+          again = false;
+          onSync(await this.sync());
+        } while (again && !stopped);
+      } catch (error) {
+        onError(error);
+      } finally {
+        running = null;
+      }
+    };
+    const trigger = () => {
+      if (running) {
+        again = true;
+        return;
+      }
+      running = syncAll();
+    };
+
+    this.client.provider.on("block", trigger);
+    return {
+      stop: () => {
+        stopped = true;
+        this.client.provider.off("block", trigger);
+        return Promise.resolve(running);
+      },
+    };
+  }
+
+  /**
+   * Indexed events, optionally filtered
+   * @param filter `{ event, address, fromBlock, toBlock }`
+   */
+  query({ event, address, fromBlock = 0, toBlock = Infinity } = {}) {
+    return this.events.filter(
+      (e) =>
+        (!event || e.event === event) &&
+        (!address || e.address === address) &&
+        e.block >= fromBlock &&
+        e.block <= toBlock
+    );
+  }
+
+  /**
+   * Accounts that queued a request or held cTokens
+   */
+  accounts() {
+    const accounts = new Set();
+    for (const { event, args } of this.events) {
+      if (event === "RequestQueued") accounts.add(args.user);
+      if (event === "Transfer") {
+        // Mints come from and burns go to address(0)
+        for (const account of [args.from, args.to]) {
+          if (account !== constants.AddressZero) accounts.add(account);
+        }
+      }
+      if (event === "LiquidationProcessed") accounts.add(args.borrower);
+    }
+    return [...accounts];
+  }
+
+  /**
+   * Actions of an account, in chain order
+   * @param options `{ market }`: only the actions touching this market
+   * @returns Entries `{ type, block, timestamp, transaction, market, ... }`:
+   *          - "request": a request it queued, with its outcome like
+   *            resolveSettlement (`pid, opType, amount, status, settled, seized,
+   *            refunded, reason, settlementTx`), "pending" until processed
+   *          - "liquidated": a liquidation of its borrow (`liquidator,
+   *            collateralMarket, repaid, seized`), market being the borrow market
+   *          - "transfer": cTokens sent or received (`from, to, cTokens`),
+   *            seizes, mints and burns excluded (they are in its requests)
+   */
+  accountHistory(account, { market } = {}) {
+    account = utils.getAddress(account);
+    const marketAddress = market && this.client.market(market).cToken.address;
+
+    const processed = new Map();
+    for (const event of this.query({ event: "RequestProcessed" })) {
+      processed.set(outcomeKey(event.args), event);
+    }
+    const seizes = new Set(
+      this.query({ event: "LiquidationProcessed" }).map(
+        ({ transaction, args }) => `${transaction}:${args.borrower}:${args.liquidator}`
+      )
+    );
+
+    const history = [];
+    for (const event of this.events) {
+      const { args } = event;
+      const at = { block: event.block, timestamp: event.timestamp, transaction: event.transaction };
+
+      if (event.event === "RequestQueued" && args.user === account) {
+        const outcome = processed.get(outcomeKey(args));
+        history.push({
+          type: "request",
+          ...at,
+          market: args.market,
+          pid: args.pid,
+          opType: OP_TYPES[args.opType],
+          amount: BigNumber.from(args.amount),
+          status: outcome ? STATUSES[outcome.args.status] : "pending",
+          ...(outcome && {
+            settled: BigNumber.from(outcome.args.settled),
+            seized: BigNumber.from(outcome.args.seized),
+            refunded: BigNumber.from(outcome.args.refunded),
+            reason: outcome.args.reason,
+            settlementTx: outcome.transaction,
+          }),
+        });
+      } else if (event.event === "LiquidationProcessed" && args.borrower === account) {
+        history.push({
+          type: "liquidated",
+          ...at,
+          market: args.cTokenBorrowed,
+          collateralMarket: args.cTokenCollateral,
+          liquidator: args.liquidator,
+          repaid: BigNumber.from(args.repayAmount),
+          seized: BigNumber.from(args.seizeTokens),
+        });
+      } else if (
+        event.event === "Transfer" &&
+        (args.from === account || args.to === account) &&
+        args.from !== constants.AddressZero &&
+        args.to !== constants.AddressZero &&
+        !seizes.has(`${event.transaction}:${args.from}:${args.to}`)
+      ) {
+        history.push({
+          type: "transfer",
+          ...at,
+          market: event.address,
+          from: args.from,
+          to: args.to,
+          cTokens: BigNumber.from(args.amount),
+        });
+      }
+    }
+
+    return marketAddress
+      ? history.filter((entry) => entry.market === marketAddress || entry.collateralMarket === marketAddress)
+      : history;
+  }
+
+  /**
+   * One entry per batch of a market, in chain order
+   * @returns `{ block, timestamp, transaction, deposits, depositTokens, withdraws,
+   *          withdrawTokens, supplyNetting, borrows, repays, borrowNetting,
+   *          liquidationRepaid, liquidationSeized, settledRequests,
+   *          rejectedRequests, exchangeRate, borrowIndex, totalBorrows,
+   *          totalReserves, totalSupply, cash }`: settled deposits and withdraws
+   *          in underlying and in cTokens, borrows and repays in underlying,
+   *          repays of the liquidations of the market's debt and the cTokens
+   *          they seized; nettings are the share of the gross flow that offset
+   *          within the batch (2 * min / sum, in cTokens for supply, null
+   *          without flow); the state is the market's after the batch's block
+   */
+  marketSeries(market, { fromBlock, toBlock } = {}) {
+    const address = this.client.market(market).cToken.address;
+
+    const byTransaction = new Map();
+    for (const event of this.events) {
+      if (!byTransaction.has(event.transaction)) byTransaction.set(event.transaction, []);
+      byTransaction.get(event.transaction).push(event);
+    }
+
+    return this.query({ event: "BatchProcessed", fromBlock, toBlock })
+      .filter(({ args }) => args.market === address)
+      .map((batch) => {
+        const events = byTransaction.get(batch.transaction);
+        const sum = (name, field, match = (args) => args.market === address) =>
+          events
+            .filter((e) => e.event === name && match(e.args))
+            .reduce((total, e) => total.add(e.args[field]), constants.Zero);
+        const requests = events.filter((e) => e.event === "RequestProcessed" && e.args.market === address);
+        const liquidations = (args) => args.cTokenBorrowed === address;
+
+        const deposits = BigNumber.from(batch.args.deposits);
+        const withdrawTokens = BigNumber.from(batch.args.withdraws);
+        const depositTokens = sum("DepositProcessed", "mintedTokens");
+        const borrows = BigNumber.from(batch.args.borrows);
+        const repays = BigNumber.from(batch.args.repays);
+
+        return {
+          block: batch.block,
+          timestamp: batch.timestamp,
+          transaction: batch.transaction,
+          deposits,
+          depositTokens,
+          withdraws: sum("WithdrawProcessed", "amount"),
+          withdrawTokens,
+          supplyNetting: netting(depositTokens, withdrawTokens),
+          borrows,
+          repays,
+          borrowNetting: netting(borrows, repays),
+          liquidationRepaid: sum("LiquidationBatchProcessed", "repaid", liquidations),
+          liquidationSeized: sum("LiquidationBatchProcessed", "seized", liquidations),
+          settledRequests: requests.filter(({ args }) => STATUSES[args.status] === "settled").length,
+          rejectedRequests: requests.filter(({ args }) => STATUSES[args.status] === "rejected").length,
+          ...Object.fromEntries(BATCH_STATE.map((key) => [key, BigNumber.from(batch.state[key])])),
+        };
+      });
+  }
+
+  /**
+   * Events of the deployment's contracts between two blocks, in chain order
+   */
+  async _fetch(fromBlock, toBlock) {
+    const { lendingEngine, lendingCore, markets, provider } = this.client;
+    const sources = [
+      ["LendingEngine", lendingEngine],
+      ["LendingCore", lendingCore],
+      ...markets.map(({ cToken }) => ["CToken", cToken]),
+    ];
+
+    const events = [];
+    for (const [name, contract] of sources) {
+      for (const log of await provider.getLogs({ address: contract.address, fromBlock, toBlock })) {
+        let parsed;
+        try {
+          parsed = contract.interface.parseLog(log);
+        } catch (e) {
+          continue; // Not an event the indexer reads (admin events, ...)
+        }
+        events.push({
+          block: log.blockNumber,
+          transaction: log.transactionHash,
+          logIndex: log.logIndex,
+          contract: name,
+          address: contract.address,
+          event: parsed.name,
+          args: Object.fromEntries(parsed.eventFragment.inputs.map(({ name }) => [name, serialize(parsed.args[name])])),
+        });
+      }
+    }
+    events.sort((a, b) => a.block - b.block || a.logIndex - b.logIndex);
+
+    const timestamps = new Map();
+    for (const event of events) {
+      if (!timestamps.has(event.block)) {
+        timestamps.set(event.block, (await provider.getBlock(event.block)).timestamp);
+      }
+      event.timestamp = timestamps.get(event.block);
+      if (event.event === "BatchProcessed") {
+        event.state = await this._marketState(event.args.market, event.block);
+      }
+    }
+    return events;
+  }
+
+  async _marketState(market, blockTag) {
+    const { cToken } = this.client.market(market);
+    const values = await Promise.all([
+      cToken.exchangeRateStored({ blockTag }),
+      cToken.borrowIndex({ blockTag }),
+      cToken.totalBorrows({ blockTag }),
+      cToken.totalReserves({ blockTag }),
+      cToken.totalSupply({ blockTag }),
+      cToken.getCash({ blockTag }),
+    ]);
+    return Object.fromEntries(BATCH_STATE.map((key, i) => [key, values[i].toString()]));
+  }
+}
+
+function serialize(value) {
+  return BigNumber.isBigNumber(value) ? value.toString() : value;
+}
+
+/**
+ * Identifies a request across RequestQueued and RequestProcessed: a transaction's requests share its pid
+ */
+function outcomeKey({ pid, market, opType }) {
+  return `${pid}:${market}:${opType}`;
+}
+
+/**
+ * Share of a two-way flow that offset: 1 when both sides match, 0 when one is empty
+ */
+function netting(a, b) {
+  const gross = a.add(b);
+  if (gross.isZero()) return null;
+  const offset = a.lt(b) ? a : b;
+  return Number(utils.formatEther(offset.mul(2).mul(constants.WeiPerEther).div(gross)));
+}
+
+module.exports = {
+  Indexer,
+};
@@ -0,0 +1,64 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * JsonlStore: file store of the Indexer (sdk/indexer.js)
+ *
+ * One directory per deployment: events.jsonl holds one indexed event per line,
+ * in chain order, and cursor.json where indexing stopped:
+ * `{ lendingEngine, lastBlock, lastBlockHash }`. Events are appended before
+ * the cursor moves, so a sync interrupted between the two indexes some blocks
+ * again; load() drops the duplicates.
+ */
+class JsonlStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.eventsFile = path.join(dir, "events.jsonl");
+    this.cursorFile = path.join(dir, "cursor.json");
+  }
+
+  /**
+   * @returns `{ cursor, events }`, cursor null for an empty store
+   */
+  load() {
+    const cursor = fs.existsSync(this.cursorFile) ? JSON.parse(fs.readFileSync(this.cursorFile, "utf8")) : null;
+    if (!cursor || !fs.existsSync(this.eventsFile)) {
+      return { cursor, events: [] };
+    }
+
+    const seen = new Set();
+    const events = [];
+    for (const line of fs.readFileSync(this.eventsFile, "utf8").split("\n")) {
+      if (!line) continue;
+      const event = JSON.parse(line);
+      const key = `${event.transaction}:${event.logIndex}`;
+      if (event.block > cursor.lastBlock || seen.has(key)) continue;
+      seen.add(key);
+      events.push(event);
+    }
+    return { cursor, events };
+  }
+
+  /**
+   * Appends the events of the blocks up to `cursor.lastBlock`, then moves the cursor
+   */
+  append(events, cursor) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    if (events.length > 0) {
+      fs.appendFileSync(this.eventsFile, events.map((event) => JSON.stringify(event) + "\n").join(""));
+    }
+    fs.writeFileSync(this.cursorFile, JSON.stringify(cursor, null, 2) + "\n");
+  }
+
+  /**
+   * Deletes the indexed events and the cursor
+   */
+  clear() {
+    fs.rmSync(this.eventsFile, { force: true });
+    fs.rmSync(this.cursorFile, { force: true });
+  }
+}
+
+module.exports = {
+  JsonlStore,
+};
@@ -0,0 +1,560 @@
+const path = require("path");
+const { constants, utils } = require("ethers");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { readManifest } = require("../scripts/deploy");
+const { ParalendClient } = require("../sdk/client");
+const { Indexer } = require("../sdk/indexer");
+const { JsonlStore } = require("../sdk/store");
+
+const { formatEther, formatUnits } = utils;
+
+/**
+ * Paralend Hardhat tasks
+ *
+ * Everyday operations against the deployment recorded in
+ * deployments/<network>.json by scripts/deploy.js, through ParalendClient
+ * (sdk/client.js):
+ *
+ *   pnpm hardhat paralend:deposit --market DAI --amount 100 --network arcology
+ *   pnpm hardhat paralend:position 0x... --json --network arcology
+ *
+ * Markets are given by underlying symbol (DAI), cToken symbol (pDAI) or
+ * address, amounts as decimal strings in underlying units. Requests are queued
+ * on LendingEngine and settle with the deferred call of their batch; each task
+ * reports the outcome of its requests when it is known (resolveSettlement) and
+ * "pending" otherwise. Underlying tokens are approved to LendingEngine when the
+ * allowance falls short. Every task prints a report, or JSON with --json, and
+ * returns its result to callers of hre.run.
+ *
+ * paralend:index, paralend:history and paralend:series keep an event index
+ * (sdk/indexer.js) of the deployment in index/<network>/, or under
+ * PARALEND_INDEX_DIR, and bring it up to date before answering.
+ */
+
+const INDEX_DIR = path.join(__dirname, "..", "index");
+
+/**
+ * Error of a task's input or the deployment, printed without a stack trace
+ */
+class TaskError extends HardhatPluginError {
+  constructor(message) {
+    super("paralend", message);
+  }
+}
+
+/**
+ * Client of the deployment recorded for the current network
+ * @param from Sending account: an address or an index into the network's
+ *        accounts, the first account by default
+ */
+async function loadNetworkClient(hre, from) {
+  const manifest = readManifest(hre.network.name);
+  if (!manifest) {
+    throw new TaskError(`No deployment recorded for ${hre.network.name}: run scripts/deploy.js first`);
+  }
+  // Emulated networks send with a fixed gas limit (see emulator/index.js)
+  const { gas } = hre.network.config;
+  const overrides = typeof gas === "number" ? { gasLimit: gas } : {};
+  return ParalendClient.fromManifest(manifest, await resolveSigner(hre.ethers, from), { overrides });
+}
+
+async function resolveSigner(ethers, from) {
+  if (from !== undefined && ethers.utils.isAddress(from)) {
+    return ethers.getSigner(from);
+  }
+  const signers = await ethers.getSigners();
+  const signer = signers[from === undefined ? 0 : Number(from)];
+  if (!signer) {
+    throw new TaskError(`No account ${from} among the ${signers.length} accounts of the network`);
+  }
+  return signer;
+}
+
+/**
+ * Market report of marketsInfo: amounts as decimal strings in underlying units
+ * (cTokens for totalSupply), rates and factors as fractions, APRs from the
+ * per-block rates and the model's blocksPerYear, caps null when unlimited
+ */
+async function marketsReport(client) {
+  return (await client.marketsInfo()).map((info) => {
+    const { decimals, cTokenDecimals } = client.market(info.cToken);
+    const units = (amount) => client.formatAmount(info.cToken, amount);
+    const cap = (amount) => (amount.isZero() ? null : units(amount));
+
+    return {
+      symbol: info.symbol,
+      cToken: info.cToken,
+      underlying: info.underlying,
+      price: client.formatPrice(info.cToken, info.price),
+      totalSupply: formatUnits(info.totalSupply, cTokenDecimals),
+      totalSupplyUnderlying: units(info.totalSupplyUnderlying),
+      exchangeRate: formatUnits(info.exchangeRate, 18 + decimals - cTokenDecimals),
+      cash: units(info.cash),
+      totalBorrows: units(info.totalBorrows),
+      totalReserves: units(info.totalReserves),
+      utilization: formatEther(info.utilization),
+      borrowRatePerBlock: formatEther(info.borrowRatePerBlock),
+      supplyRatePerBlock: formatEther(info.supplyRatePerBlock),
+      borrowApr: formatEther(info.borrowRatePerBlock.mul(info.blocksPerYear)),
+      supplyApr: formatEther(info.supplyRatePerBlock.mul(info.blocksPerYear)),
+      borrowApy: info.borrowApy,
+      supplyApy: info.supplyApy,
+      reserveFactor: formatEther(info.reserveFactor),
+      collateralFactor: formatEther(info.collateralFactor),
+      liquidationThreshold: formatEther(info.liquidationThreshold),
+      supplyCap: cap(info.supplyCap),
+      borrowCap: cap(info.borrowCap),
+    };
+  });
+}
+
+/**
+ * Position report of an account: per market the cToken balance, the underlying
+ * it is worth, the borrow balance, the wallet balance and whether it is
+ * collateral; USD liquidity, shortfall and health factor (see ParalendClient.position)
+ */
+async function positionReport(client, account) {
+  const position = await client.position(account);
+
+  return {
+    account,
+    markets: position.markets.map((market) => ({
+      symbol: market.symbol,
+      cTokens: formatUnits(market.cTokens, client.market(market.symbol).cTokenDecimals),
+      supplied: client.formatAmount(market.symbol, market.supplied),
+      borrowed: client.formatAmount(market.symbol, market.borrowed),
+      wallet: client.formatAmount(market.symbol, market.wallet),
+      collateral: market.collateral,
+    })),
+    error: position.error,
+    liquidity: formatEther(position.liquidity),
+    shortfall: formatEther(position.shortfall),
+    healthFactor: position.healthFactor && formatEther(position.healthFactor),
+    underwater: position.underwater,
+  };
+}
+
+/**
+ * Indexer of the client's deployment, stored in <PARALEND_INDEX_DIR or index/>/<network>
+ * @param options `{ fromBlock, reset }`: first block of a new index, whether to rebuild it
+ */
+async function loadNetworkIndexer(hre, client, { fromBlock = 0, reset = false } = {}) {
+  const dir = path.join(process.env.PARALEND_INDEX_DIR || INDEX_DIR, hre.network.name);
+  const indexer = new Indexer(client, new JsonlStore(dir), { fromBlock });
+  if (reset) {
+    indexer.reset();
+    return indexer;
+  }
+  try {
+    return await indexer.load();
+  } catch (error) {
+    throw new TaskError(`${error.message} (paralend:index --reset)`);
+  }
+}
+
+/**
+ * History report of an account (see Indexer.accountHistory): amounts as decimal
+ * strings, in underlying units except cTokens withdrawn, transferred and seized
+ */
+function historyReport(client, indexer, account, market) {
+  return {
+    account,
+    history: indexer.accountHistory(account, { market }).map((entry) => {
+      const { symbol } = client.market(entry.market);
+      const units = (amount, inCTokens = false) =>
+        amount.eq(constants.MaxUint256) ? "max" : client.formatAmount(entry.market, amount, { inCTokens });
+      const row = { block: entry.block, transaction: entry.transaction, market: symbol };
+
+      if (entry.type === "request") {
+        return {
+          ...row,
+          action: entry.opType,
+          amount: units(entry.amount, entry.opType === "withdraw"),
+          status: entry.status,
+          settled: entry.settled ? units(entry.settled) : null,
+          reason: entry.reason || null,
+          pid: entry.pid,
+        };
+      }
+      if (entry.type === "liquidated") {
+        const collateral = client.market(entry.collateralMarket);
+        const seized = client.formatAmount(entry.collateralMarket, entry.seized, { inCTokens: true });
+        return {
+          ...row,
+          action: "liquidated",
+          amount: units(entry.repaid),
+          status: "settled",
+          settled: units(entry.repaid),
+          reason: `${seized} ${collateral.cTokenSymbol} seized by ${entry.liquidator}`,
+        };
+      }
+      return {
+        ...row,
+        action: entry.from === account ? "transfer out" : "transfer in",
+        amount: units(entry.cTokens, true),
+        status: "settled",
+        settled: null,
+        reason: entry.from === account ? `to ${entry.to}` : `from ${entry.from}`,
+      };
+    }),
+  };
+}
+
+/**
+ * Batch series report of a market (see Indexer.marketSeries): amounts as decimal
+ * strings in underlying units (withdraws too), nettings as fractions
+ */
+function seriesReport(client, indexer, market) {
+  const { symbol, decimals, cTokenDecimals } = client.market(market);
+  const units = (amount) => client.formatAmount(market, amount);
+
+  return {
+    market: symbol,
+    batches: indexer.marketSeries(market).map((batch) => ({
+      block: batch.block,
+      timestamp: batch.timestamp,
+      transaction: batch.transaction,
+      deposits: units(batch.deposits),
+      withdraws: units(batch.withdraws),
+      supplyNetting: batch.supplyNetting,
+      borrows: units(batch.borrows),
+      repays: units(batch.repays),
+      borrowNetting: batch.borrowNetting,
+      liquidationRepaid: units(batch.liquidationRepaid),
+      settledRequests: batch.settledRequests,
+      rejectedRequests: batch.rejectedRequests,
+      exchangeRate: formatUnits(batch.exchangeRate, 18 + decimals - cTokenDecimals),
+      borrowIndex: formatEther(batch.borrowIndex),
+      totalBorrows: units(batch.totalBorrows),
+      totalReserves: units(batch.totalReserves),
+      cash: units(batch.cash),
+    })),
+  };
+}
+
+/**
+ * Result of a queue task: the amount as given and the request outcomes
+ */
+async function queued(client, market, amount, result) {
+  return {
+    account: await client.signer.getAddress(),
+    market: client.market(market).symbol,
+    amount,
+    approval: result.approval || null,
+    transaction: result.transaction,
+    requests: result.requests,
+  };
+}
+
+/**
+ * Prints rows as an aligned table
+ * @param columns `[header, key]` pairs
+ */
+function printTable(rows, columns) {
+  const cell = (row, key) => (row[key] === null || row[key] === undefined ? "-" : String(row[key]));
+  const widths = columns.map(([header, key]) => Math.max(header.length, ...rows.map((row) => cell(row, key).length)));
+
+  console.log(columns.map(([header], i) => header.padEnd(widths[i])).join(" | "));
+  console.log(widths.map((width) => "-".repeat(width)).join("-|-"));
+  for (const row of rows) {
+    console.log(columns.map(([, key], i) => cell(row, key).padEnd(widths[i])).join(" | "));
+  }
+}
+
+function printQueued(result) {
+  if (result.approval) {
+    console.log(`Approved LendingEngine (tx ${result.approval})`);
+  }
+  console.log(`Queued by ${result.account} (tx ${result.transaction})`);
+  for (const request of result.requests) {
+    const reason = request.reason ? `: ${request.reason}` : "";
+    console.log(`  ${request.opType} ${request.pid} ${request.status}${reason}`);
+  }
+  if (result.requests.some(({ status }) => status === "pending")) {
+    console.log("Pending requests settle with the deferred call of their batch");
+  }
+}
+
+function printSent(result) {
+  console.log(`Sent (tx ${result.transaction})`);
+}
+
+function printPosition(position) {
+  console.log(`\nPosition of ${position.account}\n`);
+  printTable(position.markets, [
+    ["Market", "symbol"],
+    ["cTokens", "cTokens"],
+    ["Supplied", "supplied"],
+    ["Borrowed", "borrowed"],
+    ["Wallet", "wallet"],
+    ["Collateral", "collateral"],
+  ]);
+  console.log(`\nLiquidity: $${position.liquidity}  Shortfall: $${position.shortfall}`);
+  if (position.error !== 0) {
+    console.log(`getAccountLiquidity failed with error ${position.error}`);
+  }
+  const healthFactor = position.healthFactor === null ? "no borrows" : position.healthFactor;
+  console.log(`Health factor: ${healthFactor}`);
+  console.log(position.underwater ? "⚠️  Underwater: the account can be liquidated" : "Healthy");
+}
+
+function printSynced({ fromBlock, toBlock, events }) {
+  if (toBlock < fromBlock) {
+    console.log(`Index up to date at block ${toBlock}`);
+  } else {
+    console.log(`Indexed blocks ${fromBlock}-${toBlock}: ${events} event(s)`);
+  }
+}
+
+function printHistory({ account, history }) {
+  console.log(`\nHistory of ${account}\n`);
+  printTable(history, [
+    ["Block", "block"],
+    ["Action", "action"],
+    ["Market", "market"],
+    ["Amount", "amount"],
+    ["Status", "status"],
+    ["Settled", "settled"],
+    ["Details", "reason"],
+  ]);
+}
+
+function printSeries({ market, batches }) {
+  const percent = (fraction) => (fraction === null ? null : `${(fraction * 100).toFixed(2)}%`);
+  console.log(`\nBatches of ${market}\n`);
+  printTable(
+    batches.map((batch) => ({
+      ...batch,
+      supplyNetting: percent(batch.supplyNetting),
+      borrowNetting: percent(batch.borrowNetting),
+    })),
+    [
+      ["Block", "block"],
+      ["Deposits", "deposits"],
+      ["Withdraws", "withdraws"],
+      ["Netted", "supplyNetting"],
+      ["Borrows", "borrows"],
+      ["Repays", "repays"],
+      ["Netted", "borrowNetting"],
+      ["Liquidated", "liquidationRepaid"],
+      ["Rejected", "rejectedRequests"],
+      ["Exchange rate", "exchangeRate"],
+      ["Borrow index", "borrowIndex"],
+      ["Reserves", "totalReserves"],
+    ]
+  );
+}
+
+function printMarkets(markets) {
+  const percent = (fraction) => `${(fraction * 100).toFixed(2)}%`;
+  printTable(
+    markets.map((market) => ({
+      ...market,
+      borrowApy: percent(market.borrowApy),
+      supplyApy: percent(market.supplyApy),
+    })),
+    [
+      ["Market", "symbol"],
+      ["Price", "price"],
+      ["Supplied", "totalSupplyUnderlying"],
+      ["Borrowed", "totalBorrows"],
+      ["Cash", "cash"],
+      ["Reserves", "totalReserves"],
+      ["Exchange rate", "exchangeRate"],
+      ["Utilization", "utilization"],
+      ["Borrow APY", "borrowApy"],
+      ["Supply APY", "supplyApy"],
+    ]
+  );
+}
+
+/**
+ * Task action running `run` with a client of the network's deployment and printing its result
+ */
+function action(run, print) {
+  return async (args, hre) => {
+    const client = await loadNetworkClient(hre, args.from);
+    const result = await run(client, args, hre);
+
+    if (args.json) {
+      const { BigNumber } = hre.ethers;
+      const bigNumbers = (key, value) =>
+        value && value.type === "BigNumber" ? BigNumber.from(value.hex).toString() : value;
+      console.log(JSON.stringify(result, bigNumbers, 2));
+    } else {
+      print(result);
+    }
+    return result;
+  };
+}
+
+/**
+ * Task sent by an account, with the --from and --json options
+ */
+function accountTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("from", "Sending account: address or index of the network's accounts (default 0)")
+    .addFlag("json", "Print the result as JSON");
+}
+
+const MARKET = "Market: underlying symbol (DAI), cToken symbol (pDAI) or address";
+
+accountTask("paralend:deposit", "Queues a deposit")
+  .addParam("market", MARKET)
+  .addParam("amount", "Amount of underlying")
+  .setAction(
+    action(
+      async (client, { market, amount }) => queued(client, market, amount, await client.deposit(market, amount)),
+      printQueued
+    )
+  );
+
+accountTask("paralend:withdraw", "Queues a withdraw")
+  .addParam("market", MARKET)
+  .addParam("amount", 'Amount of underlying (cTokens with --ctokens), "max" for the whole balance')
+  .addFlag("ctokens", "The amount is in cTokens")
+  .setAction(
+    action(async (client, { market, amount, ctokens }) => {
+      const result = await client.withdraw(market, amount, { inCTokens: ctokens });
+      const { symbol, cTokenSymbol } = client.market(market);
+      return { ...(await queued(client, market, amount, result)), unit: ctokens ? cTokenSymbol : symbol };
+    }, printQueued)
+  );
+
+accountTask("paralend:borrow", "Queues a borrow")
+  .addParam("market", MARKET)
+  .addParam("amount", "Amount of underlying")
+  .setAction(
+    action(
+      async (client, { market, amount }) => queued(client, market, amount, await client.borrow(market, amount)),
+      printQueued
+    )
+  );
+
+accountTask("paralend:repay", "Queues a repay")
+  .addParam("market", MARKET)
+  .addParam("amount", 'Amount of underlying, "max" for the whole debt')
+  .setAction(
+    action(
+      async (client, { market, amount }) => queued(client, market, amount, await client.repay(market, amount)),
+      printQueued
+    )
+  );
+
+accountTask("paralend:liquidate", "Queues a liquidation of an underwater borrower")
+  .addParam("borrower", "Address of the borrower")
+  .addParam("borrowMarket", "Market of the debt to repay (symbol or address)")
+  .addParam("collateralMarket", "Market of the collateral to seize (symbol or address)")
+  .addParam("amount", 'Amount of underlying to repay, "max" for the close factor of the debt')
+  .setAction(
+    action(async (client, { borrower, borrowMarket, collateralMarket, amount }) => {
+      const result = await client.liquidate(borrower, borrowMarket, collateralMarket, amount);
+      const { market, ...report } = await queued(client, borrowMarket, amount, result);
+      return {
+        ...report,
+        // "max" resolved to the close factor of the debt
+        amount: client.formatAmount(borrowMarket, result.amount),
+        borrower,
+        borrowMarket: market,
+        collateralMarket: client.market(collateralMarket).symbol,
+      };
+    }, printQueued)
+  );
+
+accountTask("paralend:enter-markets", "Uses markets as collateral")
+  .addParam("markets", "Comma-separated markets")
+  .setAction(
+    action(async (client, { markets }) => {
+      const entered = markets.split(",").map((market) => client.market(market.trim()).symbol);
+      const { transaction } = await client.enterMarkets(entered);
+      return { account: await client.signer.getAddress(), markets: entered, transaction };
+    }, printSent)
+  );
+
+accountTask("paralend:exit-market", "Stops using a market as collateral")
+  .addParam("market", MARKET)
+  .setAction(
+    action(async (client, { market }) => {
+      const { transaction } = await client.exitMarket(market);
+      return { account: await client.signer.getAddress(), market: client.market(market).symbol, transaction };
+    }, printSent)
+  );
+
+accountTask("paralend:set-price", "Sets the admin price of a market (admin only)")
+  .addParam("market", MARKET)
+  .addParam("price", "Price of one underlying token in USD")
+  .setAction(
+    action(async (client, { market, price }) => {
+      const { cToken, symbol } = client.market(market);
+      const tx = await client.comptroller.setPrice(cToken.address, client.parsePrice(market, price), {
+        ...client.overrides,
+      });
+      const receipt = await tx.wait();
+      return { market: symbol, price, transaction: receipt.transactionHash };
+    }, printSent)
+  );
+
+task("paralend:position", "Shows the balances, borrows, liquidity and health factor of an account")
+  .addOptionalPositionalParam("account", "Account address (default: the first account of the network)")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(
+    action(
+      async (client, { account }) => positionReport(client, account || (await client.signer.getAddress())),
+      printPosition
+    )
+  );
+
+task("paralend:markets", "Shows the totals, exchange rate, utilization and rates of every market")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(action(marketsReport, printMarkets));
+
+task("paralend:index", "Indexes the deployment's events up to the latest block")
+  .addOptionalParam("fromBlock", "First block of a new index (e.g. the deployment's)", 0, types.int)
+  .addFlag("reset", "Rebuild the index from --from-block")
+  .addFlag("follow", "Keep indexing new blocks until interrupted")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(
+    action(async (client, { fromBlock, reset, follow }, hre) => {
+      const indexer = await loadNetworkIndexer(hre, client, { fromBlock, reset });
+      const synced = await indexer.sync();
+      if (follow) {
+        printSynced(synced);
+        indexer.follow({ onSync: (result) => result.events > 0 && printSynced(result) });
+        await new Promise(() => {});
+      }
+      return synced;
+    }, printSynced)
+  );
+
+task("paralend:history", "Shows the requests, liquidations and transfers of an account from the event index")
+  .addOptionalPositionalParam("account", "Account address (default: the first account of the network)")
+  .addOptionalParam("market", "Only the actions of this market")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(
+    action(async (client, { account, market }, hre) => {
+      const indexer = await loadNetworkIndexer(hre, client);
+      await indexer.sync();
+      return historyReport(client, indexer, utils.getAddress(account || (await client.signer.getAddress())), market);
+    }, printHistory)
+  );
+
+task("paralend:series", "Shows the batches of a market from the event index: flows, netting and rates")
+  .addParam("market", MARKET)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(
+    action(async (client, { market }, hre) => {
+      const indexer = await loadNetworkIndexer(hre, client);
+      await indexer.sync();
+      return seriesReport(client, indexer, market);
+    }, printSeries)
+  );
+
+module.exports = {
+  loadNetworkClient,
+  loadNetworkIndexer,
+  marketsReport,
+  positionReport,
+  historyReport,
+  seriesReport,
+};
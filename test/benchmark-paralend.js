@@ -1,433 +1,387 @@
-const hre = require("hardhat");
-var frontendUtil = require('@arcologynetwork/frontend-util/utils/util')
-const { ethers } = require("hardhat");
+const {
+  summarize,
+  gitCommit,
+  writeReport,
+  compareReports,
+  printComparison,
+} = require("./benchmark-report");
+const { RATE_MODELS } = require("../config/deploy");
+const { deployProtocol, readManifest, writeManifest, isEphemeral } = require("../scripts/deploy");
 
 /**
  * Paralend Benchmarking Script
  *
  * Generates transaction batches of varying sizes to measure:
  * - Throughput (TPS)
- * - Latency
- * - Scalability with batch size
+ * - Latency (p50/p95/max per batch)
+ * - Gas used per transaction and blocks spanned per batch
  *
  * Test scenarios:
- * 1. Deposit-only (best case for netting)
- * 2. Mixed operations (deposits + withdraws, borrows + repays)
- * 3. Worst-case (all different operations)
+ * 1. deposit - Deposit-only (best case for netting)
+ * 2. supply  - Mixed supply (deposits + withdraws)
+ * 3. borrow  - Mixed borrow (borrows + repays)
+ *
+ * Users are wallets derived from a seed (see benchmark-wallets.js), funded with
+ * native gas by the deployer and approved once, so batch sizes are not limited
+ * by the network's signers. Wallets are reused across runs.
+ *
+ * Protocol invariants (see invariants.js) are checked after every batch,
+ * outside the timed sections.
+ *
+ * Configuration comes from command-line flags (when run with `node`), then
+ * BENCHMARK_* environment variables (also with `hardhat run`), then defaults:
+ *
+ *   --sizes 10,50,100       BENCHMARK_SIZES       Batch sizes
+ *   --runs 3                BENCHMARK_RUNS        Runs per batch size
+ *   --scenarios deposit,... BENCHMARK_SCENARIOS   Scenarios to run
+ *   --markets DAI,USDC      BENCHMARK_MARKETS     Markets to deploy; users are spread across them
+ *   --deposit 10000         BENCHMARK_DEPOSIT     Deposit amount (underlying)
+ *   --collateral 50000      BENCHMARK_COLLATERAL  Supply backing withdraws and borrows (underlying)
+ *   --withdraw 100000       BENCHMARK_WITHDRAW    Withdraw amount (cTokens)
+ *   --borrow 10000          BENCHMARK_BORROW      Borrow amount (underlying)
+ *   --repay 2000            BENCHMARK_REPAY       Repay amount (underlying)
+ *   --seed paralend-bench.. BENCHMARK_SEED        Seed the benchmark wallets are derived from
+ *   --wallet-funding 10     BENCHMARK_WALLET_FUNDING  Native balance each wallet is topped up to (ETH)
+ *   --setup-batch 100       BENCHMARK_SETUP_BATCH Transactions per funding/minting/approval batch
+ *   --network hardhat       HARDHAT_NETWORK       Network to run on
+ *   --json results.json     BENCHMARK_JSON        Write results as JSON
+ *   --csv results.csv       BENCHMARK_CSV         Write results as CSV
+ *
+ * Compare mode diffs two JSON result files and exits with 1 if TPS, p95
+ * latency or gas per tx got worse by more than the threshold (in percent):
+ *
+ *   node test/benchmark-paralend.js --compare base.json head.json --threshold 10
  */
 
-// Benchmark configuration
-const BATCH_SIZES = [10, 50, 100, 500, 1000]; // Number of parallel operations
-const RUNS_PER_SIZE = 3; // Repeat each batch size for averaging
-
-async function main() {
-  console.log("\n========================================");
-  console.log("📊 Paralend Performance Benchmark");
-  console.log("========================================\n");
-
-  // ==========================================
-  // SETUP: Deploy and Initialize Protocol
-  // ==========================================
-  console.log("🔧 Setting up protocol...");
-
-  // Get signers (we'll need many for large batches)
-  const accounts = await ethers.getSigners();
-  const deployer = accounts[0];
-
-  // Ensure we have enough accounts
-  const maxBatchSize = Math.max(...BATCH_SIZES);
-  if (accounts.length < maxBatchSize + 1) {
-    console.log(`⚠️  Warning: Need ${maxBatchSize + 1} accounts, but only have ${accounts.length}`);
-    console.log(`   Benchmark will be limited to ${accounts.length - 1} parallel operations`);
-  }
-
-  // Deploy tokens
-  const TokenFactory = await ethers.getContractFactory("contracts/CompoundV2/test/MockERC20.sol:MockERC20");
-  const daiToken = await TokenFactory.deploy("Dai Stablecoin", "DAI", 18);
-  await daiToken.deployed();
-
-  // Deploy protocol contracts
-  const LendingEngineFactory = await ethers.getContractFactory("LendingEngine");
-  const lendingEngine = await LendingEngineFactory.deploy();
-  await lendingEngine.deployed();
-
-  const LendingCoreFactory = await ethers.getContractFactory("LendingCore");
-  const lendingCore = await LendingCoreFactory.deploy(lendingEngine.address);
-  await lendingCore.deployed();
-
-  const ComptrollerFactory = await ethers.getContractFactory("SimplifiedComptroller");
-  const comptroller = await ComptrollerFactory.deploy();
-  await comptroller.deployed();
-
-  const JumpRateModelFactory = await ethers.getContractFactory("JumpRateModel");
-  const interestRateModel = await JumpRateModelFactory.deploy(
-    ethers.utils.parseEther("0.02"),
-    ethers.utils.parseEther("0.2"),
-    ethers.utils.parseEther("1.0"),
-    ethers.utils.parseEther("0.8")
-  );
-  await interestRateModel.deployed();
-
-  const CTokenFactory = await ethers.getContractFactory("CToken");
-  const cDAI = await CTokenFactory.deploy(
-    daiToken.address,
-    ethers.constants.AddressZero,
-    interestRateModel.address,
-    "Paralend DAI",
-    "pDAI"
-  );
-  await cDAI.deployed();
-
-  // Initialize protocol
-  await lendingEngine.init(lendingCore.address);
-  await lendingCore.setComptroller(comptroller.address);
-  await lendingEngine.setComptroller(comptroller.address);
-  await lendingEngine.initMarket(cDAI.address);
-  await cDAI.setLendingCore(lendingCore.address);
-  await comptroller.supportMarket(cDAI.address);
-  await comptroller.setPrice(cDAI.address, ethers.utils.parseEther("1"));
-
-  console.log("✅ Protocol setup complete\n");
-
-  // ==========================================
-  // BENCHMARK 1: Deposit-Only (Best Case)
-  // ==========================================
-  console.log("========================================");
-  console.log("📈 Benchmark 1: Deposit-Only Operations");
-  console.log("========================================");
-  console.log("Scenario: All users deposit (maximum netting benefit)\n");
+const DEFAULTS = {
+  sizes: [10, 50, 100, 500, 1000], // Number of parallel operations
+  runs: 3, // Repeat each batch size for averaging
+  scenarios: ["deposit", "supply", "borrow"],
+  markets: ["DAI"],
+  deposit: "10000",
+  collateral: "50000",
+  withdraw: "100000",
+  borrow: "10000",
+  repay: "2000",
+  seed: "paralend-benchmark",
+  walletFunding: "10",
+  setupBatch: 100,
+  threshold: 10,
+};
+
+const SCENARIOS = {
+  deposit: {
+    title: "Deposit-Only",
+    description: "All users deposit (maximum netting benefit)",
+    prepare: prepareDeposits,
+  },
+  supply: {
+    title: "Mixed Supply (50% deposits + 50% withdraws)",
+    description: "50% deposits + 50% withdraws (netting in action)",
+    prepare: prepareMixedSupply,
+  },
+  borrow: {
+    title: "Mixed Borrow (50% borrows + 50% repays)",
+    description: "50% borrows + 50% repays (netting in action)",
+    prepare: prepareMixedBorrow,
+  },
+};
 
-  const depositResults = [];
-
-  for (const batchSize of BATCH_SIZES) {
-    if (batchSize >= accounts.length) {
-      console.log(`⏭️  Skipping batch size ${batchSize} (not enough accounts)\n`);
-      continue;
+/**
+ * Reads the configuration from `argv` and `env`
+ * @returns The configuration, with `compare` set to `[base, head]` in compare mode
+ */
+function parseConfig(argv, env) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith("--")) continue;
+    const name = argv[i].slice(2);
+    if (name === "compare") {
+      flags.compare = [argv[++i], argv[++i]];
+    } else {
+      flags[name] = argv[++i];
     }
+  }
 
-    console.log(`📦 Testing batch size: ${batchSize}`);
-
-    const batchResults = [];
-
-    for (let run = 0; run < RUNS_PER_SIZE; run++) {
-      // Mint tokens to users
-      const users = accounts.slice(1, batchSize + 1);
-      const mintAmount = ethers.utils.parseEther("100000");
-
-      let txs = [];
-      for (const user of users) {
-        txs.push(frontendUtil.generateTx(
-          function([token, to, amount]) { return token.mint(to, amount); },
-          daiToken, user.address, mintAmount
-        ));
-      }
-      await frontendUtil.waitingTxs(txs);
-
-      // Approve
-      txs = [];
-      const depositAmount = ethers.utils.parseEther("10000");
-      for (const user of users) {
-        txs.push(frontendUtil.generateTx(
-          function([token, signer, spender, amount]) {
-            return token.connect(signer).approve(spender, amount);
-          },
-          daiToken, user, lendingEngine.address, depositAmount
-        ));
-      }
-      await frontendUtil.waitingTxs(txs);
-
-      // Benchmark: Parallel deposits
-      const startTime = Date.now();
-
-      txs = [];
-      for (const user of users) {
-        txs.push(frontendUtil.generateTx(
-          function([engine, signer, market, amount]) {
-            return engine.connect(signer).queueDeposit(market, amount);
-          },
-          lendingEngine, user, cDAI.address, depositAmount
-        ));
-      }
-
-      await frontendUtil.waitingTxs(txs);
-
-      const endTime = Date.now();
-      const duration = (endTime - startTime) / 1000; // Convert to seconds
-      const tps = batchSize / duration;
-
-      batchResults.push({ duration, tps });
-
-      console.log(`   Run ${run + 1}: ${batchSize} deposits in ${duration.toFixed(3)}s (${tps.toFixed(2)} TPS)`);
+  const option = (name) =>
+    flags[name] !== undefined ? flags[name] : env[`BENCHMARK_${name.toUpperCase().replace(/-/g, "_")}`];
+  const list = (value) => value.split(",").map((item) => item.trim()).filter(Boolean);
+
+  const config = {
+    sizes: option("sizes") ? list(option("sizes")).map(Number) : DEFAULTS.sizes,
+    runs: Number(option("runs") || DEFAULTS.runs),
+    scenarios: option("scenarios") ? list(option("scenarios")) : DEFAULTS.scenarios,
+    markets: option("markets") ? list(option("markets")) : DEFAULTS.markets,
+    deposit: option("deposit") || DEFAULTS.deposit,
+    collateral: option("collateral") || DEFAULTS.collateral,
+    withdraw: option("withdraw") || DEFAULTS.withdraw,
+    borrow: option("borrow") || DEFAULTS.borrow,
+    repay: option("repay") || DEFAULTS.repay,
+    seed: option("seed") || DEFAULTS.seed,
+    walletFunding: option("wallet-funding") || DEFAULTS.walletFunding,
+    setupBatch: Number(option("setup-batch") || DEFAULTS.setupBatch),
+    network: flags.network || env.HARDHAT_NETWORK,
+    json: option("json"),
+    csv: option("csv"),
+    compare: flags.compare,
+    threshold: Number(option("threshold") || DEFAULTS.threshold),
+  };
+
+  for (const scenario of config.scenarios) {
+    if (!SCENARIOS[scenario]) {
+      throw new Error(`Unknown scenario "${scenario}" (expected ${Object.keys(SCENARIOS).join(", ")})`);
     }
+  }
+  if (config.sizes.some((size) => !Number.isInteger(size) || size < 2)) {
+    throw new Error(`Batch sizes must be integers >= 2, got ${config.sizes.join(",")}`);
+  }
+  if (!Number.isInteger(config.runs) || config.runs < 1) {
+    throw new Error(`Runs must be a positive integer, got ${config.runs}`);
+  }
+  if (!Number.isInteger(config.setupBatch) || config.setupBatch < 1) {
+    throw new Error(`Setup batch size must be a positive integer, got ${config.setupBatch}`);
+  }
 
-    // Calculate average
-    const avgDuration = batchResults.reduce((sum, r) => sum + r.duration, 0) / RUNS_PER_SIZE;
-    const avgTPS = batchResults.reduce((sum, r) => sum + r.tps, 0) / RUNS_PER_SIZE;
-
-    depositResults.push({ batchSize, avgDuration, avgTPS });
+  return config;
+}
 
-    console.log(`   ✅ Average: ${avgDuration.toFixed(3)}s, ${avgTPS.toFixed(2)} TPS\n`);
+/**
+ * Deploys the protocol with one mock token and CToken per configured market at
+ * $1 (scripts/deploy.js), using the risk parameters of config/markets.js.
+ * On a persistent network the deployment recorded in deployments/<network>.json
+ * is reused (its markets must have mock underlyings the benchmark can mint)
+ * and the manifest is updated with whatever had to be added.
+ */
+async function deploy(hre, config) {
+  const network = hre.network.name;
+  const manifest = isEphemeral(network) ? null : readManifest(network);
+
+  const deployment = await deployProtocol(
+    hre.ethers,
+    {
+      rateModels: RATE_MODELS,
+      markets: config.markets.map((symbol) => ({ symbol, name: symbol, decimals: 18, rateModel: "default", price: "1" })),
+    },
+    { manifest, network }
+  );
+  if (!isEphemeral(network)) {
+    writeManifest(deployment.manifest);
   }
 
-  // ==========================================
-  // BENCHMARK 2: Mixed Supply Operations
-  // ==========================================
-  console.log("========================================");
-  console.log("📈 Benchmark 2: Mixed Supply Operations");
-  console.log("========================================");
-  console.log("Scenario: 50% deposits + 50% withdraws (netting in action)\n");
+  const { lendingEngine, lendingCore, comptroller, markets } = deployment;
+  return { lendingEngine, lendingCore, comptroller, markets };
+}
 
-  const mixedSupplyResults = [];
+// ==========================================
+// SCENARIOS
+// ==========================================
+// Each prepare function runs the untimed setup for one run and returns the
+// transactions of the measured batch. Wallet i uses market i % markets.length.
 
-  for (const batchSize of BATCH_SIZES) {
-    if (batchSize >= accounts.length) {
-      console.log(`⏭️  Skipping batch size ${batchSize} (not enough accounts)\n`);
-      continue;
-    }
+/**
+ * Sends setup transactions in batches of `config.setupBatch` and checks the invariants
+ */
+async function setupBatch(ctx, calls) {
+  const txs = calls.map((call) => ctx.frontendUtil.generateTx(function ([send]) { return send(); }, call));
+  await ctx.sendInBatches(txs, ctx.config.setupBatch);
+  await ctx.invariants.assert();
+}
 
-    console.log(`📦 Testing batch size: ${batchSize}`);
+function marketOf(ctx, user) {
+  return ctx.marketOf.get(user.address);
+}
 
-    const batchResults = [];
+/**
+ * Mints underlying to `users`; LendingEngine was approved when the wallets were set up
+ * @param amountOf Function returning the amount for a user
+ */
+async function fund(ctx, users, amountOf) {
+  await setupBatch(
+    ctx,
+    users.map((user) => () => marketOf(ctx, user).token.mint(user.address, amountOf(user)))
+  );
+}
 
-    for (let run = 0; run < RUNS_PER_SIZE; run++) {
-      const users = accounts.slice(1, batchSize + 1);
-      const halfSize = Math.floor(batchSize / 2);
-      const depositUsers = users.slice(0, halfSize);
-      const withdrawUsers = users.slice(halfSize);
+function queue(ctx, user, method, amount) {
+  const { cToken } = marketOf(ctx, user);
+  return ctx.frontendUtil.generateTx(
+    function ([engine, signer, market, value]) {
+      return engine.connect(signer)[method](market, value);
+    },
+    ctx.lendingEngine, user, cToken.address, amount
+  );
+}
 
-      // Setup: Give withdraw users existing deposits
-      const setupAmount = ethers.utils.parseEther("50000");
-      let txs = [];
+async function prepareDeposits(ctx, users) {
+  const { amounts } = ctx;
+  await fund(ctx, users, () => amounts.deposit);
 
-      for (const user of withdrawUsers) {
-        txs.push(frontendUtil.generateTx(
-          function([token, to, amount]) { return token.mint(to, amount); },
-          daiToken, user.address, setupAmount
-        ));
-      }
-      await frontendUtil.waitingTxs(txs);
-
-      txs = [];
-      for (const user of withdrawUsers) {
-        txs.push(frontendUtil.generateTx(
-          function([token, signer, spender, amount]) {
-            return token.connect(signer).approve(spender, amount);
-          },
-          daiToken, user, lendingEngine.address, setupAmount
-        ));
-      }
-      await frontendUtil.waitingTxs(txs);
-
-      txs = [];
-      for (const user of withdrawUsers) {
-        txs.push(frontendUtil.generateTx(
-          function([engine, signer, market, amount]) {
-            return engine.connect(signer).queueDeposit(market, amount);
-          },
-          lendingEngine, user, cDAI.address, setupAmount
-        ));
-      }
-      await frontendUtil.waitingTxs(txs);
-
-      // Give deposit users tokens
-      const mintAmount = ethers.utils.parseEther("100000");
-      txs = [];
-      for (const user of depositUsers) {
-        txs.push(frontendUtil.generateTx(
-          function([token, to, amount]) { return token.mint(to, amount); },
-          daiToken, user.address, mintAmount
-        ));
-      }
-      await frontendUtil.waitingTxs(txs);
-
-      // Approve deposit users
-      const depositAmount = ethers.utils.parseEther("10000");
-      txs = [];
-      for (const user of depositUsers) {
-        txs.push(frontendUtil.generateTx(
-          function([token, signer, spender, amount]) {
-            return token.connect(signer).approve(spender, amount);
-          },
-          daiToken, user, lendingEngine.address, depositAmount
-        ));
-      }
-      await frontendUtil.waitingTxs(txs);
+  return users.map((user) => queue(ctx, user, "queueDeposit", amounts.deposit));
+}
 
-      // Benchmark: Mixed operations (deposits + withdraws)
-      const startTime = Date.now();
+async function prepareMixedSupply(ctx, users) {
+  const { amounts } = ctx;
+  const halfSize = Math.floor(users.length / 2);
+  const depositUsers = users.slice(0, halfSize);
+  const withdrawUsers = users.slice(halfSize);
+
+  // Setup: Give withdraw users existing deposits
+  const depositing = new Set(depositUsers);
+  await fund(ctx, users, (user) => (depositing.has(user) ? amounts.deposit : amounts.collateral));
+  await setupBatch(
+    ctx,
+    withdrawUsers.map((user) => () =>
+      ctx.lendingEngine.connect(user).queueDeposit(marketOf(ctx, user).cToken.address, amounts.collateral)
+    )
+  );
 
-      txs = [];
+  return [
+    ...depositUsers.map((user) => queue(ctx, user, "queueDeposit", amounts.deposit)),
+    ...withdrawUsers.map((user) => queue(ctx, user, "queueWithdraw", amounts.withdraw)),
+  ];
+}
 
-      // Add deposits
-      for (const user of depositUsers) {
-        txs.push(frontendUtil.generateTx(
-          function([engine, signer, market, amount]) {
-            return engine.connect(signer).queueDeposit(market, amount);
-          },
-          lendingEngine, user, cDAI.address, depositAmount
-        ));
-      }
+async function prepareMixedBorrow(ctx, users) {
+  const { amounts } = ctx;
+  const halfSize = Math.floor(users.length / 2);
+  const borrowUsers = users.slice(0, halfSize);
+  const repayUsers = users.slice(halfSize);
+
+  // Setup: All users need collateral; repay users need existing borrows
+  await fund(ctx, users, () => amounts.collateral.add(amounts.repay));
+  await setupBatch(
+    ctx,
+    users.map((user) => () =>
+      ctx.lendingEngine.connect(user).queueDeposit(marketOf(ctx, user).cToken.address, amounts.collateral)
+    )
+  );
+  await setupBatch(
+    ctx,
+    users.map((user) => () => ctx.comptroller.connect(user).enterMarkets([marketOf(ctx, user).cToken.address]))
+  );
+  await setupBatch(
+    ctx,
+    repayUsers.map((user) => () =>
+      ctx.lendingEngine.connect(user).queueBorrow(marketOf(ctx, user).cToken.address, amounts.repay)
+    )
+  );
 
-      // Add withdraws
-      const withdrawAmount = ethers.utils.parseUnits("100000", 8); // Small cToken amount
-      for (const user of withdrawUsers) {
-        txs.push(frontendUtil.generateTx(
-          function([engine, signer, market, amount]) {
-            return engine.connect(signer).queueWithdraw(market, amount);
-          },
-          lendingEngine, user, cDAI.address, withdrawAmount
-        ));
-      }
+  return [
+    ...borrowUsers.map((user) => queue(ctx, user, "queueBorrow", amounts.borrow)),
+    ...repayUsers.map((user) => queue(ctx, user, "queueRepay", amounts.repay)),
+  ];
+}
 
-      await frontendUtil.waitingTxs(txs);
+// ==========================================
+// MAIN
+// ==========================================
 
-      const endTime = Date.now();
-      const duration = (endTime - startTime) / 1000;
-      const tps = batchSize / duration;
+async function runBenchmark(config) {
+  if (config.network) process.env.HARDHAT_NETWORK = config.network;
+  const hre = require("hardhat");
+  const { ethers } = hre;
+  const frontendUtil = require("../emulator/frontend-util");
+  const { InvariantChecker } = require("./invariants");
+  const { deriveWallets, sendInBatches, fundWallets, approveWallets } = require("./benchmark-wallets");
 
-      batchResults.push({ duration, tps });
+  console.log("\n========================================");
+  console.log("📊 Paralend Performance Benchmark");
+  console.log("========================================\n");
+  console.log(`Network:   ${hre.network.name}`);
+  console.log(`Scenarios: ${config.scenarios.join(", ")}`);
+  console.log(`Markets:   ${config.markets.join(", ")}`);
+  console.log(`Sizes:     ${config.sizes.join(", ")} (${config.runs} runs each)\n`);
 
-      console.log(`   Run ${run + 1}: ${batchSize} mixed ops in ${duration.toFixed(3)}s (${tps.toFixed(2)} TPS)`);
-    }
+  // ==========================================
+  // SETUP: Deploy and Initialize Protocol
+  // ==========================================
+  console.log("🔧 Setting up protocol...");
 
-    const avgDuration = batchResults.reduce((sum, r) => sum + r.duration, 0) / RUNS_PER_SIZE;
-    const avgTPS = batchResults.reduce((sum, r) => sum + r.tps, 0) / RUNS_PER_SIZE;
+  const [deployer] = await ethers.getSigners();
 
-    mixedSupplyResults.push({ batchSize, avgDuration, avgTPS });
+  const ctx = await deploy(hre, config);
+  ctx.config = config;
+  ctx.frontendUtil = frontendUtil;
+  ctx.sendInBatches = sendInBatches;
+  ctx.invariants = new InvariantChecker({
+    markets: ctx.markets.map(({ cToken }) => cToken),
+    lendingEngine: ctx.lendingEngine,
+  });
+  ctx.amounts = {
+    deposit: ethers.utils.parseEther(config.deposit),
+    collateral: ethers.utils.parseEther(config.collateral),
+    withdraw: ethers.utils.parseUnits(config.withdraw, 8),
+    borrow: ethers.utils.parseEther(config.borrow),
+    repay: ethers.utils.parseEther(config.repay),
+  };
+  await ctx.invariants.assert();
 
-    console.log(`   ✅ Average: ${avgDuration.toFixed(3)}s, ${avgTPS.toFixed(2)} TPS\n`);
-  }
+  console.log("✅ Protocol setup complete\n");
 
   // ==========================================
-  // BENCHMARK 3: Mixed Borrow Operations
+  // SETUP: Derive, Fund and Approve Wallets
   // ==========================================
-  console.log("========================================");
-  console.log("📈 Benchmark 3: Mixed Borrow Operations");
-  console.log("========================================");
-  console.log("Scenario: 50% borrows + 50% repays (netting in action)\n");
-
-  const mixedBorrowResults = [];
-
-  for (const batchSize of BATCH_SIZES) {
-    if (batchSize >= accounts.length) {
-      console.log(`⏭️  Skipping batch size ${batchSize} (not enough accounts)\n`);
-      continue;
-    }
+  const maxBatchSize = Math.max(...config.sizes);
+  console.log(`👛 Preparing ${maxBatchSize} wallets from seed "${config.seed}"...`);
 
-    console.log(`📦 Testing batch size: ${batchSize}`);
+  const wallets = deriveWallets(config.seed, maxBatchSize, ethers.provider);
+  ctx.marketOf = new Map(wallets.map((wallet, i) => [wallet.address, ctx.markets[i % ctx.markets.length]]));
 
-    const batchResults = [];
+  const funded = await fundWallets(
+    deployer,
+    wallets,
+    ethers.utils.parseEther(config.walletFunding),
+    config.setupBatch
+  );
+  const approved = await approveWallets(
+    wallets,
+    ctx.markets.map(({ token }) => token),
+    ctx.lendingEngine.address,
+    config.setupBatch
+  );
+  await ctx.invariants.assert();
 
-    for (let run = 0; run < RUNS_PER_SIZE; run++) {
-      const users = accounts.slice(1, batchSize + 1);
-      const halfSize = Math.floor(batchSize / 2);
-      const borrowUsers = users.slice(0, halfSize);
-      const repayUsers = users.slice(halfSize);
+  console.log(`✅ Funded ${funded} wallets, sent ${approved} approvals (${maxBatchSize - funded} already funded)\n`);
 
-      // Setup: All users need collateral
-      const collateralAmount = ethers.utils.parseEther("50000");
-      let txs = [];
+  const results = [];
 
-      for (const user of users) {
-        txs.push(frontendUtil.generateTx(
-          function([token, to, amount]) { return token.mint(to, amount); },
-          daiToken, user.address, collateralAmount
-        ));
-      }
-      await frontendUtil.waitingTxs(txs);
-
-      txs = [];
-      for (const user of users) {
-        txs.push(frontendUtil.generateTx(
-          function([token, signer, spender]) {
-            return token.connect(signer).approve(spender, ethers.constants.MaxUint256);
-          },
-          daiToken, user, lendingEngine.address
-        ));
-      }
-      await frontendUtil.waitingTxs(txs);
-
-      // Deposit collateral
-      txs = [];
-      for (const user of users) {
-        txs.push(frontendUtil.generateTx(
-          function([engine, signer, market, amount]) {
-            return engine.connect(signer).queueDeposit(market, amount);
-          },
-          lendingEngine, user, cDAI.address, collateralAmount
-        ));
-      }
-      await frontendUtil.waitingTxs(txs);
-
-      // Enter markets
-      txs = [];
-      for (const user of users) {
-        txs.push(frontendUtil.generateTx(
-          function([comptroller, signer, markets]) {
-            return comptroller.connect(signer).enterMarkets(markets);
-          },
-          comptroller, user, [cDAI.address]
-        ));
-      }
-      await frontendUtil.waitingTxs(txs);
-
-      // Repay users need existing borrows
-      const existingBorrow = ethers.utils.parseEther("5000");
-      txs = [];
-      for (const user of repayUsers) {
-        txs.push(frontendUtil.generateTx(
-          function([engine, signer, market, amount]) {
-            return engine.connect(signer).queueBorrow(market, amount);
-          },
-          lendingEngine, user, cDAI.address, existingBorrow
-        ));
-      }
-      await frontendUtil.waitingTxs(txs);
-
-      // Benchmark: Mixed borrow operations
-      const startTime = Date.now();
-
-      txs = [];
-
-      // Add borrows
-      const borrowAmount = ethers.utils.parseEther("10000");
-      for (const user of borrowUsers) {
-        txs.push(frontendUtil.generateTx(
-          function([engine, signer, market, amount]) {
-            return engine.connect(signer).queueBorrow(market, amount);
-          },
-          lendingEngine, user, cDAI.address, borrowAmount
-        ));
-      }
+  for (const [index, name] of config.scenarios.entries()) {
+    const scenario = SCENARIOS[name];
 
-      // Add repays
-      const repayAmount = ethers.utils.parseEther("2000");
-      for (const user of repayUsers) {
-        txs.push(frontendUtil.generateTx(
-          function([engine, signer, market, amount]) {
-            return engine.connect(signer).queueRepay(market, amount);
-          },
-          lendingEngine, user, cDAI.address, repayAmount
-        ));
-      }
+    console.log("========================================");
+    console.log(`📈 Benchmark ${index + 1}: ${scenario.title}`);
+    console.log("========================================");
+    console.log(`Scenario: ${scenario.description}\n`);
 
-      await frontendUtil.waitingTxs(txs);
+    for (const batchSize of config.sizes) {
+      console.log(`📦 Testing batch size: ${batchSize}`);
 
-      const endTime = Date.now();
-      const duration = (endTime - startTime) / 1000;
-      const tps = batchSize / duration;
+      const runs = [];
+      for (let run = 0; run < config.runs; run++) {
+        const users = wallets.slice(0, batchSize);
+        const txs = await scenario.prepare(ctx, users);
 
-      batchResults.push({ duration, tps });
+        const startTime = Date.now();
+        const receipts = await frontendUtil.waitingTxs(txs);
+        const endTime = Date.now();
+        await ctx.invariants.assert();
 
-      console.log(`   Run ${run + 1}: ${batchSize} mixed ops in ${duration.toFixed(3)}s (${tps.toFixed(2)} TPS)`);
-    }
+        const duration = (endTime - startTime) / 1000; // Convert to seconds
+        runs.push({ duration, receipts });
 
-    const avgDuration = batchResults.reduce((sum, r) => sum + r.duration, 0) / RUNS_PER_SIZE;
-    const avgTPS = batchResults.reduce((sum, r) => sum + r.tps, 0) / RUNS_PER_SIZE;
+        console.log(
+          `   Run ${run + 1}: ${batchSize} ops in ${duration.toFixed(3)}s (${(batchSize / duration).toFixed(2)} TPS)`
+        );
+      }
 
-    mixedBorrowResults.push({ batchSize, avgDuration, avgTPS });
+      const result = summarize(name, batchSize, runs);
+      results.push(result);
 
-    console.log(`   ✅ Average: ${avgDuration.toFixed(3)}s, ${avgTPS.toFixed(2)} TPS\n`);
+      console.log(
+        `   ✅ p50 ${result.latencyP50.toFixed(3)}s, p95 ${result.latencyP95.toFixed(3)}s, ` +
+          `${result.tps.toFixed(2)} TPS, ${result.gasPerTx} gas/tx\n`
+      );
+    }
   }
 
   // ==========================================
@@ -435,27 +389,45 @@ async function main() {
   // ==========================================
   console.log("\n========================================");
   console.log("📊 BENCHMARK RESULTS SUMMARY");
-  console.log("========================================\n");
-
-  console.log("Scenario 1: Deposit-Only");
-  console.log("Batch Size | Avg Duration | Avg TPS");
-  console.log("-----------|--------------|--------");
-  for (const result of depositResults) {
-    console.log(`${result.batchSize.toString().padEnd(10)} | ${result.avgDuration.toFixed(3)}s      | ${result.avgTPS.toFixed(2)}`);
-  }
+  console.log("========================================");
 
-  console.log("\nScenario 2: Mixed Supply (50% deposits + 50% withdraws)");
-  console.log("Batch Size | Avg Duration | Avg TPS");
-  console.log("-----------|--------------|--------");
-  for (const result of mixedSupplyResults) {
-    console.log(`${result.batchSize.toString().padEnd(10)} | ${result.avgDuration.toFixed(3)}s      | ${result.avgTPS.toFixed(2)}`);
+  for (const [index, name] of config.scenarios.entries()) {
+    console.log(`\nScenario ${index + 1}: ${SCENARIOS[name].title}`);
+    console.log("Batch Size | P50       | P95       | Max       | Avg TPS  | Gas/tx   | Blocks");
+    console.log("-----------|-----------|-----------|-----------|----------|----------|-------");
+    for (const result of results.filter((r) => r.scenario === name)) {
+      console.log(
+        `${result.batchSize.toString().padEnd(10)} | ${`${result.latencyP50.toFixed(3)}s`.padEnd(9)} | ` +
+          `${`${result.latencyP95.toFixed(3)}s`.padEnd(9)} | ${`${result.latencyMax.toFixed(3)}s`.padEnd(9)} | ` +
+          `${result.tps.toFixed(2).padEnd(8)} | ${result.gasPerTx.toString().padEnd(8)} | ${result.blocksSpanned}`
+      );
+    }
   }
 
-  console.log("\nScenario 3: Mixed Borrow (50% borrows + 50% repays)");
-  console.log("Batch Size | Avg Duration | Avg TPS");
-  console.log("-----------|--------------|--------");
-  for (const result of mixedBorrowResults) {
-    console.log(`${result.batchSize.toString().padEnd(10)} | ${result.avgDuration.toFixed(3)}s      | ${result.avgTPS.toFixed(2)}`);
+  const report = {
+    commit: gitCommit(),
+    network: hre.network.name,
+    timestamp: new Date().toISOString(),
+    config: {
+      sizes: config.sizes,
+      runs: config.runs,
+      scenarios: config.scenarios,
+      markets: config.markets,
+      seed: config.seed,
+      amounts: {
+        deposit: config.deposit,
+        collateral: config.collateral,
+        withdraw: config.withdraw,
+        borrow: config.borrow,
+        repay: config.repay,
+      },
+    },
+    results,
+  };
+  writeReport(report, config);
+  const written = [config.json, config.csv].filter(Boolean);
+  if (written.length > 0) {
+    console.log(`\n💾 Results written to ${written.join(" and ")}`);
   }
 
   console.log("\n========================================");
@@ -468,8 +440,31 @@ async function main() {
   console.log("• Larger batches demonstrate better efficiency\n");
 }
 
+function runCompare(config) {
+  const fs = require("fs");
+  const [baseFile, headFile] = config.compare;
+  const base = JSON.parse(fs.readFileSync(baseFile, "utf8"));
+  const head = JSON.parse(fs.readFileSync(headFile, "utf8"));
+
+  console.log(`\n📊 Comparing ${headFile} (${head.commit}) against ${baseFile} (${base.commit})\n`);
+  const comparison = compareReports(base, head, config.threshold);
+  printComparison(comparison, config.threshold);
+
+  return comparison.regressions.length === 0;
+}
+
+async function main() {
+  const config = parseConfig(process.argv.slice(2), process.env);
+
+  if (config.compare) {
+    return runCompare(config) ? 0 : 1;
+  }
+  await runBenchmark(config);
+  return 0;
+}
+
 main()
-  .then(() => process.exit(0))
+  .then((code) => process.exit(code))
   .catch((error) => {
     console.error("\n❌ Benchmark failed with error:");
     console.error(error);
@@ -0,0 +1,179 @@
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+
+/**
+ * Benchmark result summaries, JSON/CSV export and regression comparison
+ *
+ * A result file looks like:
+ *
+ *   {
+ *     "commit": "dae7048...", "network": "hardhat", "timestamp": "...",
+ *     "config": { ...benchmark configuration },
+ *     "results": [
+ *       { "scenario": "deposit", "batchSize": 10, "runs": 3,
+ *         "latencyP50": 0.42, "latencyP95": 0.45, "latencyMax": 0.45,  // seconds per batch
+ *         "tps": 23.8, "gasPerTx": 184321, "blocksSpanned": 1 }
+ *     ]
+ *   }
+ */
+
+// Result fields exported to CSV, in column order
+const FIELDS = [
+  "scenario",
+  "batchSize",
+  "runs",
+  "latencyP50",
+  "latencyP95",
+  "latencyMax",
+  "tps",
+  "gasPerTx",
+  "blocksSpanned",
+];
+
+// Metrics checked by compare: +1 if higher is better, -1 if lower is better
+const METRICS = {
+  tps: 1,
+  latencyP95: -1,
+  gasPerTx: -1,
+};
+
+/**
+ * Nearest-rank percentile of a list of numbers
+ * @param values Samples
+ * @param p Percentile between 0 and 100
+ */
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.max(1, Math.ceil((p / 100) * sorted.length));
+  return sorted[rank - 1];
+}
+
+/**
+ * Summarizes the runs of one scenario and batch size
+ * @param runs `[{ duration, receipts }]`, one entry per measured batch
+ */
+function summarize(scenario, batchSize, runs) {
+  const durations = runs.map((run) => run.duration);
+  const receipts = runs.flatMap((run) => run.receipts);
+  const gasUsed = receipts.reduce((sum, receipt) => sum + receipt.gasUsed.toNumber(), 0);
+
+  return {
+    scenario,
+    batchSize,
+    runs: runs.length,
+    latencyP50: percentile(durations, 50),
+    latencyP95: percentile(durations, 95),
+    latencyMax: Math.max(...durations),
+    tps: runs.reduce((sum, run) => sum + batchSize / run.duration, 0) / runs.length,
+    gasPerTx: Math.round(gasUsed / receipts.length),
+    blocksSpanned: Math.max(...runs.map((run) => new Set(run.receipts.map((r) => r.blockNumber)).size)),
+  };
+}
+
+/**
+ * Current git commit, or "unknown" outside a git checkout
+ */
+function gitCommit() {
+  try {
+    return execSync("git rev-parse HEAD", { stdio: ["ignore", "pipe", "ignore"] }).toString().trim();
+  } catch (e) {
+    return "unknown";
+  }
+}
+
+function toCSV(report) {
+  const header = ["commit", "network", ...FIELDS];
+  const lines = report.results.map((result) =>
+    [report.commit, report.network, ...FIELDS.map((field) => result[field])].join(",")
+  );
+  return [header.join(","), ...lines].join("\n") + "\n";
+}
+
+/**
+ * Writes a report as JSON and/or CSV
+ * @param report `{ commit, network, timestamp, config, results }`
+ * @param files `{ json, csv }` output paths, either may be omitted
+ */
+function writeReport(report, { json, csv }) {
+  for (const [file, content] of [
+    [json, JSON.stringify(report, null, 2) + "\n"],
+    [csv, toCSV(report)],
+  ]) {
+    if (!file) continue;
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, content);
+  }
+}
+
+/**
+ * Diffs two reports per scenario and batch size
+ * @param base Baseline report
+ * @param head Report to check
+ * @param threshold Allowed change for the worse, in percent
+ * @returns `{ rows, regressions }`; each row holds the base/head value and the
+ *          change in percent of every metric, regressions list the rows and
+ *          metrics beyond `threshold`
+ */
+function compareReports(base, head, threshold) {
+  const key = (result) => `${result.scenario}/${result.batchSize}`;
+  const baseResults = new Map(base.results.map((result) => [key(result), result]));
+  const rows = [];
+  const regressions = [];
+
+  for (const result of head.results) {
+    const baseline = baseResults.get(key(result));
+    if (!baseline) continue;
+
+    const row = { scenario: result.scenario, batchSize: result.batchSize, metrics: {} };
+    for (const [metric, direction] of Object.entries(METRICS)) {
+      const change = baseline[metric] === 0 ? 0 : ((result[metric] - baseline[metric]) / baseline[metric]) * 100;
+      row.metrics[metric] = { base: baseline[metric], head: result[metric], change };
+
+      if (-direction * change > threshold) {
+        regressions.push({ scenario: result.scenario, batchSize: result.batchSize, metric, change });
+      }
+    }
+    rows.push(row);
+  }
+
+  return { rows, regressions };
+}
+
+/**
+ * Prints compareReports output as a table
+ */
+function printComparison({ rows, regressions }, threshold) {
+  const flagged = new Set(regressions.map((r) => `${r.scenario}/${r.batchSize}/${r.metric}`));
+  const format = (value) => (Number.isInteger(value) ? value.toString() : value.toFixed(3));
+
+  console.log("Scenario | Batch Size | Metric     | Base       | Head       | Change");
+  console.log("---------|------------|------------|------------|------------|--------");
+  for (const row of rows) {
+    for (const [metric, { base, head, change }] of Object.entries(row.metrics)) {
+      const flag = flagged.has(`${row.scenario}/${row.batchSize}/${metric}`) ? "  ❌" : "";
+      console.log(
+        `${row.scenario.padEnd(8)} | ${row.batchSize.toString().padEnd(10)} | ${metric.padEnd(10)} | ` +
+          `${format(base).padEnd(10)} | ${format(head).padEnd(10)} | ${change >= 0 ? "+" : ""}${change.toFixed(1)}%${flag}`
+      );
+    }
+  }
+
+  console.log(
+    regressions.length === 0
+      ? `\n✅ No regressions beyond ${threshold}%`
+      : `\n❌ ${regressions.length} regression(s) beyond ${threshold}%`
+  );
+}
+
+module.exports = {
+  FIELDS,
+  METRICS,
+  percentile,
+  summarize,
+  gitCommit,
+  toCSV,
+  writeReport,
+  compareReports,
+  printComparison,
+};
@@ -0,0 +1,120 @@
+const { ethers } = require("hardhat");
+const frontendUtil = require("../emulator/frontend-util");
+
+/**
+ * Deterministic benchmark wallets
+ *
+ * Networks only come with a handful of signers (network.json has 11 keys), so
+ * the benchmark derives its users instead: wallet i's private key is
+ * keccak256(seed, i), and the same seed always yields the same wallets.
+ *
+ *   const wallets = deriveWallets("paralend-benchmark", 1000, ethers.provider);
+ *   await fundWallets(deployer, wallets, ethers.utils.parseEther("10"));
+ *   await approveWallets(wallets, [dai, usdc], lendingEngine.address);
+ *
+ * Funding and approvals skip wallets that already have them, so on a
+ * persistent network the wallets of a seed are set up once and reused by
+ * every later run.
+ */
+
+// Transactions per setup batch
+const SETUP_BATCH_SIZE = 100;
+
+/**
+ * Wallet assigning nonces locally
+ *
+ * ethers asks the node for the "pending" nonce of every transaction, and
+ * Hardhat answers by executing every transaction pending in the batch, which
+ * makes sending a batch quadratic. The wallets are only used by the
+ * benchmark, so the next nonce is tracked here instead.
+ */
+class BenchmarkWallet extends ethers.Wallet {
+  async sendTransaction(transaction) {
+    if (transaction.nonce != null) return super.sendTransaction(transaction);
+
+    if (this._nonce === undefined) {
+      this._nonce = await this.getTransactionCount("latest");
+    }
+    const sent = await super.sendTransaction({ ...transaction, nonce: this._nonce });
+    this._nonce++;
+    return sent;
+  }
+}
+
+/**
+ * Derives `count` wallets from `seed`
+ * @param seed Any string
+ * @param count Number of wallets
+ * @param provider Provider the wallets are connected to
+ */
+function deriveWallets(seed, count, provider) {
+  const wallets = [];
+  for (let i = 0; i < count; i++) {
+    const key = ethers.utils.solidityKeccak256(["string", "uint256"], [seed, i]);
+    wallets.push(new BenchmarkWallet(key, provider));
+  }
+  return wallets;
+}
+
+/**
+ * Sends transactions created with frontendUtil.generateTx in batches of `batchSize`
+ * @returns Receipts in the same order as `txs`
+ */
+async function sendInBatches(txs, batchSize = SETUP_BATCH_SIZE) {
+  const receipts = [];
+  for (let i = 0; i < txs.length; i += batchSize) {
+    receipts.push(...(await frontendUtil.waitingTxs(txs.slice(i, i + batchSize))));
+  }
+  return receipts;
+}
+
+/**
+ * Tops up the native balance of every wallet holding less than `amount`
+ * @param funder Signer paying for the top-ups
+ * @returns Number of wallets funded
+ */
+async function fundWallets(funder, wallets, amount, batchSize = SETUP_BATCH_SIZE) {
+  const balances = await Promise.all(wallets.map((wallet) => wallet.getBalance()));
+  const txs = [];
+  wallets.forEach((wallet, i) => {
+    if (balances[i].gte(amount)) return;
+    txs.push(frontendUtil.generateTx(
+      function ([signer, to, value]) { return signer.sendTransaction({ to, value }); },
+      funder, wallet.address, amount.sub(balances[i])
+    ));
+  });
+
+  await sendInBatches(txs, batchSize);
+  return txs.length;
+}
+
+/**
+ * Approves `spender` for the maximum amount of every token, from every wallet
+ * without that allowance yet
+ * @returns Number of approvals sent
+ */
+async function approveWallets(wallets, tokens, spender, batchSize = SETUP_BATCH_SIZE) {
+  const txs = [];
+  for (const token of tokens) {
+    const allowances = await Promise.all(wallets.map((wallet) => token.allowance(wallet.address, spender)));
+    wallets.forEach((wallet, i) => {
+      if (allowances[i].eq(ethers.constants.MaxUint256)) return;
+      txs.push(frontendUtil.generateTx(
+        function ([token, signer]) { return token.connect(signer).approve(spender, ethers.constants.MaxUint256); },
+        token, wallet
+      ));
+    });
+  }
+
+  await sendInBatches(txs, batchSize);
+  return txs.length;
+}
+
+module.exports = {
+  SETUP_BATCH_SIZE,
+  BenchmarkWallet,
+  deriveWallets,
+  sendInBatches,
+  fundWallets,
+  approveWallets,
+};
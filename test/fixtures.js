@@ -0,0 +1,162 @@
+const { ethers, network } = require("hardhat");
+var frontendUtil = require('../emulator/frontend-util')
+const { InvariantChecker } = require("./invariants");
+const { deployOracle } = require("./oracle");
+const { deploymentConfig } = require("../config/deploy");
+const { deployProtocol: deployFromConfig } = require("../scripts/deploy");
+
+/**
+ * Shared fixtures and helpers for the Paralend test suites
+ *
+ * Fixtures are snapshotted after their first run and restored with evm_revert
+ * afterwards, so every test starts from the same state without redeploying.
+ * Every batch sent with runBatch is followed by a protocol invariant check
+ * (see invariants.js) on the markets of the last loaded fixture.
+ */
+
+const snapshots = new Map();
+
+// Context of the last loaded fixture, whose invariants runBatch checks
+let active = null;
+
+/**
+ * Runs `fixture` once and restores its snapshot on later calls
+ * @param fixture Async function deploying and returning the test context
+ * @returns The object returned by `fixture`
+ */
+async function loadFixture(fixture) {
+  const cached = snapshots.get(fixture);
+  if (cached) {
+    const restored = await network.provider.request({ method: "evm_revert", params: [cached.snapshot] });
+    if (restored) {
+      // A snapshot can only be reverted to once
+      cached.snapshot = await network.provider.request({ method: "evm_snapshot" });
+      active = cached.context;
+      return cached.context;
+    }
+    // Invalidated by reverting to an older fixture; build it again
+    snapshots.delete(fixture);
+  }
+
+  const context = await fixture();
+  const snapshot = await network.provider.request({ method: "evm_snapshot" });
+  snapshots.set(fixture, { snapshot, context });
+  active = context;
+  return context;
+}
+
+/**
+ * Deploys the full protocol of config/deploy.js with scripts/deploy.js:
+ * DAI/USDC mocks, LendingEngine, LendingCore, SimplifiedComptroller,
+ * JumpRateModel and a CToken per token, wired together with both markets
+ * listed (but not priced) and given the risk parameters of config/markets.js,
+ * plus an InvariantChecker over both markets. Both mocks have 18 decimals, so
+ * the tests write amounts of either token with parseEther
+ */
+async function deployProtocol() {
+  const [deployer, user1, user2, liquidator, ...others] = await ethers.getSigners();
+
+  const config = deploymentConfig(network.name);
+  const {
+    lendingEngine,
+    lendingCore,
+    comptroller,
+    interestRateModels,
+    markets: [dai, usdc],
+  } = await deployFromConfig(ethers, {
+    ...config,
+    markets: config.markets.map(({ price, ...market }) => ({ ...market, decimals: 18 })),
+  });
+
+  return {
+    deployer,
+    user1,
+    user2,
+    liquidator,
+    others,
+    daiToken: dai.token,
+    usdcToken: usdc.token,
+    lendingEngine,
+    lendingCore,
+    comptroller,
+    interestRateModel: interestRateModels.default,
+    cDAI: dai.cToken,
+    cUSDC: usdc.cToken,
+    invariants: new InvariantChecker({ markets: [dai.cToken, usdc.cToken], lendingEngine }),
+  };
+}
+
+/**
+ * Full protocol with both markets at $1 set by the admin
+ */
+async function deployFixture() {
+  const ctx = await deployProtocol();
+
+  for (const cToken of [ctx.cDAI, ctx.cUSDC]) {
+    await ctx.comptroller.setPrice(cToken.address, ethers.utils.parseEther("1"));
+  }
+
+  return ctx;
+}
+
+/**
+ * Full protocol priced by AggregatorPriceOracle instead of admin prices, with
+ * a MockAggregator feed per market at $1 (see oracle.js)
+ */
+async function oracleFixture() {
+  const ctx = await deployProtocol();
+
+  const {
+    oracle,
+    feeds: [daiFeed, usdcFeed],
+  } = await deployOracle(ctx.comptroller, [ctx.cDAI, ctx.cUSDC]);
+
+  return { ...ctx, oracle, daiFeed, usdcFeed };
+}
+
+/**
+ * Sends `calls` as one parallel batch, then checks the protocol invariants
+ * @param calls Functions each returning a sent transaction
+ * @returns Receipts in the same order as `calls`
+ */
+async function runBatch(calls) {
+  const txs = calls.map((call) =>
+    frontendUtil.generateTx(function([send]) { return send(); }, call)
+  );
+  const receipts = await frontendUtil.waitingTxs(txs);
+
+  if (active && active.invariants) {
+    await active.invariants.assert();
+  }
+  return receipts;
+}
+
+/**
+ * Decodes all `eventName` events emitted by `contract` in `receipts`
+ * @returns Event args in emission order
+ */
+function findEvents(receipts, contract, eventName) {
+  const found = [];
+  for (const receipt of [].concat(receipts)) {
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== contract.address.toLowerCase()) continue;
+
+      let parsed;
+      try {
+        parsed = contract.interface.parseLog(log);
+      } catch (e) {
+        continue; // Not an event of this contract's ABI
+      }
+      if (parsed.name === eventName) found.push(parsed.args);
+    }
+  }
+  return found;
+}
+
+module.exports = {
+  loadFixture,
+  deployFixture,
+  oracleFixture,
+  runBatch,
+  findEvents,
+};
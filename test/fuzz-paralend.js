@@ -0,0 +1,388 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture, deployFixture, runBatch, findEvents } = require("./fixtures");
+
+/**
+ * Randomized stateful fuzzer: batched netting vs sequential Compound semantics
+ *
+ * Each case is a list of random batches of deposits, withdraws, borrows and
+ * repays across several users and both markets. Every batch runs once through
+ * the LendingEngine queue functions and once through a reference: plain
+ * CTokens (no LendingCore, no comptroller) on which the requests LendingCore
+ * accepted are replayed one by one with mint/redeem/borrow/repayBorrow, in
+ * LendingCore's settlement order (per market: deposits, withdraws, repays,
+ * borrows). Per-user cToken and borrow balances and the market totals are
+ * then diffed.
+ *
+ * The reference replays each batch in the block right after it, so both sides
+ * accrue interest over the same number of blocks. A failing case is shrunk to
+ * a minimal reproducing case before it is reported.
+ *
+ *   FUZZ_RUNS=50 FUZZ_SEED=1234 pnpm fuzz
+ */
+
+const FUZZ_RUNS = Number(process.env.FUZZ_RUNS || 5);
+const FUZZ_SEED = Number(process.env.FUZZ_SEED || Math.floor(Math.random() * 2 ** 32));
+const BATCHES_PER_CASE = 4;
+const MAX_REQUESTS_PER_BATCH = 8;
+const MAX_SHRINK_ATTEMPTS = 200;
+
+const OP_TYPES = ["deposit", "withdraw", "borrow", "repay"];
+const fundAmount = ethers.utils.parseEther("1000000");
+const maxDeposit = ethers.utils.parseEther("20000");
+
+// Settlement order within a market (see LendingCore.processSupplyOperations/processBorrowOperations)
+const SETTLEMENT_ORDER = { deposit: 0, withdraw: 1, repay: 2, borrow: 3 };
+
+// The two sides round at different points (pre-batch vs current exchange rate,
+// borrowIndex truncation), so amounts may differ by a few units per user. Market
+// totals also absorb each user's cToken rounding, worth exchangeRate / 1e18 per unit.
+const TOKEN_TOLERANCE = 2; // cToken units
+const UNDERLYING_TOLERANCE = 1e6; // wei, as invariants.BORROW_ROUNDING
+
+/**
+ * mulberry32 PRNG: reproducible cases from a 32-bit seed
+ */
+function random(seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+  };
+}
+
+/**
+ * Generates a case: a list of batches of `{ op, user, market, fraction }`
+ *
+ * Amounts are resolved against the state before each batch (see resolveAmount),
+ * so shrunk cases stay meaningful. A fraction above 1 asks for more than the
+ * user has, which exercises rejections and refunds.
+ */
+function generateCase(rand, users) {
+  const batches = [];
+  for (let b = 0; b < BATCHES_PER_CASE; b++) {
+    const batch = [];
+    const size = 1 + Math.floor(rand() * MAX_REQUESTS_PER_BATCH);
+    for (let r = 0; r < size; r++) {
+      batch.push({
+        op: OP_TYPES[Math.floor(rand() * OP_TYPES.length)],
+        user: Math.floor(rand() * users),
+        market: Math.floor(rand() * 2),
+        fraction: Math.round(rand() * 1300) / 1000, // 0 .. 1.3
+      });
+    }
+    batches.push(batch);
+  }
+  return batches;
+}
+
+/**
+ * Shrinks a failing case: drops whole batches, then single requests, then
+ * rounds fractions to 1, as long as the case keeps failing
+ * @param testCase Failing case
+ * @param fails Async predicate, true if a case still fails
+ * @returns The smallest failing case found
+ */
+async function shrink(testCase, fails) {
+  let smallest = testCase;
+  let attempts = 0;
+
+  const candidates = function* (current) {
+    for (let b = 0; b < current.length; b++) {
+      yield current.filter((_, i) => i !== b);
+    }
+    for (let b = 0; b < current.length; b++) {
+      for (let r = 0; r < current[b].length; r++) {
+        yield current.map((batch, i) => (i === b ? batch.filter((_, j) => j !== r) : batch));
+      }
+    }
+    for (let b = 0; b < current.length; b++) {
+      for (let r = 0; r < current[b].length; r++) {
+        if (current[b][r].fraction === 1) continue;
+        yield current.map((batch, i) =>
+          i === b ? batch.map((request, j) => (j === r ? { ...request, fraction: 1 } : request)) : batch
+        );
+      }
+    }
+  };
+
+  let progress = true;
+  while (progress && attempts < MAX_SHRINK_ATTEMPTS) {
+    progress = false;
+    for (const candidate of candidates(smallest)) {
+      if (++attempts > MAX_SHRINK_ATTEMPTS) break;
+      if (await fails(candidate)) {
+        smallest = candidate;
+        progress = true;
+        break;
+      }
+    }
+  }
+  return smallest;
+}
+
+/**
+ * Deploys the protocol plus a reference CToken per market, and funds the users
+ * on both sides. Users enter both markets so borrows can use any collateral.
+ */
+async function fuzzFixture() {
+  const ctx = await loadFixture(deployFixture);
+  const { user1, user2, liquidator, others, daiToken, usdcToken, lendingEngine, comptroller, interestRateModel } =
+    ctx;
+
+  const CTokenFactory = await ethers.getContractFactory("CToken");
+  const refDAI = await CTokenFactory.deploy(
+    daiToken.address,
+    ethers.constants.AddressZero,
+    interestRateModel.address,
+    "Reference DAI",
+    "rDAI"
+  );
+  const refUSDC = await CTokenFactory.deploy(
+    usdcToken.address,
+    ethers.constants.AddressZero,
+    interestRateModel.address,
+    "Reference USDC",
+    "rUSDC"
+  );
+
+  const users = [user1, user2, liquidator, ...others.slice(0, 3)];
+  const markets = [
+    { batched: ctx.cDAI, reference: refDAI, token: daiToken },
+    { batched: ctx.cUSDC, reference: refUSDC, token: usdcToken },
+  ];
+
+  await runBatch(
+    users.flatMap((user) => markets.map(({ token }) => () => token.mint(user.address, fundAmount.mul(2))))
+  );
+  await runBatch(
+    users.flatMap((user) =>
+      markets.flatMap(({ token, reference }) => [
+        () => token.connect(user).approve(lendingEngine.address, ethers.constants.MaxUint256),
+        () => token.connect(user).approve(reference.address, ethers.constants.MaxUint256),
+      ])
+    )
+  );
+  await runBatch(
+    users.map((user) => () => comptroller.connect(user).enterMarkets(markets.map(({ batched }) => batched.address)))
+  );
+
+  return { ...ctx, users, markets };
+}
+
+/**
+ * Turns a generated request into a concrete amount against the current state
+ */
+async function resolveAmount(ctx, request) {
+  const user = ctx.users[request.user];
+  const { batched } = ctx.markets[request.market];
+  const scale = (amount) => amount.mul(Math.round(request.fraction * 1000)).div(1000);
+
+  switch (request.op) {
+    case "deposit":
+      return scale(maxDeposit);
+    case "withdraw":
+      return scale(await batched.balanceOf(user.address));
+    case "borrow": {
+      // Both markets are priced at $1, so liquidity is in underlying units
+      const [, liquidity] = await ctx.comptroller.getAccountLiquidity(user.address);
+      return scale(liquidity);
+    }
+    case "repay":
+      return scale(await batched.borrowBalanceStored(user.address));
+  }
+}
+
+function queue(ctx, request) {
+  const engine = ctx.lendingEngine.connect(ctx.users[request.user]);
+  const market = ctx.markets[request.market].batched.address;
+
+  switch (request.op) {
+    case "deposit":
+      return engine.queueDeposit(market, request.amount);
+    case "withdraw":
+      return engine.queueWithdraw(market, request.amount);
+    case "borrow":
+      return engine.queueBorrow(market, request.amount);
+    case "repay":
+      return engine.queueRepay(market, request.amount);
+  }
+}
+
+function replayCall(ctx, request) {
+  const reference = ctx.markets[request.market].reference.connect(ctx.users[request.user]);
+  const overrides = { gasLimit: 1000000 };
+
+  switch (request.op) {
+    case "deposit":
+      return reference.mint(request.amount, overrides);
+    case "withdraw":
+      return reference.redeem(request.amount, overrides);
+    case "borrow":
+      return reference.borrow(request.amount, overrides);
+    case "repay":
+      return reference.repayBorrow(request.amount, overrides);
+  }
+}
+
+/**
+ * Replays the accepted requests on the reference markets in one block
+ * @returns Descriptions of accepted requests the reference could not execute
+ */
+async function replay(ctx, requests) {
+  const touched = new Set(requests.map((request) => request.market));
+  const accepted = requests
+    .filter((request) => request.accepted)
+    .sort((a, b) => a.market - b.market || SETTLEMENT_ORDER[a.op] - SETTLEMENT_ORDER[b.op] || a.index - b.index);
+
+  const provider = network.provider;
+  const sent = [];
+
+  await provider.request({ method: "evm_setAutomine", params: [false] });
+  try {
+    // Markets whose requests were all rejected still accrued interest on the batched side
+    for (const market of touched) {
+      sent.push({ tx: await ctx.markets[market].reference.accrueInterest({ gasLimit: 1000000 }) });
+    }
+    for (const request of accepted) {
+      sent.push({ request, tx: await replayCall(ctx, request) });
+    }
+  } finally {
+    await provider.request({ method: "evm_mine" });
+    await provider.request({ method: "evm_setAutomine", params: [true] });
+  }
+
+  const results = await Promise.allSettled(sent.map(({ tx }) => tx.wait()));
+  return results
+    .map((result, i) => ({ result, request: sent[i].request }))
+    .filter(({ result }) => result.status === "rejected")
+    .map(({ request }) =>
+      request ? `reference reverted on accepted ${requestLabel(ctx, request)}` : "reference accrueInterest reverted"
+    );
+}
+
+function requestLabel(ctx, request) {
+  const market = ctx.markets[request.market].batched === ctx.cDAI ? "cDAI" : "cUSDC";
+  return `${request.op} of ${request.amount} by user ${request.user} in ${market}`;
+}
+
+function diff(found, label, batched, reference, tolerance) {
+  if (batched.sub(reference).abs().gt(tolerance)) {
+    found.push(`${label}: batched ${batched} != reference ${reference}`);
+  }
+}
+
+/**
+ * Diffs per-user balances and market totals of both sides
+ * @returns Descriptions of every difference above the rounding tolerance
+ */
+async function compare(ctx) {
+  const found = [];
+
+  for (const { batched, reference } of ctx.markets) {
+    const name = await batched.symbol();
+    const tokenValue = (await reference.exchangeRateStored()).div(ethers.constants.WeiPerEther).add(1);
+    const totalTolerance = tokenValue.mul(TOKEN_TOLERANCE).add(UNDERLYING_TOLERANCE).mul(ctx.users.length);
+
+    for (const [i, user] of ctx.users.entries()) {
+      diff(
+        found,
+        `${name} balanceOf(user ${i})`,
+        await batched.balanceOf(user.address),
+        await reference.balanceOf(user.address),
+        TOKEN_TOLERANCE
+      );
+      diff(
+        found,
+        `${name} borrowBalanceStored(user ${i})`,
+        await batched.borrowBalanceStored(user.address),
+        await reference.borrowBalanceStored(user.address),
+        UNDERLYING_TOLERANCE
+      );
+    }
+
+    diff(found, `${name} totalSupply`, await batched.totalSupply(), await reference.totalSupply(), TOKEN_TOLERANCE * ctx.users.length);
+    for (const field of ["totalBorrows", "totalReserves", "getCash"]) {
+      diff(
+        found,
+        `${name} ${field}`,
+        await batched[field](),
+        await reference[field](),
+        totalTolerance
+      );
+    }
+  }
+  return found;
+}
+
+/**
+ * Runs a case on a fresh deployment
+ * @returns Differences found after the first diverging batch (empty if none)
+ */
+async function runCase(testCase) {
+  const ctx = await loadFixture(fuzzFixture);
+
+  for (const [b, batch] of testCase.entries()) {
+    if (batch.length === 0) continue;
+
+    const requests = [];
+    for (const [index, request] of batch.entries()) {
+      requests.push({ ...request, index, amount: await resolveAmount(ctx, request) });
+    }
+
+    let receipts;
+    try {
+      receipts = await runBatch(requests.map((request) => () => queue(ctx, request)));
+    } catch (error) {
+      return [`batch ${b}: ${error.message}`];
+    }
+
+    for (const [i, receipt] of receipts.entries()) {
+      const [queued] = findEvents(receipt, ctx.lendingEngine, "RequestQueued");
+      const outcome = await ctx.lendingCore.getOutcome(queued.pid, queued.market, queued.opType);
+      requests[i].accepted = outcome.status === 1; // Status.Settled
+    }
+
+    const found = [...(await replay(ctx, requests)), ...(await compare(ctx))];
+    if (found.length > 0) {
+      return found.map((difference) => `batch ${b}: ${difference}`);
+    }
+  }
+  return [];
+}
+
+describe("Paralend netting fuzzer", function () {
+  this.timeout(0);
+
+  it(`matches sequential CToken semantics on ${FUZZ_RUNS} random cases (seed ${FUZZ_SEED})`, async function () {
+    const rand = random(FUZZ_SEED);
+    const { users } = await loadFixture(fuzzFixture);
+
+    for (let run = 0; run < FUZZ_RUNS; run++) {
+      const testCase = generateCase(rand, users.length);
+      const differences = await runCase(testCase);
+      if (differences.length === 0) continue;
+
+      const minimal = await shrink(testCase, async (candidate) => (await runCase(candidate)).length > 0);
+      expect.fail(
+        `Case ${run} (FUZZ_SEED=${FUZZ_SEED}) diverges from sequential semantics.\n` +
+          `Minimal case: ${JSON.stringify(minimal)}\n` +
+          (await runCase(minimal)).join("\n")
+      );
+    }
+  });
+
+  it("shrinks a failing case to a minimal reproducing batch", async function () {
+    const testCase = generateCase(random(1), 6);
+    testCase[2].push({ op: "withdraw", user: 6, market: 1, fraction: 0.5 });
+
+    // Fails whenever user 6 withdraws from market 1, whatever else the case holds
+    const culprit = (request) => request.op === "withdraw" && request.user === 6 && request.market === 1;
+    const fails = async (candidate) => candidate.some((batch) => batch.some(culprit));
+
+    expect(await shrink(testCase, fails)).to.deep.equal([[{ op: "withdraw", user: 6, market: 1, fraction: 1 }]]);
+  });
+});
@@ -0,0 +1,175 @@
+const { ethers } = require("hardhat");
+
+/**
+ * Protocol invariant checker for tests and benchmarks
+ *
+ * For every CToken market, holders and borrowers are enumerated from the
+ * market's Mint/Redeem/Transfer and Borrow/RepayBorrow events, then checked
+ * against the market totals:
+ *
+ *   - sum(balanceOf) == totalSupply
+ *   - sum(borrowBalanceStored) ≈ totalBorrows (per-account interest rounding)
+ *   - getCash() + totalBorrows - totalReserves == exchangeRate * totalSupply
+ *     (up to the exchange rate's truncation)
+ *   - LendingEngine holds no underlying once a batch has been processed
+ *
+ *   const invariants = new InvariantChecker({ markets: [cDAI, cUSDC], lendingEngine });
+ *   await runBatch(...);
+ *   await invariants.assert();
+ *
+ * Events are scanned incrementally. If the chain was rewound (evm_revert),
+ * the accounts are enumerated again from the first block.
+ */
+
+// borrowIndex is truncated on every accrual, which shifts each borrower's balance by
+// about balance / 1e18 wei per accrual: ~5e3 wei for a 5k DAI borrow. Allowed per borrower:
+const BORROW_ROUNDING = 1e6;
+
+class InvariantChecker {
+  /**
+   * @param markets CToken contracts to check
+   * @param lendingEngine LendingEngine contract escrowing queued requests
+   * @param borrowTolerance Allowed |sum(borrowBalanceStored) - totalBorrows| per
+   *        borrower (defaults to BORROW_ROUNDING)
+   */
+  constructor({ markets, lendingEngine, borrowTolerance = BORROW_ROUNDING }) {
+    this.markets = markets;
+    this.lendingEngine = lendingEngine;
+    this.borrowTolerance = ethers.BigNumber.from(borrowTolerance);
+    this._reset();
+  }
+
+  _reset() {
+    this._scanned = null; // { number, hash } of the last scanned block
+    this._holders = new Map(this.markets.map((market) => [market.address, new Set()]));
+    this._borrowers = new Map(this.markets.map((market) => [market.address, new Set()]));
+  }
+
+  /**
+   * Enumerates holders and borrowers from the events emitted since the last call
+   * @returns `{ holders, borrowers }`, each a Map of market address => Set of accounts
+   */
+  async accounts() {
+    const provider = this.lendingEngine.provider;
+
+    if (this._scanned) {
+      const block = await provider.getBlock(this._scanned.number);
+      if (!block || block.hash !== this._scanned.hash) this._reset();
+    }
+
+    const latest = await provider.getBlock("latest");
+    const fromBlock = this._scanned ? this._scanned.number + 1 : 0;
+
+    if (fromBlock <= latest.number) {
+      for (const market of this.markets) {
+        const holders = this._holders.get(market.address);
+        const borrowers = this._borrowers.get(market.address);
+
+        for (const event of await market.queryFilter("Mint", fromBlock, latest.number)) {
+          holders.add(event.args.minter);
+        }
+        for (const event of await market.queryFilter("Redeem", fromBlock, latest.number)) {
+          holders.add(event.args.redeemer);
+        }
+        for (const event of await market.queryFilter("Transfer", fromBlock, latest.number)) {
+          // Mints come from and burns go to address(0)
+          for (const account of [event.args.from, event.args.to]) {
+            if (account !== ethers.constants.AddressZero) holders.add(account);
+          }
+        }
+        for (const event of await market.queryFilter("Borrow", fromBlock, latest.number)) {
+          borrowers.add(event.args.borrower);
+        }
+        for (const event of await market.queryFilter("RepayBorrow", fromBlock, latest.number)) {
+          borrowers.add(event.args.borrower);
+        }
+      }
+    }
+
+    this._scanned = { number: latest.number, hash: latest.hash };
+    return { holders: this._holders, borrowers: this._borrowers };
+  }
+
+  /**
+   * Checks every invariant
+   * @returns Descriptions of the violated invariants (empty if all hold)
+   */
+  async violations() {
+    const { holders, borrowers } = await this.accounts();
+    const found = [];
+    const underlyings = new Set();
+
+    for (const market of this.markets) {
+      const name = await market.symbol();
+      const [totalSupply, totalBorrows, totalReserves, cash, exchangeRate] = await Promise.all([
+        market.totalSupply(),
+        market.totalBorrows(),
+        market.totalReserves(),
+        market.getCash(),
+        market.exchangeRateStored(),
+      ]);
+      underlyings.add(await market.underlying());
+
+      let sumBalances = ethers.BigNumber.from(0);
+      for (const holder of holders.get(market.address)) {
+        sumBalances = sumBalances.add(await market.balanceOf(holder));
+      }
+      if (!sumBalances.eq(totalSupply)) {
+        found.push(`${name}: sum of balances ${sumBalances} != totalSupply ${totalSupply}`);
+      }
+
+      let sumBorrows = ethers.BigNumber.from(0);
+      for (const borrower of borrowers.get(market.address)) {
+        sumBorrows = sumBorrows.add(await market.borrowBalanceStored(borrower));
+      }
+      const borrowBound = this.borrowTolerance.mul(borrowers.get(market.address).size);
+      if (sumBorrows.sub(totalBorrows).abs().gt(borrowBound)) {
+        found.push(
+          `${name}: sum of borrow balances ${sumBorrows} differs from totalBorrows ${totalBorrows} by more than ${borrowBound}`
+        );
+      }
+
+      // exchangeRate = floor(underlying * 1e18 / totalSupply), so the backing may exceed
+      // exchangeRate * totalSupply by less than totalSupply / 1e18 + 1
+      if (!totalSupply.isZero()) {
+        const backing = cash.add(totalBorrows).sub(totalReserves);
+        const implied = exchangeRate.mul(totalSupply).div(ethers.constants.WeiPerEther);
+        const slack = backing.sub(implied);
+        if (slack.lt(0) || slack.gt(totalSupply.div(ethers.constants.WeiPerEther).add(1))) {
+          found.push(
+            `${name}: cash + totalBorrows - totalReserves ${backing} != exchangeRate * totalSupply ${implied}`
+          );
+        }
+      }
+    }
+
+    for (const underlying of underlyings) {
+      const token = new ethers.Contract(
+        underlying,
+        ["function balanceOf(address) view returns (uint256)", "function symbol() view returns (string)"],
+        this.lendingEngine.provider
+      );
+      const residual = await token.balanceOf(this.lendingEngine.address);
+      if (!residual.isZero()) {
+        found.push(`LendingEngine holds ${residual} ${await token.symbol()} after the batch`);
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Checks every invariant and throws if any is violated
+   */
+  async assert() {
+    const found = await this.violations();
+    if (found.length > 0) {
+      throw new Error(`Protocol invariants violated:\n  - ${found.join("\n  - ")}`);
+    }
+  }
+}
+
+module.exports = {
+  BORROW_ROUNDING,
+  InvariantChecker,
+};
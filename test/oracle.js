@@ -0,0 +1,92 @@
+const { ethers, network } = require("hardhat");
+
+/**
+ * Price feed helpers for tests
+ *
+ * Markets are priced by AggregatorPriceOracle from one MockAggregator feed per
+ * market (8 decimals, like Chainlink USD feeds). Tests move prices by pushing
+ * feed rounds instead of calling the comptroller's admin setPrice:
+ *
+ *   const { oracle, feeds: [daiFeed] } = await deployOracle(comptroller, [cDAI, cUSDC]);
+ *   await pushPrice(daiFeed, "1.5");   // one round; a jump beyond MAX_DEVIATION freezes cDAI
+ *   await movePrice(daiFeed, "1.5");   // rounds within MAX_DEVIATION up to $1.5
+ *   await increaseTime(MAX_AGE + 1);   // every feed goes stale
+ */
+
+const FEED_DECIMALS = 8;
+const MAX_AGE = 3600; // 1 hour
+const MAX_DEVIATION = ethers.utils.parseEther("0.2"); // 20% per round
+
+/**
+ * Deploys AggregatorPriceOracle with a MockAggregator per market and plugs it into the comptroller
+ * @param comptroller SimplifiedComptroller (signer must be its admin)
+ * @param markets CTokens to price
+ * @param options `{ price, maxAge, maxDeviation }`: initial USD price of every
+ *        market as a decimal string and the feed guards
+ * @returns `{ oracle, feeds }`, feeds in the order of `markets`
+ */
+async function deployOracle(
+  comptroller,
+  markets,
+  { price = "1", maxAge = MAX_AGE, maxDeviation = MAX_DEVIATION } = {}
+) {
+  const oracle = await (await ethers.getContractFactory("AggregatorPriceOracle")).deploy();
+  const AggregatorFactory = await ethers.getContractFactory("MockAggregator");
+
+  const feeds = [];
+  for (const market of markets) {
+    const feed = await AggregatorFactory.deploy(FEED_DECIMALS, ethers.utils.parseUnits(price, FEED_DECIMALS));
+    await oracle.setFeed(market.address, feed.address, maxAge, maxDeviation);
+    feeds.push(feed);
+  }
+  await comptroller.setPriceOracle(oracle.address);
+
+  return { oracle, feeds };
+}
+
+/**
+ * Publishes a new round at `price` (USD, decimal string)
+ */
+async function pushPrice(feed, price) {
+  return feed.updateAnswer(ethers.utils.parseUnits(price, await feed.decimals()));
+}
+
+/**
+ * Walks a feed to `price` (USD, decimal string) in rounds that each stay within
+ * `maxDeviation`, so the oracle accepts every step
+ * @returns Number of rounds published
+ */
+async function movePrice(feed, price, maxDeviation = MAX_DEVIATION) {
+  const target = ethers.utils.parseUnits(price, await feed.decimals());
+  let [, current] = await feed.latestRoundData();
+  let rounds = 0;
+
+  while (!current.eq(target)) {
+    const maxStep = current.mul(maxDeviation).div(ethers.constants.WeiPerEther);
+    const distance = target.sub(current).abs();
+    const step = distance.lt(maxStep) ? distance : maxStep;
+    current = target.gt(current) ? current.add(step) : current.sub(step);
+
+    await feed.updateAnswer(current);
+    rounds++;
+  }
+  return rounds;
+}
+
+/**
+ * Advances the chain time by `seconds` and mines a block
+ */
+async function increaseTime(seconds) {
+  await network.provider.request({ method: "evm_increaseTime", params: [seconds] });
+  await network.provider.request({ method: "evm_mine" });
+}
+
+module.exports = {
+  FEED_DECIMALS,
+  MAX_AGE,
+  MAX_DEVIATION,
+  deployOracle,
+  pushPrice,
+  movePrice,
+  increaseTime,
+};
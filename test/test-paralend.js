@@ -1,469 +1,3112 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
 const hre = require("hardhat");
-var frontendUtil = require('@arcologynetwork/frontend-util/utils/util')
-const { ethers } = require("hardhat");
+const { ethers, network } = hre;
+const { loadFixture, deployFixture, oracleFixture, runBatch, findEvents } = require("./fixtures");
+const { MAX_AGE, pushPrice, movePrice, increaseTime } = require("./oracle");
+const { resolveSettlement } = require("../emulator/settlement");
+const { MARKETS, applyRiskParameters } = require("../config/markets");
+const { reportReserves, sweepReserves } = require("../scripts/treasury");
+const { collectBorrowers, findLiquidations, submitLiquidations, runKeeper } = require("../scripts/keeper");
+const { BLOCKS_PER_YEAR, ARCOLOGY_BLOCKS_PER_YEAR, RATE_MODELS, deploymentConfig } = require("../config/deploy");
+const { BORROW_RATE_MAX, rateCurve, rateCurves, curvesCsv } = require("../scripts/rate-curve");
+const {
+  deployProtocol,
+  verifyDeployment,
+  loadDeployment,
+  readManifest,
+  writeManifest,
+} = require("../scripts/deploy");
+const { loadNetworkClient, marketsReport, positionReport } = require("../tasks/paralend");
+const { ParalendClient, apy } = require("../sdk/client");
+const { Indexer } = require("../sdk/indexer");
+const { JsonlStore } = require("../sdk/store");
+const frontendUtil = require("../emulator/frontend-util");
 
 /**
  * Complete E2E test for Paralend lending protocol
- * Tests: Deploy → Initialize → Deposit → Borrow → Repay → Liquidation
+ * Tests: Deploy → Initialize → Deposit → Borrow → Repay → Withdraw → Liquidation
+ *
+ * Every operation goes through LendingEngine as a parallel batch, so the
+ * assertions cover the netted settlement done by LendingCore.
  */
 
-async function main() {
-  console.log("\n========================================");
-  console.log("🚀 Paralend E2E Test Starting");
-  console.log("========================================\n");
-
-  // Get signers
-  accounts = await ethers.getSigners();
-  const deployer = accounts[0];
-  const user1 = accounts[1];
-  const user2 = accounts[2];
-  const liquidator = accounts[3];
-
-  console.log(`Deployer: ${deployer.address}`);
-  console.log(`User1: ${user1.address}`);
-  console.log(`User2: ${user2.address}`);
-  console.log(`Liquidator: ${liquidator.address}\n`);
-
-  // ==========================================
-  // STEP 1: Deploy Mock ERC20 Tokens
-  // ==========================================
-  console.log("📦 Step 1: Deploying mock tokens...");
-
-  const TokenFactory = await ethers.getContractFactory("contracts/CompoundV2/test/MockERC20.sol:MockERC20");
-  const daiToken = await TokenFactory.deploy("Dai Stablecoin", "DAI", 18);
-  await daiToken.deployed();
-  console.log(`✅ DAI Token deployed at: ${daiToken.address}`);
-
-  const usdcToken = await TokenFactory.deploy("USD Coin", "USDC", 18);
-  await usdcToken.deployed();
-  console.log(`✅ USDC Token deployed at: ${usdcToken.address}\n`);
-
-  // ==========================================
-  // STEP 2: Deploy Protocol Contracts
-  // ==========================================
-  console.log("📦 Step 2: Deploying protocol contracts...");
-
-  // 2.1 Deploy LendingEngine
-  const LendingEngineFactory = await ethers.getContractFactory("LendingEngine");
-  const lendingEngine = await LendingEngineFactory.deploy();
-  await lendingEngine.deployed();
-  console.log(`✅ LendingEngine deployed at: ${lendingEngine.address}`);
-
-  // 2.2 Deploy LendingCore
-  const LendingCoreFactory = await ethers.getContractFactory("LendingCore");
-  const lendingCore = await LendingCoreFactory.deploy(lendingEngine.address);
-  await lendingCore.deployed();
-  console.log(`✅ LendingCore deployed at: ${lendingCore.address}`);
-
-  // 2.3 Deploy SimplifiedComptroller
-  const ComptrollerFactory = await ethers.getContractFactory("SimplifiedComptroller");
-  const comptroller = await ComptrollerFactory.deploy();
-  await comptroller.deployed();
-  console.log(`✅ Comptroller deployed at: ${comptroller.address}`);
-
-  // 2.4 Deploy JumpRateModel (Interest Rate Model)
-  const JumpRateModelFactory = await ethers.getContractFactory("JumpRateModel");
-  const interestRateModel = await JumpRateModelFactory.deploy(
-    ethers.utils.parseEther("0.02"),  // 2% base rate per year
-    ethers.utils.parseEther("0.2"),   // 20% multiplier
-    ethers.utils.parseEther("1.0"),   // 100% jump multiplier
-    ethers.utils.parseEther("0.8")    // 80% kink
-  );
-  await interestRateModel.deployed();
-  console.log(`✅ InterestRateModel deployed at: ${interestRateModel.address}`);
-
-  // 2.5 Deploy CToken for DAI
-  const CTokenFactory = await ethers.getContractFactory("CToken");
-  const cDAI = await CTokenFactory.deploy(
-    daiToken.address,
-    ethers.constants.AddressZero,  // comptroller address (unused in CToken constructor)
-    interestRateModel.address,
-    "Paralend DAI",
-    "pDAI"
+const mintAmount = ethers.utils.parseEther("100000");   // 100k tokens per user
+const depositAmount = ethers.utils.parseEther("10000"); // 10k DAI
+const borrowAmount = ethers.utils.parseEther("5000");   // 5k DAI (within 7.5k limit)
+const repayAmount = ethers.utils.parseEther("1000");    // 1k DAI
+const withdrawTokens = ethers.utils.parseUnits("100000", 8); // 100k cTokens
+
+// Interest accrued between batches is a few wei per block
+const INTEREST_TOLERANCE = ethers.utils.parseEther("0.01");
+
+// ILendingCore.OpType and ILendingCore.Status
+const OpType = { Deposit: 0, Withdraw: 1, Borrow: 2, Repay: 3, Liquidation: 4, WithdrawUnderlying: 5 };
+const Status = { Unknown: 0, Settled: 1, Rejected: 2 };
+
+// AggregatorPriceOracle.PriceStatus
+const PriceStatus = { Ok: 0, Missing: 1, Stale: 2, Deviated: 3 };
+
+// Temporary directories of the running test, removed once it is done
+const tmpDirs = [];
+
+/**
+ * Creates a temporary directory removed after the test
+ */
+function tmpDir(prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  tmpDirs.push(dir);
+  return dir;
+}
+
+/**
+ * Mints DAI/USDC to the users and approves LendingEngine for both tokens
+ */
+async function fundUsers(ctx) {
+  const { user1, user2, liquidator, daiToken, usdcToken, lendingEngine } = ctx;
+
+  await runBatch([user1, user2, liquidator].map((user) => () => daiToken.mint(user.address, mintAmount)));
+  await runBatch([user1, user2].map((user) => () => usdcToken.mint(user.address, mintAmount)));
+
+  await runBatch(
+    [user1, user2, liquidator].flatMap((user) => [
+      () => daiToken.connect(user).approve(lendingEngine.address, ethers.constants.MaxUint256),
+      () => usdcToken.connect(user).approve(lendingEngine.address, ethers.constants.MaxUint256),
+    ])
   );
-  await cDAI.deployed();
-  console.log(`✅ cDAI deployed at: ${cDAI.address}`);
-
-  // 2.6 Deploy CToken for USDC
-  const cUSDC = await CTokenFactory.deploy(
-    usdcToken.address,
-    ethers.constants.AddressZero,
-    interestRateModel.address,
-    "Paralend USDC",
-    "pUSDC"
+}
+
+/**
+ * user1 supplies DAI liquidity; user2 borrows 7k DAI against 10k USDC collateral
+ */
+async function borrowAgainstUSDC(ctx) {
+  const { user1, user2, lendingEngine, comptroller, cDAI, cUSDC } = ctx;
+
+  await runBatch([
+    () => lendingEngine.connect(user1).queueDeposit(cDAI.address, depositAmount),
+    () => lendingEngine.connect(user2).queueDeposit(cUSDC.address, depositAmount),
+  ]);
+  await comptroller.connect(user2).enterMarkets([cUSDC.address]);
+  await lendingEngine.connect(user2).queueBorrow(cDAI.address, ethers.utils.parseEther("7000"));
+}
+
+/**
+ * Mints DAI/USDC to the users and approves LendingEngine for both tokens
+ */
+async function fundedFixture() {
+  const ctx = await loadFixture(deployFixture);
+  await fundUsers(ctx);
+  return ctx;
+}
+
+/**
+ * user1 and user2 each deposit 10k DAI in one batch (not yet used as collateral)
+ */
+async function suppliedFixture() {
+  const ctx = await loadFixture(fundedFixture);
+  const { user1, user2, lendingEngine, cDAI } = ctx;
+
+  await runBatch(
+    [user1, user2].map((user) => () => lendingEngine.connect(user).queueDeposit(cDAI.address, depositAmount))
   );
-  await cUSDC.deployed();
-  console.log(`✅ cUSDC deployed at: ${cUSDC.address}\n`);
-
-  // ==========================================
-  // STEP 3: Initialize Protocol
-  // ==========================================
-  console.log("🔧 Step 3: Initializing protocol...");
-
-  // 3.1 Connect LendingEngine to LendingCore
-  await lendingEngine.init(lendingCore.address);
-  console.log("✅ LendingEngine.init(lendingCore)");
-
-  // 3.2 Set comptroller in LendingCore
-  await lendingCore.setComptroller(comptroller.address);
-  console.log("✅ LendingCore.setComptroller()");
-
-  // 3.3 Set comptroller in LendingEngine (for liquidations)
-  await lendingEngine.setComptroller(comptroller.address);
-  console.log("✅ LendingEngine.setComptroller()");
-
-  // 3.4 Initialize markets in LendingEngine
-  await lendingEngine.initMarket(cDAI.address);
-  console.log("✅ LendingEngine.initMarket(cDAI)");
-
-  await lendingEngine.initMarket(cUSDC.address);
-  console.log("✅ LendingEngine.initMarket(cUSDC)");
-
-  // 3.5 Set LendingCore in CTokens
-  await cDAI.setLendingCore(lendingCore.address);
-  console.log("✅ cDAI.setLendingCore()");
-
-  await cUSDC.setLendingCore(lendingCore.address);
-  console.log("✅ cUSDC.setLendingCore()");
-
-  // 3.6 Support markets in Comptroller
-  await comptroller.supportMarket(cDAI.address);
-  console.log("✅ Comptroller.supportMarket(cDAI)");
-
-  await comptroller.supportMarket(cUSDC.address);
-  console.log("✅ Comptroller.supportMarket(cUSDC)");
-
-  // 3.7 Set oracle prices in Comptroller
-  await comptroller.setPrice(cDAI.address, ethers.utils.parseEther("1"));   // $1 per DAI
-  await comptroller.setPrice(cUSDC.address, ethers.utils.parseEther("1"));  // $1 per USDC
-  console.log("✅ Comptroller prices set ($1 for DAI and USDC)\n");
-
-  // ==========================================
-  // STEP 4: Mint Tokens to Users
-  // ==========================================
-  console.log("💰 Step 4: Minting tokens to users...");
-
-  const mintAmount = ethers.utils.parseEther("100000"); // 100k tokens per user
-
-  // Mint DAI to users in parallel
-  let txs = [];
-  txs.push(frontendUtil.generateTx(
-    function([token, to, amount]) { return token.mint(to, amount); },
-    daiToken, user1.address, mintAmount
-  ));
-  txs.push(frontendUtil.generateTx(
-    function([token, to, amount]) { return token.mint(to, amount); },
-    daiToken, user2.address, mintAmount
-  ));
-  txs.push(frontendUtil.generateTx(
-    function([token, to, amount]) { return token.mint(to, amount); },
-    daiToken, liquidator.address, mintAmount
-  ));
-  await frontendUtil.waitingTxs(txs);
-  console.log("✅ Minted 100k DAI to each user");
-
-  // Mint USDC to users in parallel
-  txs = [];
-  txs.push(frontendUtil.generateTx(
-    function([token, to, amount]) { return token.mint(to, amount); },
-    usdcToken, user1.address, mintAmount
-  ));
-  txs.push(frontendUtil.generateTx(
-    function([token, to, amount]) { return token.mint(to, amount); },
-    usdcToken, user2.address, mintAmount
-  ));
-  await frontendUtil.waitingTxs(txs);
-  console.log("✅ Minted 100k USDC to user1 and user2\n");
-
-  // ==========================================
-  // STEP 5: Test Parallel Deposits
-  // ==========================================
-  console.log("📥 Step 5: Testing parallel deposits...");
-
-  const depositAmount = ethers.utils.parseEther("10000"); // 10k DAI
-
-  // Approve in parallel
-  txs = [];
-  txs.push(frontendUtil.generateTx(
-    function([token, signer, spender, amount]) { return token.connect(signer).approve(spender, amount); },
-    daiToken, user1, lendingEngine.address, depositAmount
-  ));
-  txs.push(frontendUtil.generateTx(
-    function([token, signer, spender, amount]) { return token.connect(signer).approve(spender, amount); },
-    daiToken, user2, lendingEngine.address, depositAmount
-  ));
-  await frontendUtil.waitingTxs(txs);
-  console.log("✅ Users approved LendingEngine to spend DAI");
-
-  // Deposit in parallel
-  txs = [];
-  txs.push(frontendUtil.generateTx(
-    function([engine, signer, market, amount]) { return engine.connect(signer).queueDeposit(market, amount); },
-    lendingEngine, user1, cDAI.address, depositAmount
-  ));
-  txs.push(frontendUtil.generateTx(
-    function([engine, signer, market, amount]) { return engine.connect(signer).queueDeposit(market, amount); },
-    lendingEngine, user2, cDAI.address, depositAmount
-  ));
-  await frontendUtil.waitingTxs(txs);
-  console.log("✅ Users deposited 10k DAI each (parallel)");
-
-  // Check cToken balances
-  let user1CTokenBalance = await cDAI.balanceOf(user1.address);
-  let user2CTokenBalance = await cDAI.balanceOf(user2.address);
-  console.log(`   User1 cDAI balance: ${ethers.utils.formatUnits(user1CTokenBalance, 8)}`);
-  console.log(`   User2 cDAI balance: ${ethers.utils.formatUnits(user2CTokenBalance, 8)}\n`);
-
-  // ==========================================
-  // STEP 6: Enter Markets (Enable Collateral)
-  // ==========================================
-  console.log("🔐 Step 6: Users entering markets for collateral...");
-
-  // Enter markets in parallel
-  txs = [];
-  txs.push(frontendUtil.generateTx(
-    function([comptroller, signer, markets]) { return comptroller.connect(signer).enterMarkets(markets); },
-    comptroller, user1, [cDAI.address]
-  ));
-  txs.push(frontendUtil.generateTx(
-    function([comptroller, signer, markets]) { return comptroller.connect(signer).enterMarkets(markets); },
-    comptroller, user2, [cDAI.address]
-  ));
-  await frontendUtil.waitingTxs(txs);
-  console.log("✅ Users entered DAI market for collateral\n");
-
-  // ==========================================
-  // STEP 7: Check Account Liquidity
-  // ==========================================
-  console.log("💧 Step 7: Checking account liquidity...");
-
-  let [err1, liquidity1, shortfall1] = await comptroller.getAccountLiquidity(user1.address);
-  console.log(`   User1 liquidity: ${ethers.utils.formatEther(liquidity1)} (shortfall: ${ethers.utils.formatEther(shortfall1)})`);
-
-  let [err2, liquidity2, shortfall2] = await comptroller.getAccountLiquidity(user2.address);
-  console.log(`   User2 liquidity: ${ethers.utils.formatEther(liquidity2)} (shortfall: ${ethers.utils.formatEther(shortfall2)})`);
-
-  console.log("   Expected: 7500 (10k * 0.75 collateral factor)\n");
-
-  // ==========================================
-  // STEP 8: Test Parallel Borrows
-  // ==========================================
-  console.log("💸 Step 8: Testing parallel borrows...");
-
-  const borrowAmount = ethers.utils.parseEther("5000"); // 5k DAI (safe: within 7.5k limit)
-
-  // Borrow in parallel
-  txs = [];
-  txs.push(frontendUtil.generateTx(
-    function([engine, signer, market, amount]) { return engine.connect(signer).queueBorrow(market, amount); },
-    lendingEngine, user1, cDAI.address, borrowAmount
-  ));
-  txs.push(frontendUtil.generateTx(
-    function([engine, signer, market, amount]) { return engine.connect(signer).queueBorrow(market, amount); },
-    lendingEngine, user2, cDAI.address, borrowAmount
-  ));
-  await frontendUtil.waitingTxs(txs);
-  console.log("✅ Users borrowed 5k DAI each (parallel)");
-
-  // Check borrow balances
-  let user1BorrowBalance = await cDAI.borrowBalanceStored(user1.address);
-  let user2BorrowBalance = await cDAI.borrowBalanceStored(user2.address);
-  console.log(`   User1 borrow balance: ${ethers.utils.formatEther(user1BorrowBalance)}`);
-  console.log(`   User2 borrow balance: ${ethers.utils.formatEther(user2BorrowBalance)}`);
-
-  // Check remaining liquidity
-  [err1, liquidity1, shortfall1] = await comptroller.getAccountLiquidity(user1.address);
-  console.log(`   User1 remaining liquidity: ${ethers.utils.formatEther(liquidity1)}`);
-  console.log("   Expected: 2500 (7500 - 5000)\n");
-
-  // ==========================================
-  // STEP 9: Test Parallel Repays
-  // ==========================================
-  console.log("💳 Step 9: Testing parallel repays...");
-
-  const repayAmount = ethers.utils.parseEther("1000"); // Repay 1k DAI
-
-  // Approve in parallel
-  txs = [];
-  txs.push(frontendUtil.generateTx(
-    function([token, signer, spender, amount]) { return token.connect(signer).approve(spender, amount); },
-    daiToken, user1, lendingEngine.address, repayAmount
-  ));
-  txs.push(frontendUtil.generateTx(
-    function([token, signer, spender, amount]) { return token.connect(signer).approve(spender, amount); },
-    daiToken, user2, lendingEngine.address, repayAmount
-  ));
-  await frontendUtil.waitingTxs(txs);
-
-  // Repay in parallel
-  txs = [];
-  txs.push(frontendUtil.generateTx(
-    function([engine, signer, market, amount]) { return engine.connect(signer).queueRepay(market, amount); },
-    lendingEngine, user1, cDAI.address, repayAmount
-  ));
-  txs.push(frontendUtil.generateTx(
-    function([engine, signer, market, amount]) { return engine.connect(signer).queueRepay(market, amount); },
-    lendingEngine, user2, cDAI.address, repayAmount
-  ));
-  await frontendUtil.waitingTxs(txs);
-  console.log("✅ Users repaid 1k DAI each (parallel)");
-
-  // Check updated borrow balances
-  user1BorrowBalance = await cDAI.borrowBalanceStored(user1.address);
-  user2BorrowBalance = await cDAI.borrowBalanceStored(user2.address);
-  console.log(`   User1 borrow balance: ${ethers.utils.formatEther(user1BorrowBalance)}`);
-  console.log(`   User2 borrow balance: ${ethers.utils.formatEther(user2BorrowBalance)}`);
-  console.log("   Expected: 4000 (5000 - 1000)\n");
-
-  // ==========================================
-  // STEP 10: Test Parallel Withdraws
-  // ==========================================
-  console.log("📤 Step 10: Testing parallel withdraws...");
-
-  const withdrawAmount = ethers.utils.parseUnits("100000", 8); // 100k cTokens (small amount)
-
-  // Withdraw in parallel
-  txs = [];
-  txs.push(frontendUtil.generateTx(
-    function([engine, signer, market, amount]) { return engine.connect(signer).queueWithdraw(market, amount); },
-    lendingEngine, user1, cDAI.address, withdrawAmount
-  ));
-  txs.push(frontendUtil.generateTx(
-    function([engine, signer, market, amount]) { return engine.connect(signer).queueWithdraw(market, amount); },
-    lendingEngine, user2, cDAI.address, withdrawAmount
-  ));
-  await frontendUtil.waitingTxs(txs);
-  console.log("✅ Users withdrew cTokens (parallel)");
-
-  // Check updated cToken balances
-  user1CTokenBalance = await cDAI.balanceOf(user1.address);
-  user2CTokenBalance = await cDAI.balanceOf(user2.address);
-  console.log(`   User1 cDAI balance: ${ethers.utils.formatUnits(user1CTokenBalance, 8)}`);
-  console.log(`   User2 cDAI balance: ${ethers.utils.formatUnits(user2CTokenBalance, 8)}\n`);
-
-  // ==========================================
-  // STEP 11: Make User2 Underwater (Price Drop)
-  // ==========================================
-  console.log("📉 Step 11: Simulating price drop to make user2 underwater...");
-
-  // First, user2 borrows more to get close to limit
-  const additionalBorrow = ethers.utils.parseEther("2400"); // Total will be 6400
-  await daiToken.connect(user2).approve(lendingEngine.address, ethers.constants.MaxUint256);
-  await lendingEngine.connect(user2).queueBorrow(cDAI.address, additionalBorrow);
-  console.log("✅ User2 borrowed additional 2400 DAI (total: ~6400)");
-
-  // Borrow even more to get close to edge
-  const moreBorrow = ethers.utils.parseEther("1000"); // Total: ~7400
-  await lendingEngine.connect(user2).queueBorrow(cDAI.address, moreBorrow);
-  console.log("✅ User2 borrowed more (total: ~7400 DAI)");
-
-  // Drop price to $0.68 to make underwater
-  await comptroller.setPrice(cDAI.address, ethers.utils.parseEther("0.68"));
-  console.log("✅ Price dropped to $0.68");
-
-  // Check if underwater
-  [err2, liquidity2, shortfall2] = await comptroller.getAccountLiquidity(user2.address);
-  let isUnderwater = await comptroller.isUnderwater(user2.address);
-  console.log(`   User2 liquidity: ${ethers.utils.formatEther(liquidity2)}`);
-  console.log(`   User2 shortfall: ${ethers.utils.formatEther(shortfall2)}`);
-  console.log(`   Is underwater: ${isUnderwater}`);
-
-  if (!isUnderwater) {
-    console.log("   ⚠️  Adjusting to ensure underwater...");
-    const finalBorrow = ethers.utils.parseEther("500");
-    await lendingEngine.connect(user2).queueBorrow(cDAI.address, finalBorrow);
-    isUnderwater = await comptroller.isUnderwater(user2.address);
-    console.log(`   Is underwater now: ${isUnderwater}`);
-  }
-  console.log("");
 
-  // ==========================================
-  // STEP 12: Test Liquidation
-  // ==========================================
-  console.log("⚡ Step 12: Testing liquidation...");
+  return ctx;
+}
 
-  // Get user2's borrow balance
-  const user2Debt = await cDAI.borrowBalanceStored(user2.address);
-  console.log(`   User2 debt: ${ethers.utils.formatEther(user2Debt)}`);
+/**
+ * Both suppliers enter the DAI market
+ */
+async function collateralizedFixture() {
+  const ctx = await loadFixture(suppliedFixture);
+  const { user1, user2, comptroller, cDAI } = ctx;
 
-  // Calculate max liquidation (50% close factor)
-  const maxLiquidation = user2Debt.div(2);
-  console.log(`   Max liquidation (50%): ${ethers.utils.formatEther(maxLiquidation)}`);
+  await runBatch(
+    [user1, user2].map((user) => () => comptroller.connect(user).enterMarkets([cDAI.address]))
+  );
 
-  // Liquidator approves and liquidates
-  await daiToken.connect(liquidator).approve(lendingEngine.address, maxLiquidation);
+  return ctx;
+}
 
-  const liquidatorCTokensBefore = await cDAI.balanceOf(liquidator.address);
+/**
+ * Both suppliers borrow 5k DAI in one batch
+ */
+async function borrowedFixture() {
+  const ctx = await loadFixture(collateralizedFixture);
+  const { user1, user2, lendingEngine, cDAI } = ctx;
 
-  await lendingEngine.connect(liquidator).queueLiquidation(
-    user2.address,      // borrower
-    cDAI.address,       // cTokenBorrowed
-    cDAI.address,       // cTokenCollateral (same market)
-    maxLiquidation      // repayAmount
+  await runBatch(
+    [user1, user2].map((user) => () => lendingEngine.connect(user).queueBorrow(cDAI.address, borrowAmount))
   );
-  console.log("✅ Liquidation executed");
-
-  // Check results
-  const user2DebtAfter = await cDAI.borrowBalanceStored(user2.address);
-  const liquidatorCTokensAfter = await cDAI.balanceOf(liquidator.address);
-  const seizedTokens = liquidatorCTokensAfter.sub(liquidatorCTokensBefore);
-
-  console.log(`   User2 debt after: ${ethers.utils.formatEther(user2DebtAfter)}`);
-  console.log(`   Liquidator seized cTokens: ${ethers.utils.formatUnits(seizedTokens, 8)}`);
-  console.log(`   Liquidator received bonus (8% expected)\n`);
-
-  // ==========================================
-  // STEP 13: Verify Final State
-  // ==========================================
-  console.log("✅ Step 13: Verifying final protocol state...");
-
-  // Check totalSupply
-  const totalSupply = await cDAI.totalSupply();
-  console.log(`   cDAI totalSupply: ${ethers.utils.formatUnits(totalSupply, 8)}`);
-
-  // Check totalBorrows
-  const totalBorrows = await cDAI.totalBorrows();
-  console.log(`   cDAI totalBorrows: ${ethers.utils.formatEther(totalBorrows)}`);
-
-  // Check all user balances
-  const user1FinalCTokens = await cDAI.balanceOf(user1.address);
-  const user2FinalCTokens = await cDAI.balanceOf(user2.address);
-  const liquidatorFinalCTokens = await cDAI.balanceOf(liquidator.address);
-
-  console.log(`   User1 final cDAI: ${ethers.utils.formatUnits(user1FinalCTokens, 8)}`);
-  console.log(`   User2 final cDAI: ${ethers.utils.formatUnits(user2FinalCTokens, 8)}`);
-  console.log(`   Liquidator final cDAI: ${ethers.utils.formatUnits(liquidatorFinalCTokens, 8)}`);
-
-  // Verify invariant: sum of balances <= totalSupply (accounting for rounding)
-  const sumBalances = user1FinalCTokens.add(user2FinalCTokens).add(liquidatorFinalCTokens);
-  console.log(`   Sum of balances: ${ethers.utils.formatUnits(sumBalances, 8)}`);
-
-  if (sumBalances.lte(totalSupply)) {
-    console.log("   ✅ Invariant check passed: sum(balances) <= totalSupply");
-  } else {
-    console.log("   ❌ Invariant check failed!");
-  }
 
-  console.log("\n========================================");
-  console.log("🎉 Paralend E2E Test Completed!");
-  console.log("========================================");
-  console.log("\nSummary:");
-  console.log("✅ Deployed all contracts");
-  console.log("✅ Initialized protocol");
-  console.log("✅ Tested parallel deposits (netting)");
-  console.log("✅ Tested collateral management");
-  console.log("✅ Tested parallel borrows");
-  console.log("✅ Tested parallel repays");
-  console.log("✅ Tested parallel withdraws");
-  console.log("✅ Tested liquidation flow");
-  console.log("✅ Verified protocol invariants");
-  console.log("\n🚀 All tests passed! Protocol is working correctly.\n");
+  return ctx;
+}
+
+/**
+ * user1 supplies DAI liquidity; user2 borrows 7k DAI against 10k USDC collateral
+ */
+async function crossCollateralFixture() {
+  const ctx = await loadFixture(fundedFixture);
+  await borrowAgainstUSDC(ctx);
+  return ctx;
+}
+
+/**
+ * crossCollateralFixture with prices from DAI/USDC feeds instead of admin prices
+ */
+async function oracleCrossCollateralFixture() {
+  const ctx = await loadFixture(oracleFixture);
+  await fundUsers(ctx);
+  await borrowAgainstUSDC(ctx);
+  return ctx;
+}
+
+/**
+ * DAI price rises to $1.2, putting user2 underwater; a second liquidator is funded
+ */
+async function underwaterFixture() {
+  const ctx = await loadFixture(crossCollateralFixture);
+  const { others, daiToken, lendingEngine, comptroller, cDAI } = ctx;
+
+  await comptroller.setPrice(cDAI.address, ethers.utils.parseEther("1.2"));
+
+  await daiToken.mint(others[0].address, mintAmount);
+  await daiToken.connect(others[0]).approve(lendingEngine.address, ethers.constants.MaxUint256);
+
+  return ctx;
+}
+
+/**
+ * USDC price crashes to $0.8: user2's 10k USDC now backs 6400 at the 80%
+ * liquidation threshold against ~7000 DAI of debt
+ */
+async function collateralCrashFixture() {
+  const ctx = await loadFixture(crossCollateralFixture);
+  const { comptroller, cUSDC } = ctx;
+
+  await comptroller.setPrice(cUSDC.address, ethers.utils.parseEther("0.8"));
+
+  return ctx;
+}
+
+/**
+ * crossCollateralFixture with a second borrower: others[1] borrows 2k DAI
+ * against 3k USDC, which backs 1920 once USDC trades at $0.8
+ */
+async function twoBorrowersFixture() {
+  const ctx = await loadFixture(crossCollateralFixture);
+  const { others, usdcToken, lendingEngine, comptroller, cDAI, cUSDC } = ctx;
+  const borrower = others[1];
+
+  await usdcToken.mint(borrower.address, depositAmount);
+  await usdcToken.connect(borrower).approve(lendingEngine.address, ethers.constants.MaxUint256);
+  await lendingEngine.connect(borrower).queueDeposit(cUSDC.address, ethers.utils.parseEther("3000"));
+  await comptroller.connect(borrower).enterMarkets([cUSDC.address]);
+  await lendingEngine.connect(borrower).queueBorrow(cDAI.address, ethers.utils.parseEther("2000"));
+
+  return ctx;
+}
+
+/**
+ * borrowedFixture after 1000 more blocks, with interest (and reserves) accrued on cDAI
+ */
+async function reservesFixture() {
+  const ctx = await loadFixture(borrowedFixture);
+
+  await network.provider.request({ method: "hardhat_mine", params: ["0x3e8"] });
+  await ctx.cDAI.accrueInterest();
+
+  return ctx;
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error("\n❌ Test failed with error:");
-    console.error(error);
-    process.exit(1);
+/**
+ * Decodes BatchProcessed events keyed by market address
+ */
+function batchesByMarket(receipts, lendingEngine) {
+  const batches = {};
+  for (const batch of findEvents(receipts, lendingEngine, "BatchProcessed")) {
+    batches[batch.market] = batch;
+  }
+  return batches;
+}
+
+describe("Paralend", function () {
+  afterEach(function () {
+    for (const dir of tmpDirs.splice(0)) {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  describe("Deployment", function () {
+    it("wires engine, core, comptroller and markets together", async function () {
+      const { lendingEngine, lendingCore, comptroller, cDAI, cUSDC, daiToken } = await loadFixture(deployFixture);
+
+      expect(await lendingEngine.comptroller()).to.equal(comptroller.address);
+      expect(await lendingCore.lendingEngine()).to.equal(lendingEngine.address);
+      expect(await lendingCore.comptroller()).to.equal(comptroller.address);
+      expect(await cDAI.lendingCore()).to.equal(lendingCore.address);
+      expect(await cUSDC.lendingCore()).to.equal(lendingCore.address);
+      expect(await cDAI.underlying()).to.equal(daiToken.address);
+
+      expect(await comptroller.getAllMarkets()).to.deep.equal([cDAI.address, cUSDC.address]);
+      expect(await comptroller.getPrice(cDAI.address)).to.equal(ethers.utils.parseEther("1"));
+      expect(await comptroller.getPrice(cUSDC.address)).to.equal(ethers.utils.parseEther("1"));
+    });
+
+    it("rejects a second initialization", async function () {
+      const { lendingEngine, lendingCore, comptroller, interestRateModel, cDAI } = await loadFixture(deployFixture);
+
+      await expect(lendingEngine.init(lendingCore.address)).to.be.revertedWith("already initialized");
+      await expect(lendingCore.setComptroller(comptroller.address)).to.be.revertedWith("comptroller already set");
+      await expect(cDAI.setLendingCore(lendingCore.address)).to.be.revertedWith("lending core already set");
+      await expect(lendingEngine.initMarket(cDAI.address)).to.be.revertedWith("market already initialized");
+      await expect(interestRateModel.setComptroller(comptroller.address)).to.be.revertedWith("comptroller already set");
+    });
+
+    it("deploys from the config and only adds what the manifest is missing on a re-run", async function () {
+      await loadFixture(deployFixture);
+      const config = deploymentConfig("hardhat");
+
+      const first = await deployProtocol(ethers, config);
+      expect(first.changes).to.include("LendingEngine.init");
+      expect(await first.comptroller.getPrice(first.markets[0].cToken.address)).to.equal(ethers.utils.parseEther("1"));
+      // Prices are scaled like the oracle's: $1 of the 6-decimal USDC is 1e30
+      expect(await first.markets[1].token.decimals()).to.equal(6);
+      expect(await first.comptroller.getPrice(first.markets[1].cToken.address)).to.equal(
+        ethers.utils.parseUnits("1", 30)
+      );
+
+      const again = await deployProtocol(ethers, config, { manifest: first.manifest });
+      expect(again.changes).to.deep.equal([]);
+      expect(again.manifest.markets).to.deep.equal(first.manifest.markets);
+
+      const withWETH = {
+        ...config,
+        markets: [
+          ...config.markets,
+          { symbol: "WETH", name: "Wrapped Ether", decimals: 18, rateModel: "default", price: "2000", supplyCap: "1000" },
+        ],
+      };
+      const extended = await deployProtocol(ethers, withWETH, { manifest: first.manifest });
+      expect(extended.changes.filter((change) => change.startsWith("Deployed"))).to.have.length(2);
+      expect(extended.changes.every((change) => /WETH/.test(change))).to.equal(true);
+      expect(extended.manifest.contracts).to.deep.equal(first.manifest.contracts);
+
+      const cWETH = extended.markets[2].cToken;
+      expect(await extended.comptroller.collateralFactorMantissa(cWETH.address)).to.equal(ethers.utils.parseEther("0.70"));
+      expect(await extended.comptroller.supplyCaps(cWETH.address)).to.equal(ethers.utils.parseEther("1000"));
+      expect(await extended.lendingEngine.isMarketInitialized(cWETH.address)).to.equal(true);
+    });
+
+    it("writes a manifest that tools load instead of redeploying", async function () {
+      await loadFixture(deployFixture);
+      const config = deploymentConfig("hardhat");
+      const { manifest } = await deployProtocol(ethers, config, { network: "devnet" });
+
+      const dir = tmpDir("paralend-deployments-");
+      expect(writeManifest(manifest, dir)).to.equal(path.join(dir, "devnet.json"));
+      expect(readManifest("devnet", dir)).to.deep.equal(manifest);
+      expect(readManifest("mainnet", dir)).to.equal(null);
+
+      const loaded = await loadDeployment(ethers, readManifest("devnet", dir));
+      expect(loaded.lendingEngine.address).to.equal(manifest.contracts.LendingEngine);
+      expect(loaded.markets.map(({ symbol }) => symbol)).to.deep.equal(["DAI", "USDC"]);
+      expect(loaded.markets[1].cToken.address).to.equal(manifest.markets.USDC.cToken);
+      expect(await verifyDeployment(ethers, loaded, config)).to.deep.equal([]);
+    });
+
+    it("reports wiring that does not match the config", async function () {
+      const { lendingEngine, lendingCore, comptroller, interestRateModel, daiToken, usdcToken, cDAI, cUSDC } =
+        await loadFixture(deployFixture);
+      const deployment = {
+        lendingEngine,
+        lendingCore,
+        comptroller,
+        interestRateModels: { default: interestRateModel },
+        markets: [
+          { symbol: "DAI", token: daiToken, cToken: cDAI },
+          { symbol: "USDC", token: usdcToken, cToken: cUSDC },
+        ],
+      };
+      const config = deploymentConfig("hardhat");
+      expect(await verifyDeployment(ethers, deployment, config)).to.deep.equal([]);
+
+      await comptroller.setPrice(cUSDC.address, ethers.utils.parseEther("0.9"));
+      await comptroller.setCollateralFactor(cDAI.address, ethers.utils.parseEther("0.5"));
+      const problems = await verifyDeployment(ethers, deployment, {
+        ...config,
+        markets: [...config.markets, { symbol: "WBTC", rateModel: "default" }],
+      });
+
+      expect(problems).to.deep.equal([
+        "CToken pDAI risk parameters differ from the config",
+        `CToken pUSDC price is ${ethers.utils.parseEther("0.9")}, expected ${ethers.utils.parseEther("1")}`,
+        "market WBTC is not deployed",
+      ]);
+    });
+  });
+
+  describe("Access control", function () {
+    it("only lets the admin wire contracts and register markets", async function () {
+      const { user1, lendingEngine, lendingCore, comptroller, interestRateModel, cDAI } = await loadFixture(deployFixture);
+
+      // A fresh deployment cannot be claimed by whoever calls first
+      const engine = await (await ethers.getContractFactory("LendingEngine")).deploy();
+      await expect(engine.connect(user1).init(lendingCore.address)).to.be.revertedWith("only admin");
+      await expect(engine.connect(user1).setComptroller(comptroller.address)).to.be.revertedWith("only admin");
+
+      await expect(lendingEngine.connect(user1).initMarket(cDAI.address)).to.be.revertedWith("only admin");
+      await expect(lendingCore.connect(user1).setComptroller(user1.address)).to.be.revertedWith("only admin");
+      await expect(cDAI.connect(user1).setLendingCore(user1.address)).to.be.revertedWith("only admin");
+      await expect(interestRateModel.connect(user1).setComptroller(user1.address)).to.be.revertedWith("only admin");
+      await expect(comptroller.connect(user1).supportMarket(user1.address)).to.be.revertedWith("only admin");
+      await expect(lendingEngine.connect(user1).setPauseGuardian(user1.address)).to.be.revertedWith("only admin");
+    });
+
+    it("only lets the engine settle liquidations", async function () {
+      const { user1, lendingCore, cDAI, cUSDC } = await loadFixture(underwaterFixture);
+
+      // A forged store would draw repay refunds out of the engine's escrow
+      const forgedStore = await (await ethers.getContractFactory("LendingRequestStore")).deploy(false);
+      await expect(
+        lendingCore.connect(user1).processLiquidationOperations(forgedStore.address, cDAI.address, cUSDC.address)
+      ).to.be.revertedWith("only lending engine");
+    });
+
+    it("only lets the engine settle supply and borrow requests", async function () {
+      const { user1, lendingCore, cDAI } = await loadFixture(suppliedFixture);
+      const store = await (await ethers.getContractFactory("LendingRequestStore")).deploy(false);
+
+      await expect(
+        lendingCore.connect(user1).processSupplyOperations(store.address, store.address, cDAI.address)
+      ).to.be.revertedWith("only lending engine");
+      await expect(
+        lendingCore.connect(user1).processBorrowOperations(store.address, store.address, cDAI.address)
+      ).to.be.revertedWith("only lending engine");
+      await expect(lendingCore.connect(user1).accrueInterestOnce(cDAI.address)).to.be.revertedWith(
+        "only lending engine"
+      );
+    });
+
+    it("only runs market jobs from the multiprocessor", async function () {
+      const { user1, lendingEngine, cDAI } = await loadFixture(suppliedFixture);
+
+      await expect(lendingEngine.connect(user1).processMarket(cDAI.address)).to.be.revertedWith("only multiprocess");
+    });
+
+    it("refuses direct mints, redeems, borrows and repays on wired markets", async function () {
+      const { user1, daiToken, cDAI } = await loadFixture(collateralizedFixture);
+      await daiToken.connect(user1).approve(cDAI.address, ethers.constants.MaxUint256);
+
+      // They would skip redeemAllowed, borrowAllowed, caps and pauses
+      await expect(cDAI.connect(user1).mint(repayAmount)).to.be.revertedWith("use LendingEngine");
+      await expect(cDAI.connect(user1).redeem(withdrawTokens)).to.be.revertedWith("use LendingEngine");
+      await expect(cDAI.connect(user1).borrow(repayAmount)).to.be.revertedWith("use LendingEngine");
+      await expect(cDAI.connect(user1).repayBorrow(repayAmount)).to.be.revertedWith("use LendingEngine");
+    });
+
+    it("only lets LendingCore settle requests on a market", async function () {
+      const { user1, cDAI } = await loadFixture(borrowedFixture);
+
+      for (const settle of [
+        () => cDAI.connect(user1).mintFromLendingCore(user1.address, withdrawTokens),
+        () => cDAI.connect(user1).redeemFromLendingCore(user1.address, withdrawTokens),
+        () => cDAI.connect(user1).borrowFromLendingCore(user1.address, repayAmount),
+        () => cDAI.connect(user1).repayFromLendingCore(user1.address, repayAmount),
+        () => cDAI.connect(user1).mintTokensToUserOnly(user1.address, repayAmount, withdrawTokens),
+        () => cDAI.connect(user1).redeemTokensFromUserOnly(user1.address, repayAmount, withdrawTokens),
+        () => cDAI.connect(user1).borrowToUserOnly(user1.address, repayAmount),
+        () => cDAI.connect(user1).repayFromUserOnly(user1.address, repayAmount),
+      ]) {
+        await expect(settle()).to.be.revertedWith("unauthorized: only lending core");
+      }
+    });
+
+    it("transfers the admin role in two steps", async function () {
+      const { deployer, user1, user2, lendingEngine, lendingCore, comptroller, cDAI } = await loadFixture(deployFixture);
+
+      for (const contract of [lendingEngine, lendingCore, comptroller, cDAI]) {
+        expect(await contract.admin()).to.equal(deployer.address);
+      }
+
+      await expect(lendingEngine.connect(user1).setPendingAdmin(user1.address)).to.be.revertedWith("only admin");
+      await expect(lendingEngine.setPendingAdmin(user1.address))
+        .to.emit(lendingEngine, "NewPendingAdmin")
+        .withArgs(ethers.constants.AddressZero, user1.address);
+
+      // Still the admin until the transfer is accepted
+      expect(await lendingEngine.admin()).to.equal(deployer.address);
+      await expect(lendingEngine.connect(user2).acceptAdmin()).to.be.revertedWith("only pending admin");
+
+      await expect(lendingEngine.connect(user1).acceptAdmin())
+        .to.emit(lendingEngine, "NewAdmin")
+        .withArgs(deployer.address, user1.address);
+      expect(await lendingEngine.admin()).to.equal(user1.address);
+      expect(await lendingEngine.pendingAdmin()).to.equal(ethers.constants.AddressZero);
+
+      await expect(lendingEngine.setPauseGuardian(user2.address)).to.be.revertedWith("only admin");
+      await lendingEngine.connect(user1).setPauseGuardian(user2.address);
+      expect(await lendingEngine.pauseGuardian()).to.equal(user2.address);
+
+      // address(0) cancels a pending transfer
+      await comptroller.setPendingAdmin(user1.address);
+      await comptroller.setPendingAdmin(ethers.constants.AddressZero);
+      await expect(comptroller.connect(user1).acceptAdmin()).to.be.revertedWith("only pending admin");
+    });
+
+    it("lets the pause guardian pause operations per market", async function () {
+      const { user1, user2, others, lendingEngine, cDAI, cUSDC } = await loadFixture(suppliedFixture);
+      const guardian = others[0];
+
+      await expect(lendingEngine.setPauseGuardian(guardian.address))
+        .to.emit(lendingEngine, "NewPauseGuardian")
+        .withArgs(ethers.constants.AddressZero, guardian.address);
+      await expect(lendingEngine.connect(user1).setPaused(cDAI.address, OpType.Deposit, true)).to.be.revertedWith(
+        "only pause guardian or admin"
+      );
+
+      for (const opType of [OpType.Deposit, OpType.Withdraw, OpType.Borrow]) {
+        await expect(lendingEngine.connect(guardian).setPaused(cDAI.address, opType, true))
+          .to.emit(lendingEngine, "ActionPaused")
+          .withArgs(cDAI.address, opType, true);
+      }
+      expect(await lendingEngine.paused(cDAI.address, OpType.Deposit)).to.equal(true);
+
+      await expect(lendingEngine.connect(user1).queueDeposit(cDAI.address, repayAmount)).to.be.revertedWith(
+        "deposit paused"
+      );
+      await expect(lendingEngine.connect(user1).queueWithdraw(cDAI.address, withdrawTokens)).to.be.revertedWith(
+        "withdraw paused"
+      );
+      await expect(
+        lendingEngine.connect(user1).queueWithdrawUnderlying(cDAI.address, repayAmount)
+      ).to.be.revertedWith("withdraw paused");
+      await expect(lendingEngine.connect(user1).queueBorrow(cDAI.address, repayAmount)).to.be.revertedWith(
+        "borrow paused"
+      );
+
+      // Other markets are unaffected
+      await runBatch([() => lendingEngine.connect(user2).queueDeposit(cUSDC.address, repayAmount)]);
+      expect(await cUSDC.balanceOf(user2.address)).to.equal(ethers.utils.parseUnits("50000", 8));
+
+      // Only the admin can unpause
+      await expect(lendingEngine.connect(guardian).setPaused(cDAI.address, OpType.Deposit, false)).to.be.revertedWith(
+        "only admin can unpause"
+      );
+      await lendingEngine.setPaused(cDAI.address, OpType.Deposit, false);
+      await runBatch([() => lendingEngine.connect(user1).queueDeposit(cDAI.address, repayAmount)]);
+      expect(await cDAI.balanceOf(user1.address)).to.equal(ethers.utils.parseUnits("550000", 8));
+    });
+
+    it("never pauses repays and pauses liquidations by borrow market", async function () {
+      const { user2, liquidator, lendingEngine, cDAI, cUSDC } = await loadFixture(underwaterFixture);
+
+      for (const opType of [OpType.Repay, OpType.WithdrawUnderlying]) {
+        await expect(lendingEngine.setPaused(cDAI.address, opType, true)).to.be.revertedWith("operation not pausable");
+      }
+
+      await lendingEngine.setPaused(cDAI.address, OpType.Liquidation, true);
+      await expect(
+        lendingEngine.connect(liquidator).queueLiquidation(user2.address, cDAI.address, cUSDC.address, repayAmount)
+      ).to.be.revertedWith("liquidation paused");
+
+      // The borrower can still repay while liquidations are paused
+      await runBatch([() => lendingEngine.connect(user2).queueRepay(cDAI.address, repayAmount)]);
+      expect(await cDAI.borrowBalanceStored(user2.address)).to.be.closeTo(
+        ethers.utils.parseEther("6000"),
+        INTEREST_TOLERANCE
+      );
+    });
+  });
+
+  describe("Deposits", function () {
+    it("mints cTokens at the initial exchange rate for every request in the batch", async function () {
+      const { user1, user2, daiToken, lendingEngine, cDAI } = await loadFixture(suppliedFixture);
+
+      // 10k DAI at 0.02 DAI per cToken
+      const expectedTokens = ethers.utils.parseUnits("500000", 8);
+      expect(await cDAI.balanceOf(user1.address)).to.equal(expectedTokens);
+      expect(await cDAI.balanceOf(user2.address)).to.equal(expectedTokens);
+      expect(await cDAI.totalSupply()).to.equal(expectedTokens.mul(2));
+
+      expect(await cDAI.getCash()).to.equal(depositAmount.mul(2));
+      expect(await daiToken.balanceOf(user1.address)).to.equal(mintAmount.sub(depositAmount));
+      expect(await daiToken.balanceOf(lendingEngine.address)).to.equal(0);
+    });
+
+    it("emits DepositProcessed per request and one BatchProcessed", async function () {
+      const { user1, user2, lendingEngine, lendingCore, cDAI } = await loadFixture(fundedFixture);
+
+      const receipts = await runBatch(
+        [user1, user2].map((user) => () => lendingEngine.connect(user).queueDeposit(cDAI.address, depositAmount))
+      );
+
+      const deposits = findEvents(receipts, lendingCore, "DepositProcessed");
+      expect(deposits.map((e) => e.user)).to.deep.equal([user1.address, user2.address]);
+      for (const event of deposits) {
+        expect(event.market).to.equal(cDAI.address);
+        expect(event.amount).to.equal(depositAmount);
+        expect(event.mintedTokens).to.equal(ethers.utils.parseUnits("500000", 8));
+      }
+
+      const batches = findEvents(receipts, lendingEngine, "BatchProcessed");
+      expect(batches).to.have.length(1);
+      expect(batches[0].market).to.equal(cDAI.address);
+      expect(batches[0].deposits).to.equal(depositAmount.mul(2));
+      expect(batches[0].withdraws).to.equal(0);
+      expect(batches[0].borrows).to.equal(0);
+      expect(batches[0].repays).to.equal(0);
+    });
+
+    it("prices direct mints of a standalone market before the deposit reaches its cash", async function () {
+      const { user1, user2, daiToken, interestRateModel } = await loadFixture(fundedFixture);
+      const market = await (await ethers.getContractFactory("CToken")).deploy(
+        daiToken.address,
+        ethers.constants.AddressZero,
+        interestRateModel.address,
+        "Standalone DAI",
+        "sDAI"
+      );
+      const rate = await market.exchangeRateStored();
+
+      // Priced after the transfer, the second mint would count its own deposit as
+      // existing cash and receive half the cTokens
+      for (const user of [user1, user2]) {
+        await daiToken.connect(user).approve(market.address, depositAmount);
+        await expect(market.connect(user).mint(depositAmount))
+          .to.emit(market, "Mint")
+          .withArgs(user.address, depositAmount, depositAmount.mul(ethers.constants.WeiPerEther).div(rate));
+      }
+      expect(await market.balanceOf(user2.address)).to.equal(await market.balanceOf(user1.address));
+      expect(await market.exchangeRateStored()).to.equal(rate);
+    });
+  });
+
+  describe("Collateral", function () {
+    it("gives no liquidity before entering the market", async function () {
+      const { user1, comptroller } = await loadFixture(suppliedFixture);
+
+      const [err, liquidity, shortfall] = await comptroller.getAccountLiquidity(user1.address);
+      expect(err).to.equal(0);
+      expect(liquidity).to.equal(0);
+      expect(shortfall).to.equal(0);
+    });
+
+    it("counts 75% of supplied value after enterMarkets", async function () {
+      const { user1, comptroller, cDAI } = await loadFixture(suppliedFixture);
+
+      await expect(comptroller.connect(user1).enterMarkets([cDAI.address]))
+        .to.emit(comptroller, "MarketEntered")
+        .withArgs(cDAI.address, user1.address);
+
+      expect(await comptroller.accountMembership(user1.address, cDAI.address)).to.equal(true);
+
+      const [err, liquidity, shortfall] = await comptroller.getAccountLiquidity(user1.address);
+      expect(err).to.equal(0);
+      expect(liquidity).to.equal(ethers.utils.parseEther("7500")); // 10k * 0.75
+      expect(shortfall).to.equal(0);
+    });
+
+    it("exits a market that backs no borrow", async function () {
+      const { user1, comptroller, cDAI } = await loadFixture(collateralizedFixture);
+
+      expect(await comptroller.connect(user1).callStatic.exitMarket(cDAI.address)).to.equal(0);
+      await expect(comptroller.connect(user1).exitMarket(cDAI.address))
+        .to.emit(comptroller, "MarketExited")
+        .withArgs(cDAI.address, user1.address);
+
+      expect(await comptroller.accountMembership(user1.address, cDAI.address)).to.equal(false);
+      const [, liquidity] = await comptroller.getAccountLiquidity(user1.address);
+      expect(liquidity).to.equal(0);
+    });
+
+    it("refuses to exit a market the account borrows from", async function () {
+      const { user1, comptroller, cDAI } = await loadFixture(borrowedFixture);
+
+      expect(await comptroller.connect(user1).callStatic.exitMarket(cDAI.address)).to.equal(1);
+      await expect(comptroller.connect(user1).exitMarket(cDAI.address)).to.not.emit(comptroller, "MarketExited");
+      expect(await comptroller.accountMembership(user1.address, cDAI.address)).to.equal(true);
+    });
+
+    it("refuses to exit a market whose collateral backs a borrow elsewhere", async function () {
+      const { user2, comptroller, cUSDC } = await loadFixture(crossCollateralFixture);
+
+      // 7k DAI borrowed against the USDC: without it the account would be short
+      expect(await comptroller.connect(user2).callStatic.exitMarket(cUSDC.address)).to.equal(2);
+      await expect(comptroller.connect(user2).exitMarket(cUSDC.address)).to.not.emit(comptroller, "MarketExited");
+      expect(await comptroller.accountMembership(user2.address, cUSDC.address)).to.equal(true);
+    });
+  });
+
+  describe("Borrows", function () {
+    it("settles every borrow in the batch", async function () {
+      const { user1, user2, daiToken, lendingEngine, lendingCore, cDAI } = await loadFixture(collateralizedFixture);
+
+      const receipts = await runBatch(
+        [user1, user2].map((user) => () => lendingEngine.connect(user).queueBorrow(cDAI.address, borrowAmount))
+      );
+
+      expect(await cDAI.borrowBalanceStored(user1.address)).to.equal(borrowAmount);
+      expect(await cDAI.borrowBalanceStored(user2.address)).to.equal(borrowAmount);
+      expect(await cDAI.totalBorrows()).to.equal(borrowAmount.mul(2));
+      expect(await cDAI.getCash()).to.equal(depositAmount.mul(2).sub(borrowAmount.mul(2)));
+      expect(await daiToken.balanceOf(user1.address)).to.equal(mintAmount.sub(depositAmount).add(borrowAmount));
+
+      const borrows = findEvents(receipts, lendingCore, "BorrowProcessed");
+      expect(borrows.map((e) => e.user)).to.deep.equal([user1.address, user2.address]);
+      expect(borrows.every((e) => e.amount.eq(borrowAmount))).to.equal(true);
+
+      const [batch] = findEvents(receipts, lendingEngine, "BatchProcessed");
+      expect(batch.borrows).to.equal(borrowAmount.mul(2));
+    });
+
+    it("reduces liquidity by the borrowed value", async function () {
+      const { user1, comptroller } = await loadFixture(borrowedFixture);
+
+      const [, liquidity, shortfall] = await comptroller.getAccountLiquidity(user1.address);
+      expect(liquidity).to.equal(ethers.utils.parseEther("2500")); // 7500 - 5000
+      expect(shortfall).to.equal(0);
+    });
+  });
+
+  describe("Repays", function () {
+    it("reduces borrow balances and totalBorrows", async function () {
+      const { user1, user2, daiToken, lendingEngine, lendingCore, cDAI } = await loadFixture(borrowedFixture);
+
+      const receipts = await runBatch(
+        [user1, user2].map((user) => () => lendingEngine.connect(user).queueRepay(cDAI.address, repayAmount))
+      );
+
+      const expectedDebt = borrowAmount.sub(repayAmount);
+      expect(await cDAI.borrowBalanceStored(user1.address)).to.be.closeTo(expectedDebt, INTEREST_TOLERANCE);
+      expect(await cDAI.borrowBalanceStored(user2.address)).to.be.closeTo(expectedDebt, INTEREST_TOLERANCE);
+      expect(await cDAI.totalBorrows()).to.be.closeTo(expectedDebt.mul(2), INTEREST_TOLERANCE);
+
+      expect(await daiToken.balanceOf(lendingEngine.address)).to.equal(0);
+
+      const repays = findEvents(receipts, lendingCore, "RepayProcessed");
+      expect(repays.map((e) => e.user)).to.deep.equal([user1.address, user2.address]);
+      expect(repays.every((e) => e.amount.eq(repayAmount))).to.equal(true);
+    });
+
+    it("repays the full debt with max, refunding what earlier repays already covered", async function () {
+      const { user1, daiToken, lendingEngine, lendingCore, cDAI } = await loadFixture(borrowedFixture);
+
+      const daiBefore = await daiToken.balanceOf(user1.address);
+      const receipts = await runBatch([
+        () => lendingEngine.connect(user1).queueRepay(cDAI.address, repayAmount),
+        () => lendingEngine.connect(user1).queueRepay(cDAI.address, ethers.constants.MaxUint256),
+      ]);
+
+      // The max request escrows the debt including the interest accrued by this batch
+      expect(await cDAI.borrowBalanceStored(user1.address)).to.equal(0);
+      const queued = findEvents(receipts, lendingEngine, "RequestQueued");
+      expect(queued[1].amount).to.be.closeTo(borrowAmount, INTEREST_TOLERANCE);
+      expect(queued[1].amount).to.be.gt(borrowAmount);
+
+      const [refund] = findEvents(receipts, lendingCore, "RepayRefunded");
+      expect(refund.refundAmount).to.equal(repayAmount);
+      expect(await daiToken.balanceOf(lendingEngine.address)).to.equal(0);
+      expect(daiBefore.sub(await daiToken.balanceOf(user1.address))).to.equal(queued[1].amount);
+
+      const [batch] = findEvents(receipts, lendingEngine, "BatchProcessed");
+      expect(batch.repays).to.equal(queued[1].amount);
+    });
+
+    it("settles a max repay without debt as rejected", async function () {
+      const { user1, lendingEngine, lendingCore, cDAI } = await loadFixture(suppliedFixture);
+
+      const [receipt] = await runBatch([
+        () => lendingEngine.connect(user1).queueRepay(cDAI.address, ethers.constants.MaxUint256),
+      ]);
+
+      const [repay] = await resolveSettlement(receipt, { lendingEngine, lendingCore });
+      expect(repay.amount).to.equal(0);
+      expect(repay.status).to.equal("rejected");
+      expect(repay.reason).to.equal("no borrow balance");
+    });
+  });
+
+  describe("Withdraws", function () {
+    it("burns cTokens and pays out underlying", async function () {
+      const { user1, user2, daiToken, lendingEngine, lendingCore, cDAI } = await loadFixture(suppliedFixture);
+
+      const daiBefore = await daiToken.balanceOf(user1.address);
+      const receipts = await runBatch(
+        [user1, user2].map((user) => () => lendingEngine.connect(user).queueWithdraw(cDAI.address, withdrawTokens))
+      );
+
+      const remaining = ethers.utils.parseUnits("400000", 8);
+      expect(await cDAI.balanceOf(user1.address)).to.equal(remaining);
+      expect(await cDAI.balanceOf(user2.address)).to.equal(remaining);
+      expect(await cDAI.totalSupply()).to.equal(remaining.mul(2));
+
+      const withdraws = findEvents(receipts, lendingCore, "WithdrawProcessed");
+      expect(withdraws).to.have.length(2);
+      expect(withdraws[0].user).to.equal(user1.address);
+      expect(withdraws[0].burnedTokens).to.equal(withdrawTokens);
+      expect(withdraws[0].amount).to.equal(ethers.utils.parseEther("2000")); // 100k cTokens * 0.02
+      expect(await daiToken.balanceOf(user1.address)).to.equal(daiBefore.add(withdraws[0].amount));
+    });
+
+    it("nets deposits against withdraws in the same batch", async function () {
+      const { user1, user2, lendingEngine, cDAI } = await loadFixture(suppliedFixture);
+
+      const receipts = await runBatch([
+        () => lendingEngine.connect(user1).queueWithdraw(cDAI.address, withdrawTokens),
+        () => lendingEngine.connect(user2).queueDeposit(cDAI.address, repayAmount),
+      ]);
+
+      const [batch] = findEvents(receipts, lendingEngine, "BatchProcessed");
+      expect(batch.deposits).to.equal(repayAmount);
+      expect(batch.withdraws).to.equal(withdrawTokens);
+
+      // The market's events carry the underlying of each request, not the net
+      const [mint] = findEvents(receipts, cDAI, "Mint");
+      expect(mint.minter).to.equal(user2.address);
+      expect(mint.mintAmount).to.equal(repayAmount);
+      expect(mint.mintTokens).to.equal(ethers.utils.parseUnits("50000", 8));
+      const [redeem] = findEvents(receipts, cDAI, "Redeem");
+      expect(redeem.redeemer).to.equal(user1.address);
+      expect(redeem.redeemAmount).to.equal(ethers.utils.parseEther("2000"));
+      expect(redeem.redeemTokens).to.equal(withdrawTokens);
+
+      // ERC-20 mint and burn
+      const transfers = findEvents(receipts, cDAI, "Transfer");
+      expect(transfers.map(({ from, to, amount }) => [from, to, amount])).to.deep.equal([
+        [ethers.constants.AddressZero, user2.address, ethers.utils.parseUnits("50000", 8)],
+        [user1.address, ethers.constants.AddressZero, withdrawTokens],
+      ]);
+
+      // 1M - 100k withdrawn + 50k minted for 1k DAI
+      expect(await cDAI.totalSupply()).to.equal(ethers.utils.parseUnits("950000", 8));
+      expect(await cDAI.balanceOf(user1.address)).to.equal(ethers.utils.parseUnits("400000", 8));
+      expect(await cDAI.balanceOf(user2.address)).to.equal(ethers.utils.parseUnits("550000", 8));
+    });
+
+    it("withdraws the whole balance with max", async function () {
+      const { user1, user2, daiToken, lendingEngine, lendingCore, cDAI } = await loadFixture(suppliedFixture);
+
+      const daiBefore = await daiToken.balanceOf(user1.address);
+      const receipts = await runBatch([
+        () => lendingEngine.connect(user1).queueWithdraw(cDAI.address, withdrawTokens),
+        () => lendingEngine.connect(user1).queueWithdraw(cDAI.address, ethers.constants.MaxUint256),
+        () => lendingEngine.connect(user2).queueDeposit(cDAI.address, repayAmount),
+      ]);
+
+      expect(await cDAI.balanceOf(user1.address)).to.equal(0);
+      expect(await daiToken.balanceOf(user1.address)).to.equal(daiBefore.add(depositAmount));
+
+      const [, all] = findEvents(receipts, lendingCore, "WithdrawProcessed");
+      expect(all.burnedTokens).to.equal(ethers.utils.parseUnits("400000", 8));
+
+      // Netted totals use the resolved cTokens, not the sentinel
+      const [batch] = findEvents(receipts, lendingEngine, "BatchProcessed");
+      expect(batch.withdraws).to.equal(ethers.utils.parseUnits("500000", 8));
+
+      const [max] = await resolveSettlement(receipts[1], { lendingEngine, lendingCore });
+      expect(max.amount).to.equal(ethers.constants.MaxUint256);
+      expect(max.settled).to.equal(ethers.utils.parseEther("8000"));
+      expect((await lendingCore.getOutcome(max.pid, cDAI.address, OpType.Withdraw)).amount).to.equal(all.burnedTokens);
+    });
+
+    it("pays out exact underlying amounts, rounding the cTokens burned up", async function () {
+      const { user1, user2, daiToken, lendingEngine, lendingCore, cDAI } = await loadFixture(suppliedFixture);
+
+      // 1000 DAI + 1 wei is worth 5e12 cTokens and a fraction at 0.02 DAI per cToken
+      const amount = ethers.utils.parseEther("1000").add(1);
+      const daiBefore = await daiToken.balanceOf(user1.address);
+      const receipts = await runBatch([
+        () => lendingEngine.connect(user1).queueWithdrawUnderlying(cDAI.address, amount),
+        () => lendingEngine.connect(user2).queueWithdrawUnderlying(cDAI.address, depositAmount.add(1)),
+      ]);
+
+      expect(await daiToken.balanceOf(user1.address)).to.equal(daiBefore.add(amount));
+      const [withdraw] = findEvents(receipts, lendingCore, "WithdrawProcessed");
+      expect(withdraw.amount).to.equal(amount);
+      expect(withdraw.burnedTokens).to.equal(ethers.utils.parseUnits("50000", 8).add(1));
+      expect(await cDAI.balanceOf(user1.address)).to.equal(ethers.utils.parseUnits("450000", 8).sub(1));
+
+      const [settled] = await resolveSettlement(receipts[0], { lendingEngine, lendingCore });
+      expect(settled.opType).to.equal("withdrawUnderlying");
+      expect(settled.settled).to.equal(amount);
+
+      // More underlying than the whole balance is worth
+      const [rejected] = await resolveSettlement(receipts[1], { lendingEngine, lendingCore });
+      expect(rejected.status).to.equal("rejected");
+      expect(rejected.reason).to.equal("insufficient balance");
+      expect((await lendingCore.getOutcome(rejected.pid, cDAI.address, OpType.WithdrawUnderlying)).opType).to.equal(OpType.WithdrawUnderlying);
+    });
+
+    it("rejects withdraw amounts too large to queue", async function () {
+      const { user1, lendingEngine, cDAI } = await loadFixture(suppliedFixture);
+
+      const tooLarge = ethers.BigNumber.from(2).pow(128);
+      await expect(lendingEngine.connect(user1).queueWithdraw(cDAI.address, tooLarge)).to.be.revertedWith(
+        "withdraw amount too large"
+      );
+      await expect(
+        lendingEngine.connect(user1).queueWithdrawUnderlying(cDAI.address, tooLarge)
+      ).to.be.revertedWith("withdraw amount too large");
+    });
+  });
+
+  describe("Transfers", function () {
+    const transferTokens = ethers.utils.parseUnits("100000", 8); // 2000 DAI at 0.02
+
+    it("transfers cTokens not used as collateral", async function () {
+      const { user1, user2, cDAI, invariants } = await loadFixture(suppliedFixture);
+      const supplyBefore = await cDAI.totalSupply();
+
+      await expect(cDAI.connect(user1).transfer(user2.address, transferTokens))
+        .to.emit(cDAI, "Transfer")
+        .withArgs(user1.address, user2.address, transferTokens);
+
+      expect(await cDAI.balanceOf(user1.address)).to.equal(ethers.utils.parseUnits("400000", 8));
+      expect(await cDAI.balanceOf(user2.address)).to.equal(ethers.utils.parseUnits("600000", 8));
+      expect(await cDAI.totalSupply()).to.equal(supplyBefore);
+      expect(await invariants.violations()).to.deep.equal([]);
+    });
+
+    it("spends allowances in transferFrom", async function () {
+      const { user1, others, cDAI } = await loadFixture(suppliedFixture);
+      const [spender, receiver] = others;
+
+      await expect(cDAI.connect(user1).approve(spender.address, transferTokens))
+        .to.emit(cDAI, "Approval")
+        .withArgs(user1.address, spender.address, transferTokens);
+      expect(await cDAI.allowance(user1.address, spender.address)).to.equal(transferTokens);
+
+      await cDAI.connect(spender).transferFrom(user1.address, receiver.address, transferTokens.div(2));
+      expect(await cDAI.allowance(user1.address, spender.address)).to.equal(transferTokens.div(2));
+      expect(await cDAI.balanceOf(receiver.address)).to.equal(transferTokens.div(2));
+
+      await expect(cDAI.connect(spender).transferFrom(user1.address, receiver.address, transferTokens))
+        .to.be.revertedWith("insufficient allowance");
+
+      // An unlimited allowance is not spent
+      await cDAI.connect(user1).approve(spender.address, ethers.constants.MaxUint256);
+      await cDAI.connect(spender).transferFrom(user1.address, receiver.address, transferTokens);
+      expect(await cDAI.allowance(user1.address, spender.address)).to.equal(ethers.constants.MaxUint256);
+    });
+
+    it("rejects invalid transfers", async function () {
+      const { user1, user2, daiToken, interestRateModel, cDAI } = await loadFixture(suppliedFixture);
+
+      await expect(cDAI.connect(user1).transfer(user1.address, 1)).to.be.revertedWith("invalid transfer");
+      await expect(cDAI.connect(user1).transfer(ethers.constants.AddressZero, 1)).to.be.revertedWith("invalid transfer");
+      await expect(cDAI.connect(user1).transfer(user2.address, ethers.utils.parseUnits("600000", 8)))
+        .to.be.revertedWith("insufficient balance");
+
+      const unchecked = await (await ethers.getContractFactory("CToken")).deploy(
+        daiToken.address,
+        ethers.constants.AddressZero,
+        interestRateModel.address,
+        "Unchecked DAI",
+        "uDAI"
+      );
+      await expect(unchecked.transfer(user2.address, 0)).to.be.revertedWith("comptroller not set");
+    });
+
+    it("blocks collateral transfers that would leave the sender in shortfall", async function () {
+      const { user1, user2, comptroller, cDAI } = await loadFixture(borrowedFixture);
+
+      // 5000 borrowed against 10k * 0.75: 2500 of liquidity left, 2000 * 0.75 = 1500 moved
+      expect(await comptroller.transferAllowed(cDAI.address, user1.address, user2.address, transferTokens))
+        .to.equal(true);
+      await cDAI.connect(user1).transfer(user2.address, transferTokens);
+
+      const [, liquidity] = await comptroller.getAccountLiquidity(user1.address);
+      expect(liquidity).to.be.closeTo(ethers.utils.parseEther("1000"), INTEREST_TOLERANCE);
+
+      // Another 1500 of borrowing power would exceed what is left
+      expect(await comptroller.transferAllowed(cDAI.address, user1.address, user2.address, transferTokens))
+        .to.equal(false);
+      await expect(cDAI.connect(user1).transfer(user2.address, transferTokens))
+        .to.be.revertedWith("transfer not allowed");
+      expect(await comptroller.transferAllowed(user1.address, user1.address, user2.address, 1)).to.equal(false);
+    });
+
+    it("lets the receiver withdraw a transferred position", async function () {
+      const { user1, others, daiToken, lendingEngine, cDAI } = await loadFixture(suppliedFixture);
+      const receiver = others[1];
+
+      await cDAI.connect(user1).transfer(receiver.address, transferTokens);
+      await runBatch([() => lendingEngine.connect(receiver).queueWithdraw(cDAI.address, transferTokens)]);
+
+      expect(await cDAI.balanceOf(receiver.address)).to.equal(0);
+      expect(await daiToken.balanceOf(receiver.address)).to.equal(ethers.utils.parseEther("2000"));
+    });
+
+    it("only lets the admin set the comptroller", async function () {
+      const { user1, comptroller, cDAI } = await loadFixture(deployFixture);
+
+      await expect(cDAI.connect(user1)._setComptroller(user1.address)).to.be.revertedWith("only admin");
+      await expect(cDAI._setComptroller(ethers.constants.AddressZero)).to.be.revertedWith("invalid comptroller");
+      await expect(cDAI._setComptroller(user1.address))
+        .to.emit(cDAI, "NewComptroller")
+        .withArgs(comptroller.address, user1.address);
+    });
+  });
+
+  describe("Liquidations", function () {
+    it("rejects liquidating a healthy borrower", async function () {
+      const { user2, liquidator, lendingEngine, cDAI, cUSDC } = await loadFixture(crossCollateralFixture);
+
+      await expect(
+        lendingEngine.connect(liquidator).queueLiquidation(user2.address, cDAI.address, cUSDC.address, repayAmount)
+      ).to.be.revertedWith("borrower not underwater");
+    });
+
+    it("puts the borrower underwater when the borrowed asset's price rises", async function () {
+      const { user2, comptroller, cDAI } = await loadFixture(crossCollateralFixture);
+
+      expect(await comptroller.isUnderwater(user2.address)).to.equal(false);
+
+      await expect(comptroller.setPrice(cDAI.address, ethers.utils.parseEther("1.2")))
+        .to.emit(comptroller, "PriceUpdated")
+        .withArgs(cDAI.address, ethers.utils.parseEther("1.2"));
+
+      // Debt 7000 * 1.2 = 8400 against 10k * 0.75 = 7500 of borrowing power
+      const [, liquidity, shortfall] = await comptroller.getAccountLiquidity(user2.address);
+      expect(liquidity).to.equal(0);
+      expect(shortfall).to.be.closeTo(ethers.utils.parseEther("900"), INTEREST_TOLERANCE);
+
+      // and 10k * 0.80 = 8000 at the liquidation threshold
+      const [, , liquidationShortfall] = await comptroller.getLiquidationLiquidity(user2.address);
+      expect(liquidationShortfall).to.be.closeTo(ethers.utils.parseEther("400"), INTEREST_TOLERANCE);
+      expect(await comptroller.isUnderwater(user2.address)).to.equal(true);
+    });
+
+    it("prices seized collateral with the 8% incentive", async function () {
+      const { comptroller, cDAI, cUSDC } = await loadFixture(crossCollateralFixture);
+      await comptroller.setPrice(cDAI.address, ethers.utils.parseEther("1.2"));
+
+      const [err, seizeTokens] = await comptroller.liquidateCalculateSeizeTokens(
+        cDAI.address,
+        cUSDC.address,
+        repayAmount
+      );
+
+      // 1000 DAI * 1.2 * 1.08 = 1296 USDC = 64800 cUSDC at 0.02
+      expect(err).to.equal(0);
+      expect(seizeTokens).to.equal(ethers.utils.parseUnits("64800", 8));
+    });
+
+    it("rejects liquidating yourself", async function () {
+      const { user2, lendingEngine, cDAI, cUSDC } = await loadFixture(underwaterFixture);
+
+      await expect(
+        lendingEngine.connect(user2).queueLiquidation(user2.address, cDAI.address, cUSDC.address, repayAmount)
+      ).to.be.revertedWith("cannot liquidate self");
+    });
+
+    it("settles a queued liquidation in the deferred batch", async function () {
+      const { user2, liquidator, daiToken, lendingEngine, lendingCore, cDAI, cUSDC } =
+        await loadFixture(underwaterFixture);
+
+      const debtBefore = await cDAI.borrowBalanceStored(user2.address);
+      const totalBorrowsBefore = await cDAI.totalBorrows();
+      const daiBefore = await daiToken.balanceOf(liquidator.address);
+
+      const receipts = await runBatch([
+        () => lendingEngine.connect(liquidator).queueLiquidation(user2.address, cDAI.address, cUSDC.address, repayAmount),
+      ]);
+
+      const seizeTokens = ethers.utils.parseUnits("64800", 8);
+      const [liquidation] = findEvents(receipts, lendingCore, "LiquidationProcessed");
+      expect(liquidation.liquidator).to.equal(liquidator.address);
+      expect(liquidation.borrower).to.equal(user2.address);
+      expect(liquidation.cTokenBorrowed).to.equal(cDAI.address);
+      expect(liquidation.cTokenCollateral).to.equal(cUSDC.address);
+      expect(liquidation.repayAmount).to.equal(repayAmount);
+      expect(liquidation.seizeTokens).to.equal(seizeTokens);
+      expect(findEvents(receipts, lendingCore, "LiquidationRefunded")).to.have.length(0);
+
+      const [pair] = findEvents(receipts, lendingEngine, "LiquidationBatchProcessed");
+      expect(pair.requestedRepay).to.equal(repayAmount);
+      expect(pair.repaid).to.equal(repayAmount);
+      expect(pair.seized).to.equal(seizeTokens);
+
+      expect(await cUSDC.balanceOf(liquidator.address)).to.equal(seizeTokens);
+      expect(await cUSDC.balanceOf(user2.address)).to.equal(ethers.utils.parseUnits("500000", 8).sub(seizeTokens));
+      expect(await cDAI.borrowBalanceStored(user2.address)).to.be.closeTo(debtBefore.sub(repayAmount), INTEREST_TOLERANCE);
+      expect(await cDAI.totalBorrows()).to.be.closeTo(totalBorrowsBefore.sub(repayAmount), INTEREST_TOLERANCE);
+
+      expect(await daiToken.balanceOf(liquidator.address)).to.equal(daiBefore.sub(repayAmount));
+      expect(await daiToken.balanceOf(lendingEngine.address)).to.equal(0);
+    });
+
+    it("refunds the repay above the close factor", async function () {
+      const { user2, liquidator, daiToken, lendingEngine, lendingCore, cDAI, cUSDC } =
+        await loadFixture(underwaterFixture);
+
+      const requested = ethers.utils.parseEther("5000");
+      const daiBefore = await daiToken.balanceOf(liquidator.address);
+
+      const receipts = await runBatch([
+        () => lendingEngine.connect(liquidator).queueLiquidation(user2.address, cDAI.address, cUSDC.address, requested),
+      ]);
+
+      // 50% of ~7000 debt
+      const [liquidation] = findEvents(receipts, lendingCore, "LiquidationProcessed");
+      expect(liquidation.repayAmount).to.be.closeTo(ethers.utils.parseEther("3500"), INTEREST_TOLERANCE);
+
+      const [refund] = findEvents(receipts, lendingCore, "LiquidationRefunded");
+      expect(refund.liquidator).to.equal(liquidator.address);
+      expect(refund.refundAmount).to.equal(requested.sub(liquidation.repayAmount));
+
+      expect(await daiToken.balanceOf(liquidator.address)).to.equal(daiBefore.sub(liquidation.repayAmount));
+      expect(await daiToken.balanceOf(lendingEngine.address)).to.equal(0);
+    });
+
+    it("shares the close factor between liquidators of the same borrower", async function () {
+      const { user2, liquidator, others, lendingEngine, lendingCore, cDAI, cUSDC } =
+        await loadFixture(underwaterFixture);
+
+      const requested = ethers.utils.parseEther("3000");
+      const receipts = await runBatch(
+        [liquidator, others[0]].map((signer) => () =>
+          lendingEngine.connect(signer).queueLiquidation(user2.address, cDAI.address, cUSDC.address, requested)
+        )
+      );
+
+      const liquidations = findEvents(receipts, lendingCore, "LiquidationProcessed");
+      expect(liquidations.map((e) => e.liquidator)).to.deep.equal([liquidator.address, others[0].address]);
+      expect(liquidations[0].repayAmount).to.equal(requested);
+      expect(liquidations[1].repayAmount).to.be.closeTo(ethers.utils.parseEther("500"), INTEREST_TOLERANCE);
+
+      const [refund] = findEvents(receipts, lendingCore, "LiquidationRefunded");
+      expect(refund.liquidator).to.equal(others[0].address);
+      expect(refund.refundAmount).to.equal(requested.sub(liquidations[1].repayAmount));
+
+      const [pair] = findEvents(receipts, lendingEngine, "LiquidationBatchProcessed");
+      expect(pair.requestedRepay).to.equal(requested.mul(2));
+      expect(pair.repaid).to.equal(requested.add(liquidations[1].repayAmount));
+    });
+
+    it("refunds in full when the borrower recovers within the batch", async function () {
+      const { user2, liquidator, daiToken, lendingEngine, lendingCore, cDAI, cUSDC } =
+        await loadFixture(underwaterFixture);
+
+      const daiBefore = await daiToken.balanceOf(liquidator.address);
+
+      // Borrow operations settle before liquidations: 5000 * 1.2 = 6000 < 8000 at the threshold
+      const receipts = await runBatch([
+        () => lendingEngine.connect(user2).queueRepay(cDAI.address, ethers.utils.parseEther("2000")),
+        () => lendingEngine.connect(liquidator).queueLiquidation(user2.address, cDAI.address, cUSDC.address, repayAmount),
+      ]);
+
+      expect(findEvents(receipts, lendingCore, "LiquidationProcessed")).to.have.length(0);
+      const [rejected] = findEvents(receipts, lendingCore, "RequestRejected");
+      expect(rejected.user).to.equal(liquidator.address);
+      expect(rejected.market).to.equal(cDAI.address);
+      expect(rejected.opType).to.equal(OpType.Liquidation);
+      expect(rejected.reason).to.equal("borrower not underwater");
+
+      expect(await cUSDC.balanceOf(liquidator.address)).to.equal(0);
+      expect(await daiToken.balanceOf(liquidator.address)).to.equal(daiBefore);
+      expect(await daiToken.balanceOf(lendingEngine.address)).to.equal(0);
+    });
+
+    it("does not replay settled liquidations in later batches", async function () {
+      const { user1, user2, liquidator, lendingEngine, lendingCore, cDAI, cUSDC } =
+        await loadFixture(underwaterFixture);
+
+      await runBatch([
+        () => lendingEngine.connect(liquidator).queueLiquidation(user2.address, cDAI.address, cUSDC.address, repayAmount),
+      ]);
+      const receipts = await runBatch([
+        () => lendingEngine.connect(user1).queueDeposit(cDAI.address, repayAmount),
+      ]);
+
+      expect(findEvents(receipts, lendingCore, "LiquidationProcessed")).to.have.length(0);
+      expect(findEvents(receipts, lendingEngine, "LiquidationBatchProcessed")).to.have.length(0);
+      expect(await cUSDC.balanceOf(liquidator.address)).to.equal(ethers.utils.parseUnits("64800", 8));
+    });
+  });
+
+  describe("Price oracle", function () {
+    it("reads feed prices scaled to the underlying's decimals", async function () {
+      const { oracle, comptroller, interestRateModel, cDAI, cUSDC } = await loadFixture(oracleFixture);
+
+      expect(await comptroller.oracle()).to.equal(oracle.address);
+      expect(await comptroller.getPrice(cDAI.address)).to.equal(ethers.utils.parseEther("1"));
+      expect(await comptroller.getPrice(cUSDC.address)).to.equal(ethers.utils.parseEther("1"));
+      expect(await comptroller.oraclePrices(cDAI.address)).to.equal(0);
+
+      // A 6-decimal underlying is priced per smallest unit: $1 = 1e30
+      const usdt = await (await ethers.getContractFactory("contracts/CompoundV2/test/MockERC20.sol:MockERC20"))
+        .deploy("Tether USD", "USDT", 6);
+      const cUSDT = await (await ethers.getContractFactory("CToken")).deploy(
+        usdt.address,
+        ethers.constants.AddressZero,
+        interestRateModel.address,
+        "Paralend USDT",
+        "pUSDT"
+      );
+      const feed = await (await ethers.getContractFactory("MockAggregator")).deploy(8, 100000000);
+      await expect(oracle.setFeed(cUSDT.address, feed.address, MAX_AGE, ethers.utils.parseEther("0.2")))
+        .to.emit(oracle, "FeedSet")
+        .withArgs(cUSDT.address, feed.address, MAX_AGE, ethers.utils.parseEther("0.2"));
+      expect(await oracle.getUnderlyingPrice(cUSDT.address)).to.equal(ethers.utils.parseUnits("1", 30));
+    });
+
+    it("liquidates after a feed price move without admin prices", async function () {
+      const { user2, liquidator, lendingEngine, lendingCore, comptroller, daiFeed, cDAI, cUSDC } =
+        await loadFixture(oracleCrossCollateralFixture);
+
+      expect(await comptroller.isUnderwater(user2.address)).to.equal(false);
+      expect(await movePrice(daiFeed, "1.2")).to.equal(1);
+      expect(await comptroller.getPrice(cDAI.address)).to.equal(ethers.utils.parseEther("1.2"));
+      expect(await comptroller.isUnderwater(user2.address)).to.equal(true);
+
+      const receipts = await runBatch([
+        () => lendingEngine.connect(liquidator).queueLiquidation(user2.address, cDAI.address, cUSDC.address, repayAmount),
+      ]);
+
+      // Same seizure as with the admin price: 1000 DAI * 1.2 * 1.08 = 1296 USDC
+      const [liquidation] = findEvents(receipts, lendingCore, "LiquidationProcessed");
+      expect(liquidation.seizeTokens).to.equal(ethers.utils.parseUnits("64800", 8));
+    });
+
+    it("walks large moves in rounds the deviation guard accepts", async function () {
+      const { oracle, comptroller, daiFeed, cDAI } = await loadFixture(oracleFixture);
+
+      // 1 -> 1.2 -> 1.44 -> 1.5
+      expect(await movePrice(daiFeed, "1.5")).to.equal(3);
+      const [status, price] = await oracle.getPriceStatus(cDAI.address);
+      expect(status).to.equal(PriceStatus.Ok);
+      expect(price).to.equal(ethers.utils.parseEther("1.5"));
+      expect(await comptroller.getPrice(cDAI.address)).to.equal(ethers.utils.parseEther("1.5"));
+    });
+
+    it("freezes a market on a round beyond the deviation guard until it is confirmed", async function () {
+      const { user2, liquidator, oracle, comptroller, lendingEngine, daiFeed, cDAI, cUSDC } =
+        await loadFixture(oracleCrossCollateralFixture);
+
+      await pushPrice(daiFeed, "1.5");
+
+      const [status, price] = await oracle.getPriceStatus(cDAI.address);
+      expect(status).to.equal(PriceStatus.Deviated);
+      expect(price).to.equal(ethers.utils.parseEther("1.5"));
+      expect(await comptroller.isMarketFrozen(cDAI.address)).to.equal(true);
+      expect(await comptroller.getPrice(cDAI.address)).to.equal(0);
+
+      // The borrower's liquidity cannot be computed, so it cannot be liquidated either
+      const [err] = await comptroller.getAccountLiquidity(user2.address);
+      expect(err).to.equal(3);
+      await expect(
+        lendingEngine.connect(liquidator).queueLiquidation(user2.address, cDAI.address, cUSDC.address, repayAmount)
+      ).to.be.revertedWith("borrower not underwater");
+
+      // A following round within the guard confirms the move
+      await pushPrice(daiFeed, "1.55");
+      expect(await comptroller.isMarketFrozen(cDAI.address)).to.equal(false);
+      expect(await comptroller.getPrice(cDAI.address)).to.equal(ethers.utils.parseEther("1.55"));
+      expect(await comptroller.isUnderwater(user2.address)).to.equal(true);
+    });
+
+    it("freezes markets with stale feeds whatever their admin price", async function () {
+      const { user2, lendingEngine, lendingCore, oracle, comptroller, daiFeed, cDAI, cUSDC } =
+        await loadFixture(oracleCrossCollateralFixture);
+
+      await increaseTime(MAX_AGE + 1);
+
+      const [status] = await oracle.getPriceStatus(cDAI.address);
+      expect(status).to.equal(PriceStatus.Stale);
+      expect(await oracle.getUnderlyingPrice(cDAI.address)).to.equal(0);
+      expect(await comptroller.isMarketFrozen(cDAI.address)).to.equal(true);
+      expect(await comptroller.isMarketFrozen(cUSDC.address)).to.equal(true);
+
+      const receipts = await runBatch([
+        () => lendingEngine.connect(user2).queueBorrow(cDAI.address, repayAmount),
+      ]);
+      const [rejected] = findEvents(receipts, lendingCore, "RequestRejected");
+      expect(rejected.user).to.equal(user2.address);
+      expect(rejected.reason).to.equal("insufficient collateral");
+
+      // A rejected feed price is never replaced by the admin price
+      await comptroller.setPrice(cDAI.address, ethers.utils.parseEther("1"));
+      expect(await comptroller.isMarketFrozen(cDAI.address)).to.equal(true);
+      expect(await comptroller.getPrice(cDAI.address)).to.equal(0);
+      const [err] = await comptroller.getAccountLiquidity(user2.address);
+      expect(err).to.equal(3);
+
+      await pushPrice(daiFeed, "1.1");
+      expect(await comptroller.getPrice(cDAI.address)).to.equal(ethers.utils.parseEther("1.1"));
+    });
+
+    it("uses admin prices for markets without a feed", async function () {
+      const { oracle, comptroller, cDAI, cUSDC } = await loadFixture(oracleFixture);
+
+      expect(await oracle.hasPriceSource(cDAI.address)).to.equal(true);
+      await oracle.setFeed(cUSDC.address, ethers.constants.AddressZero, 0, 0);
+      expect(await oracle.hasPriceSource(cUSDC.address)).to.equal(false);
+      expect(await comptroller.isMarketFrozen(cUSDC.address)).to.equal(true);
+
+      // Scaled like the oracle's prices: 1e(36 - decimals) for $1
+      const decimals = await (await ethers.getContractAt("MockERC20", await cUSDC.underlying())).decimals();
+      const price = ethers.utils.parseUnits("1", 36 - decimals);
+      await comptroller.setPrice(cUSDC.address, price);
+      expect(await comptroller.isMarketFrozen(cUSDC.address)).to.equal(false);
+      expect(await comptroller.getPrice(cUSDC.address)).to.equal(price);
+    });
+
+    it("leaves accounts without a position in a frozen market unaffected", async function () {
+      const { user1, user2, oracle, comptroller, cDAI, cUSDC } = await loadFixture(oracleCrossCollateralFixture);
+
+      await expect(oracle.setFeed(cUSDC.address, ethers.constants.AddressZero, 0, 0))
+        .to.emit(oracle, "FeedSet")
+        .withArgs(cUSDC.address, ethers.constants.AddressZero, 0, 0);
+      const [status] = await oracle.getPriceStatus(cUSDC.address);
+      expect(status).to.equal(PriceStatus.Missing);
+      expect(await comptroller.isMarketFrozen(cUSDC.address)).to.equal(true);
+      expect(await comptroller.borrowAllowed(cUSDC.address, user1.address, 1)).to.equal(false);
+
+      // user1 only supplies DAI; user2 holds USDC collateral
+      await comptroller.connect(user1).enterMarkets([cDAI.address]);
+      const [err1, liquidity1] = await comptroller.getAccountLiquidity(user1.address);
+      expect(err1).to.equal(0);
+      expect(liquidity1).to.equal(ethers.utils.parseEther("7500"));
+      expect(await comptroller.borrowAllowed(cDAI.address, user1.address, repayAmount)).to.equal(true);
+
+      const [err2] = await comptroller.getAccountLiquidity(user2.address);
+      expect(err2).to.equal(3);
+    });
+
+    it("only lets the admin configure feeds and the oracle", async function () {
+      const { user1, oracle, comptroller, daiFeed, cDAI } = await loadFixture(oracleFixture);
+
+      await expect(
+        oracle.connect(user1).setFeed(cDAI.address, daiFeed.address, MAX_AGE, ethers.utils.parseEther("0.2"))
+      ).to.be.revertedWith("only admin");
+      await expect(oracle.setFeed(cDAI.address, daiFeed.address, 0, ethers.utils.parseEther("0.2")))
+        .to.be.revertedWith("invalid max age");
+      await expect(oracle.setFeed(cDAI.address, daiFeed.address, MAX_AGE, 0))
+        .to.be.revertedWith("invalid max deviation");
+      await expect(comptroller.connect(user1).setPriceOracle(user1.address)).to.be.revertedWith("only admin");
+
+      await expect(comptroller.setPriceOracle(ethers.constants.AddressZero))
+        .to.emit(comptroller, "NewPriceOracle")
+        .withArgs(oracle.address, ethers.constants.AddressZero);
+      expect(await comptroller.isMarketFrozen(cDAI.address)).to.equal(true);
+    });
+  });
+
+  describe("Risk parameters", function () {
+    it("lists markets with the parameters of config/markets.js", async function () {
+      const { comptroller, cDAI, cUSDC } = await loadFixture(deployFixture);
+
+      for (const [cToken, symbol] of [[cDAI, "DAI"], [cUSDC, "USDC"]]) {
+        expect(await comptroller.collateralFactorMantissa(cToken.address))
+          .to.equal(ethers.utils.parseEther(MARKETS[symbol].collateralFactor));
+        expect(await comptroller.liquidationThresholdMantissa(cToken.address))
+          .to.equal(ethers.utils.parseEther(MARKETS[symbol].liquidationThreshold));
+      }
+      expect(await comptroller.closeFactorMantissa()).to.equal(ethers.utils.parseEther("0.5"));
+      expect(await comptroller.liquidationIncentiveMantissa()).to.equal(ethers.utils.parseEther("1.08"));
+    });
+
+    it("weights collateral by the collateral factor of its market", async function () {
+      const { user2, comptroller, cUSDC } = await loadFixture(crossCollateralFixture);
+
+      await expect(comptroller.setCollateralFactor(cUSDC.address, ethers.utils.parseEther("0.6")))
+        .to.emit(comptroller, "NewCollateralFactor")
+        .withArgs(cUSDC.address, ethers.utils.parseEther("0.75"), ethers.utils.parseEther("0.6"));
+
+      // Debt ~7000 against 10k * 0.6 = 6000 of borrowing power, but 8000 at the threshold
+      const [, liquidity, shortfall] = await comptroller.getAccountLiquidity(user2.address);
+      expect(liquidity).to.equal(0);
+      expect(shortfall).to.be.closeTo(ethers.utils.parseEther("1000"), INTEREST_TOLERANCE);
+      expect(await comptroller.isUnderwater(user2.address)).to.equal(false);
+    });
+
+    it("liquidates once debt exceeds the liquidation threshold", async function () {
+      const { user2, liquidator, lendingEngine, lendingCore, comptroller, cDAI, cUSDC } =
+        await loadFixture(crossCollateralFixture);
+
+      await comptroller.setCollateralFactor(cUSDC.address, ethers.utils.parseEther("0.6"));
+      await expect(comptroller.setLiquidationThreshold(cUSDC.address, ethers.utils.parseEther("0.65")))
+        .to.emit(comptroller, "NewLiquidationThreshold")
+        .withArgs(cUSDC.address, ethers.utils.parseEther("0.8"), ethers.utils.parseEther("0.65"));
+
+      // Debt ~7000 against 10k * 0.65 = 6500
+      const [, , shortfall] = await comptroller.getLiquidationLiquidity(user2.address);
+      expect(shortfall).to.be.closeTo(ethers.utils.parseEther("500"), INTEREST_TOLERANCE);
+      expect(await comptroller.isUnderwater(user2.address)).to.equal(true);
+
+      const receipts = await runBatch([
+        () => lendingEngine.connect(liquidator).queueLiquidation(user2.address, cDAI.address, cUSDC.address, repayAmount),
+      ]);
+      const [liquidation] = findEvents(receipts, lendingCore, "LiquidationProcessed");
+      expect(liquidation.repayAmount).to.equal(repayAmount);
+    });
+
+    it("applies the close factor and liquidation incentive to liquidations", async function () {
+      const { user2, liquidator, lendingEngine, lendingCore, comptroller, cDAI, cUSDC } =
+        await loadFixture(underwaterFixture);
+
+      await expect(comptroller.setCloseFactor(ethers.utils.parseEther("0.25")))
+        .to.emit(comptroller, "NewCloseFactor")
+        .withArgs(ethers.utils.parseEther("0.5"), ethers.utils.parseEther("0.25"));
+      await expect(comptroller.setLiquidationIncentive(ethers.utils.parseEther("1.1")))
+        .to.emit(comptroller, "NewLiquidationIncentive")
+        .withArgs(ethers.utils.parseEther("1.08"), ethers.utils.parseEther("1.1"));
+
+      // 1000 DAI * 1.2 * 1.1 = 1320 USDC = 66000 cUSDC at 0.02
+      const [, quoted] = await comptroller.liquidateCalculateSeizeTokens(cDAI.address, cUSDC.address, repayAmount);
+      expect(quoted).to.equal(ethers.utils.parseUnits("66000", 8));
+
+      const receipts = await runBatch([
+        () => lendingEngine.connect(liquidator).queueLiquidation(
+          user2.address, cDAI.address, cUSDC.address, ethers.utils.parseEther("5000")
+        ),
+      ]);
+
+      // 25% of ~7000 debt
+      const [liquidation] = findEvents(receipts, lendingCore, "LiquidationProcessed");
+      expect(liquidation.repayAmount).to.be.closeTo(ethers.utils.parseEther("1750"), INTEREST_TOLERANCE);
+    });
+
+    it("bounds-checks risk parameters", async function () {
+      const { user1, comptroller, cDAI } = await loadFixture(deployFixture);
+      const e = ethers.utils.parseEther;
+
+      await expect(comptroller.connect(user1).setCollateralFactor(cDAI.address, e("0.5")))
+        .to.be.revertedWith("only admin");
+      await expect(comptroller.connect(user1).setLiquidationThreshold(cDAI.address, e("0.85")))
+        .to.be.revertedWith("only admin");
+      await expect(comptroller.connect(user1).setCloseFactor(e("0.4"))).to.be.revertedWith("only admin");
+      await expect(comptroller.connect(user1).setLiquidationIncentive(e("1.1"))).to.be.revertedWith("only admin");
+
+      await expect(comptroller.setCollateralFactor(user1.address, e("0.5"))).to.be.revertedWith("market not listed");
+      await expect(comptroller.setLiquidationThreshold(user1.address, e("0.85")))
+        .to.be.revertedWith("market not listed");
+
+      await expect(comptroller.setCollateralFactor(cDAI.address, e("0.91")))
+        .to.be.revertedWith("invalid collateral factor");
+      await expect(comptroller.setCollateralFactor(cDAI.address, e("0.85")))
+        .to.be.revertedWith("collateral factor above liquidation threshold");
+      await expect(comptroller.setLiquidationThreshold(cDAI.address, e("0.96")))
+        .to.be.revertedWith("invalid liquidation threshold");
+      await expect(comptroller.setLiquidationThreshold(cDAI.address, e("0.7")))
+        .to.be.revertedWith("liquidation threshold below collateral factor");
+      await expect(comptroller.setCloseFactor(e("0.01"))).to.be.revertedWith("invalid close factor");
+      await expect(comptroller.setCloseFactor(e("0.95"))).to.be.revertedWith("invalid close factor");
+      await expect(comptroller.setLiquidationIncentive(e("0.99"))).to.be.revertedWith("invalid liquidation incentive");
+      await expect(comptroller.setLiquidationIncentive(e("1.6"))).to.be.revertedWith("invalid liquidation incentive");
+    });
+
+    it("applies configured parameters in an order the bounds accept", async function () {
+      const { comptroller, cDAI, cUSDC } = await loadFixture(deployFixture);
+
+      // Raising the collateral factor above the current threshold needs the threshold first
+      const markets = { HIGH: { collateralFactor: "0.85", liquidationThreshold: "0.9" } };
+      await applyRiskParameters(comptroller, cDAI.address, "HIGH", markets);
+      expect(await comptroller.collateralFactorMantissa(cDAI.address)).to.equal(ethers.utils.parseEther("0.85"));
+      expect(await comptroller.liquidationThresholdMantissa(cDAI.address)).to.equal(ethers.utils.parseEther("0.9"));
+
+      await applyRiskParameters(comptroller, cUSDC.address, "WETH");
+      expect(await comptroller.collateralFactorMantissa(cUSDC.address)).to.equal(ethers.utils.parseEther("0.7"));
+      expect(await comptroller.liquidationThresholdMantissa(cUSDC.address))
+        .to.equal(ethers.utils.parseEther("0.775"));
+
+      expect(await applyRiskParameters(comptroller, cUSDC.address, "UNKNOWN")).to.equal(null);
+    });
+  });
+
+  describe("Supply and borrow caps", function () {
+    it("only lets the admin set caps on listed markets", async function () {
+      const { user1, comptroller, lendingEngine, cDAI } = await loadFixture(deployFixture);
+
+      await expect(comptroller.connect(user1).setSupplyCap(cDAI.address, 1)).to.be.revertedWith("only admin");
+      await expect(comptroller.connect(user1).setBorrowCap(cDAI.address, 1)).to.be.revertedWith("only admin");
+      await expect(comptroller.setSupplyCap(user1.address, 1)).to.be.revertedWith("market not listed");
+      await expect(lendingEngine.syncCaps(user1.address)).to.be.revertedWith("market not initialized");
+
+      const cap = ethers.utils.parseEther("25000");
+      await expect(comptroller.setSupplyCap(cDAI.address, cap))
+        .to.emit(comptroller, "NewSupplyCap")
+        .withArgs(cDAI.address, 0, cap);
+      await expect(comptroller.setBorrowCap(cDAI.address, cap))
+        .to.emit(comptroller, "NewBorrowCap")
+        .withArgs(cDAI.address, 0, cap);
+
+      // Nothing supplied or borrowed yet; 0 removes a cap
+      expect(await comptroller.supplyHeadroom(cDAI.address)).to.equal(cap);
+      await comptroller.setBorrowCap(cDAI.address, 0);
+      expect(await comptroller.borrowHeadroom(cDAI.address)).to.equal(ethers.constants.MaxUint256);
+    });
+
+    it("rejects deposits beyond the supply cap up front, counting the batch in flight", async function () {
+      const { user1, user2, comptroller, lendingEngine, lendingCore, cDAI } = await loadFixture(suppliedFixture);
+
+      // 20k DAI supplied, 5k left under the cap
+      await comptroller.setSupplyCap(cDAI.address, ethers.utils.parseEther("25000"));
+      await lendingEngine.syncCaps(cDAI.address);
+      expect(await comptroller.supplyHeadroom(cDAI.address)).to.equal(ethers.utils.parseEther("5000"));
+
+      await expect(
+        lendingEngine.connect(user1).queueDeposit(cDAI.address, ethers.utils.parseEther("5000").add(1))
+      ).to.be.revertedWith("supply cap reached");
+
+      // Up to the cap exactly
+      const half = ethers.utils.parseEther("2500");
+      const receipts = await runBatch(
+        [user1, user2].map((user) => () => lendingEngine.connect(user).queueDeposit(cDAI.address, half))
+      );
+      expect(findEvents(receipts, lendingCore, "DepositProcessed")).to.have.length(2);
+      expect(await cDAI.totalSupply()).to.equal(ethers.utils.parseUnits("1250000", 8));
+
+      expect(await comptroller.supplyHeadroom(cDAI.address)).to.equal(0);
+      await expect(lendingEngine.connect(user1).queueDeposit(cDAI.address, 1)).to.be.revertedWith(
+        "supply cap reached"
+      );
+    });
+
+    it("rejects the deposit that takes a batch past the supply cap", async function () {
+      const { user1, user2, others, daiToken, comptroller, lendingEngine, lendingCore, cDAI } =
+        await loadFixture(suppliedFixture);
+      const caller = await (await ethers.getContractFactory("MockCaller")).deploy();
+      await daiToken.mint(caller.address, depositAmount);
+      await caller.forward(
+        daiToken.address,
+        daiToken.interface.encodeFunctionData("approve", [lendingEngine.address, ethers.constants.MaxUint256])
+      );
+
+      // 20k DAI supplied, 5k left under the cap: each request fits, not all three
+      await comptroller.setSupplyCap(cDAI.address, ethers.utils.parseEther("25000"));
+      await lendingEngine.syncCaps(cDAI.address);
+
+      const queueDeposit = (amount) =>
+        lendingEngine.interface.encodeFunctionData("queueDeposit", [cDAI.address, ethers.utils.parseEther(amount)]);
+      const receipts = await runBatch([
+        () => lendingEngine.connect(user1).queueDeposit(cDAI.address, ethers.utils.parseEther("3000")),
+        () => caller.connect(others[0]).forward(lendingEngine.address, queueDeposit("2500")),
+        () => lendingEngine.connect(user2).queueDeposit(cDAI.address, ethers.utils.parseEther("2000")),
+      ]);
+
+      const [reverted] = findEvents(receipts, caller, "CallReverted");
+      expect(reverted.reason).to.equal("supply cap reached");
+      expect(findEvents(receipts, lendingCore, "DepositProcessed")).to.have.length(2);
+      expect(await daiToken.balanceOf(caller.address)).to.equal(depositAmount);
+      expect(await comptroller.supplyHeadroom(cDAI.address)).to.equal(0);
+    });
+
+    it("rejects borrows beyond the borrow cap up front, counting the batch in flight", async function () {
+      const { user1, user2, others, comptroller, lendingEngine, cDAI } = await loadFixture(borrowedFixture);
+      const caller = await (await ethers.getContractFactory("MockCaller")).deploy();
+
+      // 10k DAI borrowed, 2k left under the cap
+      await comptroller.setBorrowCap(cDAI.address, ethers.utils.parseEther("12000"));
+      await expect(
+        lendingEngine.connect(user1).queueBorrow(cDAI.address, ethers.utils.parseEther("2500"))
+      ).to.be.revertedWith("borrow cap reached");
+
+      // The in-flight bound picks the cap up once synced
+      await lendingEngine.syncCaps(cDAI.address);
+
+      // 1.5k + 1k > 2k: the second request is rejected when queued, the others settle
+      const queueBorrow = (amount) =>
+        lendingEngine.interface.encodeFunctionData("queueBorrow", [cDAI.address, ethers.utils.parseEther(amount)]);
+      const receipts = await runBatch([
+        () => lendingEngine.connect(user1).queueBorrow(cDAI.address, ethers.utils.parseEther("1500")),
+        () => caller.connect(others[0]).forward(lendingEngine.address, queueBorrow("1000")),
+        () => lendingEngine.connect(user2).queueBorrow(cDAI.address, ethers.utils.parseEther("500")),
+      ]);
+
+      const [reverted] = findEvents(receipts, caller, "CallReverted");
+      expect(reverted.reason).to.equal("borrow cap reached");
+      const [batch] = findEvents(receipts, lendingEngine, "BatchProcessed");
+      expect(batch.borrows).to.equal(ethers.utils.parseEther("2000"));
+      expect(await cDAI.totalBorrows()).to.be.closeTo(ethers.utils.parseEther("12000"), INTEREST_TOLERANCE);
+    });
+
+    it("refuses to sync caps while a batch is in progress", async function () {
+      const { user1, lendingEngine, cDAI } = await loadFixture(suppliedFixture);
+      const caller = await (await ethers.getContractFactory("MockCaller")).deploy();
+
+      const receipts = await runBatch([
+        () => lendingEngine.connect(user1).queueDeposit(cDAI.address, repayAmount),
+        () => caller.forward(lendingEngine.address, lendingEngine.interface.encodeFunctionData("syncCaps", [cDAI.address])),
+        () => lendingEngine.connect(user1).queueWithdraw(cDAI.address, withdrawTokens),
+      ]);
+
+      const [reverted] = findEvents(receipts, caller, "CallReverted");
+      expect(reverted.reason).to.equal("batch in progress");
+    });
+  });
+
+  describe("Reserves and interest rate model", function () {
+    it("reports and sweeps the reserves of every market with the treasury script", async function () {
+      const { others, daiToken, comptroller, cDAI, cUSDC, invariants } = await loadFixture(reservesFixture);
+      const treasury = others[1].address;
+
+      const report = await reportReserves(ethers, comptroller);
+      expect(report.map((entry) => entry.market)).to.deep.equal([cDAI.address, cUSDC.address]);
+      expect(report.map((entry) => entry.symbol)).to.deep.equal(["DAI", "USDC"]);
+
+      const [dai, usdc] = report;
+      expect(dai.reserveFactor).to.equal(ethers.utils.parseEther("0.1"));
+      expect(dai.totalReserves).to.equal(await cDAI.totalReserves());
+      expect(dai.totalReserves).to.be.gt(0);
+      expect(dai.sweepable).to.equal(dai.totalReserves);
+      expect(usdc.totalReserves).to.equal(0);
+
+      const swept = await sweepReserves(ethers, report, treasury);
+      expect(swept.map((entry) => entry.symbol)).to.deep.equal(["DAI"]);
+      expect(await daiToken.balanceOf(treasury)).to.equal(dai.sweepable);
+
+      // Interest accrued by the sweep itself stays in reserves
+      const [event] = findEvents(swept[0].receipt, cDAI, "ReservesReduced");
+      expect(event.to).to.equal(treasury);
+      expect(event.reduceAmount).to.equal(dai.sweepable);
+      expect(await cDAI.totalReserves()).to.equal(event.newTotalReserves);
+      expect(await cDAI.totalReserves()).to.be.lt(dai.totalReserves);
+
+      expect(await invariants.violations()).to.deep.equal([]);
+    });
+
+    it("skips markets below the sweep minimum", async function () {
+      const { others, comptroller } = await loadFixture(reservesFixture);
+
+      const report = await reportReserves(ethers, comptroller);
+      expect(await sweepReserves(ethers, report, others[1].address, "1000000")).to.have.length(0);
+    });
+
+    it("accrues interest through LendingCore before changing the reserve factor", async function () {
+      const { user1, cDAI } = await loadFixture(borrowedFixture);
+
+      await expect(cDAI.connect(user1)._setReserveFactor(ethers.utils.parseEther("0.2")))
+        .to.be.revertedWith("only admin");
+      await expect(cDAI._setReserveFactor(ethers.utils.parseEther("1.01")))
+        .to.be.revertedWith("invalid reserve factor");
+
+      const tx = await cDAI._setReserveFactor(ethers.utils.parseEther("0.2"));
+      await expect(tx).to.emit(cDAI, "AccrueInterest");
+      await expect(tx)
+        .to.emit(cDAI, "NewReserveFactor")
+        .withArgs(ethers.utils.parseEther("0.1"), ethers.utils.parseEther("0.2"));
+      expect(await cDAI.accrualBlockNumber()).to.equal((await tx.wait()).blockNumber);
+      expect(await cDAI.reserveFactorMantissa()).to.equal(ethers.utils.parseEther("0.2"));
+    });
+
+    it("adds reserves from anyone and only lets the admin reduce them", async function () {
+      const { user1, others, daiToken, lendingEngine, comptroller, cDAI, cUSDC, invariants } =
+        await loadFixture(reservesFixture);
+
+      await daiToken.connect(user1).approve(cDAI.address, repayAmount);
+      const tx = await cDAI.connect(user1)._addReserves(repayAmount);
+      const [added] = findEvents(await tx.wait(), cDAI, "ReservesAdded");
+      expect(added.benefactor).to.equal(user1.address);
+      expect(added.addAmount).to.equal(repayAmount);
+      expect(await cDAI.totalReserves()).to.equal(added.newTotalReserves);
+      expect(await invariants.violations()).to.deep.equal([]);
+
+      const reserves = await cDAI.totalReserves();
+      await expect(cDAI.connect(user1)._reduceReserves(user1.address, 1)).to.be.revertedWith("only admin");
+      await expect(cDAI._reduceReserves(ethers.constants.AddressZero, 1)).to.be.revertedWith("invalid address");
+      await expect(cDAI._reduceReserves(others[1].address, reserves.mul(2)))
+        .to.be.revertedWith("reduce amount above reserves");
+
+      // Reserves lent out to borrowers cannot be swept
+      await runBatch([() => lendingEngine.connect(user1).queueDeposit(cUSDC.address, ethers.utils.parseEther("50000"))]);
+      await comptroller.connect(user1).enterMarkets([cUSDC.address]);
+      const cash = await cDAI.getCash();
+      await runBatch([() => lendingEngine.connect(user1).queueBorrow(cDAI.address, cash.sub(repayAmount.div(2)))]);
+
+      await expect(cDAI._reduceReserves(others[1].address, repayAmount)).to.be.revertedWith("insufficient cash");
+      const [dai] = await reportReserves(ethers, comptroller);
+      expect(dai.sweepable).to.equal(repayAmount.div(2));
+    });
+
+    it("swaps the interest rate model after accruing with the old one", async function () {
+      const { user1, interestRateModel, cDAI } = await loadFixture(borrowedFixture);
+
+      const JumpRateModel = await ethers.getContractFactory("JumpRateModel");
+      const newModel = await JumpRateModel.deploy(
+        ethers.utils.parseEther("0.05"),
+        ethers.utils.parseEther("0.3"),
+        ethers.utils.parseEther("2.0"),
+        ethers.utils.parseEther("0.9"),
+        BLOCKS_PER_YEAR
+      );
+      // Rates the market's accrual would reject (a JumpRateModel refuses them when deployed)
+      const brokenModel = await (await ethers.getContractFactory("WhitePaperInterestRateModel")).deploy(
+        ethers.utils.parseEther("2000"),
+        ethers.utils.parseEther("0.3"),
+        BLOCKS_PER_YEAR
+      );
+
+      await expect(cDAI.connect(user1)._setInterestRateModel(newModel.address)).to.be.revertedWith("only admin");
+      await expect(cDAI._setInterestRateModel(ethers.constants.AddressZero))
+        .to.be.revertedWith("invalid interest rate model");
+      await expect(cDAI._setInterestRateModel(brokenModel.address)).to.be.revertedWith("borrow rate too high");
+
+      const tx = await cDAI._setInterestRateModel(newModel.address);
+      await expect(tx).to.emit(cDAI, "AccrueInterest");
+      await expect(tx)
+        .to.emit(cDAI, "NewMarketInterestRateModel")
+        .withArgs(interestRateModel.address, newModel.address);
+      expect(await cDAI.interestRateModel()).to.equal(newModel.address);
+
+      // The next accrual uses the new model
+      const [cash, borrows, reserves] = await Promise.all([cDAI.getCash(), cDAI.totalBorrows(), cDAI.totalReserves()]);
+      const rate = await newModel.getBorrowRate(cash, borrows, reserves);
+      const accrual = await (await cDAI.accrueInterest()).wait();
+      const [event] = findEvents(accrual, cDAI, "AccrueInterest");
+      expect(event.interestAccumulated).to.equal(borrows.mul(rate).div(ethers.constants.WeiPerEther));
+    });
+
+    it("charges the blocks before a JumpRateModel update at the old rates", async function () {
+      const { interestRateModel, cDAI, cUSDC } = await loadFixture(borrowedFixture);
+      await network.provider.request({ method: "hardhat_mine", params: ["0x3e8"] });
+
+      const [cash, borrows, reserves] = await Promise.all([cDAI.getCash(), cDAI.totalBorrows(), cDAI.totalReserves()]);
+      const oldRate = await interestRateModel.getBorrowRate(cash, borrows, reserves);
+      const accrualBlock = await cDAI.accrualBlockNumber();
+
+      const receipt = await (
+        await interestRateModel.updateJumpRateModel(
+          ...["0.5", "3.0", "20.0", "0.5"].map((rate) => ethers.utils.parseEther(rate))
+        )
+      ).wait();
+
+      // Accrued through LendingCore in the update's block, before the new rates apply
+      const [event] = findEvents(receipt, cDAI, "AccrueInterest");
+      const blocks = receipt.blockNumber - accrualBlock.toNumber();
+      expect(event.interestAccumulated).to.equal(borrows.mul(oldRate.mul(blocks)).div(ethers.constants.WeiPerEther));
+      expect(await interestRateModel.getBorrowRate(cash, borrows, reserves)).to.be.gt(oldRate);
+      expect(await cDAI.accrualBlockNumber()).to.equal(receipt.blockNumber);
+      expect(await cUSDC.accrualBlockNumber()).to.equal(receipt.blockNumber);
+    });
+  });
+
+  describe("Interest rate models", function () {
+    it("keeps a JumpRateModel within the accrual cap when deployed and when the admin updates it", async function () {
+      const { user1, interestRateModel, cDAI } = await loadFixture(borrowedFixture);
+      const rates = (base, multiplier, jumpMultiplier, kink) =>
+        [base, multiplier, jumpMultiplier, kink].map((rate) => ethers.utils.parseEther(rate));
+
+      await expect(interestRateModel.connect(user1).updateJumpRateModel(...rates("0.05", "0.3", "2.0", "0.9")))
+        .to.be.revertedWith("only admin");
+      // Fine at the market's utilization, above the cap once fully utilized
+      await expect(interestRateModel.updateJumpRateModel(...rates("0.02", "0.2", "6000", "0.8")))
+        .to.be.revertedWith("borrow rate too high");
+      // The same cap applies when deploying
+      const JumpRateModel = await ethers.getContractFactory("JumpRateModel");
+      await expect(JumpRateModel.deploy(...rates("0.02", "0.2", "6000", "0.8"), BLOCKS_PER_YEAR))
+        .to.be.revertedWith("borrow rate too high");
+
+      const tx = await interestRateModel.updateJumpRateModel(...rates("0.05", "0.3", "2.0", "0.9"));
+      await expect(tx)
+        .to.emit(interestRateModel, "NewInterestParams")
+        .withArgs(
+          ethers.utils.parseEther("0.05").div(BLOCKS_PER_YEAR),
+          ethers.utils.parseEther("0.3").div(BLOCKS_PER_YEAR),
+          ethers.utils.parseEther("2.0").div(BLOCKS_PER_YEAR),
+          ethers.utils.parseEther("0.9")
+        );
+
+      // Markets using the model accrue at the new rates
+      await cDAI.accrueInterest();
+      const [cash, borrows, reserves] = await Promise.all([cDAI.getCash(), cDAI.totalBorrows(), cDAI.totalReserves()]);
+      const utilization = await interestRateModel.utilizationRate(cash, borrows, reserves);
+      const rate = ethers.utils.parseEther("0.05").div(BLOCKS_PER_YEAR)
+        .add(utilization.mul(ethers.utils.parseEther("0.3").div(BLOCKS_PER_YEAR)).div(ethers.constants.WeiPerEther));
+      expect(await interestRateModel.getBorrowRate(cash, borrows, reserves)).to.equal(rate);
+
+      const accrual = await (await cDAI.accrueInterest()).wait();
+      const [event] = findEvents(accrual, cDAI, "AccrueInterest");
+      expect(event.interestAccumulated).to.equal(borrows.mul(rate).div(ethers.constants.WeiPerEther));
+    });
+
+    it("charges the blocks before a JumpRateModel update at the old rates", async function () {
+      const { interestRateModel, cDAI, cUSDC } = await loadFixture(borrowedFixture);
+      await network.provider.request({ method: "hardhat_mine", params: ["0x3e8"] });
+
+      const [cash, borrows, reserves] = await Promise.all([cDAI.getCash(), cDAI.totalBorrows(), cDAI.totalReserves()]);
+      const oldRate = await interestRateModel.getBorrowRate(cash, borrows, reserves);
+      const accrualBlock = await cDAI.accrualBlockNumber();
+
+      const receipt = await (
+        await interestRateModel.updateJumpRateModel(
+          ...["0.5", "3.0", "20.0", "0.5"].map((rate) => ethers.utils.parseEther(rate))
+        )
+      ).wait();
+
+      // Accrued through LendingCore in the update's block, before the new rates apply
+      const [event] = findEvents(receipt, cDAI, "AccrueInterest");
+      const blocks = receipt.blockNumber - accrualBlock.toNumber();
+      expect(event.interestAccumulated).to.equal(borrows.mul(oldRate.mul(blocks)).div(ethers.constants.WeiPerEther));
+      expect(await interestRateModel.getBorrowRate(cash, borrows, reserves)).to.be.gt(oldRate);
+      expect(await cDAI.accrualBlockNumber()).to.equal(receipt.blockNumber);
+      expect(await cUSDC.accrualBlockNumber()).to.equal(receipt.blockNumber);
+    });
+
+    it("deploys WhitePaper and jump models over the configured blocks per year", async function () {
+      await loadFixture(deployFixture);
+      const config = deploymentConfig("hardhat");
+      const blocksPerYear = 31536000; // 1 second blocks
+      const linearConfig = {
+        ...config,
+        blocksPerYear,
+        rateModels: { ...config.rateModels, linear: { type: "whitePaper", baseRate: "0.01", multiplier: "0.1" } },
+        markets: config.markets.map((market) => (market.symbol === "USDC" ? { ...market, rateModel: "linear" } : market)),
+      };
+
+      const first = await deployProtocol(ethers, linearConfig);
+      const { default: jump, linear } = first.interestRateModels;
+      expect(first.changes).to.include(`Deployed WhitePaperInterestRateModel "linear" at ${linear.address}`);
+      expect(first.manifest.rateModelTypes).to.deep.equal({ default: "jump", linear: "whitePaper" });
+      expect(await jump.blocksPerYear()).to.equal(blocksPerYear);
+      expect(await linear.blocksPerYear()).to.equal(blocksPerYear);
+      expect(await first.markets[1].cToken.interestRateModel()).to.equal(linear.address);
+
+      // Linear up to full utilization, without a kink
+      const base = ethers.utils.parseEther("0.01").div(blocksPerYear);
+      const multiplier = ethers.utils.parseEther("0.1").div(blocksPerYear);
+      expect(await linear.getBorrowRate(0, ethers.utils.parseEther("1"), 0)).to.equal(base.add(multiplier));
+      expect(await linear.getBorrowRate(ethers.utils.parseEther("1"), ethers.utils.parseEther("1"), 0))
+        .to.equal(base.add(multiplier.div(2)));
+
+      const loaded = await loadDeployment(ethers, first.manifest);
+      expect(loaded.interestRateModels.linear.kink).to.equal(undefined);
+      expect(await verifyDeployment(ethers, loaded, linearConfig)).to.deep.equal([]);
+      expect(await verifyDeployment(ethers, loaded, { ...linearConfig, blocksPerYear: BLOCKS_PER_YEAR })).to.include(
+        `WhitePaperInterestRateModel "linear" blocksPerYear is ${blocksPerYear}, expected ${BLOCKS_PER_YEAR}`
+      );
+
+      // New jump rates are updated in place, a new type is deployed and its markets switched
+      const changed = {
+        ...linearConfig,
+        rateModels: {
+          default: { ...config.rateModels.default, kink: "0.9" },
+          linear: { baseRate: "0.01", multiplier: "0.1", jumpMultiplier: "1.0", kink: "0.8" },
+        },
+      };
+      const second = await deployProtocol(ethers, changed, { manifest: first.manifest });
+      const replaced = second.interestRateModels.linear;
+      expect(second.changes).to.deep.equal([
+        `JumpRateModel "default" updateJumpRateModel`,
+        `Deployed JumpRateModel "linear" at ${replaced.address}`,
+        `JumpRateModel "linear" setComptroller`,
+        "CToken._setInterestRateModel USDC",
+      ]);
+      expect(second.interestRateModels.default.address).to.equal(jump.address);
+      expect(await jump.kink()).to.equal(ethers.utils.parseEther("0.9"));
+      expect(await replaced.comptroller()).to.equal(second.comptroller.address);
+      expect(second.manifest.rateModelTypes.linear).to.equal("jump");
+      expect(await second.markets[1].cToken.interestRateModel()).to.equal(replaced.address);
+    });
+
+    it("deploys the rate models of the Arcology networks over one second blocks", async function () {
+      await loadFixture(deployFixture);
+      expect(deploymentConfig("hardhat").blocksPerYear).to.equal(BLOCKS_PER_YEAR);
+
+      for (const network of ["arcology", "TestnetInfo"]) {
+        const config = deploymentConfig(network);
+        expect(config.blocksPerYear).to.equal(ARCOLOGY_BLOCKS_PER_YEAR);
+        expect(config.markets).to.deep.equal(deploymentConfig("hardhat").markets);
+
+        const { interestRateModels } = await deployProtocol(ethers, config, { network });
+        expect(await interestRateModels.default.blocksPerYear()).to.equal(ARCOLOGY_BLOCKS_PER_YEAR);
+        expect(await interestRateModels.default.baseRatePerBlock()).to.equal(
+          ethers.utils.parseEther(config.rateModels.default.baseRate).div(ARCOLOGY_BLOCKS_PER_YEAR)
+        );
+      }
+    });
+
+    it("tabulates rate curves as the models quote them and flags curves over the cap", async function () {
+      const { interestRateModel } = await loadFixture(deployFixture);
+      const WhitePaper = await ethers.getContractFactory("WhitePaperInterestRateModel");
+      const linear = await WhitePaper.deploy(ethers.utils.parseEther("0.01"), ethers.utils.parseEther("0.1"), BLOCKS_PER_YEAR);
+      const reserveFactor = ethers.utils.parseEther("0.1");
+
+      const curves = rateCurves(
+        { rateModels: { ...RATE_MODELS, linear: { type: "whitePaper", baseRate: "0.01", multiplier: "0.1" } } },
+        { steps: 4 }
+      );
+      expect(curves.map(({ name, type }) => [name, type])).to.deep.equal([["default", "jump"], ["linear", "whitePaper"]]);
+      // The kink is added to the steps
+      expect(curves[0].points.map(({ utilization }) => ethers.utils.formatEther(utilization)))
+        .to.deep.equal(["0.0", "0.25", "0.5", "0.75", "0.8", "1.0"]);
+
+      for (const [curve, model] of [[curves[0], interestRateModel], [curves[1], linear]]) {
+        expect(curve.withinCap).to.equal(true);
+        for (const point of curve.points) {
+          // cash + borrows = 1e18: the utilization is the borrows
+          const cash = ethers.utils.parseEther("1").sub(point.utilization);
+          expect(await model.getBorrowRate(cash, point.utilization, 0)).to.equal(point.borrowRatePerBlock);
+          expect(await model.getSupplyRate(cash, point.utilization, 0, reserveFactor)).to.equal(point.supplyRatePerBlock);
+          expect(point.borrowApy).to.equal(apy(point.borrowRatePerBlock, BLOCKS_PER_YEAR));
+        }
+      }
+
+      const steep = rateCurve({ baseRate: "0.02", multiplier: "0.2", jumpMultiplier: "12000", kink: "0.8" }, { steps: 10 });
+      expect(steep.withinCap).to.equal(false);
+      expect(steep.maxBorrowRatePerBlock.gt(BORROW_RATE_MAX)).to.equal(true);
+      expect(steep.points.filter(({ overCap }) => overCap).map(({ utilization }) => ethers.utils.formatEther(utilization)))
+        .to.deep.equal(["0.9", "1.0"]);
+      expect(curvesCsv(curves).trim().split("\n")).to.have.length(1 + 6 + 5);
+    });
+  });
+
+  describe("Cross-market", function () {
+    it("processes both markets of a batch in separate jobs", async function () {
+      const { user1, user2, lendingEngine, cDAI, cUSDC } = await loadFixture(fundedFixture);
+
+      const receipts = await runBatch([
+        () => lendingEngine.connect(user1).queueDeposit(cDAI.address, depositAmount),
+        () => lendingEngine.connect(user2).queueDeposit(cUSDC.address, depositAmount),
+        () => lendingEngine.connect(user1).queueDeposit(cUSDC.address, repayAmount),
+      ]);
+
+      const batches = batchesByMarket(receipts, lendingEngine);
+      expect(Object.keys(batches)).to.have.members([cDAI.address, cUSDC.address]);
+      expect(batches[cDAI.address].deposits).to.equal(depositAmount);
+      expect(batches[cUSDC.address].deposits).to.equal(depositAmount.add(repayAmount));
+
+      expect(await cDAI.totalSupply()).to.equal(ethers.utils.parseUnits("500000", 8));
+      expect(await cUSDC.totalSupply()).to.equal(ethers.utils.parseUnits("550000", 8));
+      expect(await cUSDC.balanceOf(user1.address)).to.equal(ethers.utils.parseUnits("50000", 8));
+      expect(await cUSDC.balanceOf(user2.address)).to.equal(ethers.utils.parseUnits("500000", 8));
+    });
+
+    it("borrows DAI against USDC collateral", async function () {
+      const { user2, daiToken, usdcToken, comptroller, cDAI, cUSDC } = await loadFixture(crossCollateralFixture);
+
+      expect(await comptroller.accountMembership(user2.address, cUSDC.address)).to.equal(true);
+      expect(await comptroller.accountMembership(user2.address, cDAI.address)).to.equal(false);
+      expect(await cDAI.borrowBalanceStored(user2.address)).to.equal(ethers.utils.parseEther("7000"));
+      expect(await daiToken.balanceOf(user2.address)).to.equal(mintAmount.add(ethers.utils.parseEther("7000")));
+      expect(await usdcToken.balanceOf(user2.address)).to.equal(mintAmount.sub(depositAmount));
+
+      // 10k USDC * 0.75 = 7500 of borrowing power
+      const [, liquidity, shortfall] = await comptroller.getAccountLiquidity(user2.address);
+      expect(liquidity).to.be.closeTo(ethers.utils.parseEther("500"), INTEREST_TOLERANCE);
+      expect(shortfall).to.equal(0);
+    });
+
+    it("settles borrows and repays of both markets in one batch", async function () {
+      const { user1, user2, usdcToken, lendingEngine, comptroller, cDAI, cUSDC } =
+        await loadFixture(crossCollateralFixture);
+      await comptroller.connect(user1).enterMarkets([cDAI.address]);
+
+      const debtBefore = await cDAI.borrowBalanceStored(user2.address);
+      const receipts = await runBatch([
+        () => lendingEngine.connect(user1).queueBorrow(cUSDC.address, borrowAmount),
+        () => lendingEngine.connect(user2).queueRepay(cDAI.address, repayAmount),
+      ]);
+
+      const batches = batchesByMarket(receipts, lendingEngine);
+      expect(batches[cUSDC.address].borrows).to.equal(borrowAmount);
+      expect(batches[cUSDC.address].repays).to.equal(0);
+      expect(batches[cDAI.address].borrows).to.equal(0);
+      expect(batches[cDAI.address].repays).to.equal(repayAmount);
+
+      expect(await cUSDC.borrowBalanceStored(user1.address)).to.equal(borrowAmount);
+      expect(await cUSDC.totalBorrows()).to.equal(borrowAmount);
+      expect(await usdcToken.balanceOf(user1.address)).to.equal(mintAmount.add(borrowAmount));
+      expect(await cDAI.borrowBalanceStored(user2.address)).to.be.closeTo(
+        debtBefore.sub(repayAmount),
+        INTEREST_TOLERANCE
+      );
+    });
+
+    it("puts the borrower underwater when the collateral price crashes", async function () {
+      const { user2, comptroller } = await loadFixture(collateralCrashFixture);
+
+      // Debt ~7000 against 10k * 0.8 * 0.80 = 6400 at the liquidation threshold
+      const [, liquidity, shortfall] = await comptroller.getLiquidationLiquidity(user2.address);
+      expect(liquidity).to.equal(0);
+      expect(shortfall).to.be.closeTo(ethers.utils.parseEther("600"), INTEREST_TOLERANCE);
+      expect(await comptroller.isUnderwater(user2.address)).to.equal(true);
+    });
+
+    it("seizes the USDC collateral quoted by liquidateCalculateSeizeTokens", async function () {
+      const { user2, liquidator, daiToken, lendingEngine, lendingCore, comptroller, cDAI, cUSDC } =
+        await loadFixture(collateralCrashFixture);
+
+      const requested = ethers.utils.parseEther("2000");
+      const [err, quoted] = await comptroller.liquidateCalculateSeizeTokens(cDAI.address, cUSDC.address, requested);
+      // 2000 DAI * 1.08 / 0.8 = 2700 USDC = 135000 cUSDC at 0.02
+      expect(err).to.equal(0);
+      expect(quoted).to.equal(ethers.utils.parseUnits("135000", 8));
+
+      const collateralBefore = await cUSDC.balanceOf(user2.address);
+      const supplyBefore = await cUSDC.totalSupply();
+      const debtBefore = await cDAI.borrowBalanceStored(user2.address);
+      const daiBefore = await daiToken.balanceOf(liquidator.address);
+
+      const receipts = await runBatch([
+        () => lendingEngine.connect(liquidator).queueLiquidation(user2.address, cDAI.address, cUSDC.address, requested),
+      ]);
+
+      const [liquidation] = findEvents(receipts, lendingCore, "LiquidationProcessed");
+      expect(liquidation.cTokenBorrowed).to.equal(cDAI.address);
+      expect(liquidation.cTokenCollateral).to.equal(cUSDC.address);
+      expect(liquidation.repayAmount).to.equal(requested);
+      expect(liquidation.seizeTokens).to.equal(quoted);
+
+      expect(await cUSDC.balanceOf(liquidator.address)).to.equal(quoted);
+      expect(await cUSDC.balanceOf(user2.address)).to.equal(collateralBefore.sub(quoted));
+      expect(await cUSDC.totalSupply()).to.equal(supplyBefore);
+      expect(await cDAI.borrowBalanceStored(user2.address)).to.be.closeTo(
+        debtBefore.sub(requested),
+        INTEREST_TOLERANCE
+      );
+      expect(await daiToken.balanceOf(liquidator.address)).to.equal(daiBefore.sub(requested));
+    });
+
+    it("lets the liquidator redeem the seized collateral", async function () {
+      const { user2, liquidator, usdcToken, lendingEngine, cDAI, cUSDC } = await loadFixture(collateralCrashFixture);
+
+      await runBatch([
+        () => lendingEngine.connect(liquidator).queueLiquidation(
+          user2.address, cDAI.address, cUSDC.address, ethers.utils.parseEther("2000")
+        ),
+      ]);
+      const seized = await cUSDC.balanceOf(liquidator.address);
+
+      await runBatch([() => lendingEngine.connect(liquidator).queueWithdraw(cUSDC.address, seized)]);
+
+      expect(await cUSDC.balanceOf(liquidator.address)).to.equal(0);
+      expect(await usdcToken.balanceOf(liquidator.address)).to.equal(ethers.utils.parseEther("2700"));
+    });
+
+    it("settles a liquidation alongside requests of both markets in one batch", async function () {
+      const { user1, user2, liquidator, lendingEngine, lendingCore, comptroller, cDAI, cUSDC } =
+        await loadFixture(collateralCrashFixture);
+
+      const requested = ethers.utils.parseEther("2000");
+      const [, quoted] = await comptroller.liquidateCalculateSeizeTokens(cDAI.address, cUSDC.address, requested);
+
+      const receipts = await runBatch([
+        () => lendingEngine.connect(user1).queueDeposit(cUSDC.address, depositAmount),
+        () => lendingEngine.connect(user1).queueDeposit(cDAI.address, repayAmount),
+        () => lendingEngine.connect(liquidator).queueLiquidation(user2.address, cDAI.address, cUSDC.address, requested),
+      ]);
+
+      const batches = batchesByMarket(receipts, lendingEngine);
+      expect(Object.keys(batches)).to.have.members([cDAI.address, cUSDC.address]);
+      expect(batches[cUSDC.address].deposits).to.equal(depositAmount);
+      expect(batches[cDAI.address].deposits).to.equal(repayAmount);
+
+      const [pair] = findEvents(receipts, lendingEngine, "LiquidationBatchProcessed");
+      expect(pair.cTokenBorrowed).to.equal(cDAI.address);
+      expect(pair.cTokenCollateral).to.equal(cUSDC.address);
+      expect(pair.repaid).to.equal(requested);
+      expect(pair.seized).to.equal(quoted);
+      expect(findEvents(receipts, lendingCore, "RequestRejected")).to.have.length(0);
+
+      // Liquidations write to both markets, so they settle after both market jobs
+      const settlements = receipts
+        .flatMap((receipt) => receipt.logs)
+        .filter((log) => log.address === lendingEngine.address)
+        .map((log) => lendingEngine.interface.parseLog(log).name)
+        .filter((name) => name !== "RequestQueued");
+      expect(settlements).to.deep.equal(["BatchProcessed", "BatchProcessed", "LiquidationBatchProcessed"]);
+
+      expect(await cUSDC.balanceOf(liquidator.address)).to.equal(quoted);
+      expect(await cUSDC.balanceOf(user1.address)).to.equal(ethers.utils.parseUnits("500000", 8));
+
+      const holders = [user1, user2, liquidator];
+      let sumBalances = ethers.BigNumber.from(0);
+      for (const holder of holders) {
+        sumBalances = sumBalances.add(await cUSDC.balanceOf(holder.address));
+      }
+      expect(sumBalances).to.equal(await cUSDC.totalSupply());
+    });
+
+    // user2 has ~500 of borrowing power left: borrowing 400 DAI and withdrawing
+    // 500 USDC (375 of power) each fit alone, but not together. The cDAI and cUSDC
+    // jobs would each pass a per-market check against the state before the batch.
+    const crossBorrow = ethers.utils.parseEther("400");
+    const crossWithdraw = ethers.utils.parseEther("500");
+
+    it("needs both markets to see that a withdraw and a borrow together cause a shortfall", async function () {
+      const { user2, comptroller, cDAI, cUSDC } = await loadFixture(crossCollateralFixture);
+
+      const redeemTokens = crossWithdraw.mul(ethers.utils.parseEther("1")).div(await cUSDC.exchangeRateStored());
+      expect(await comptroller.borrowAllowed(cDAI.address, user2.address, crossBorrow)).to.equal(true);
+      expect(await comptroller.redeemAllowed(cUSDC.address, user2.address, redeemTokens)).to.equal(true);
+
+      expect(
+        await comptroller.redeemAndBorrowAllowed(user2.address, [cUSDC.address, cDAI.address], [redeemTokens, 0], [0, crossBorrow])
+      ).to.equal(false);
+      expect(
+        await comptroller.redeemAndBorrowAllowed(user2.address, [cUSDC.address, cDAI.address], [redeemTokens, 0], [0, 0])
+      ).to.equal(true);
+    });
+
+    for (const [order, first] of [["withdraw", "cUSDC"], ["borrow", "cDAI"]]) {
+      it(`rejects the cross-market request reserved second when the ${order} is queued first`, async function () {
+        const ctx = await loadFixture(crossCollateralFixture);
+        const { user2, lendingEngine, lendingCore, comptroller, cDAI, cUSDC } = ctx;
+
+        const withdraw = () => lendingEngine.connect(user2).queueWithdrawUnderlying(cUSDC.address, crossWithdraw);
+        const borrow = () => lendingEngine.connect(user2).queueBorrow(cDAI.address, crossBorrow);
+        const receipts = await runBatch(order === "withdraw" ? [withdraw, borrow] : [borrow, withdraw]);
+
+        // Markets are reserved in the order they joined the batch
+        const outcomes = (
+          await Promise.all(receipts.map((receipt) => resolveSettlement(receipt, { lendingEngine, lendingCore })))
+        ).flat();
+        const settled = outcomes.filter((outcome) => outcome.status === "settled");
+        const rejected = outcomes.filter((outcome) => outcome.status === "rejected");
+        expect(settled.map((outcome) => outcome.market)).to.deep.equal([ctx[first].address]);
+        expect(rejected).to.have.length(1);
+        expect(rejected[0].reason).to.equal("insufficient collateral");
+
+        const [, , shortfall] = await comptroller.getAccountLiquidity(user2.address);
+        expect(shortfall).to.equal(0);
+      });
+    }
+
+    it("reserves a withdraw and a borrow queued by one transaction separately", async function () {
+      const { usdcToken, lendingEngine, lendingCore, comptroller, cDAI, cUSDC, invariants } =
+        await loadFixture(crossCollateralFixture);
+      const caller = await (await ethers.getContractFactory("MockCaller")).deploy();
+      const call = (contract, fn, args) =>
+        caller.forward(contract.address, contract.interface.encodeFunctionData(fn, args));
+
+      // The caller supplies 10k USDC as collateral, no borrows yet
+      await usdcToken.mint(caller.address, depositAmount);
+      await call(usdcToken, "approve", [lendingEngine.address, ethers.constants.MaxUint256]);
+      await runBatch([() => call(lendingEngine, "queueDeposit", [cUSDC.address, depositAmount])]);
+      await call(comptroller, "enterMarkets", [[cUSDC.address]]);
+
+      // Borrowing 1k DAI leaves nothing to withdraw all the collateral with
+      const requests = [
+        lendingEngine.interface.encodeFunctionData("queueBorrow", [cDAI.address, repayAmount]),
+        lendingEngine.interface.encodeFunctionData("queueWithdraw", [cUSDC.address, ethers.constants.MaxUint256]),
+      ];
+      const [receipt] = await frontendUtil.waitingTxs([
+        {
+          ...frontendUtil.generateTx(() => caller.forwardAll(lendingEngine.address, requests)),
+          deferredCalls: { [lendingEngine.address]: requests.length },
+        },
+      ]);
+      await invariants.assert();
+
+      const [borrow, withdraw] = findEvents(receipt, lendingEngine, "RequestQueued");
+      expect(borrow.pid).to.equal(withdraw.pid);
+      // One batch, processing both markets
+      expect(findEvents(receipt, lendingEngine, "BatchProcessed")).to.have.length(2);
+
+      const [borrowed, rejected] = await resolveSettlement(receipt, { lendingEngine, lendingCore });
+      expect(borrowed.opType).to.equal("borrow");
+      expect(borrowed.status).to.equal("settled");
+      expect(rejected.opType).to.equal("withdraw");
+      expect(rejected.status).to.equal("rejected");
+      expect(rejected.reason).to.equal("insufficient collateral");
+
+      const outcome = await lendingCore.getOutcome(withdraw.pid, cUSDC.address, OpType.Withdraw);
+      expect(outcome.status).to.equal(Status.Rejected);
+      expect(await cUSDC.balanceOf(caller.address)).to.equal(ethers.utils.parseUnits("500000", 8));
+      const [, , shortfall] = await comptroller.getAccountLiquidity(caller.address);
+      expect(shortfall).to.equal(0);
+    });
+
+    it("rejects borrows of one account in two markets that only fit one at a time", async function () {
+      const { user2, lendingEngine, lendingCore, comptroller, cDAI, cUSDC } = await loadFixture(crossCollateralFixture);
+
+      const debtBefore = await cDAI.borrowBalanceStored(user2.address);
+      const receipts = await runBatch([
+        () => lendingEngine.connect(user2).queueBorrow(cUSDC.address, crossBorrow),
+        () => lendingEngine.connect(user2).queueBorrow(cDAI.address, crossBorrow),
+      ]);
+
+      const [rejected] = findEvents(receipts, lendingCore, "RequestRejected");
+      expect(rejected.market).to.equal(cDAI.address);
+      expect(rejected.opType).to.equal(OpType.Borrow);
+      expect(rejected.reason).to.equal("insufficient collateral");
+
+      expect(await cUSDC.borrowBalanceStored(user2.address)).to.equal(crossBorrow);
+      expect(await cDAI.borrowBalanceStored(user2.address)).to.be.closeTo(debtBefore, INTEREST_TOLERANCE);
+      const [, , shortfall] = await comptroller.getAccountLiquidity(user2.address);
+      expect(shortfall).to.equal(0);
+    });
+
+    it("settles a withdraw and a borrow in different markets that fit together", async function () {
+      const { user2, lendingEngine, lendingCore, comptroller, cDAI, cUSDC } = await loadFixture(crossCollateralFixture);
+
+      const receipts = await runBatch([
+        () => lendingEngine.connect(user2).queueWithdrawUnderlying(cUSDC.address, crossWithdraw.div(2)),
+        () => lendingEngine.connect(user2).queueBorrow(cDAI.address, crossBorrow.div(2)),
+      ]);
+
+      expect(findEvents(receipts, lendingCore, "RequestRejected")).to.have.length(0);
+      expect(findEvents(receipts, lendingCore, "WithdrawProcessed")).to.have.length(1);
+      expect(findEvents(receipts, lendingCore, "BorrowProcessed")).to.have.length(1);
+
+      // 500 - 250 * 0.75 - 200 = ~112.5 of borrowing power left
+      const [, liquidity] = await comptroller.getAccountLiquidity(user2.address);
+      expect(liquidity).to.be.closeTo(ethers.utils.parseEther("112.5"), INTEREST_TOLERANCE);
+    });
+  });
+
+  describe("Rejected requests", function () {
+    it("rejects a borrow beyond the collateral limit without affecting the batch", async function () {
+      const { user1, user2, daiToken, lendingEngine, lendingCore, cDAI } = await loadFixture(collateralizedFixture);
+
+      const receipts = await runBatch([
+        () => lendingEngine.connect(user1).queueBorrow(cDAI.address, ethers.utils.parseEther("8000")),
+        () => lendingEngine.connect(user2).queueBorrow(cDAI.address, borrowAmount),
+      ]);
+
+      const [rejected] = findEvents(receipts, lendingCore, "RequestRejected");
+      expect(rejected.user).to.equal(user1.address);
+      expect(rejected.market).to.equal(cDAI.address);
+      expect(rejected.opType).to.equal(OpType.Borrow);
+      expect(rejected.reason).to.equal("insufficient collateral");
+
+      expect(await cDAI.borrowBalanceStored(user1.address)).to.equal(0);
+      expect(await cDAI.borrowBalanceStored(user2.address)).to.equal(borrowAmount);
+      expect(await cDAI.totalBorrows()).to.equal(borrowAmount);
+      expect(await daiToken.balanceOf(user1.address)).to.equal(mintAmount.sub(depositAmount));
+
+      const [batch] = findEvents(receipts, lendingEngine, "BatchProcessed");
+      expect(batch.borrows).to.equal(borrowAmount);
+    });
+
+    it("counts earlier borrows of the same user in the batch", async function () {
+      const { user1, lendingEngine, lendingCore, cDAI } = await loadFixture(collateralizedFixture);
+
+      const receipts = await runBatch([
+        () => lendingEngine.connect(user1).queueBorrow(cDAI.address, borrowAmount),
+        () => lendingEngine.connect(user1).queueBorrow(cDAI.address, borrowAmount),
+      ]);
+
+      expect(findEvents(receipts, lendingCore, "BorrowProcessed")).to.have.length(1);
+      const [rejected] = findEvents(receipts, lendingCore, "RequestRejected");
+      expect(rejected.reason).to.equal("insufficient collateral");
+      expect(await cDAI.borrowBalanceStored(user1.address)).to.equal(borrowAmount);
+      expect(await cDAI.totalBorrows()).to.equal(borrowAmount);
+    });
+
+    it("rejects a borrow the market cannot pay out", async function () {
+      const { user1, comptroller, lendingEngine, lendingCore, cDAI } = await loadFixture(crossCollateralFixture);
+      await comptroller.connect(user1).enterMarkets([cDAI.address]);
+
+      // Only 3k DAI cash left after user2's 7k borrow
+      const receipts = await runBatch([
+        () => lendingEngine.connect(user1).queueBorrow(cDAI.address, ethers.utils.parseEther("4000")),
+      ]);
+
+      const [rejected] = findEvents(receipts, lendingCore, "RequestRejected");
+      expect(rejected.opType).to.equal(OpType.Borrow);
+      expect(rejected.reason).to.equal("insufficient cash");
+      expect(await cDAI.borrowBalanceStored(user1.address)).to.equal(0);
+    });
+
+    it("rejects a withdraw above the balance without affecting the batch", async function () {
+      const { user1, user2, lendingEngine, lendingCore, cDAI } = await loadFixture(suppliedFixture);
+
+      const receipts = await runBatch([
+        () => lendingEngine.connect(user1).queueWithdraw(cDAI.address, ethers.utils.parseUnits("600000", 8)),
+        () => lendingEngine.connect(user2).queueWithdraw(cDAI.address, withdrawTokens),
+      ]);
+
+      const [rejected] = findEvents(receipts, lendingCore, "RequestRejected");
+      expect(rejected.user).to.equal(user1.address);
+      expect(rejected.opType).to.equal(OpType.Withdraw);
+      expect(rejected.reason).to.equal("insufficient balance");
+
+      expect(await cDAI.balanceOf(user1.address)).to.equal(ethers.utils.parseUnits("500000", 8));
+      expect(await cDAI.balanceOf(user2.address)).to.equal(ethers.utils.parseUnits("400000", 8));
+      expect(await cDAI.totalSupply()).to.equal(ethers.utils.parseUnits("900000", 8));
+
+      const [batch] = findEvents(receipts, lendingEngine, "BatchProcessed");
+      expect(batch.withdraws).to.equal(withdrawTokens);
+    });
+
+    it("spends each account's balance across interleaved withdraws", async function () {
+      const { user1, user2, lendingEngine, lendingCore, cDAI } = await loadFixture(suppliedFixture);
+      const cTokens = (amount) => ethers.utils.parseUnits(amount, 8);
+
+      // Both hold 500k cTokens: user1's second withdraw exceeds what its first left
+      const receipts = await runBatch(
+        [
+          [user1, "300000"],
+          [user2, "100000"],
+          [user1, "300000"],
+          [user2, "400000"],
+        ].map(([user, amount]) => () => lendingEngine.connect(user).queueWithdraw(cDAI.address, cTokens(amount)))
+      );
+
+      const rejected = findEvents(receipts, lendingCore, "RequestRejected");
+      expect(rejected).to.have.length(1);
+      expect(rejected[0].user).to.equal(user1.address);
+      expect(rejected[0].reason).to.equal("insufficient balance");
+
+      expect(await cDAI.balanceOf(user1.address)).to.equal(cTokens("200000"));
+      expect(await cDAI.balanceOf(user2.address)).to.equal(0);
+    });
+
+    it("rejects a withdraw that would leave the user in shortfall", async function () {
+      const { user1, daiToken, comptroller, lendingEngine, lendingCore, cDAI } = await loadFixture(borrowedFixture);
+
+      // 10k DAI of collateral at 75% backs the 5k borrow: 100k cTokens (2k DAI) can go,
+      // a second 100k would leave 6k * 0.75 = 4.5k of borrowing power
+      expect(await comptroller.redeemAllowed(cDAI.address, user1.address, withdrawTokens)).to.equal(true);
+      expect(await comptroller.redeemAllowed(cDAI.address, user1.address, withdrawTokens.mul(2))).to.equal(false);
+
+      const daiBefore = await daiToken.balanceOf(user1.address);
+      const receipts = await runBatch(
+        [withdrawTokens, withdrawTokens].map((tokens) => () => lendingEngine.connect(user1).queueWithdraw(cDAI.address, tokens))
+      );
+
+      const [settled] = findEvents(receipts, lendingCore, "WithdrawProcessed");
+      expect(settled.burnedTokens).to.equal(withdrawTokens);
+      const [rejected] = findEvents(receipts, lendingCore, "RequestRejected");
+      expect(rejected.user).to.equal(user1.address);
+      expect(rejected.opType).to.equal(OpType.Withdraw);
+      expect(rejected.reason).to.equal("insufficient collateral");
+
+      expect(await cDAI.balanceOf(user1.address)).to.equal(ethers.utils.parseUnits("400000", 8));
+      expect(await daiToken.balanceOf(user1.address)).to.equal(daiBefore.add(settled.amount));
+      const [, , shortfall] = await comptroller.getAccountLiquidity(user1.address);
+      expect(shortfall).to.equal(0);
+    });
+
+    it("rejects withdrawing all collateral behind a borrow", async function () {
+      const { user2, lendingEngine, lendingCore, cUSDC } = await loadFixture(crossCollateralFixture);
+
+      const [receipt] = await runBatch([
+        () => lendingEngine.connect(user2).queueWithdraw(cUSDC.address, ethers.constants.MaxUint256),
+      ]);
+
+      const [withdraw] = await resolveSettlement(receipt, { lendingEngine, lendingCore });
+      expect(withdraw.status).to.equal("rejected");
+      expect(withdraw.reason).to.equal("insufficient collateral");
+      expect(await cUSDC.balanceOf(user2.address)).to.equal(ethers.utils.parseUnits("500000", 8));
+    });
+
+    it("refunds a deposit too small to mint any cTokens", async function () {
+      const { user1, daiToken, lendingEngine, lendingCore, cDAI } = await loadFixture(fundedFixture);
+
+      const receipts = await runBatch([
+        () => lendingEngine.connect(user1).queueDeposit(cDAI.address, 1),
+      ]);
+
+      const [rejected] = findEvents(receipts, lendingCore, "RequestRejected");
+      expect(rejected.opType).to.equal(OpType.Deposit);
+      expect(rejected.reason).to.equal("amount too small");
+
+      expect(await daiToken.balanceOf(user1.address)).to.equal(mintAmount);
+      expect(await daiToken.balanceOf(lendingEngine.address)).to.equal(0);
+      expect(await cDAI.totalSupply()).to.equal(0);
+    });
+
+    it("refunds a repay without an outstanding borrow", async function () {
+      const { user1, daiToken, lendingEngine, lendingCore, cDAI } = await loadFixture(collateralizedFixture);
+
+      const daiBefore = await daiToken.balanceOf(user1.address);
+      const receipts = await runBatch([
+        () => lendingEngine.connect(user1).queueRepay(cDAI.address, repayAmount),
+      ]);
+
+      const [rejected] = findEvents(receipts, lendingCore, "RequestRejected");
+      expect(rejected.opType).to.equal(OpType.Repay);
+      expect(rejected.reason).to.equal("no borrow balance");
+      expect(await daiToken.balanceOf(user1.address)).to.equal(daiBefore);
+      expect(await daiToken.balanceOf(lendingEngine.address)).to.equal(0);
+    });
+
+    it("refunds the repay above the outstanding borrow", async function () {
+      const { user1, daiToken, lendingEngine, lendingCore, cDAI } = await loadFixture(borrowedFixture);
+
+      const requested = ethers.utils.parseEther("6000");
+      const daiBefore = await daiToken.balanceOf(user1.address);
+      const receipts = await runBatch([
+        () => lendingEngine.connect(user1).queueRepay(cDAI.address, requested),
+      ]);
+
+      const [repay] = findEvents(receipts, lendingCore, "RepayProcessed");
+      expect(repay.amount).to.be.closeTo(borrowAmount, INTEREST_TOLERANCE);
+      const [refund] = findEvents(receipts, lendingCore, "RepayRefunded");
+      expect(refund.user).to.equal(user1.address);
+      expect(refund.refundAmount).to.equal(requested.sub(repay.amount));
+
+      expect(await cDAI.borrowBalanceStored(user1.address)).to.equal(0);
+      expect(await daiToken.balanceOf(user1.address)).to.equal(daiBefore.sub(repay.amount));
+      expect(await daiToken.balanceOf(lendingEngine.address)).to.equal(0);
+    });
+  });
+
+  describe("Request outcomes", function () {
+    it("records the outcome of every request under its queued pid, market and operation", async function () {
+      const { user1, user2, lendingEngine, lendingCore, cDAI } = await loadFixture(fundedFixture);
+
+      const receipts = await runBatch(
+        [user1, user2].map((user) => () => lendingEngine.connect(user).queueDeposit(cDAI.address, depositAmount))
+      );
+
+      const queued = findEvents(receipts, lendingEngine, "RequestQueued");
+      expect(queued).to.have.length(2);
+      expect(queued[0].pid).to.not.equal(queued[1].pid);
+
+      for (const [i, user] of [user1, user2].entries()) {
+        expect(queued[i].user).to.equal(user.address);
+        expect(queued[i].opType).to.equal(OpType.Deposit);
+
+        const outcome = await lendingCore.getOutcome(queued[i].pid, cDAI.address, OpType.Deposit);
+        expect(outcome.status).to.equal(Status.Settled);
+        expect(outcome.opType).to.equal(OpType.Deposit);
+        expect(outcome.user).to.equal(user.address);
+        expect(outcome.market).to.equal(cDAI.address);
+        expect(outcome.amount).to.equal(depositAmount);
+        expect(outcome.settled).to.equal(ethers.utils.parseUnits("500000", 8));
+        expect(outcome.refunded).to.equal(0);
+        expect(outcome.reason).to.equal("");
+
+        const otherOp = await lendingCore.getOutcome(queued[i].pid, cDAI.address, OpType.Withdraw);
+        expect(otherOp.status).to.equal(Status.Unknown);
+      }
+    });
+
+    it("reports unprocessed pids as Unknown", async function () {
+      const { lendingCore, cDAI } = await loadFixture(deployFixture);
+
+      const outcome = await lendingCore.getOutcome(
+        ethers.utils.formatBytes32String("missing"),
+        cDAI.address,
+        OpType.Deposit
+      );
+      expect(outcome.status).to.equal(Status.Unknown);
+    });
+
+    it("resolves a queue receipt to its settlement", async function () {
+      const { user1, user2, lendingEngine, lendingCore, cDAI } = await loadFixture(suppliedFixture);
+
+      const receipts = await runBatch([
+        () => lendingEngine.connect(user1).queueWithdraw(cDAI.address, withdrawTokens),
+        () => lendingEngine.connect(user2).queueDeposit(cDAI.address, repayAmount),
+      ]);
+
+      const [withdraw] = await resolveSettlement(receipts[0], { lendingEngine, lendingCore });
+      expect(withdraw.opType).to.equal("withdraw");
+      expect(withdraw.status).to.equal("settled");
+      expect(withdraw.user).to.equal(user1.address);
+      expect(withdraw.amount).to.equal(withdrawTokens);
+      expect(withdraw.settled).to.equal(ethers.utils.parseEther("2000"));
+
+      // Settled by the deferred call, which is the last transaction of the batch
+      const [deposit] = await resolveSettlement(receipts[1], { lendingEngine, lendingCore });
+      expect(deposit.status).to.equal("settled");
+      expect(deposit.settlementTx).to.equal(receipts[1].transactionHash);
+      expect(withdraw.settlementTx).to.equal(receipts[1].transactionHash);
+    });
+
+    it("resolves a rejected request with its reason and refund", async function () {
+      const { user1, lendingEngine, lendingCore, cDAI } = await loadFixture(fundedFixture);
+
+      const [receipt] = await runBatch([() => lendingEngine.connect(user1).queueDeposit(cDAI.address, 1)]);
+
+      const [deposit] = await resolveSettlement(receipt, { lendingEngine, lendingCore });
+      expect(deposit.status).to.equal("rejected");
+      expect(deposit.reason).to.equal("amount too small");
+      expect(deposit.settled).to.equal(0);
+      expect(deposit.refunded).to.equal(1);
+
+      const outcome = await lendingCore.getOutcome(deposit.pid, cDAI.address, OpType.Deposit);
+      expect(outcome.status).to.equal(Status.Rejected);
+      expect(outcome.reason).to.equal("amount too small");
+    });
+
+    it("resolves a liquidation with the seized collateral and close-factor refund", async function () {
+      const { user2, liquidator, lendingEngine, lendingCore, cDAI, cUSDC } = await loadFixture(underwaterFixture);
+
+      const requested = ethers.utils.parseEther("5000");
+      const [receipt] = await runBatch([
+        () => lendingEngine.connect(liquidator).queueLiquidation(user2.address, cDAI.address, cUSDC.address, requested),
+      ]);
+
+      const [processed] = findEvents(receipt, lendingCore, "LiquidationProcessed");
+      const [liquidation] = await resolveSettlement(receipt, { lendingEngine, lendingCore });
+      expect(liquidation.opType).to.equal("liquidation");
+      expect(liquidation.status).to.equal("settled");
+      expect(liquidation.user).to.equal(liquidator.address);
+      expect(liquidation.market).to.equal(cDAI.address);
+      expect(liquidation.amount).to.equal(requested);
+      expect(liquidation.settled).to.equal(processed.repayAmount);
+      expect(liquidation.seized).to.equal(processed.seizeTokens);
+      expect(liquidation.refunded).to.equal(requested.sub(processed.repayAmount));
+    });
+  });
+
+  describe("Tasks", function () {
+    const manifestDir = process.env.DEPLOY_MANIFEST_DIR;
+    const indexDir = process.env.PARALEND_INDEX_DIR;
+
+    afterEach(function () {
+      if (manifestDir === undefined) delete process.env.DEPLOY_MANIFEST_DIR;
+      else process.env.DEPLOY_MANIFEST_DIR = manifestDir;
+      if (indexDir === undefined) delete process.env.PARALEND_INDEX_DIR;
+      else process.env.PARALEND_INDEX_DIR = indexDir;
+    });
+
+    /**
+     * Records the fixture's contracts as the hardhat network's deployment, where the tasks look for it
+     */
+    async function recordDeployment(ctx) {
+      const { lendingEngine, lendingCore, comptroller, interestRateModel, daiToken, usdcToken, cDAI, cUSDC } = ctx;
+      process.env.DEPLOY_MANIFEST_DIR = tmpDir("paralend-deployments-");
+      writeManifest({
+        network: network.name,
+        contracts: {
+          LendingEngine: lendingEngine.address,
+          LendingCore: lendingCore.address,
+          SimplifiedComptroller: comptroller.address,
+        },
+        rateModels: { default: interestRateModel.address },
+        markets: {
+          DAI: { underlying: daiToken.address, cToken: cDAI.address, rateModel: "default" },
+          USDC: { underlying: usdcToken.address, cToken: cUSDC.address, rateModel: "default" },
+        },
+      });
+      return loadNetworkClient(hre);
+    }
+
+    /**
+     * Runs a task with its printed output captured
+     * @returns `{ result, output }`
+     */
+    async function runTask(name, args) {
+      const log = console.log;
+      const lines = [];
+      console.log = (...values) => lines.push(values.join(" "));
+      try {
+        return { result: await hre.run(name, args), output: lines.join("\n") };
+      } finally {
+        console.log = log;
+      }
+    }
+
+    /**
+     * Runs a task expected to fail
+     * @returns The error message
+     */
+    async function taskError(name, args) {
+      try {
+        await runTask(name, args);
+      } catch (error) {
+        return error.message;
+      }
+      throw new Error(`${name} did not fail`);
+    }
+
+    it("queues an account's requests, approving LendingEngine when the allowance falls short", async function () {
+      const ctx = await loadFixture(deployFixture);
+      const { others, daiToken, usdcToken, lendingEngine, cDAI, cUSDC } = ctx;
+      await recordDeployment(ctx);
+      const [, account] = others;
+      const from = account.address;
+      await daiToken.mint(from, ethers.utils.parseEther("5000"));
+      await usdcToken.mint(from, ethers.utils.parseEther("10000"));
+
+      const { result: deposit, output } = await runTask("paralend:deposit", { market: "USDC", amount: "10000", from });
+      expect(deposit.approval).to.be.a("string");
+      expect(deposit.requests).to.have.length(1);
+      expect(deposit.requests[0]).to.include({ opType: "deposit", status: "settled", user: from, market: cUSDC.address });
+      expect(output).to.include(`deposit ${deposit.requests[0].pid} settled`);
+      expect(await usdcToken.allowance(from, lendingEngine.address)).to.equal(0);
+
+      await runTask("paralend:deposit", { market: "pDAI", amount: "5000", from });
+      await runTask("paralend:enter-markets", { markets: "USDC, DAI", from });
+      const { result: borrow } = await runTask("paralend:borrow", { market: cDAI.address, amount: "3000", from });
+      expect(borrow.requests[0]).to.include({ opType: "borrow", status: "settled" });
+      expect(await daiToken.balanceOf(from)).to.equal(ethers.utils.parseEther("3000"));
+
+      // The full debt is escrowed as of the block of the request, the excess allowance is left over
+      await daiToken.mint(from, ethers.utils.parseEther("1"));
+      const { result: repay } = await runTask("paralend:repay", { market: "DAI", amount: "max", from });
+      expect(repay.approval).to.be.a("string");
+      expect(repay.requests[0]).to.include({ opType: "repay", status: "settled" });
+      expect(await cDAI.borrowBalanceStored(from)).to.equal(0);
+
+      const { result: withdraw } = await runTask("paralend:withdraw", { market: "DAI", amount: "1000", from });
+      expect(withdraw.requests[0]).to.include({ opType: "withdrawUnderlying", status: "settled" });
+      const { result: withdrawAll } = await runTask("paralend:withdraw", { market: "USDC", amount: "max", ctokens: true, from });
+      expect(withdrawAll.requests[0]).to.include({ opType: "withdraw", status: "settled" });
+      expect(await cUSDC.balanceOf(from)).to.equal(0);
+      expect(await usdcToken.balanceOf(from)).to.equal(ethers.utils.parseEther("10000"));
+
+      await runTask("paralend:exit-market", { market: "USDC", from });
+      expect(await ctx.comptroller.accountMembership(from, cUSDC.address)).to.equal(false);
+    });
+
+    it("reports positions and markets in the units of each token", async function () {
+      const ctx = await loadFixture(crossCollateralFixture);
+      const { user2, comptroller, interestRateModel, cDAI } = ctx;
+      const client = await recordDeployment(ctx);
+
+      const position = await positionReport(client, user2.address);
+      const [, liquidity] = await comptroller.getAccountLiquidity(user2.address);
+      expect(position.markets[1]).to.deep.equal({
+        symbol: "USDC",
+        cTokens: "500000.0",
+        supplied: "10000.0",
+        borrowed: "0.0",
+        wallet: "90000.0",
+        collateral: true,
+      });
+      expect(position.markets[0]).to.include({ symbol: "DAI", borrowed: "7000.0", collateral: false });
+      expect(position).to.include({ error: 0, liquidity: ethers.utils.formatEther(liquidity), shortfall: "0.0", underwater: false });
+
+      const [dai] = await marketsReport(client);
+      const borrowRate = await interestRateModel.getBorrowRate(
+        ethers.utils.parseEther("3000"),
+        ethers.utils.parseEther("7000"),
+        0
+      );
+      expect(dai).to.include({
+        symbol: "DAI",
+        cToken: cDAI.address,
+        price: "1.0",
+        totalSupplyUnderlying: "10000.0",
+        exchangeRate: "0.02",
+        cash: "3000.0",
+        totalBorrows: "7000.0",
+        utilization: "0.7",
+        borrowRatePerBlock: ethers.utils.formatEther(borrowRate),
+        borrowApr: ethers.utils.formatEther(borrowRate.mul(await interestRateModel.blocksPerYear())),
+        collateralFactor: "0.75",
+        supplyCap: null,
+      });
+
+      // The tasks print the same reports, as JSON with --json
+      const { result, output } = await runTask("paralend:position", { account: user2.address, json: true });
+      expect(JSON.parse(output)).to.deep.equal(result);
+      expect(result.markets).to.have.length(2);
+      const { output: table } = await runTask("paralend:markets", {});
+      expect(table.split("\n")).to.have.length(4);
+      expect(table).to.include("Borrow APY");
+    });
+
+    it("liquidates after an admin price change and refuses exits and markets it cannot handle", async function () {
+      const ctx = await loadFixture(crossCollateralFixture);
+      const { user2, others, daiToken, comptroller, cDAI, cUSDC } = ctx;
+      await recordDeployment(ctx);
+      const [liquidator] = others;
+
+      expect(await taskError("paralend:exit-market", { market: "USDC", from: user2.address })).to.equal(
+        "Cannot exit USDC: insufficient liquidity without it"
+      );
+      expect(await taskError("paralend:borrow", { market: "WBTC", amount: "1", from: "2" })).to.equal(
+        "Unknown market WBTC (markets: DAI, USDC)"
+      );
+
+      await runTask("paralend:set-price", { market: "DAI", price: "1.2" });
+      expect(await comptroller.getPrice(cDAI.address)).to.equal(ethers.utils.parseEther("1.2"));
+      const { result: position } = await runTask("paralend:position", { account: user2.address });
+      expect(position.underwater).to.equal(true);
+
+      // "max" repays the close factor of the debt
+      await daiToken.mint(liquidator.address, mintAmount);
+      const debt = await cDAI.borrowBalanceProjected(user2.address);
+      const { result: liquidation } = await runTask("paralend:liquidate", {
+        borrower: user2.address,
+        borrowMarket: "DAI",
+        collateralMarket: "USDC",
+        amount: "max",
+        from: liquidator.address,
+      });
+      expect(liquidation.amount).to.equal(ethers.utils.formatEther(debt.div(2)));
+      expect(liquidation.approval).to.be.a("string");
+      expect(liquidation.requests[0]).to.include({ opType: "liquidation", status: "settled" });
+      expect(await cUSDC.balanceOf(liquidator.address)).to.be.gt(0);
+    });
+
+    it("indexes events and reports account histories and batch series", async function () {
+      const ctx = await loadFixture(crossCollateralFixture);
+      const { user2 } = ctx;
+      await recordDeployment(ctx);
+      process.env.PARALEND_INDEX_DIR = tmpDir("paralend-index-");
+
+      const { result: indexed } = await runTask("paralend:index", {});
+      expect(indexed.events).to.be.gt(0);
+
+      const { result: history, output } = await runTask("paralend:history", { account: user2.address });
+      expect(output).to.include(`History of ${user2.address}`);
+      expect(history.history.map(({ action, market, amount, status }) => [action, market, amount, status])).to.deep.equal([
+        ["deposit", "USDC", "10000.0", "settled"],
+        ["borrow", "DAI", "7000.0", "settled"],
+      ]);
+
+      const { result: series, output: table } = await runTask("paralend:series", { market: "DAI" });
+      expect(table).to.include("Exchange rate");
+      expect(series.batches.map(({ deposits, borrows }) => [deposits, borrows])).to.deep.equal([
+        ["10000.0", "0.0"],
+        ["0.0", "7000.0"],
+      ]);
+      expect(series.batches[0]).to.include({ exchangeRate: "0.02", supplyNetting: 0, borrowNetting: null });
+
+      // Up to date: nothing new, and a rebuild finds the same events
+      expect((await runTask("paralend:index", {})).result.events).to.equal(0);
+      expect((await runTask("paralend:index", { reset: true })).result.events).to.equal(indexed.events);
+    });
+  });
+
+  describe("Client", function () {
+    /**
+     * Checks a client position against the comptroller's own liquidity views
+     */
+    async function expectPositionMatches(client, comptroller, account) {
+      const position = await client.position(account);
+      const [error, liquidity, shortfall] = await comptroller.getAccountLiquidity(account);
+      const [, , liquidationShortfall] = await comptroller.getLiquidationLiquidity(account);
+
+      expect(position.error).to.equal(error.toNumber());
+      expect(position.liquidity).to.equal(liquidity);
+      expect(position.shortfall).to.equal(shortfall);
+      expect(position.underwater).to.equal(await comptroller.isUnderwater(account));
+      if (position.error === 0) {
+        expect(position.borrowValue.sub(position.liquidationCollateralValue)).to.equal(
+          position.underwater ? liquidationShortfall : position.borrowValue.sub(position.liquidationCollateralValue)
+        );
+      }
+      return position;
+    }
+
+    it("computes positions and health factors like the comptroller", async function () {
+      const { deployer, user2, comptroller, lendingEngine, cDAI, cUSDC } = await loadFixture(crossCollateralFixture);
+      const client = await ParalendClient.load(lendingEngine.address, deployer);
+
+      // Interest accrued on the debt since the borrow
+      await network.provider.request({ method: "hardhat_mine", params: ["0x3e8"] });
+      await cDAI.accrueInterest();
+      const healthy = await expectPositionMatches(client, comptroller, user2.address);
+      const borrowed = await cDAI.borrowBalanceStored(user2.address);
+      expect(healthy.markets[0].borrowed).to.equal(borrowed);
+      expect(healthy.borrowValue).to.equal(borrowed);
+      expect(healthy.markets[1]).to.include({ symbol: "USDC", collateral: true });
+      expect(healthy.liquidationCollateralValue).to.equal(ethers.utils.parseEther("8000"));
+      expect(healthy.healthFactor).to.equal(ethers.utils.parseEther("8000").mul(ethers.constants.WeiPerEther).div(borrowed));
+      expect(healthy.underwater).to.equal(false);
+
+      await comptroller.setPrice(cUSDC.address, ethers.utils.parseEther("0.8"));
+      const underwater = await expectPositionMatches(client, comptroller, user2.address);
+      expect(underwater.underwater).to.equal(true);
+      expect(underwater.healthFactor).to.be.lt(ethers.constants.WeiPerEther);
+
+      // Accounts without borrows have no health factor
+      expect((await client.position(deployer.address)).healthFactor).to.equal(null);
+    });
+
+    it("reports the comptroller's error for a position in a market without a price", async function () {
+      const { deployer, user1, user2, comptroller, lendingEngine } = await loadFixture(oracleCrossCollateralFixture);
+      const client = await ParalendClient.load(lendingEngine.address, deployer);
+
+      await increaseTime(MAX_AGE + 1);
+      const position = await expectPositionMatches(client, comptroller, user2.address);
+      expect(position.error).to.equal(3);
+      expect(position.healthFactor).to.equal(null);
+      await expectPositionMatches(client, comptroller, user1.address);
+    });
+
+    it("converts cTokens and underlying at the stored exchange rate and scales prices", async function () {
+      const { deployer, user1, lendingEngine, cDAI } = await loadFixture(reservesFixture);
+      const client = await ParalendClient.load(lendingEngine.address, deployer);
+      const exchangeRate = await cDAI.exchangeRateStored();
+      expect(exchangeRate).to.be.gt(ethers.utils.parseUnits("0.02", 28));
+
+      const cTokens = await cDAI.balanceOf(user1.address);
+      expect(await client.toUnderlying("pDAI", cTokens)).to.equal(cTokens.mul(exchangeRate).div(ethers.constants.WeiPerEther));
+
+      const amount = client.parseAmount("DAI", "1000");
+      expect(amount).to.equal(ethers.utils.parseEther("1000"));
+      const floor = await client.toCTokens("DAI", amount);
+      const ceil = await client.toCTokens("DAI", amount, { roundUp: true });
+      expect(floor.mul(exchangeRate).div(ethers.constants.WeiPerEther)).to.be.lte(amount);
+      expect(ceil.mul(exchangeRate).div(ethers.constants.WeiPerEther)).to.be.gte(amount);
+      expect(ceil.sub(floor)).to.be.lte(1);
+
+      expect(client.parseAmount(cDAI.address, "1", { inCTokens: true })).to.equal(ethers.utils.parseUnits("1", 8));
+      expect(client.parseAmount("DAI", "max")).to.equal(ethers.constants.MaxUint256);
+      expect(client.formatAmount("DAI", amount)).to.equal("1000.0");
+      expect(client.parsePrice("USDC", "0.8")).to.equal(ethers.utils.parseEther("0.8"));
+      expect(() => client.market("WBTC")).to.throw("Unknown market WBTC (markets: DAI, USDC)");
+    });
+
+    it("compounds the model's per-block rates into APYs", async function () {
+      const { deployer, lendingEngine, interestRateModel, cDAI } = await loadFixture(borrowedFixture);
+      const client = await ParalendClient.load(lendingEngine.address, deployer);
+
+      const info = await client.marketInfo("DAI");
+      const [cash, borrows, reserves, reserveFactor] = await Promise.all([
+        cDAI.getCash(),
+        cDAI.totalBorrows(),
+        cDAI.totalReserves(),
+        cDAI.reserveFactorMantissa(),
+      ]);
+      expect(info.borrowRatePerBlock).to.equal(await interestRateModel.getBorrowRate(cash, borrows, reserves));
+      expect(info.supplyRatePerBlock).to.equal(
+        await interestRateModel.getSupplyRate(cash, borrows, reserves, reserveFactor)
+      );
+      expect(info.utilization).to.equal(ethers.utils.parseEther("0.5"));
+      expect(info.blocksPerYear).to.equal(await interestRateModel.blocksPerYear());
+
+      const borrowApr = Number(ethers.utils.formatEther(info.borrowRatePerBlock.mul(info.blocksPerYear)));
+      expect(info.borrowApy).to.equal(apy(info.borrowRatePerBlock, info.blocksPerYear));
+      expect(info.borrowApy).to.be.gt(borrowApr);
+      expect(info.borrowApy).to.be.closeTo(Math.exp(borrowApr) - 1, 1e-6);
+      expect(info.supplyApy).to.be.gt(0).and.lt(info.borrowApy);
+    });
+
+    it("builds many-user batches with the approvals they need", async function () {
+      const ctx = await loadFixture(deployFixture);
+      const { deployer, others, daiToken, usdcToken, lendingEngine, lendingCore, cDAI, cUSDC } = ctx;
+      const client = await ParalendClient.load(lendingEngine.address, deployer);
+      const users = others.slice(0, 4);
+      for (const user of users) {
+        await daiToken.mint(user.address, mintAmount);
+        await usdcToken.mint(user.address, mintAmount);
+      }
+
+      const requests = [
+        ...users.map((signer) => ({ signer, type: "deposit", market: "DAI", amount: "1000" })),
+        { signer: users[0], type: "deposit", market: "DAI", amount: "500" },
+        { signer: users[1], type: "deposit", market: "pUSDC", amount: ethers.utils.parseEther("250") },
+      ];
+
+      // One approval per user and token, covering all of its deposits
+      const approvals = await client.approvalBatch(frontendUtil.generateTx, requests);
+      expect(approvals).to.have.length(5);
+      await frontendUtil.waitingTxs(approvals);
+      expect(await daiToken.allowance(users[0].address, lendingEngine.address)).to.equal(ethers.utils.parseEther("1500"));
+      expect(await client.approvalBatch(frontendUtil.generateTx, requests)).to.have.length(0);
+
+      const receipts = await frontendUtil.waitingTxs(await client.generateBatch(frontendUtil.generateTx, requests));
+      await ctx.invariants.assert();
+
+      const settlements = (
+        await Promise.all(receipts.map((receipt) => resolveSettlement(receipt, { lendingEngine, lendingCore })))
+      ).flat();
+      expect(settlements.map(({ status }) => status)).to.deep.equal(Array(6).fill("settled"));
+      expect(Object.keys(batchesByMarket(receipts, lendingEngine))).to.have.members([cDAI.address, cUSDC.address]);
+      expect(await client.toUnderlying("DAI", await cDAI.balanceOf(users[0].address))).to.equal(
+        ethers.utils.parseEther("1500")
+      );
+    });
+  });
+
+  describe("Keeper", function () {
+    it("ranks underwater borrowers by shortfall and sizes repays to the close factor", async function () {
+      const { user2, others, liquidator, lendingEngine, comptroller, cDAI, cUSDC } =
+        await loadFixture(twoBorrowersFixture);
+      const client = await ParalendClient.load(lendingEngine.address, liquidator);
+
+      const borrowers = await collectBorrowers(client, 0, "latest");
+      expect([...borrowers]).to.have.members([user2.address, others[1].address]);
+      expect(await findLiquidations(client, borrowers)).to.deep.equal([]);
+
+      await comptroller.setPrice(cUSDC.address, ethers.utils.parseEther("0.8"));
+      const plans = await findLiquidations(client, borrowers);
+      expect(plans.map(({ borrower }) => borrower)).to.deep.equal([user2.address, others[1].address]);
+      expect(plans[0].shortfall).to.be.gt(plans[1].shortfall);
+
+      for (const plan of plans) {
+        const [, , shortfall] = await comptroller.getLiquidationLiquidity(plan.borrower);
+        expect(plan.shortfall).to.equal(shortfall);
+        expect(plan).to.include({ borrowMarket: "DAI", collateralMarket: "USDC" });
+        expect(plan.repay).to.equal((await cDAI.borrowBalanceStored(plan.borrower)).div(2));
+        const [, seize] = await comptroller.liquidateCalculateSeizeTokens(cDAI.address, cUSDC.address, plan.repay);
+        expect(plan.seize).to.equal(seize);
+        // 8% incentive on the repaid value, less the exchange rate truncation
+        expect(plan.profit).to.equal(plan.seizeValue.sub(plan.repayValue));
+        expect(plan.profit).to.be.closeTo(plan.repayValue.mul(8).div(100), ethers.utils.parseEther("0.001"));
+      }
+
+      const minProfit = plans[1].profit.add(1);
+      expect(await findLiquidations(client, borrowers, { minProfit })).to.have.length(1);
+    });
+
+    it("reports what it would liquidate without sending anything in a dry run", async function () {
+      const { user2, liquidator, lendingEngine, comptroller, cUSDC } = await loadFixture(twoBorrowersFixture);
+      const client = await ParalendClient.load(lendingEngine.address, liquidator);
+      await comptroller.setPrice(cUSDC.address, ethers.utils.parseEther("0.8"));
+
+      const block = await ethers.provider.getBlockNumber();
+      const keeper = runKeeper(client, { dryRun: true, watch: false });
+      const result = await keeper.pass();
+
+      expect(result.block).to.equal(block);
+      expect(result.borrowers).to.have.length(2);
+      expect(result.plans).to.have.length(2);
+      expect(result.plans[0].borrower).to.equal(user2.address);
+      expect(result.submitted).to.deep.equal([]);
+      expect(await ethers.provider.getBlockNumber()).to.equal(block);
+    });
+
+    it("liquidates in one batch what the liquidator's wallet can fund", async function () {
+      const ctx = await loadFixture(twoBorrowersFixture);
+      const { user2, others, daiToken, lendingEngine, comptroller, cDAI, cUSDC } = ctx;
+      const liquidator = others[2];
+      await daiToken.mint(liquidator.address, ethers.utils.parseEther("4000"));
+      await comptroller.setPrice(cUSDC.address, ethers.utils.parseEther("0.8"));
+
+      const client = await ParalendClient.load(lendingEngine.address, liquidator);
+      const plans = await findLiquidations(client, await collectBorrowers(client, 0, "latest"));
+      const debt = await cDAI.borrowBalanceStored(user2.address);
+      const { submitted, skipped } = await submitLiquidations(
+        client,
+        frontendUtil.generateTx,
+        frontendUtil.waitingTxs,
+        plans
+      );
+
+      // 3.5k repaid for user2 leaves too little for the 1k of others[1]
+      expect(submitted.map(({ borrower }) => borrower)).to.deep.equal([user2.address]);
+      expect(submitted[0].request).to.include({ status: "settled", reason: "" });
+      expect(submitted[0].request.seized).to.equal(submitted[0].seize);
+      expect(skipped).to.have.length(1);
+      expect(skipped[0]).to.include({ borrower: others[1].address, reason: "insufficient DAI balance" });
+
+      expect(await cUSDC.balanceOf(liquidator.address)).to.equal(submitted[0].seize);
+      expect(await cDAI.borrowBalanceStored(user2.address)).to.be.closeTo(debt.div(2), INTEREST_TOLERANCE);
+      await ctx.invariants.assert();
+    });
+
+    it("runs a pass when a price is updated", async function () {
+      const { user2, others, liquidator, lendingEngine, comptroller, cUSDC } = await loadFixture(twoBorrowersFixture);
+      const client = await ParalendClient.load(lendingEngine.address, liquidator);
+      const passes = [];
+      const pollingInterval = client.provider.pollingInterval;
+      client.provider.pollingInterval = 50;
+
+      const keeper = runKeeper(client, {
+        generateTx: frontendUtil.generateTx,
+        waitingTxs: frontendUtil.waitingTxs,
+        onPass: (result) => passes.push(result),
+        onError: (error) => passes.push({ error }),
+      });
+      try {
+        await keeper.pass();
+        await comptroller.setPrice(cUSDC.address, ethers.utils.parseEther("0.8"));
+        for (let i = 0; i < 100 && !passes.some((pass) => pass.error || pass.submitted.length > 0); i++) {
+          await new Promise((resolve) => setTimeout(resolve, 50));
+        }
+      } finally {
+        await keeper.stop();
+        client.provider.pollingInterval = pollingInterval;
+      }
+
+      expect(passes.filter((pass) => pass.error)).to.deep.equal([]);
+      expect(passes[0].plans).to.deep.equal([]);
+      const liquidated = passes.find((pass) => pass.submitted.length > 0);
+      expect(liquidated.submitted.map(({ borrower }) => borrower)).to.deep.equal([user2.address, others[1].address]);
+      expect(liquidated.submitted.map(({ request }) => request.status)).to.deep.equal(["settled", "settled"]);
+    });
+  });
+
+  describe("Indexer", function () {
+    function tmpIndexer(client, options) {
+      return new Indexer(client, new JsonlStore(tmpDir("paralend-index-")), options);
+    }
+
+    /**
+     * Loads an index expected to be refused
+     * @returns The error message
+     */
+    async function loadError(indexer) {
+      try {
+        await indexer.load();
+      } catch (error) {
+        return error.message;
+      }
+      throw new Error("The index was loaded");
+    }
+
+    it("rebuilds account histories with request outcomes, liquidations and transfers", async function () {
+      const { deployer, user1, user2, liquidator, lendingEngine, cDAI, cUSDC } =
+        await loadFixture(collateralCrashFixture);
+      const client = await ParalendClient.load(lendingEngine.address, deployer);
+
+      await cDAI.connect(user1).transfer(liquidator.address, ethers.utils.parseUnits("1000", 8));
+      const receipts = await runBatch([
+        () => lendingEngine.connect(liquidator).queueLiquidation(user2.address, cDAI.address, cUSDC.address, repayAmount),
+        () => lendingEngine.connect(user1).queueBorrow(cDAI.address, ethers.utils.parseEther("1")),
+      ]);
+      const [liquidation] = await resolveSettlement(receipts[0], { lendingEngine, lendingCore: client.lendingCore });
+
+      const indexer = tmpIndexer(client);
+      await indexer.sync();
+      expect(indexer.accounts()).to.include.members([user1.address, user2.address, liquidator.address]);
+
+      const history = indexer.accountHistory(user2.address);
+      expect(history.map(({ type, opType, status }) => [type, opType, status])).to.deep.equal([
+        ["request", "deposit", "settled"],
+        ["request", "borrow", "settled"],
+        ["liquidated", undefined, undefined],
+      ]);
+      expect(history[1].amount).to.equal(ethers.utils.parseEther("7000"));
+      expect(history[2]).to.include({
+        market: cDAI.address,
+        collateralMarket: cUSDC.address,
+        liquidator: liquidator.address,
+      });
+      expect(history[2].repaid).to.equal(repayAmount);
+      expect(history[2].seized).to.equal(liquidation.seized);
+
+      const [request] = indexer.accountHistory(liquidator.address).filter(({ type }) => type === "request");
+      expect(request).to.include({ pid: liquidation.pid, opType: "liquidation", status: "settled", reason: "" });
+      expect(request.settled).to.equal(repayAmount);
+      expect(request.settlementTx).to.equal(liquidation.settlementTx);
+
+      // user1 has no collateral entered: its borrow is rejected
+      const user1History = indexer.accountHistory(user1.address);
+      expect(user1History.map(({ type, opType }) => opType || type)).to.deep.equal(["deposit", "transfer", "borrow"]);
+      expect(user1History[1]).to.include({ from: user1.address, to: liquidator.address });
+      expect(user1History[2]).to.include({ status: "rejected", reason: "insufficient collateral" });
+      expect(indexer.accountHistory(user2.address, { market: "USDC" })).to.have.length(2);
+    });
+
+    it("records each batch's flows, netting and market state", async function () {
+      const { deployer, user1, user2, lendingEngine, lendingCore, cDAI } = await loadFixture(borrowedFixture);
+      const client = await ParalendClient.load(lendingEngine.address, deployer);
+
+      await network.provider.request({ method: "hardhat_mine", params: ["0x3e8"] });
+      const receipts = await runBatch([
+        () => lendingEngine.connect(user1).queueWithdraw(cDAI.address, withdrawTokens),
+        () => lendingEngine.connect(user2).queueDeposit(cDAI.address, repayAmount),
+        () => lendingEngine.connect(user1).queueRepay(cDAI.address, repayAmount),
+        () => lendingEngine.connect(user2).queueBorrow(cDAI.address, repayAmount.div(2)),
+      ]);
+
+      const indexer = tmpIndexer(client);
+      await indexer.sync();
+      const series = indexer.marketSeries("pDAI");
+      expect(series).to.have.length(3);
+      expect(series[0].deposits).to.equal(depositAmount.mul(2));
+      expect(series[0].supplyNetting).to.equal(0);
+      expect(series[0].borrowNetting).to.equal(null);
+      expect(series[1].borrows).to.equal(borrowAmount.mul(2));
+
+      const [deposit] = findEvents(receipts, lendingCore, "DepositProcessed");
+      const [withdraw] = findEvents(receipts, lendingCore, "WithdrawProcessed");
+      const last = series[2];
+      expect(last.block).to.equal(receipts[0].blockNumber);
+      expect(last.deposits).to.equal(repayAmount);
+      expect(last.depositTokens).to.equal(deposit.mintedTokens);
+      expect(last.withdrawTokens).to.equal(withdrawTokens);
+      expect(last.withdraws).to.equal(withdraw.amount);
+      const minted = deposit.mintedTokens.toNumber();
+      expect(last.supplyNetting).to.be.closeTo((2 * minted) / (withdrawTokens.toNumber() + minted), 1e-9);
+      expect(last.borrowNetting).to.be.closeTo(2 / 3, 1e-9);
+      expect(last).to.include({ settledRequests: 4, rejectedRequests: 0 });
+
+      expect(last.exchangeRate).to.equal(await cDAI.exchangeRateStored());
+      expect(last.borrowIndex).to.equal(await cDAI.borrowIndex());
+      expect(last.borrowIndex).to.be.gt(series[1].borrowIndex);
+      expect(last.totalReserves).to.equal(await cDAI.totalReserves());
+      expect(last.totalSupply).to.equal(await cDAI.totalSupply());
+      expect(last.cash).to.equal(await cDAI.getCash());
+    });
+
+    it("resumes from its store and refuses the index of another chain", async function () {
+      const { deployer, user1, lendingEngine, cDAI } = await loadFixture(borrowedFixture);
+      const client = await ParalendClient.load(lendingEngine.address, deployer);
+      const indexer = tmpIndexer(client);
+      const { store } = indexer;
+      const first = await indexer.sync();
+      expect(first.fromBlock).to.equal(0);
+
+      await runBatch([() => lendingEngine.connect(user1).queueRepay(cDAI.address, repayAmount)]);
+      const resumed = new Indexer(client, store);
+      const second = await resumed.sync();
+      expect(second.fromBlock).to.equal(first.toBlock + 1);
+      expect(resumed.events).to.have.length(first.events + second.events);
+
+      // A sync interrupted before the cursor moved indexes its blocks again without duplicates
+      const { cursor } = store.load();
+      const { hash } = await ethers.provider.getBlock(first.toBlock);
+      const rewound = { ...cursor, lastBlock: first.toBlock, lastBlockHash: hash };
+      fs.writeFileSync(store.cursorFile, JSON.stringify(rewound));
+      const replayed = new Indexer(client, store);
+      await replayed.sync();
+      expect(store.load().events).to.have.length(resumed.events.length);
+      expect(replayed.events).to.deep.equal(resumed.events);
+
+      fs.writeFileSync(store.cursorFile, JSON.stringify({ ...cursor, lastBlockHash: ethers.constants.HashZero }));
+      expect(await loadError(new Indexer(client, store))).to.include(
+        `Block ${cursor.lastBlock} of the index is not on the chain`
+      );
+      fs.writeFileSync(store.cursorFile, JSON.stringify({ ...cursor, lendingEngine: cDAI.address }));
+      expect(await loadError(new Indexer(client, store))).to.include(`Index of LendingEngine ${cDAI.address}`);
+    });
+
+    it("follows new blocks", async function () {
+      const { deployer, user1, lendingEngine, cDAI } = await loadFixture(borrowedFixture);
+      const client = await ParalendClient.load(lendingEngine.address, deployer);
+      const indexer = tmpIndexer(client);
+      await indexer.sync();
+
+      const syncs = [];
+      const pollingInterval = client.provider.pollingInterval;
+      client.provider.pollingInterval = 50;
+      const follower = indexer.follow({
+        onSync: (result) => syncs.push(result),
+        onError: (error) => syncs.push({ error }),
+      });
+      try {
+        await runBatch([() => lendingEngine.connect(user1).queueRepay(cDAI.address, repayAmount)]);
+        for (let i = 0; i < 100 && !syncs.some((sync) => sync.error || sync.events > 0); i++) {
+          await new Promise((resolve) => setTimeout(resolve, 50));
+        }
+      } finally {
+        await follower.stop();
+        client.provider.pollingInterval = pollingInterval;
+      }
+
+      expect(syncs.filter((sync) => sync.error)).to.deep.equal([]);
+      expect(indexer.accountHistory(user1.address).pop()).to.include({ opType: "repay", status: "settled" });
+    });
+  });
+
+  describe("Invariants", function () {
+    it("keeps balances, supply and escrow consistent across the lifecycle", async function () {
+      const { user1, user2, lendingEngine, cDAI, invariants } = await loadFixture(borrowedFixture);
+
+      await runBatch([
+        () => lendingEngine.connect(user1).queueRepay(cDAI.address, repayAmount),
+        () => lendingEngine.connect(user2).queueWithdraw(cDAI.address, withdrawTokens),
+      ]);
+
+      expect(await invariants.violations()).to.deep.equal([]);
+    });
+
+    it("enumerates holders and borrowers from market events", async function () {
+      const { user1, user2, liquidator, lendingEngine, cDAI, cUSDC, invariants } =
+        await loadFixture(collateralCrashFixture);
+
+      await runBatch([
+        () => lendingEngine.connect(liquidator).queueLiquidation(
+          user2.address, cDAI.address, cUSDC.address, ethers.utils.parseEther("2000")
+        ),
+      ]);
+
+      const { holders, borrowers } = await invariants.accounts();
+      expect([...holders.get(cDAI.address)]).to.have.members([user1.address]);
+      // The liquidator only holds cUSDC through the seize
+      expect([...holders.get(cUSDC.address)]).to.have.members([user2.address, liquidator.address]);
+      expect([...borrowers.get(cDAI.address)]).to.have.members([user2.address]);
+      expect([...borrowers.get(cUSDC.address)]).to.have.length(0);
+    });
+
+    it("reports underlying left in LendingEngine", async function () {
+      const { daiToken, lendingEngine, invariants } = await loadFixture(suppliedFixture);
+
+      await daiToken.mint(lendingEngine.address, 1);
+
+      expect(await invariants.violations()).to.deep.equal(["LendingEngine holds 1 DAI after the batch"]);
+      const error = await invariants.assert().catch((e) => e);
+      expect(error).to.be.an("error");
+      expect(error.message).to.contain("LendingEngine holds 1 DAI");
+    });
   });
+});